@@ -0,0 +1,295 @@
+/**
+ * New Challenge Scaffold
+ * 
+ * Asks for a challenge's id, title, difficulty, category and concepts,
+ * then creates everything a challenge needs:
+ * - src/challenges/<Name>.jsx          reference component stub
+ * - src/starters/<Name>.jsx            playground starter stub
+ * - src/content/challenges/<id>.md     metadata, hints and explanation skeleton
+ * - an entry in src/challenges/registry.js
+ * 
+ * The page itself is served by the data-driven /challenges/$challengeId
+ * route, so no route file is needed. Duplicate ids, unknown difficulties
+ * and unknown categories are refused. The current data is loaded through
+ * Vite (like the validate-data plugin) so the checks use exactly what the
+ * app sees.
+ * 
+ * Usage:
+ *   npm run new-challenge
+ */
+
+import { existsSync, readFileSync, writeFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { createInterface } from 'node:readline';
+import { runnerImport } from 'vite';
+import challengeContent from './vite-plugin-challenge-content.js';
+
+const root = resolve(import.meta.dirname, '..');
+
+/**
+ * Same rule as ID_PATTERN in src/data/schema.js
+ */
+const ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+/**
+ * Icon used until the author picks one
+ */
+const DEFAULT_ICON = '🧩';
+
+/**
+ * Kata target time in minutes until the author sets one
+ */
+const DEFAULT_KATA_MINUTES = { Beginner: 5, Intermediate: 15, Advanced: 25 };
+
+/**
+ * Load a module from src/data through Vite
+ */
+const loadData = async (path) => {
+  const { module } = await runnerImport(resolve(root, path), {
+    configFile: false,
+    root,
+    logLevel: 'error',
+    plugins: [challengeContent()],
+  });
+  return module;
+};
+
+/**
+ * Turn a kebab-case id into a component name, e.g. 'todo-list' -> 'TodoList'
+ */
+const toComponentName = (id) =>
+  id.split('-').map((part) => part.charAt(0).toUpperCase() + part.slice(1)).join('');
+
+/**
+ * Quote an object key for registry.js when it is not a plain identifier
+ */
+const toObjectKey = (id) => (/^[a-z_$][\w$]*$/i.test(id) ? id : `'${id}'`);
+
+/**
+ * Reference component stub
+ */
+const componentTemplate = ({ name, title, concepts }) => `/**
+ * ${title} Component
+ * 
+ * Reference solution for the ${title} challenge, demonstrating:
+${concepts.map((concept) => ` * - ${concept}`).join('\n')}
+ */
+
+const ${name} = () => {
+  return (
+    <div className="bg-bg-primary rounded-xl border border-border p-8 text-center">
+      <p className="text-text-secondary">TODO: build the ${title} reference solution</p>
+    </div>
+  );
+};
+
+export default ${name};
+`;
+
+/**
+ * Playground starter stub
+ */
+const starterTemplate = ({ name, title }) => `/**
+ * ${title} Starter
+ * 
+ * TODO: describe what the learner should build.
+ * - First requirement
+ * - Second requirement
+ */
+
+const ${name} = () => {
+  // TODO: starting point for the learner
+
+  return (
+    <div className="bg-bg-primary rounded-xl border border-border p-8 text-center">
+      <p className="text-text-secondary">${title}</p>
+    </div>
+  );
+};
+
+export default ${name};
+`;
+
+/**
+ * Content file skeleton; every section has placeholder text so the
+ * challenge passes validation and shows up straight away
+ */
+const contentTemplate = ({ id, order, title, difficulty, category, concepts, filename, githubUrl }) => `---
+id: ${id}
+order: ${order}
+title: ${title}
+difficulty: ${difficulty}
+category: ${category}
+icon: ${DEFAULT_ICON}
+concepts: [${concepts.join(', ')}]
+prerequisites: []
+kataMinutes: ${DEFAULT_KATA_MINUTES[difficulty] ?? 15}
+filename: ${filename}
+githubUrl: ${githubUrl}
+---
+
+## Description
+
+TODO: one or two sentences describing what the learner builds.
+
+## Learning points
+
+${concepts.map((concept) => `- TODO: what the learner practices with ${concept}`).join('\n')}
+
+## Hints
+
+### First Step
+
+TODO: a nudge in the right direction. Use \`inline code\` and fenced code
+blocks where they help.
+
+## Explanation
+
+TODO: how the reference solution works.
+
+## Quiz
+
+### TODO: a question about ${concepts[0]}
+
+- [x] TODO: the right answer
+  TODO: why it is right.
+- [ ] TODO: a wrong answer
+  TODO: why it is wrong.
+`;
+
+/**
+ * Read answers line by line; works both in a terminal and with piped input
+ */
+const createPrompter = () => {
+  const rl = createInterface({ input: process.stdin, output: process.stdout, terminal: process.stdin.isTTY });
+  const lines = rl[Symbol.asyncIterator]();
+
+  /**
+   * Ask until the answer passes `parse`, which returns the value or throws with the reason
+   */
+  const ask = async (question, parse) => {
+    for (;;) {
+      process.stdout.write(`${question}: `);
+      const { value, done } = await lines.next();
+      if (done) throw new Error('Input ended before every question was answered');
+      if (!process.stdin.isTTY) process.stdout.write(`${value}\n`);
+
+      try {
+        return parse(value.trim());
+      } catch (error) {
+        console.log(`  ✗ ${error.message}`);
+      }
+    }
+  };
+
+  return { ask, close: () => rl.close() };
+};
+
+/**
+ * Parse a choice given by name or by its number in `options`
+ */
+const parseChoice = (options, label) => (answer) => {
+  const byNumber = options[Number(answer) - 1];
+  if (/^\d+$/.test(answer) && byNumber) return byNumber;
+
+  const byName = options.find((option) => option.toLowerCase() === answer.toLowerCase());
+  if (!byName) throw new Error(`Unknown ${label} "${answer}" (expected one of: ${options.join(', ')})`);
+  return byName;
+};
+
+/**
+ * List numbered options under a question
+ */
+const printOptions = (options) => {
+  options.forEach((option, index) => console.log(`  ${index + 1}. ${option}`));
+};
+
+/**
+ * Insert the new component into the registry, keeping the object's layout
+ */
+const addToRegistry = (id, name) => {
+  const path = resolve(root, 'src/challenges/registry.js');
+  const source = readFileSync(path, 'utf8');
+  const end = source.lastIndexOf('};');
+  if (end === -1) throw new Error('Could not find the end of challengeComponents in src/challenges/registry.js');
+
+  const entry = `  ${toObjectKey(id)}: lazy(() => import('./${name}')),\n`;
+  writeFileSync(path, source.slice(0, end) + entry + source.slice(end));
+};
+
+const { challengeContent: entries } = await loadData('src/data/content.js');
+const { categoryConfig, difficultyConfig } = await loadData('src/data/challenges.js');
+const { conceptGlossary } = await loadData('src/data/concepts.js');
+
+const difficulties = Object.keys(difficultyConfig).filter((d) => d !== 'All');
+const categories = Object.keys(categoryConfig).filter((c) => c !== 'All');
+const prompter = createPrompter();
+
+try {
+  console.log('Create a new challenge\n');
+
+  const id = await prompter.ask('Id (kebab-case, used in the URL)', (answer) => {
+    if (!ID_PATTERN.test(answer)) throw new Error(`"${answer}" is not kebab-case, e.g. "image-carousel"`);
+    if (entries.some((entry) => entry.challenge.id === answer)) {
+      throw new Error(`A challenge with id "${answer}" already exists`);
+    }
+    const name = toComponentName(answer);
+    ['src/challenges', 'src/starters'].forEach((dir) => {
+      if (existsSync(resolve(root, dir, `${name}.jsx`))) throw new Error(`${dir}/${name}.jsx already exists`);
+    });
+    if (existsSync(resolve(root, 'src/content/challenges', `${answer}.md`))) {
+      throw new Error(`src/content/challenges/${answer}.md already exists`);
+    }
+    return answer;
+  });
+
+  const title = await prompter.ask('Title', (answer) => {
+    if (!answer) throw new Error('The title must not be empty');
+    return answer;
+  });
+
+  printOptions(difficulties);
+  const difficulty = await prompter.ask('Difficulty', parseChoice(difficulties, 'difficulty'));
+
+  printOptions(categories);
+  const category = await prompter.ask('Category', parseChoice(categories, 'category'));
+
+  const concepts = await prompter.ask('Concepts (comma-separated)', (answer) => {
+    const list = answer.split(',').map((concept) => concept.trim()).filter(Boolean);
+    if (list.length === 0) throw new Error('List at least one concept');
+    return list;
+  });
+
+  const name = toComponentName(id);
+  const filename = `${name}.jsx`;
+  const order = Math.max(0, ...entries.map((entry) => entry.order)) + 1;
+  const githubUrl = entries[0].solution.githubUrl.replace(/[^/]+\.jsx$/, filename);
+  const files = [
+    [`src/challenges/${filename}`, componentTemplate({ name, title, concepts })],
+    [`src/starters/${filename}`, starterTemplate({ name, title })],
+    [
+      `src/content/challenges/${id}.md`,
+      contentTemplate({ id, order, title, difficulty, category, concepts, filename, githubUrl }),
+    ],
+  ];
+
+  files.forEach(([path, contents]) => writeFileSync(resolve(root, path), contents));
+  addToRegistry(id, name);
+
+  console.log('\nCreated:');
+  files.forEach(([path]) => console.log(`  ${path}`));
+  console.log('Updated:\n  src/challenges/registry.js');
+
+  const newConcepts = concepts.filter((concept) => !conceptGlossary[concept]);
+  console.log('\nNext steps:');
+  console.log(`  - Fill in the TODOs, then open /challenges/${id}`);
+  if (newConcepts.length > 0) {
+    console.log(`  - Add glossary entries to src/data/concepts.js for: ${newConcepts.join(', ')}`);
+  }
+  console.log(`  - Optionally add acceptance specs in src/specs/${id}.js and register them in src/specs/index.js`);
+} catch (error) {
+  console.error(`\n${error.message}`);
+  process.exitCode = 1;
+} finally {
+  prompter.close();
+}
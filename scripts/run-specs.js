@@ -0,0 +1,70 @@
+/**
+ * Spec Runner CLI
+ * 
+ * Runs each challenge's acceptance specs against its reference component
+ * in jsdom, loading the source through Vite so JSX and imports resolve
+ * exactly as they do in the app.
+ * 
+ * Usage:
+ *   npm run specs                    # every challenge
+ *   npm run specs -- counter timer   # only the given challenge IDs
+ * 
+ * Exits with code 1 when any spec fails.
+ */
+
+import globalJsdom from 'global-jsdom';
+import { createServer } from 'vite';
+import react from '@vitejs/plugin-react';
+import challengeContent from './vite-plugin-challenge-content.js';
+
+globalJsdom('<!doctype html><html><body></body></html>', {
+  url: 'http://localhost/',
+  pretendToBeVisual: true,
+});
+
+const server = await createServer({
+  configFile: false,
+  root: new URL('..', import.meta.url).pathname,
+  plugins: [react(), challengeContent()],
+  logLevel: 'warn',
+  appType: 'custom',
+  server: { middlewareMode: true, hmr: false, ws: false },
+});
+
+let failed = 0;
+let passed = 0;
+
+try {
+  const { challenges } = await server.ssrLoadModule('/src/data/challenges.js');
+  const { getSolutionById } = await server.ssrLoadModule('/src/data/solutions.js');
+  const { getSpecsById, runSpecs } = await server.ssrLoadModule('/src/specs/index.js');
+
+  const only = process.argv.slice(2);
+  const selected = only.length > 0 ? challenges.filter((c) => only.includes(c.id)) : challenges;
+
+  for (const challenge of selected) {
+    const specs = getSpecsById(challenge.id);
+    const solution = getSolutionById(challenge.id);
+    if (specs.length === 0 || !solution) continue;
+
+    const { default: Component } = await server.ssrLoadModule(`/src/challenges/${solution.filename}`);
+    console.log(`\n${challenge.title}`);
+
+    await runSpecs(Component, specs, {
+      onResult: (result) => {
+        if (result.passed) {
+          passed++;
+          console.log(`  ✓ ${result.title} (${result.duration}ms)`);
+        } else {
+          failed++;
+          console.log(`  ✗ ${result.title}\n      ${result.message}`);
+        }
+      },
+    });
+  }
+} finally {
+  await server.close();
+}
+
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,470 @@
+/**
+ * Challenge Content Vite Plugin
+ * 
+ * Compiles the Markdown challenge files in src/content/challenges/ into
+ * JS modules exporting the same shapes data/challenges and data/solutions
+ * have always used, so the rest of the app does not know the difference.
+ * 
+ * A content file has YAML-style frontmatter followed by `##` sections:
+ * 
+ *   ---
+ *   id: counter
+ *   order: 1
+ *   title: Counter
+ *   difficulty: Beginner
+ *   category: State Management
+ *   icon: 🔢
+ *   concepts: [useState, Event Handling]
+ *   prerequisites: []
+ *   kataMinutes: 5              (target time for kata mode)
+ *   filename: Counter.jsx
+ *   githubUrl: https://github.com/.../src/challenges/Counter.jsx
+ *   pageWidth: max-w-6xl        (optional)
+ *   ---
+ * 
+ *   ## Description        one paragraph of plain text
+ *   ## Demo intro         optional, plain text
+ *   ## Learning points    a `-` bullet list
+ *   ## Key concepts       optional, `### Title` + description per concept
+ *   ## Hints              `### Title` + Markdown content per hint
+ *   ## Explanation        Markdown
+ *   ## Quiz               `### Question` + prompt and `- [x]` / `- [ ]` options
+ * 
+ * Each quiz question may start with a `Type:` line (`choice`, the
+ * default, `output` or `bug`), then an optional Markdown prompt such as a
+ * code block, then its options. Exactly one option is marked `[x]`, and
+ * every option is followed by an indented explanation of why it is right
+ * or wrong:
+ * 
+ *   ### What does this render after one click?
+ * 
+ *   Type: output
+ * 
+ *   ```jsx
+ *   ...
+ *   ```
+ * 
+ *   - [x] `Count: 1`
+ *     The functional update starts from the current count.
+ *   - [ ] `Count: 2`
+ *     Only one update is queued per click.
+ * 
+ * Hint content and the explanation are kept as Markdown source (code
+ * blocks and inline code included) and rendered by components/Markdown.
+ * 
+ * Translations live in src/content/translations/<locale>/<id>.md and use
+ * the same sections, all optional. Their frontmatter only has `id` and an
+ * optional `title`. Anything left out, or left empty, falls back to the
+ * English file (see data/content).
+ * 
+ * Problems in a file fail the transform with the file name and line.
+ */
+
+/**
+ * Content files handled by the plugin
+ */
+const CONTENT_FILE = /\/src\/content\/challenges\/[^/]+\.md$/;
+
+/**
+ * Translation files; the directory name is the locale
+ */
+const TRANSLATION_FILE = /\/src\/content\/translations\/([a-z]{2}(?:-[A-Z]{2})?)\/[^/]+\.md$/;
+
+/**
+ * Frontmatter fields every file must have
+ */
+const REQUIRED_FIELDS = [
+  'id', 'order', 'title', 'difficulty', 'category', 'icon', 'concepts', 'prerequisites', 'kataMinutes', 'filename',
+  'githubUrl',
+];
+
+/**
+ * Frontmatter fields a file may have
+ */
+const OPTIONAL_FIELDS = ['pageWidth'];
+
+/**
+ * Frontmatter fields of a translation file
+ */
+const TRANSLATION_FIELDS = { required: ['id'], optional: ['title'] };
+
+/**
+ * Body sections by heading, and whether each is required
+ */
+const SECTIONS = {
+  description: { required: true },
+  'demo intro': { required: false },
+  'learning points': { required: true },
+  'key concepts': { required: false },
+  hints: { required: true },
+  explanation: { required: true },
+  quiz: { required: true },
+};
+
+/**
+ * A quiz option: `- [x] text` for the right answer, `- [ ] text` otherwise
+ */
+const QUIZ_OPTION = /^-\s+\[( |x)\]\s+(.*)$/i;
+
+/**
+ * Error with the content file and line it refers to
+ */
+class ContentError extends Error {
+  constructor(file, line, message) {
+    super(`${file}:${line}: ${message}`);
+    this.name = 'ContentError';
+  }
+}
+
+/**
+ * Parse a frontmatter scalar: quoted or bare string, or integer
+ */
+const parseScalar = (raw) => {
+  const value = raw.trim();
+  const quoted = value.match(/^(['"])(.*)\1$/);
+  if (quoted) return quoted[2];
+  if (/^-?\d+$/.test(value)) return Number(value);
+  return value;
+};
+
+/**
+ * Parse the frontmatter block into an object
+ * @param {string[]} lines - Lines between the `---` fences
+ * @param {string} file - File name for error messages
+ * @param {string[]} allowed - Field names the file may use
+ * @returns {Object} Frontmatter fields
+ */
+const parseFrontmatter = (lines, file, allowed) => {
+  const data = {};
+  let listKey = null;
+
+  lines.forEach((line, index) => {
+    const lineNumber = index + 2;
+    if (line.trim() === '' || line.trim().startsWith('#')) return;
+
+    const listItem = line.match(/^\s+-\s+(.*)$/);
+    if (listItem) {
+      if (!listKey) throw new ContentError(file, lineNumber, 'list item without a field');
+      data[listKey].push(parseScalar(listItem[1]));
+      return;
+    }
+
+    const field = line.match(/^([A-Za-z][\w-]*):\s*(.*)$/);
+    if (!field) throw new ContentError(file, lineNumber, `expected "field: value", got "${line}"`);
+
+    const [, key, rawValue] = field;
+    if (key in data) throw new ContentError(file, lineNumber, `duplicate field "${key}"`);
+    if (!allowed.includes(key)) {
+      throw new ContentError(file, lineNumber, `unknown field "${key}"`);
+    }
+
+    listKey = null;
+    const value = rawValue.trim();
+    if (value === '') {
+      data[key] = [];
+      listKey = key;
+    } else if (value.startsWith('[') && value.endsWith(']')) {
+      const inner = value.slice(1, -1).trim();
+      data[key] = inner === '' ? [] : inner.split(',').map(parseScalar);
+    } else {
+      data[key] = parseScalar(value);
+    }
+  });
+
+  return data;
+};
+
+/**
+ * Split body lines into `##` sections (or `###` items), ignoring headings inside code fences
+ * @param {Array<{text: string, number: number}>} lines - Body lines with line numbers
+ * @param {string} marker - Heading marker, e.g. '##'
+ * @returns {{before: Array, parts: Array<{title: string, line: number, lines: Array}>}}
+ */
+const splitByHeading = (lines, marker) => {
+  const before = [];
+  const parts = [];
+  let inFence = false;
+
+  lines.forEach((line) => {
+    if (/^\s*```/.test(line.text)) inFence = !inFence;
+    const heading = !inFence && line.text.match(new RegExp(`^${marker}\\s+(.+?)\\s*$`));
+
+    if (heading) {
+      parts.push({ title: heading[1], line: line.number, lines: [] });
+    } else if (parts.length > 0) {
+      parts[parts.length - 1].lines.push(line);
+    } else {
+      before.push(line);
+    }
+  });
+
+  return { before, parts };
+};
+
+/**
+ * Join lines back into trimmed Markdown source
+ */
+const toMarkdown = (lines) => lines.map((line) => line.text).join('\n').trim();
+
+/**
+ * Join lines into a single line of plain text
+ */
+const toPlainText = (lines) => lines.map((line) => line.text.trim()).filter(Boolean).join(' ');
+
+/**
+ * Parse a `-` bullet list into its items
+ */
+const parseList = (lines, file) => {
+  const items = [];
+  lines.forEach((line) => {
+    if (line.text.trim() === '') return;
+    const item = line.text.match(/^[-*]\s+(.*)$/);
+    if (item) {
+      items.push(item[1].trim());
+    } else if (items.length > 0 && /^\s+\S/.test(line.text)) {
+      items[items.length - 1] += ` ${line.text.trim()}`;
+    } else {
+      throw new ContentError(file, line.number, 'expected a "- " list item');
+    }
+  });
+  return items;
+};
+
+/**
+ * Parse `### Title` items within a section
+ */
+const parseTitledItems = (section, file) => {
+  const { before, parts } = splitByHeading(section.lines, '###');
+  const stray = before.find((line) => line.text.trim() !== '');
+  if (stray) throw new ContentError(file, stray.number, `expected a "### " heading in "${section.title}"`);
+  return parts;
+};
+
+/**
+ * Split a content file into its frontmatter and `##` sections
+ * @param {string} source - File contents
+ * @param {string} file - File name for error messages
+ * @param {Object} options - What the file may contain
+ * @param {string[]} options.required - Required frontmatter fields
+ * @param {string[]} options.optional - Optional frontmatter fields
+ * @param {boolean} options.allSectionsOptional - Ignore SECTIONS' `required` flags
+ * @returns {{frontmatter: Object, sections: Object}} Sections keyed by lowercased heading
+ */
+const splitContentFile = (source, file, { required, optional, allSectionsOptional = false }) => {
+  const allLines = source.replace(/\r\n/g, '\n').split('\n');
+  if (allLines[0] !== '---') throw new ContentError(file, 1, 'file must start with a "---" frontmatter block');
+
+  const end = allLines.indexOf('---', 1);
+  if (end === -1) throw new ContentError(file, 1, 'frontmatter block is not closed with "---"');
+
+  const frontmatter = parseFrontmatter(allLines.slice(1, end), file, [...required, ...optional]);
+  required.forEach((key) => {
+    if (frontmatter[key] === undefined) throw new ContentError(file, 1, `frontmatter is missing "${key}"`);
+  });
+
+  const body = allLines.slice(end + 1).map((text, index) => ({ text, number: end + 2 + index }));
+  const { before, parts } = splitByHeading(body, '##');
+  const stray = before.find((line) => line.text.trim() !== '');
+  if (stray) throw new ContentError(file, stray.number, 'content must be inside a "## " section');
+
+  const sections = {};
+  parts.forEach((part) => {
+    const name = part.title.toLowerCase();
+    if (!SECTIONS[name]) {
+      throw new ContentError(file, part.line, `unknown section "${part.title}" (expected one of: ${Object.keys(SECTIONS).join(', ')})`);
+    }
+    if (sections[name]) throw new ContentError(file, part.line, `duplicate section "${part.title}"`);
+    sections[name] = part;
+  });
+  if (!allSectionsOptional) {
+    Object.entries(SECTIONS).forEach(([name, spec]) => {
+      if (spec.required && !sections[name]) throw new ContentError(file, end + 1, `missing "## ${name}" section`);
+    });
+  }
+
+  return { frontmatter, sections };
+};
+
+/**
+ * Parse the `### Title` items of the Key concepts section
+ */
+const parseKeyConcepts = (section, file) =>
+  parseTitledItems(section, file).map((item) => ({
+    title: item.title,
+    description: toPlainText(item.lines),
+  }));
+
+/**
+ * Parse the `### Title` items of the Hints section
+ */
+const parseHints = (section, file) =>
+  parseTitledItems(section, file).map((item) => ({
+    title: item.title,
+    content: toMarkdown(item.lines),
+  }));
+
+/**
+ * Parse the `### Question` items of the Quiz section
+ */
+const parseQuiz = (section, file) =>
+  parseTitledItems(section, file).map((item) => {
+    const lines = [...item.lines];
+    while (lines.length > 0 && lines[0].text.trim() === '') lines.shift();
+
+    let type = 'choice';
+    const typeLine = lines[0]?.text.match(/^Type:\s*(\S+)\s*$/);
+    if (typeLine) {
+      type = typeLine[1];
+      lines.shift();
+    }
+
+    const firstOption = lines.findIndex((line) => QUIZ_OPTION.test(line.text));
+    if (firstOption === -1) throw new ContentError(file, item.line, `question "${item.title}" has no "- [ ]" options`);
+
+    const options = [];
+    lines.slice(firstOption).forEach((line) => {
+      if (line.text.trim() === '') return;
+      const option = line.text.match(QUIZ_OPTION);
+      if (option) {
+        options.push({ text: option[2].trim(), correct: option[1] !== ' ', explanation: '', line: line.number });
+      } else if (/^\s+\S/.test(line.text)) {
+        const current = options[options.length - 1];
+        current.explanation = `${current.explanation} ${line.text.trim()}`.trim();
+      } else {
+        throw new ContentError(file, line.number, 'expected a "- [ ]" option or an indented explanation');
+      }
+    });
+
+    if (options.length < 2) throw new ContentError(file, item.line, `question "${item.title}" needs at least two options`);
+    if (options.filter((option) => option.correct).length !== 1) {
+      throw new ContentError(file, item.line, `question "${item.title}" must mark exactly one option "[x]"`);
+    }
+    const unexplained = options.find((option) => option.explanation === '');
+    if (unexplained) throw new ContentError(file, unexplained.line, 'option has no indented explanation');
+
+    const question = { type, question: item.title };
+    const prompt = toMarkdown(lines.slice(0, firstOption));
+    if (prompt) question.prompt = prompt;
+    question.options = options.map(({ text, correct, explanation }) => ({ text, correct, explanation }));
+    return question;
+  });
+
+/**
+ * Parse a challenge content file
+ * @param {string} source - File contents
+ * @param {string} file - File name for error messages
+ * @returns {{order: number, challenge: Object, solution: Object}}
+ */
+export const parseChallengeContent = (source, file) => {
+  const { frontmatter, sections } = splitContentFile(source, file, {
+    required: REQUIRED_FIELDS,
+    optional: OPTIONAL_FIELDS,
+  });
+
+  // Same field order as the original object literals
+  const challenge = {
+    id: String(frontmatter.id),
+    title: String(frontmatter.title),
+    description: toPlainText(sections.description.lines),
+    difficulty: frontmatter.difficulty,
+    category: frontmatter.category,
+    concepts: frontmatter.concepts,
+    icon: frontmatter.icon,
+    prerequisites: frontmatter.prerequisites,
+    kataMinutes: frontmatter.kataMinutes,
+    learningPoints: parseList(sections['learning points'].lines, file),
+  };
+  if (sections['key concepts']) challenge.keyConcepts = parseKeyConcepts(sections['key concepts'], file);
+  if (sections['demo intro']) challenge.demoIntro = toPlainText(sections['demo intro'].lines);
+  if (frontmatter.pageWidth) challenge.pageWidth = frontmatter.pageWidth;
+
+  const solution = {
+    explanation: toMarkdown(sections.explanation.lines),
+    hints: parseHints(sections.hints, file),
+    filename: frontmatter.filename,
+    githubUrl: frontmatter.githubUrl,
+    quiz: parseQuiz(sections.quiz, file),
+  };
+
+  return { order: frontmatter.order, challenge, solution };
+};
+
+/**
+ * Parse a translation file. Only the fields present in the file are
+ * returned; list items (learning points, key concepts, hints, quiz
+ * questions and their options) line up with the English file by
+ * position.
+ * @param {string} source - File contents
+ * @param {string} file - File name for error messages
+ * @returns {{id: string, challenge: Object, solution: Object}}
+ */
+export const parseTranslationContent = (source, file) => {
+  const { frontmatter, sections } = splitContentFile(source, file, {
+    ...TRANSLATION_FIELDS,
+    allSectionsOptional: true,
+  });
+
+  const challenge = {};
+  if (frontmatter.title !== undefined) challenge.title = String(frontmatter.title);
+  if (sections.description) challenge.description = toPlainText(sections.description.lines);
+  if (sections['learning points']) challenge.learningPoints = parseList(sections['learning points'].lines, file);
+  if (sections['key concepts']) challenge.keyConcepts = parseKeyConcepts(sections['key concepts'], file);
+  if (sections['demo intro']) challenge.demoIntro = toPlainText(sections['demo intro'].lines);
+
+  const solution = {};
+  if (sections.explanation) solution.explanation = toMarkdown(sections.explanation.lines);
+  if (sections.hints) solution.hints = parseHints(sections.hints, file);
+  // Question types and right answers always come from the English file
+  if (sections.quiz) {
+    solution.quiz = parseQuiz(sections.quiz, file).map(({ question, prompt, options }) => ({
+      question,
+      ...(prompt && { prompt }),
+      options: options.map(({ text, explanation }) => ({ text, explanation })),
+    }));
+  }
+
+  return { id: String(frontmatter.id), challenge, solution };
+};
+
+/**
+ * Create the plugin
+ * @returns {import('vite').Plugin}
+ */
+export default function challengeContent() {
+  return {
+    name: 'challenge-content',
+
+    transform(source, id) {
+      const [path] = id.split('?');
+      const file = path.slice(path.indexOf('/src/') + 1);
+
+      if (CONTENT_FILE.test(path)) {
+        const { order, challenge, solution } = parseChallengeContent(source, file);
+        return {
+          code: [
+            `export const order = ${JSON.stringify(order)};`,
+            `export const challenge = ${JSON.stringify(challenge)};`,
+            `export const solution = ${JSON.stringify(solution)};`,
+          ].join('\n'),
+          map: null,
+        };
+      }
+
+      const translationFile = path.match(TRANSLATION_FILE);
+      if (translationFile) {
+        const { id: challengeId, challenge, solution } = parseTranslationContent(source, file);
+        return {
+          code: [
+            `export const locale = ${JSON.stringify(translationFile[1])};`,
+            `export const id = ${JSON.stringify(challengeId)};`,
+            `export const challenge = ${JSON.stringify(challenge)};`,
+            `export const solution = ${JSON.stringify(solution)};`,
+          ].join('\n'),
+          map: null,
+        };
+      }
+
+      return null;
+    },
+  };
+}
@@ -0,0 +1,117 @@
+/**
+ * Playground Preview Vite Plugin
+ * 
+ * Bundles the playground preview frame — src/playground/preview.jsx with
+ * React, the JSX compiler, the spec harness and index.css — into one
+ * self-contained (IIFE) script and one stylesheet. The
+ * `virtual:playground-preview` module exports them as the strings
+ * `script` and `css`, which playground/document inlines into the
+ * preview's `srcdoc` document.
+ * 
+ * The frame is sandboxed without `allow-same-origin`, and a document with
+ * an opaque origin is not controlled by the service worker and may not
+ * load module scripts without CORS headers. Inlining one classic script
+ * keeps the preview working offline and on any static host.
+ * 
+ * The bundle is built on first import. In dev it is rebuilt when a file
+ * it includes changes.
+ */
+
+import { resolve } from 'node:path';
+import { build } from 'vite';
+import react from '@vitejs/plugin-react';
+import tailwindcss from '@tailwindcss/vite';
+import challengeContent from './vite-plugin-challenge-content.js';
+
+/**
+ * ID the app imports the preview bundle from
+ */
+const VIRTUAL_ID = 'virtual:playground-preview';
+const RESOLVED_ID = `\0${VIRTUAL_ID}`;
+
+/**
+ * Preview frame entry, relative to the project root
+ */
+const ENTRY_FILE = 'src/playground/preview.jsx';
+
+/**
+ * Bundle the preview frame
+ * @param {import('vite').ResolvedConfig} config - Config of the app build or dev server
+ * @returns {Promise<{script: string, css: string, files: string[]}>} The bundle, and the files it was built from
+ */
+const bundlePreview = async (config) => {
+  const result = await build({
+    configFile: false,
+    root: config.root,
+    mode: config.mode,
+    logLevel: 'warn',
+    plugins: [tailwindcss(), react(), challengeContent()],
+    build: {
+      write: false,
+      emptyOutDir: false,
+      minify: config.command === 'build',
+      cssCodeSplit: false,
+      modulePreload: false,
+      rollupOptions: {
+        input: resolve(config.root, ENTRY_FILE),
+        output: { format: 'iife', inlineDynamicImports: true },
+      },
+    },
+  });
+
+  const output = [result].flat().flatMap((bundle) => bundle.output);
+  const chunks = output.filter((file) => file.type === 'chunk');
+  const css = output
+    .filter((file) => file.type === 'asset' && file.fileName.endsWith('.css'))
+    .map((file) => String(file.source))
+    .join('\n');
+
+  return {
+    script: chunks.map((chunk) => chunk.code).join('\n'),
+    css,
+    files: chunks.flatMap((chunk) => chunk.moduleIds),
+  };
+};
+
+/**
+ * Create the plugin
+ * @returns {import('vite').Plugin}
+ */
+export default function playgroundPreview() {
+  let config;
+  let bundle = null;
+  let files = new Set();
+
+  return {
+    name: 'playground-preview',
+
+    configResolved(resolvedConfig) {
+      config = resolvedConfig;
+    },
+
+    resolveId(id) {
+      return id === VIRTUAL_ID ? RESOLVED_ID : null;
+    },
+
+    async load(id) {
+      if (id !== RESOLVED_ID) return null;
+      // Forget a failed build so the next import tries again
+      bundle ??= bundlePreview(config).catch((error) => {
+        bundle = null;
+        throw error;
+      });
+      const { script, css, files: bundledFiles } = await bundle;
+      files = new Set(bundledFiles);
+      return `export const script = ${JSON.stringify(script)};\nexport const css = ${JSON.stringify(css)};`;
+    },
+
+    handleHotUpdate({ file, server, modules }) {
+      if (!files.has(file)) return undefined;
+      bundle = null;
+      const previewModule = server.moduleGraph.getModuleById(RESOLVED_ID);
+      if (!previewModule) return undefined;
+      server.moduleGraph.invalidateModule(previewModule);
+      return [...modules, previewModule];
+    },
+  };
+}
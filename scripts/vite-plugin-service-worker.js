@@ -0,0 +1,81 @@
+/**
+ * Service Worker Vite Plugin
+ * 
+ * Writes `sw.js` next to the build output from src/service-worker.js,
+ * with the list of files to precache and a cache version filled in.
+ * 
+ * The list is read from the output directory once everything has been
+ * written, so it covers every file the build produced — including each
+ * route chunk TanStack Router's autoCodeSplitting emits and the files
+ * copied from public/ — without keeping a list by hand. The version is a
+ * hash of those files' contents, so any change installs a new cache.
+ * 
+ * Only runs for `vite build`; the dev server does not register a worker.
+ */
+
+import { createHash } from 'node:crypto';
+import { readdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { join, relative, resolve } from 'node:path';
+
+/**
+ * Service worker source, relative to the project root
+ */
+const SOURCE_FILE = 'src/service-worker.js';
+
+/**
+ * Name of the generated worker in the output directory
+ */
+const OUTPUT_FILE = 'sw.js';
+
+/**
+ * Files not worth precaching
+ */
+const isExcluded = (path) => path === OUTPUT_FILE || path.endsWith('.map');
+
+/**
+ * List every file under a directory, as paths relative to it
+ * @param {string} dir - Directory to walk
+ * @returns {string[]} Paths with forward slashes
+ */
+const listFiles = (dir) =>
+  readdirSync(dir, { recursive: true, withFileTypes: true })
+    .filter((entry) => entry.isFile())
+    .map((entry) => relative(dir, join(entry.parentPath, entry.name)).split('\\').join('/'));
+
+/**
+ * Create the plugin
+ * @returns {import('vite').Plugin}
+ */
+export default function serviceWorker() {
+  let root;
+  let base;
+
+  return {
+    name: 'service-worker',
+    apply: 'build',
+
+    configResolved(config) {
+      root = config.root;
+      base = config.base;
+    },
+
+    writeBundle(options) {
+      const outDir = options.dir;
+      const files = listFiles(outDir).filter((path) => !isExcluded(path)).sort();
+
+      const hash = createHash('sha256');
+      files.forEach((path) => {
+        hash.update(path);
+        hash.update(readFileSync(join(outDir, path)));
+      });
+
+      const source = readFileSync(resolve(root, SOURCE_FILE), 'utf8')
+        .replace('/* global __PRECACHE_URLS__, __CACHE_VERSION__ */\n\n', '')
+        .replace('= __PRECACHE_URLS__;', () => `= ${JSON.stringify(files.map((path) => `${base}${path}`))};`)
+        .replace('= __CACHE_VERSION__;', () => `= ${JSON.stringify(hash.digest('hex').slice(0, 12))};`);
+
+      writeFileSync(join(outDir, OUTPUT_FILE), source);
+      this.info(`precaching ${files.length} files in ${OUTPUT_FILE}`);
+    },
+  };
+}
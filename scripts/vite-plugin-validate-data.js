@@ -0,0 +1,130 @@
+/**
+ * Validate Data Vite Plugin
+ * 
+ * Runs validateAppData from src/data/schema.js against the challenge and
+ * solution data. `vite build` fails with the list of problems; the dev
+ * server logs them and shows them in the error overlay, re-checking
+ * whenever a content, message, data, challenge, starter or route file changes.
+ * 
+ * The data modules are loaded with Vite's module runner (and the
+ * challenge-content plugin), so they resolve exactly as they do in the app.
+ */
+
+import { existsSync, readdirSync, readFileSync } from 'node:fs';
+import { resolve, relative } from 'node:path';
+import { runnerImport } from 'vite';
+import challengeContent from './vite-plugin-challenge-content.js';
+
+/**
+ * Directories whose files can affect the validation result
+ */
+const WATCHED_DIRS = ['src/content/', 'src/locales/', 'src/data/', 'src/challenges/', 'src/starters/', 'src/routes/'];
+
+/**
+ * Load the schema module and validate the data
+ * @param {string} root - Project root
+ * @returns {Promise<string[]>} Error messages
+ */
+const runValidation = async (root) => {
+  const load = (path) => runnerImport(resolve(root, path), {
+    configFile: false,
+    root,
+    logLevel: 'error',
+    plugins: [challengeContent()],
+  });
+  const errors = [];
+
+  try {
+    const { module } = await load('src/data/schema.js');
+    errors.push(
+      ...module.validateAppData({
+        exists: (path) => existsSync(resolve(root, path)),
+        list: (path) => (existsSync(resolve(root, path)) ? readdirSync(resolve(root, path)) : []),
+        read: (path) => readFileSync(resolve(root, path), 'utf8'),
+      }),
+    );
+  } catch (error) {
+    return [`Could not load the data: ${error.message}`];
+  }
+
+  // data/learning-paths checks prerequisites and paths as it loads, throwing on the first problem
+  try {
+    await load('src/data/learning-paths.js');
+  } catch (error) {
+    errors.push(`data/learning-paths: ${error.message}`);
+  }
+
+  return errors;
+};
+
+/**
+ * Format the errors as one message
+ */
+const formatErrors = (errors) =>
+  `Challenge data is invalid (${errors.length} ${errors.length === 1 ? 'problem' : 'problems'}):\n` +
+  errors.map((error) => `  - ${error}`).join('\n');
+
+/**
+ * Create the plugin
+ * @returns {import('vite').Plugin}
+ */
+export default function validateData() {
+  let root;
+  let command;
+  let lastErrors = [];
+
+  return {
+    name: 'validate-data',
+
+    configResolved(config) {
+      root = config.root;
+      command = config.command;
+    },
+
+    async buildStart() {
+      if (command !== 'build') return;
+      const errors = await runValidation(root);
+      if (errors.length > 0) this.error(formatErrors(errors));
+    },
+
+    async configureServer(server) {
+      /**
+       * Re-validate, report new problems, and clear the overlay once fixed
+       */
+      const check = async () => {
+        const errors = await runValidation(root);
+        const changed = errors.join('\n') !== lastErrors.join('\n');
+        lastErrors = errors;
+
+        if (errors.length > 0) {
+          if (changed) server.config.logger.error(formatErrors(errors), { timestamp: true });
+          server.ws.send({ type: 'error', err: { message: formatErrors(errors), stack: '', plugin: 'validate-data' } });
+        } else if (changed) {
+          server.config.logger.info('Challenge data is valid again', { timestamp: true });
+          server.ws.send({ type: 'full-reload' });
+        }
+      };
+
+      // Show outstanding problems to every page that connects
+      server.ws.on('connection', () => {
+        if (lastErrors.length > 0) {
+          server.ws.send({ type: 'error', err: { message: formatErrors(lastErrors), stack: '', plugin: 'validate-data' } });
+        }
+      });
+
+      // Run one check at a time, in the order the changes happened
+      let queue = Promise.resolve();
+      const scheduleCheck = () => {
+        queue = queue.then(check);
+        return queue;
+      };
+
+      server.watcher.on('all', (event, file) => {
+        const path = relative(root, file).split('\\').join('/');
+        if (WATCHED_DIRS.some((dir) => path.startsWith(dir))) scheduleCheck();
+      });
+
+      await scheduleCheck();
+    },
+  };
+}
@@ -61,7 +61,7 @@ const ControlledInput = () => {
           {text && (
             <button
               onClick={handleClear}
-              className="absolute right-3 top-1/2 -translate-y-1/2 text-text-muted hover:text-text-primary transition-colors"
+              className="absolute end-3 top-1/2 -translate-y-1/2 text-text-muted hover:text-text-primary transition-colors"
               aria-label="Clear input"
             >
               <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -11,9 +11,10 @@
 import { useState, useEffect } from 'react';
 
 /**
- * API endpoint for fetching users
+ * API endpoint for fetching users, answered by the in-app mock API
+ * (src/mock-api) or the live API, as chosen in the API panel
  */
-const API_ENDPOINT = 'https://dummyjson.com/users?limit=12';
+const API_ENDPOINT = '/api/users?limit=12';
 
 const FetchUsers = () => {
   // State for users data
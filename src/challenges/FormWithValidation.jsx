@@ -305,7 +305,7 @@ const FormWithValidation = () => {
               onBlur={() => handleBlur('password')}
               placeholder="••••••••"
               autoComplete="new-password"
-              className={`w-full px-4 py-3 pr-12 bg-bg-secondary border rounded-lg text-text-primary placeholder:text-text-muted focus:outline-none focus:ring-2 focus:ring-primary focus:border-transparent transition-all duration-200 ${
+              className={`w-full px-4 py-3 pe-12 bg-bg-secondary border rounded-lg text-text-primary placeholder:text-text-muted focus:outline-none focus:ring-2 focus:ring-primary focus:border-transparent transition-all duration-200 ${
                 touched.password && errors.password
                   ? 'border-danger'
                   : touched.password && !errors.password
@@ -318,7 +318,7 @@ const FormWithValidation = () => {
             <button
               type="button"
               onClick={() => setShowPassword((prev) => !prev)}
-              className="absolute right-3 top-1/2 -translate-y-1/2 text-text-muted hover:text-text-primary transition-colors"
+              className="absolute end-3 top-1/2 -translate-y-1/2 text-text-muted hover:text-text-primary transition-colors"
               aria-label={showPassword ? 'Hide password' : 'Show password'}
             >
               {showPassword ? (
@@ -6,6 +6,7 @@
  * - CRUD operations with localStorage sync
  * - Cross-tab synchronization
  * - Rich note management with timestamps
+ * - Locale-aware dates with Intl.DateTimeFormat
  */
 
 import { useState, useMemo } from 'react';
@@ -16,17 +17,19 @@ import { useLocalStorage } from '../hooks/use-local-storage';
  */
 const NOTE_COLORS = [
   { id: 'default', bg: 'bg-bg-secondary', border: 'border-border', label: 'Default' },
-  { id: 'yellow', bg: 'bg-yellow-50', border: 'border-yellow-200', label: 'Yellow' },
-  { id: 'green', bg: 'bg-green-50', border: 'border-green-200', label: 'Green' },
-  { id: 'blue', bg: 'bg-blue-50', border: 'border-blue-200', label: 'Blue' },
-  { id: 'pink', bg: 'bg-pink-50', border: 'border-pink-200', label: 'Pink' },
-  { id: 'purple', bg: 'bg-purple-50', border: 'border-purple-200', label: 'Purple' },
+  { id: 'yellow', bg: 'bg-note-yellow', border: 'border-note-yellow-border', label: 'Yellow' },
+  { id: 'green', bg: 'bg-note-green', border: 'border-note-green-border', label: 'Green' },
+  { id: 'blue', bg: 'bg-note-blue', border: 'border-note-blue-border', label: 'Blue' },
+  { id: 'pink', bg: 'bg-note-pink', border: 'border-note-pink-border', label: 'Pink' },
+  { id: 'purple', bg: 'bg-note-purple', border: 'border-note-purple-border', label: 'Purple' },
 ];
 
 /**
  * Main NotesApp Component
+ * @param {Object} props
+ * @param {string} [props.locale] - Locale note dates are formatted for
  */
-const NotesApp = () => {
+const NotesApp = ({ locale = 'en-US' }) => {
   // Persist notes to localStorage
   const [notes, setNotes] = useLocalStorage('react-practice-notes', []);
   
@@ -127,17 +130,15 @@ const NotesApp = () => {
   };
 
   /**
-   * Format date for display
+   * Format date for display in the reader's locale
    */
-  const formatDate = (dateString) => {
-    const date = new Date(dateString);
-    return date.toLocaleDateString('en-US', {
+  const formatDate = (dateString) =>
+    new Date(dateString).toLocaleDateString(locale, {
       month: 'short',
       day: 'numeric',
       hour: '2-digit',
       minute: '2-digit',
     });
-  };
 
   return (
     <div className="bg-bg-primary rounded-xl border border-border overflow-hidden">
@@ -222,7 +223,7 @@ const NotesApp = () => {
         <div className="px-6 py-4 border-b border-border">
           <div className="relative">
             <svg
-              className="absolute left-4 top-1/2 -translate-y-1/2 w-5 h-5 text-text-muted"
+              className="absolute start-4 top-1/2 -translate-y-1/2 w-5 h-5 text-text-muted"
               fill="none"
               stroke="currentColor"
               viewBox="0 0 24 24"
@@ -239,12 +240,12 @@ const NotesApp = () => {
               value={searchQuery}
               onChange={(e) => setSearchQuery(e.target.value)}
               placeholder="Search notes..."
-              className="w-full pl-12 pr-4 py-2 bg-bg-secondary border border-border rounded-lg text-text-primary placeholder:text-text-muted focus:outline-none focus:ring-2 focus:ring-primary focus:border-transparent transition-all duration-200"
+              className="w-full ps-12 pe-4 py-2 bg-bg-secondary border border-border rounded-lg text-text-primary placeholder:text-text-muted focus:outline-none focus:ring-2 focus:ring-primary focus:border-transparent transition-all duration-200"
             />
             {searchQuery && (
               <button
                 onClick={() => setSearchQuery('')}
-                className="absolute right-4 top-1/2 -translate-y-1/2 text-text-muted hover:text-text-primary transition-colors"
+                className="absolute end-4 top-1/2 -translate-y-1/2 text-text-muted hover:text-text-primary transition-colors"
               >
                 <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
@@ -335,13 +336,13 @@ const NoteCard = ({
           type="text"
           value={editData.title}
           onChange={(e) => setEditData({ ...editData, title: e.target.value })}
-          className="w-full px-3 py-2 mb-2 bg-white/50 border border-border rounded text-text-primary focus:outline-none focus:ring-2 focus:ring-primary"
+          className="w-full px-3 py-2 mb-2 bg-bg-primary/50 border border-border rounded text-text-primary focus:outline-none focus:ring-2 focus:ring-primary"
           placeholder="Title"
         />
         <textarea
           value={editData.content}
           onChange={(e) => setEditData({ ...editData, content: e.target.value })}
-          className="w-full px-3 py-2 mb-3 bg-white/50 border border-border rounded text-text-primary focus:outline-none focus:ring-2 focus:ring-primary resize-none"
+          className="w-full px-3 py-2 mb-3 bg-bg-primary/50 border border-border rounded text-text-primary focus:outline-none focus:ring-2 focus:ring-primary resize-none"
           rows={4}
           placeholder="Content"
         />
@@ -154,7 +154,7 @@ export default function ProductFilters() {
           {/* Search input */}
           <div className="flex-1 relative">
             <svg
-              className="absolute left-4 top-1/2 -translate-y-1/2 w-5 h-5 text-text-muted"
+              className="absolute start-4 top-1/2 -translate-y-1/2 w-5 h-5 text-text-muted"
               fill="none"
               stroke="currentColor"
               viewBox="0 0 24 24"
@@ -171,12 +171,12 @@ export default function ProductFilters() {
               value={state.searchText}
               onChange={(e) => dispatch({ type: FILTER_ACTIONS.SET_SEARCH, value: e.target.value })}
               placeholder="Search products..."
-              className="w-full pl-12 pr-12 py-3 bg-bg-secondary border border-border rounded-lg text-text-primary placeholder:text-text-muted focus:outline-none focus:ring-2 focus:ring-primary focus:border-transparent transition-all duration-200"
+              className="w-full ps-12 pe-12 py-3 bg-bg-secondary border border-border rounded-lg text-text-primary placeholder:text-text-muted focus:outline-none focus:ring-2 focus:ring-primary focus:border-transparent transition-all duration-200"
             />
             {state.searchText && (
               <button
                 onClick={() => dispatch({ type: FILTER_ACTIONS.SET_SEARCH, value: "" })}
-                className="absolute right-4 top-1/2 -translate-y-1/2 text-text-muted hover:text-text-primary transition-colors"
+                className="absolute end-4 top-1/2 -translate-y-1/2 text-text-muted hover:text-text-primary transition-colors"
                 aria-label="Clear search"
               >
                 <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -307,7 +307,7 @@ function ProductCard({ product, searchQuery }) {
             ★
           </span>
         ))}
-        <span className="text-xs text-text-muted ml-1">({rating})</span>
+        <span className="text-xs text-text-muted ms-1">({rating})</span>
       </div>
     );
   };
@@ -75,7 +75,7 @@ const Search = () => {
         <div className="relative">
           {/* Search icon */}
           <svg
-            className="absolute left-4 top-1/2 -translate-y-1/2 w-5 h-5 text-text-muted"
+            className="absolute start-4 top-1/2 -translate-y-1/2 w-5 h-5 text-text-muted"
             fill="none"
             stroke="currentColor"
             viewBox="0 0 24 24"
@@ -94,14 +94,14 @@ const Search = () => {
             value={searchText}
             onChange={handleSearchChange}
             placeholder="Search by name, color, or season..."
-            className="w-full pl-12 pr-12 py-3 bg-bg-secondary border border-border rounded-lg text-text-primary placeholder:text-text-muted focus:outline-none focus:ring-2 focus:ring-primary focus:border-transparent transition-all duration-200"
+            className="w-full ps-12 pe-12 py-3 bg-bg-secondary border border-border rounded-lg text-text-primary placeholder:text-text-muted focus:outline-none focus:ring-2 focus:ring-primary focus:border-transparent transition-all duration-200"
           />
 
           {/* Clear button */}
           {searchText && (
             <button
               onClick={handleClear}
-              className="absolute right-4 top-1/2 -translate-y-1/2 text-text-muted hover:text-text-primary transition-colors"
+              className="absolute end-4 top-1/2 -translate-y-1/2 text-text-muted hover:text-text-primary transition-colors"
               aria-label="Clear search"
             >
               <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -7,20 +7,27 @@
  * - Component composition patterns
  * - Immutable state updates with actions
  * - Amazon-style layout with product grid and cart sidebar
+ * - Locale-aware prices and item counts with Intl.NumberFormat and Intl.PluralRules
  */
 
 import { useReducer, useState, useMemo } from 'react';
+import reactTshirtImage from '../assets/products/react-tshirt.svg';
+import jsHoodieImage from '../assets/products/js-hoodie.svg';
+import tsCapImage from '../assets/products/ts-cap.svg';
+import nodeMugImage from '../assets/products/node-mug.svg';
+import cssStickersImage from '../assets/products/css-stickers.svg';
+import vueBackpackImage from '../assets/products/vue-backpack.svg';
 
 /**
  * Default sample products for demonstration
- * Images from picsum.photos for realistic product appearance
+ * Images are bundled from src/assets/products, so the demo works offline
  */
 const defaultProducts = [
   { 
     id: 1, 
     name: 'React T-Shirt', 
     price: 29.99, 
-    image: 'https://picsum.photos/seed/react-tshirt/200/200',
+    image: reactTshirtImage,
     rating: 4.5,
     reviews: 128
   },
@@ -28,7 +35,7 @@ const defaultProducts = [
     id: 2, 
     name: 'JavaScript Hoodie', 
     price: 49.99,
-    image: 'https://picsum.photos/seed/js-hoodie/200/200',
+    image: jsHoodieImage,
     rating: 4.8,
     reviews: 256
   },
@@ -36,7 +43,7 @@ const defaultProducts = [
     id: 3, 
     name: 'TypeScript Cap', 
     price: 19.99,
-    image: 'https://picsum.photos/seed/ts-cap/200/200',
+    image: tsCapImage,
     rating: 4.2,
     reviews: 89
   },
@@ -44,7 +51,7 @@ const defaultProducts = [
     id: 4, 
     name: 'Node.js Mug', 
     price: 14.99,
-    image: 'https://picsum.photos/seed/node-mug/200/200',
+    image: nodeMugImage,
     rating: 4.6,
     reviews: 342
   },
@@ -52,7 +59,7 @@ const defaultProducts = [
     id: 5, 
     name: 'CSS Stickers Pack', 
     price: 9.99,
-    image: 'https://picsum.photos/seed/css-stickers/200/200',
+    image: cssStickersImage,
     rating: 4.3,
     reviews: 67
   },
@@ -60,12 +67,30 @@ const defaultProducts = [
     id: 6, 
     name: 'Vue.js Backpack', 
     price: 59.99,
-    image: 'https://picsum.photos/seed/vue-backpack/200/200',
+    image: vueBackpackImage,
     rating: 4.7,
     reviews: 198
   },
 ];
 
+/**
+ * Create the price and item count formatters for a locale
+ * @param {string} locale - BCP 47 locale, e.g. 'en-US' or 'ar'
+ * @param {string} currency - ISO 4217 currency code of the prices
+ * @returns {{formatPrice: Function, formatItemCount: Function}}
+ */
+const createFormatters = (locale, currency) => {
+  const priceFormat = new Intl.NumberFormat(locale, { style: 'currency', currency });
+  const countFormat = new Intl.NumberFormat(locale);
+  const pluralRules = new Intl.PluralRules(locale);
+
+  return {
+    formatPrice: (value) => priceFormat.format(value),
+    formatItemCount: (count) =>
+      `${countFormat.format(count)} ${pluralRules.select(count) === 'one' ? 'item' : 'items'}`,
+  };
+};
+
 /**
  * Cart action types
  */
@@ -117,9 +142,14 @@ const cartReducer = (state, action) => {
 /**
  * Main ShoppingCart Component
  * Amazon-style layout: Products grid on left, Cart sidebar on right
+ * @param {Object} props
+ * @param {Array} [props.items] - Products for sale
+ * @param {string} [props.locale] - Locale prices and counts are formatted for
+ * @param {string} [props.currency] - Currency of the prices
  */
-const ShoppingCart = ({ items = defaultProducts }) => {
+const ShoppingCart = ({ items = defaultProducts, locale = 'en-US', currency = 'USD' }) => {
   const [cartItems, dispatch] = useReducer(cartReducer, []);
+  const formatters = useMemo(() => createFormatters(locale, currency), [locale, currency]);
 
   /**
    * Add item to cart
@@ -163,13 +193,13 @@ const ShoppingCart = ({ items = defaultProducts }) => {
               <span className="text-2xl">🛍️</span>
               <h2 className="text-xl font-semibold text-text-primary">Shop Products</h2>
             </div>
-            <span className="text-sm text-text-muted">{items.length} items</span>
+            <span className="text-sm text-text-muted">{formatters.formatItemCount(items.length)}</span>
           </div>
           
           {/* Product Grid */}
           <div className="grid grid-cols-1 sm:grid-cols-2 xl:grid-cols-3 gap-4">
             {items.map((item) => (
-              <ProductCard key={item.id} item={item} onAddToCart={handleAddToCart} />
+              <ProductCard key={item.id} item={item} onAddToCart={handleAddToCart} formatters={formatters} />
             ))}
           </div>
         </div>
@@ -182,6 +212,7 @@ const ShoppingCart = ({ items = defaultProducts }) => {
           onRemove={handleRemoveFromCart}
           onUpdateQuantity={handleUpdateQuantity}
           onClear={handleClearCart}
+          formatters={formatters}
         />
       </div>
     </div>
@@ -204,10 +235,10 @@ const StarRating = ({ rating, reviews }) => {
             key={i}
             className={`w-4 h-4 ${
               i < fullStars
-                ? 'text-yellow-400'
+                ? 'text-rating'
                 : i === fullStars && hasHalfStar
-                ? 'text-yellow-400'
-                : 'text-gray-300'
+                ? 'text-rating'
+                : 'text-border-hover'
             }`}
             fill="currentColor"
             viewBox="0 0 20 20"
@@ -225,7 +256,7 @@ const StarRating = ({ rating, reviews }) => {
  * ProductCard Component
  * Amazon-style product card with image, rating, and add to cart
  */
-const ProductCard = ({ item, onAddToCart }) => {
+const ProductCard = ({ item, onAddToCart, formatters }) => {
   const [quantity, setQuantity] = useState(1);
   const [imageLoaded, setImageLoaded] = useState(false);
 
@@ -248,7 +279,7 @@ const ProductCard = ({ item, onAddToCart }) => {
   return (
     <div className="bg-bg-secondary rounded-lg border border-border hover:border-primary hover:shadow-lg transition-all duration-200 overflow-hidden group">
       {/* Product Image */}
-      <div className="relative aspect-square bg-gray-100 overflow-hidden">
+      <div className="relative aspect-square bg-bg-tertiary overflow-hidden">
         {!imageLoaded && (
           <div className="absolute inset-0 flex items-center justify-center bg-bg-secondary">
             <div className="w-8 h-8 border-2 border-primary border-t-transparent rounded-full animate-spin"></div>
@@ -277,7 +308,7 @@ const ProductCard = ({ item, onAddToCart }) => {
 
         {/* Price */}
         <div className="mt-2 mb-3">
-          <span className="text-lg font-bold text-text-primary">${item.price.toFixed(2)}</span>
+          <span className="text-lg font-bold text-text-primary">{formatters.formatPrice(item.price)}</span>
         </div>
 
         {/* Quantity & Add to Cart */}
@@ -314,7 +345,7 @@ const ProductCard = ({ item, onAddToCart }) => {
  * Cart Component
  * Amazon-style cart sidebar with items, totals, and checkout
  */
-const Cart = ({ cartItems, onRemove, onUpdateQuantity, onClear }) => {
+const Cart = ({ cartItems, onRemove, onUpdateQuantity, onClear, formatters }) => {
   /**
    * Memoized total price calculation
    */
@@ -360,13 +391,14 @@ const Cart = ({ cartItems, onRemove, onUpdateQuantity, onClear }) => {
         ) : (
           <>
             {/* Cart Items */}
-            <div className="space-y-3 max-h-[400px] overflow-y-auto pr-1">
+            <div className="space-y-3 max-h-[400px] overflow-y-auto pe-1">
               {cartItems.map((item) => (
                 <CartItem 
                   key={item.id} 
                   item={item} 
                   onRemove={onRemove}
                   onUpdateQuantity={onUpdateQuantity}
+                  formatters={formatters}
                 />
               ))}
             </div>
@@ -375,9 +407,9 @@ const Cart = ({ cartItems, onRemove, onUpdateQuantity, onClear }) => {
             <div className="border-t border-border mt-4 pt-4">
               <div className="flex items-center justify-between mb-4">
                 <span className="text-text-muted">
-                  Subtotal ({totalItems} {totalItems === 1 ? 'item' : 'items'}):
+                  Subtotal ({formatters.formatItemCount(totalItems)}):
                 </span>
-                <span className="text-xl font-bold text-text-primary">${totalPrice.toFixed(2)}</span>
+                <span className="text-xl font-bold text-text-primary">{formatters.formatPrice(totalPrice)}</span>
               </div>
 
               {/* Checkout Button */}
@@ -398,13 +430,13 @@ const Cart = ({ cartItems, onRemove, onUpdateQuantity, onClear }) => {
  * CartItem Component
  * Compact cart item with image, quantity selector, and remove
  */
-const CartItem = ({ item, onRemove, onUpdateQuantity }) => {
+const CartItem = ({ item, onRemove, onUpdateQuantity, formatters }) => {
   const itemTotal = item.price * item.quantity;
 
   return (
     <div className="flex gap-3 p-3 bg-bg-secondary rounded-lg border border-border">
       {/* Item Image */}
-      <div className="w-16 h-16 flex-shrink-0 rounded overflow-hidden bg-gray-100">
+      <div className="w-16 h-16 flex-shrink-0 rounded overflow-hidden bg-bg-tertiary">
         <img
           src={item.image}
           alt={item.name}
@@ -415,7 +447,9 @@ const CartItem = ({ item, onRemove, onUpdateQuantity }) => {
       {/* Item Details */}
       <div className="flex-1 min-w-0">
         <p className="font-medium text-text-primary text-sm truncate">{item.name}</p>
-        <p className="text-xs text-text-muted">${item.price.toFixed(2)} each</p>
+        <p className="text-xs text-text-muted">
+          {item.quantity} × {formatters.formatPrice(item.price)}
+        </p>
         
         {/* Quantity Controls */}
         <div className="flex items-center gap-2 mt-2">
@@ -449,8 +483,8 @@ const CartItem = ({ item, onRemove, onUpdateQuantity }) => {
       </div>
 
       {/* Item Total */}
-      <div className="text-right">
-        <span className="font-semibold text-text-primary">${itemTotal.toFixed(2)}</span>
+      <div className="text-end">
+        <span className="font-semibold text-text-primary">{formatters.formatPrice(itemTotal)}</span>
       </div>
     </div>
   );
@@ -146,7 +146,7 @@ const Timer = () => {
         ) : (
           <button
             onClick={handlePause}
-            className="px-8 py-3 bg-warning text-white font-medium rounded-lg hover:opacity-90 transition-all duration-200 flex items-center gap-2"
+            className="px-8 py-3 bg-warning text-on-warning font-medium rounded-lg hover:opacity-90 transition-all duration-200 flex items-center gap-2"
           >
             <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 24 24">
               <path d="M6 19h4V5H6v14zm8-14v14h4V5h-4z" />
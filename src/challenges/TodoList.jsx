@@ -6,6 +6,7 @@
  * - CRUD operations (Create, Read, Update, Delete)
  * - Filtering with useMemo optimization
  * - Unique ID generation with crypto.randomUUID
+ * - Locale-aware creation dates with Intl.DateTimeFormat
  */
 
 import { useState, useMemo } from 'react';
@@ -19,7 +20,11 @@ const FILTER_OPTIONS = {
   COMPLETED: 'Completed',
 };
 
-const TodoList = () => {
+/**
+ * @param {Object} props - Component props
+ * @param {string} [props.locale] - Locale creation dates are formatted for
+ */
+const TodoList = ({ locale = 'en-US' }) => {
   // State for todos array
   const [todos, setTodos] = useState([]);
   // State for input field
@@ -188,6 +193,7 @@ const TodoList = () => {
               todo={todo}
               onComplete={handleCompleteTodo}
               onDelete={handleDeleteTodo}
+              locale={locale}
             />
           ))
         )}
@@ -201,7 +207,7 @@ const TodoList = () => {
  * 
  * Renders an individual todo item with actions.
  */
-const TodoItem = ({ todo, onComplete, onDelete }) => {
+const TodoItem = ({ todo, onComplete, onDelete, locale }) => {
   const isCompleted = todo.status === 'Completed';
 
   return (
@@ -224,10 +230,15 @@ const TodoItem = ({ todo, onComplete, onDelete }) => {
         )}
       </button>
 
-      {/* Todo text */}
-      <p className={`flex-1 ${isCompleted ? 'line-through text-text-muted' : 'text-text-primary'}`}>
-        {todo.text}
-      </p>
+      {/* Todo text and creation date */}
+      <div className="flex-1 min-w-0">
+        <p className={isCompleted ? 'line-through text-text-muted' : 'text-text-primary'}>
+          {todo.text}
+        </p>
+        <time dateTime={todo.createdAt} className="text-xs text-text-muted">
+          {new Intl.DateTimeFormat(locale, { dateStyle: 'medium', timeStyle: 'short' }).format(new Date(todo.createdAt))}
+        </time>
+      </div>
 
       {/* Status badge */}
       <span
@@ -87,7 +87,7 @@ const WindowResizer = () => {
             </p>
             <p className="text-3xl font-bold text-text-primary font-mono">
               {windowWidth}
-              <span className="text-lg text-text-muted ml-1">px</span>
+              <span className="text-lg text-text-muted ms-1">px</span>
             </p>
           </div>
 
@@ -101,7 +101,7 @@ const WindowResizer = () => {
             </p>
             <p className="text-3xl font-bold text-text-primary font-mono">
               {windowHeight}
-              <span className="text-lg text-text-muted ml-1">px</span>
+              <span className="text-lg text-text-muted ms-1">px</span>
             </p>
           </div>
         </div>
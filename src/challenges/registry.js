@@ -0,0 +1,29 @@
+/**
+ * Challenge Component Registry
+ * 
+ * Maps each challenge ID from data/challenges to the component rendered
+ * on its challenge page. Components are lazy-loaded so every challenge
+ * still ships in its own chunk.
+ * 
+ * @module challenges/registry
+ */
+
+import { lazy } from 'react';
+
+export const challengeComponents = {
+  counter: lazy(() => import('./Counter')),
+  'toggle-theme': lazy(() => import('./ToggleTheme')),
+  'controlled-input': lazy(() => import('./ControlledInput')),
+  modal: lazy(() => import('../components/ModalDemo')),
+  table: lazy(() => import('./Table')),
+  'todo-list': lazy(() => import('./TodoList')),
+  search: lazy(() => import('./Search')),
+  timer: lazy(() => import('./Timer')),
+  'window-resizer': lazy(() => import('./WindowResizer')),
+  pagination: lazy(() => import('./Pagination')),
+  'shopping-cart': lazy(() => import('./ShoppingCart')),
+  'form-validation': lazy(() => import('./FormWithValidation')),
+  'fetch-users': lazy(() => import('./FetchUsers')),
+  'product-filters': lazy(() => import('./ProductFilters')),
+  'notes-app': lazy(() => import('./NotesApp')),
+};
@@ -0,0 +1,300 @@
+/**
+ * Annotations Components
+ * 
+ * The learner's own Markdown notes on a challenge page (see
+ * data/annotations). AnnotationsPanel lists every note on the challenge
+ * and adds new ones, optionally anchored to a hint; HintAnnotations shows
+ * and adds the notes of a single hint inside ShowSolution.
+ * 
+ * @module components/Annotations
+ */
+
+import { useState } from 'react';
+import { Link } from '@tanstack/react-router';
+import Markdown from './Markdown';
+import { getHintAnnotations } from '../data/annotations';
+import { useAnnotations } from '../hooks/use-annotations';
+import { useLocale } from '../hooks/use-locale';
+
+/**
+ * Classes for the small text buttons on notes
+ */
+const textButtonClasses = 'text-xs font-medium text-text-muted hover:text-primary transition-colors';
+
+/**
+ * AnnotationEditor Component
+ * 
+ * Textarea with a Markdown preview tab and, when `hintCount` is given, a
+ * choice of hint to anchor the note to.
+ * 
+ * @param {Object} props - Component props
+ * @param {string} [props.initialContent] - Content to start from when editing
+ * @param {number|null} [props.initialHint] - Hint index to start from
+ * @param {number} [props.hintCount] - Hints the note can be anchored to; no choice when left out
+ * @param {string} props.submitLabel - Label of the save button
+ * @param {Function} props.onSave - Called with `{ content, hint }`
+ * @param {Function} [props.onCancel] - Shows a cancel button when given
+ */
+const AnnotationEditor = ({ initialContent = '', initialHint = null, hintCount, submitLabel, onSave, onCancel }) => {
+  const { t } = useLocale();
+  const [content, setContent] = useState(initialContent);
+  const [hint, setHint] = useState(initialHint);
+  const [isPreview, setIsPreview] = useState(false);
+  const isEmpty = content.trim() === '';
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (isEmpty) return;
+    onSave({ content: content.trim(), hint });
+  };
+
+  /**
+   * Classes for the write/preview tabs
+   */
+  const tabClasses = (isActive) =>
+    `px-3 py-1 rounded-md text-xs font-medium transition-colors ${
+      isActive ? 'bg-bg-tertiary text-text-primary' : 'text-text-muted hover:text-text-primary'
+    }`;
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      <div className="flex gap-1" role="group" aria-label={t('annotations.mode')}>
+        <button type="button" onClick={() => setIsPreview(false)} aria-pressed={!isPreview} className={tabClasses(!isPreview)}>
+          {t('annotations.write')}
+        </button>
+        <button type="button" onClick={() => setIsPreview(true)} aria-pressed={isPreview} className={tabClasses(isPreview)}>
+          {t('annotations.preview')}
+        </button>
+      </div>
+
+      {isPreview ? (
+        <div className="min-h-24 px-4 py-3 bg-bg-secondary border border-border rounded-lg">
+          {isEmpty ? (
+            <p className="text-sm text-text-muted">{t('annotations.previewEmpty')}</p>
+          ) : (
+            <Markdown source={content} className="text-sm text-text-secondary" />
+          )}
+        </div>
+      ) : (
+        <label className="block">
+          <span className="sr-only">{t('annotations.label')}</span>
+          <textarea
+            value={content}
+            onChange={(e) => setContent(e.target.value)}
+            rows={3}
+            placeholder={t('annotations.placeholder')}
+            className="w-full px-4 py-3 bg-bg-secondary border border-border rounded-lg text-sm text-text-primary placeholder:text-text-muted focus:outline-none focus:ring-2 focus:ring-primary focus:border-transparent transition-all duration-200"
+          />
+        </label>
+      )}
+
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        {hintCount > 0 ? (
+          <label className="flex items-center gap-2 text-sm text-text-secondary">
+            {t('annotations.anchor')}
+            <select
+              value={hint ?? ''}
+              onChange={(e) => setHint(e.target.value === '' ? null : Number(e.target.value))}
+              className="px-2 py-1 bg-bg-secondary border border-border rounded-lg text-text-primary focus:outline-none focus:ring-2 focus:ring-primary"
+            >
+              <option value="">{t('annotations.anchor.none')}</option>
+              {Array.from({ length: hintCount }, (_, index) => (
+                <option key={index} value={index}>
+                  {t('annotations.hintBadge', { number: index + 1 })}
+                </option>
+              ))}
+            </select>
+          </label>
+        ) : (
+          <span />
+        )}
+        <div className="flex items-center gap-2">
+          {onCancel && (
+            <button
+              type="button"
+              onClick={onCancel}
+              className="px-3 py-1.5 rounded-lg text-sm font-medium text-text-secondary hover:bg-bg-tertiary transition-colors"
+            >
+              {t('annotations.cancel')}
+            </button>
+          )}
+          <button
+            type="submit"
+            disabled={isEmpty}
+            className="px-3 py-1.5 rounded-lg text-sm font-medium text-white bg-primary hover:bg-primary-hover disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            {submitLabel}
+          </button>
+        </div>
+      </div>
+    </form>
+  );
+};
+
+/**
+ * AnnotationItem Component
+ * 
+ * One note, rendered as Markdown, with edit and delete actions.
+ * 
+ * @param {Object} props - Component props
+ * @param {string} props.challengeId - Challenge the note belongs to
+ * @param {Object} props.annotation - The note
+ * @param {number} [props.hintCount] - Lets the anchor be changed while editing, and shows it as a link
+ */
+const AnnotationItem = ({ challengeId, annotation, hintCount }) => {
+  const { t, formatDate } = useLocale();
+  const { updateAnnotation, removeAnnotation } = useAnnotations();
+  const [isEditing, setIsEditing] = useState(false);
+  const isEdited = annotation.updatedAt !== annotation.createdAt;
+
+  if (isEditing) {
+    return (
+      <li className="py-3">
+        <AnnotationEditor
+          initialContent={annotation.content}
+          initialHint={annotation.hint}
+          hintCount={hintCount}
+          submitLabel={t('annotations.save')}
+          onSave={(changes) => {
+            updateAnnotation(challengeId, annotation.id, changes);
+            setIsEditing(false);
+          }}
+          onCancel={() => setIsEditing(false)}
+        />
+      </li>
+    );
+  }
+
+  return (
+    <li className="py-3">
+      <Markdown source={annotation.content} className="text-sm text-text-secondary" />
+      <div className="mt-2 flex flex-wrap items-center gap-3 text-xs text-text-muted">
+        {hintCount > 0 && annotation.hint !== null && (
+          <Link
+            to="/challenges/$challengeId"
+            params={{ challengeId }}
+            search={{ hint: annotation.hint + 1 }}
+            className="px-2 py-0.5 rounded-full bg-warning-light text-warning font-medium hover:opacity-80 transition-opacity"
+          >
+            {t('annotations.hintBadge', { number: annotation.hint + 1 })}
+          </Link>
+        )}
+        <span>
+          {isEdited
+            ? t('annotations.edited', { date: formatDate(annotation.updatedAt) })
+            : formatDate(annotation.createdAt)}
+        </span>
+        <button onClick={() => setIsEditing(true)} className={textButtonClasses}>
+          {t('annotations.edit')}
+        </button>
+        <button onClick={() => removeAnnotation(challengeId, annotation.id)} className={textButtonClasses}>
+          {t('annotations.delete')}
+        </button>
+      </div>
+    </li>
+  );
+};
+
+/**
+ * HintAnnotations Component
+ * 
+ * Notes anchored to one hint, with a button to add another.
+ * 
+ * @param {Object} props - Component props
+ * @param {string} props.challengeId - Challenge ID
+ * @param {number} props.hintIndex - Index of the hint
+ */
+export const HintAnnotations = ({ challengeId, hintIndex }) => {
+  const { t } = useLocale();
+  const { getAnnotations, addAnnotation } = useAnnotations();
+  const [isAdding, setIsAdding] = useState(false);
+  const annotations = getHintAnnotations(getAnnotations(challengeId), hintIndex);
+
+  return (
+    <div className="mt-3 pt-3 border-t border-border">
+      {annotations.length > 0 && (
+        <ul className="divide-y divide-border">
+          {annotations.map((annotation) => (
+            <AnnotationItem key={annotation.id} challengeId={challengeId} annotation={annotation} />
+          ))}
+        </ul>
+      )}
+      {isAdding ? (
+        <div className="mt-2">
+          <AnnotationEditor
+            initialHint={hintIndex}
+            submitLabel={t('annotations.add')}
+            onSave={(annotation) => {
+              addAnnotation(challengeId, annotation);
+              setIsAdding(false);
+            }}
+            onCancel={() => setIsAdding(false)}
+          />
+        </div>
+      ) : (
+        <button onClick={() => setIsAdding(true)} className={textButtonClasses}>
+          📝 {t('annotations.addToHint')}
+        </button>
+      )}
+    </div>
+  );
+};
+
+/**
+ * AnnotationsPanel Component
+ * 
+ * @param {Object} props - Component props
+ * @param {string} props.challengeId - Challenge ID
+ * @param {number} props.hintCount - Number of hints notes can be anchored to
+ */
+const AnnotationsPanel = ({ challengeId, hintCount }) => {
+  const { t } = useLocale();
+  const { getAnnotations, addAnnotation } = useAnnotations();
+  // Bumped after each save to start the next note from an empty editor
+  const [editorKey, setEditorKey] = useState(0);
+  const annotations = getAnnotations(challengeId);
+
+  return (
+    <section className="mt-8 bg-bg-primary rounded-xl border border-border p-6" aria-labelledby="notes-heading">
+      <div className="flex flex-wrap items-start justify-between gap-4 mb-4">
+        <div className="flex items-center gap-3">
+          <span className="text-2xl">📝</span>
+          <div>
+            <h2 id="notes-heading" className="text-lg font-semibold text-text-primary">{t('annotations.title')}</h2>
+            <p className="text-sm text-text-muted">{t('annotations.intro')}</p>
+          </div>
+        </div>
+        <Link to="/my-notes" className="text-sm text-primary hover:text-primary-hover font-medium transition-colors">
+          {t('annotations.all')}
+        </Link>
+      </div>
+
+      {annotations.length > 0 ? (
+        <ul className="mb-4 divide-y divide-border">
+          {annotations.map((annotation) => (
+            <AnnotationItem
+              key={annotation.id}
+              challengeId={challengeId}
+              annotation={annotation}
+              hintCount={hintCount}
+            />
+          ))}
+        </ul>
+      ) : (
+        <p className="mb-4 text-sm text-text-muted">{t('annotations.empty')}</p>
+      )}
+
+      <AnnotationEditor
+        key={editorKey}
+        hintCount={hintCount}
+        submitLabel={t('annotations.add')}
+        onSave={(annotation) => {
+          addAnnotation(challengeId, annotation);
+          setEditorKey(editorKey + 1);
+        }}
+      />
+    </section>
+  );
+};
+
+export default AnnotationsPanel;
@@ -0,0 +1,82 @@
+/**
+ * AnnotationsProvider Component
+ * 
+ * Owns the learner's challenge annotations, persisted with
+ * useLocalStorage, and shares them through AnnotationsContext
+ * (see data/annotations).
+ * 
+ * @module components/AnnotationsProvider
+ */
+
+import { useMemo } from 'react';
+import { useLocalStorage } from '../hooks/use-local-storage';
+import { AnnotationsContext } from '../hooks/use-annotations';
+import { ANNOTATIONS_STORAGE_KEY, createAnnotation } from '../data/annotations';
+
+/**
+ * Initial (empty) annotations
+ */
+const initialAnnotations = {};
+
+/**
+ * Shared empty list for challenges without annotations
+ */
+const noAnnotations = [];
+
+/**
+ * AnnotationsProvider Component
+ * 
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - App content
+ */
+const AnnotationsProvider = ({ children }) => {
+  const [annotations, setAnnotations] = useLocalStorage(ANNOTATIONS_STORAGE_KEY, initialAnnotations);
+
+  const value = useMemo(() => {
+    /**
+     * Apply an update to one challenge's list; empty lists are dropped
+     */
+    const updateChallenge = (challengeId, update) => {
+      setAnnotations((previous) => {
+        const { [challengeId]: current = noAnnotations, ...rest } = previous;
+        const next = update(current);
+        return next.length > 0 ? { ...rest, [challengeId]: next } : rest;
+      });
+    };
+
+    return {
+      annotations,
+      getAnnotations: (challengeId) => annotations[challengeId] || noAnnotations,
+
+      /**
+       * Add a note to a challenge, optionally anchored to a hint index
+       */
+      addAnnotation: (challengeId, { content, hint = null }) => {
+        const annotation = createAnnotation({ content, hint });
+        updateChallenge(challengeId, (current) => [...current, annotation]);
+      },
+
+      /**
+       * Change a note's content or anchor
+       */
+      updateAnnotation: (challengeId, id, changes) => {
+        updateChallenge(challengeId, (current) =>
+          current.map((annotation) =>
+            annotation.id === id ? { ...annotation, ...changes, updatedAt: new Date().toISOString() } : annotation,
+          ),
+        );
+      },
+
+      /**
+       * Delete a note
+       */
+      removeAnnotation: (challengeId, id) => {
+        updateChallenge(challengeId, (current) => current.filter((annotation) => annotation.id !== id));
+      },
+    };
+  }, [annotations, setAnnotations]);
+
+  return <AnnotationsContext.Provider value={value}>{children}</AnnotationsContext.Provider>;
+};
+
+export default AnnotationsProvider;
@@ -0,0 +1,51 @@
+/**
+ * ChallengeSuggestions Component
+ * 
+ * "Did you mean" list of the challenges a mistyped URL most likely
+ * meant, shown on the not-found pages. Renders nothing when no challenge
+ * is close enough.
+ * 
+ * @module components/ChallengeSuggestions
+ */
+
+import { Link } from '@tanstack/react-router';
+import { suggestChallenges } from '../data/search';
+import { useLocale } from '../hooks/use-locale';
+
+/**
+ * ChallengeSuggestions Component
+ * 
+ * @param {Object} props - Component props
+ * @param {string} props.path - The URL path or challenge ID that was not found
+ */
+const ChallengeSuggestions = ({ path }) => {
+  const { t, localizeChallenge } = useLocale();
+  const suggestions = suggestChallenges(path).map(localizeChallenge);
+  if (suggestions.length === 0) return null;
+
+  return (
+    <nav className="mt-8" aria-labelledby="suggestions-heading">
+      <h2 id="suggestions-heading" className="text-sm font-medium text-text-muted uppercase tracking-wider">
+        {t('notFound.suggestions')}
+      </h2>
+      <ul className="mt-3 flex flex-col items-center gap-2">
+        {suggestions.map((challenge) => (
+          <li key={challenge.id}>
+            <Link
+              to="/challenges/$challengeId"
+              params={{ challengeId: challenge.id }}
+              className="inline-flex items-center gap-3 px-4 py-2 rounded-lg border border-border bg-bg-primary hover:border-primary transition-colors"
+            >
+              <span className="font-medium text-text-primary">{challenge.title}</span>
+              <code dir="ltr" className="font-mono text-xs text-text-muted">
+                {challenge.id}
+              </code>
+            </Link>
+          </li>
+        ))}
+      </ul>
+    </nav>
+  );
+};
+
+export default ChallengeSuggestions;
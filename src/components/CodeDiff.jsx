@@ -0,0 +1,282 @@
+/**
+ * CodeDiff Component
+ * 
+ * Compares the learner's playground code with the reference solution,
+ * side by side or as a unified diff (see utils/diff). Whitespace and
+ * comment-only differences are ignored by default, and the previous and
+ * next buttons step through the changed hunks.
+ * 
+ * @module components/CodeDiff
+ */
+
+import { useState, useMemo, useRef } from 'react';
+import { diffLines, getHunks, pairSideBySide, DIFF_TYPES } from '../utils/diff';
+import { tokenClasses } from '../utils/highlight';
+import { useLocale } from '../hooks/use-locale';
+
+/**
+ * Diff layouts
+ */
+const LAYOUTS = {
+  SPLIT: 'split',
+  UNIFIED: 'unified',
+};
+
+/**
+ * Row background and unified-view marker per line type
+ */
+const lineStyles = {
+  [DIFF_TYPES.EQUAL]: { className: '', marker: ' ' },
+  [DIFF_TYPES.REMOVED]: { className: 'bg-danger-light', marker: '-' },
+  [DIFF_TYPES.ADDED]: { className: 'bg-success-light', marker: '+' },
+  [DIFF_TYPES.IGNORED]: { className: 'opacity-60', marker: ' ' },
+};
+
+/**
+ * LineCode Component
+ * 
+ * Highlighted code of one line.
+ * 
+ * @param {Object} props - Component props
+ * @param {Array<{type: string, text: string}>} props.tokens - Line tokens
+ */
+const LineCode = ({ tokens }) =>
+  tokens.map((token, index) => (
+    <span key={index} className={tokenClasses[token.type]}>
+      {token.text}
+    </span>
+  ));
+
+/**
+ * LineNumber Component
+ * 
+ * Line number cell, emphasized on the lines of the active hunk.
+ * 
+ * @param {Object} props - Component props
+ * @param {number} [props.number] - 1-based line number
+ * @param {boolean} props.isActive - Whether the line is in the active hunk
+ */
+const LineNumber = ({ number, isActive }) => (
+  <td
+    className={`w-px px-2 text-end align-top select-none ${isActive ? 'text-primary font-semibold' : 'text-text-muted'}`}
+    aria-hidden="true"
+  >
+    {number}
+  </td>
+);
+
+/**
+ * SplitView Component
+ * 
+ * Learner code on the left, reference on the right, changed lines paired.
+ * 
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.lines - Lines from diffLines
+ * @param {Function} props.isActive - Whether a line index is in the active hunk
+ */
+const SplitView = ({ lines, isActive }) => {
+  const { t } = useLocale();
+  const rows = useMemo(() => pairSideBySide(lines), [lines]);
+
+  const renderSide = (side, number, tokens) =>
+    side ? (
+      <>
+        <LineNumber number={number(side.line)} isActive={isActive(side.index)} />
+        <td data-line={side.index} className={`w-1/2 pe-4 whitespace-pre ${lineStyles[side.line.type].className}`}>
+          <LineCode tokens={tokens(side.line)} />
+        </td>
+      </>
+    ) : (
+      <>
+        <LineNumber isActive={false} />
+        <td className="w-1/2 bg-bg-secondary" />
+      </>
+    );
+
+  return (
+    <table className="min-w-full border-collapse">
+      <thead>
+        <tr className="text-xs text-text-muted font-sans">
+          <th colSpan={2} scope="col" className="px-2 py-1 text-start font-medium border-b border-border">{t('diff.yours')}</th>
+          <th colSpan={2} scope="col" className="px-2 py-1 text-start font-medium border-b border-s border-border">{t('diff.reference')}</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map((row, index) => (
+          <tr key={index}>
+            {renderSide(row.left, (line) => line.oldNumber, (line) => line.oldTokens)}
+            {renderSide(row.right, (line) => line.newNumber, (line) => line.newTokens)}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+/**
+ * UnifiedView Component
+ * 
+ * One column: learner-only lines marked `-`, reference-only lines `+`.
+ * 
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.lines - Lines from diffLines
+ * @param {Function} props.isActive - Whether a line index is in the active hunk
+ */
+const UnifiedView = ({ lines, isActive }) => (
+  <table className="min-w-full border-collapse">
+    <tbody>
+      {lines.map((line, index) => (
+        <tr key={index} data-line={index} className={lineStyles[line.type].className}>
+          <LineNumber number={line.oldNumber} isActive={isActive(index)} />
+          <LineNumber number={line.newNumber} isActive={isActive(index)} />
+          <td className="w-px pe-2 text-text-muted select-none" aria-hidden="true">
+            {lineStyles[line.type].marker}
+          </td>
+          <td className="pe-4 whitespace-pre">
+            <LineCode tokens={line.oldTokens ?? line.newTokens} />
+          </td>
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+/**
+ * CodeDiff Component
+ * 
+ * @param {Object} props - Component props
+ * @param {string} props.learnerCode - The learner's playground code
+ * @param {string} props.referenceCode - Bundled source of the reference solution
+ * @param {string} props.filename - Filename shown in the header
+ * @param {boolean} props.isStarterCode - Whether the learner has not edited the starter yet
+ * @param {Function} props.onRefresh - Compares the latest playground code again
+ * @param {Function} props.onClose - Hides the comparison
+ */
+const CodeDiff = ({ learnerCode, referenceCode, filename, isStarterCode, onRefresh, onClose }) => {
+  const { t, formatNumber } = useLocale();
+  const [layout, setLayout] = useState(LAYOUTS.SPLIT);
+  const [ignoreWhitespace, setIgnoreWhitespace] = useState(true);
+  const [ignoreComments, setIgnoreComments] = useState(true);
+  // The selected hunk index and the hunks it indexes into
+  const [selection, setSelection] = useState({ hunks: null, index: null });
+  const bodyRef = useRef(null);
+
+  const lines = useMemo(
+    () => diffLines(learnerCode, referenceCode, { ignoreWhitespace, ignoreComments }),
+    [learnerCode, referenceCode, ignoreWhitespace, ignoreComments],
+  );
+  const hunks = useMemo(() => getHunks(lines), [lines]);
+  // Recomputed hunks (refresh, ignore options) start again from none
+  const activeHunk = selection.hunks === hunks ? selection.index : null;
+  const removedCount = lines.filter((line) => line.type === DIFF_TYPES.REMOVED).length;
+  const addedCount = lines.filter((line) => line.type === DIFF_TYPES.ADDED).length;
+  const hunk = activeHunk !== null ? hunks[activeHunk] : null;
+  const isActive = (index) => Boolean(hunk) && index >= hunk.start && index <= hunk.end;
+
+  /**
+   * Select a hunk and scroll its first line into view
+   */
+  const goToHunk = (index) => {
+    if (index < 0 || index >= hunks.length) return;
+    setSelection({ hunks, index });
+    bodyRef.current
+      ?.querySelector(`[data-line="${hunks[index].start}"]`)
+      ?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  };
+
+  const toggleOption = (setOption) => (event) => setOption(event.target.checked);
+
+  const buttonClass =
+    'px-3 py-1 text-xs font-medium rounded-md border border-border text-text-secondary hover:border-primary hover:text-primary disabled:opacity-50 disabled:cursor-not-allowed transition-colors';
+
+  return (
+    <div className="border border-border rounded-lg overflow-hidden">
+      {/* Header */}
+      <div className="px-4 py-2 flex flex-wrap items-center justify-between gap-3 bg-bg-secondary border-b border-border">
+        <p className="text-sm text-text-secondary">
+          <span className="font-mono text-text-primary">{filename}</span>
+          <span dir="ltr" className="ms-2 font-mono text-xs">
+            <span className="text-danger">−{formatNumber(removedCount)}</span>{' '}
+            <span className="text-success">+{formatNumber(addedCount)}</span>
+          </span>
+        </p>
+        <div className="flex items-center gap-2">
+          <div role="group" aria-label={t('diff.layout')} className="flex">
+            {Object.values(LAYOUTS).map((value) => (
+              <button
+                key={value}
+                onClick={() => setLayout(value)}
+                aria-pressed={layout === value}
+                className={`px-3 py-1 text-xs font-medium border border-border first:rounded-s-md last:rounded-e-md -ms-px first:ms-0 transition-colors ${
+                  layout === value ? 'bg-primary text-white border-primary' : 'text-text-secondary hover:text-primary'
+                }`}
+              >
+                {t(`diff.${value}`)}
+              </button>
+            ))}
+          </div>
+          <button onClick={onRefresh} className={buttonClass}>
+            {t('diff.refresh')}
+          </button>
+          <button onClick={onClose} className={buttonClass}>
+            {t('diff.close')}
+          </button>
+        </div>
+      </div>
+
+      {/* Options and hunk navigation */}
+      <div className="px-4 py-2 flex flex-wrap items-center justify-between gap-3 border-b border-border text-sm text-text-secondary">
+        <div className="flex flex-wrap items-center gap-4">
+          <label className="flex items-center gap-2">
+            <input type="checkbox" checked={ignoreWhitespace} onChange={toggleOption(setIgnoreWhitespace)} />
+            {t('diff.ignoreWhitespace')}
+          </label>
+          <label className="flex items-center gap-2">
+            <input type="checkbox" checked={ignoreComments} onChange={toggleOption(setIgnoreComments)} />
+            {t('diff.ignoreComments')}
+          </label>
+        </div>
+        {hunks.length > 0 && (
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => goToHunk(activeHunk === null ? hunks.length - 1 : activeHunk - 1)}
+              disabled={activeHunk === 0}
+              className={buttonClass}
+            >
+              {t('diff.previous')}
+            </button>
+            <span role="status" className="text-xs text-text-muted tabular-nums">
+              {activeHunk === null
+                ? t('diff.changes', { count: hunks.length })
+                : t('diff.position', { current: formatNumber(activeHunk + 1), total: formatNumber(hunks.length) })}
+            </span>
+            <button
+              onClick={() => goToHunk(activeHunk === null ? 0 : activeHunk + 1)}
+              disabled={activeHunk === hunks.length - 1}
+              className={buttonClass}
+            >
+              {t('diff.next')}
+            </button>
+          </div>
+        )}
+      </div>
+
+      {isStarterCode && <p className="px-4 py-2 text-xs text-text-muted border-b border-border">{t('diff.starterNote')}</p>}
+
+      {/* Diff; always left to right, even in RTL locales */}
+      {hunks.length === 0 ? (
+        <p className="px-4 py-8 text-center text-sm text-success">{t('diff.noChanges')}</p>
+      ) : (
+        <div ref={bodyRef} dir="ltr" className="max-h-[32rem] overflow-auto bg-bg-tertiary py-2 font-mono text-sm leading-6 text-text-primary">
+          {layout === LAYOUTS.SPLIT ? (
+            <SplitView lines={lines} isActive={isActive} />
+          ) : (
+            <UnifiedView lines={lines} isActive={isActive} />
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CodeDiff;
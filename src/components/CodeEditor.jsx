@@ -0,0 +1,73 @@
+/**
+ * CodeEditor Component
+ * 
+ * A lightweight code editor built on a textarea with a line number
+ * gutter. Tab inserts spaces instead of moving focus.
+ * 
+ * @module components/CodeEditor
+ */
+
+/**
+ * Number of spaces inserted when pressing Tab
+ */
+const TAB_SIZE = 2;
+
+/**
+ * CodeEditor Component
+ * 
+ * @param {Object} props - Component props
+ * @param {string} props.value - Current source code
+ * @param {Function} props.onChange - Called with the updated source code
+ * @param {string} props.label - Accessible label for the editor
+ */
+const CodeEditor = ({ value, onChange, label }) => {
+  const lineCount = value.split('\n').length;
+
+  /**
+   * Inserts spaces on Tab while keeping the caret position
+   */
+  const handleKeyDown = (event) => {
+    if (event.key !== 'Tab' || event.shiftKey) return;
+
+    event.preventDefault();
+    const { selectionStart, selectionEnd } = event.target;
+    const indent = ' '.repeat(TAB_SIZE);
+    const nextValue = value.slice(0, selectionStart) + indent + value.slice(selectionEnd);
+    onChange(nextValue);
+
+    // Restore the caret after React re-renders the controlled value
+    requestAnimationFrame(() => {
+      event.target.selectionStart = selectionStart + TAB_SIZE;
+      event.target.selectionEnd = selectionStart + TAB_SIZE;
+    });
+  };
+
+  return (
+    <div dir="ltr" className="flex h-full overflow-auto bg-bg-tertiary font-mono text-sm leading-6">
+      {/* Line numbers */}
+      <div
+        className="sticky left-0 py-3 px-3 text-right text-text-muted bg-bg-secondary border-r border-border select-none"
+        aria-hidden="true"
+      >
+        {Array.from({ length: lineCount }, (_, index) => (
+          <div key={index}>{index + 1}</div>
+        ))}
+      </div>
+
+      <textarea
+        value={value}
+        onChange={(event) => onChange(event.target.value)}
+        onKeyDown={handleKeyDown}
+        rows={lineCount}
+        wrap="off"
+        spellCheck={false}
+        autoCapitalize="off"
+        autoComplete="off"
+        aria-label={label}
+        className="flex-1 min-w-0 py-3 px-3 bg-transparent text-text-primary resize-none overflow-hidden focus:outline-none"
+      />
+    </div>
+  );
+};
+
+export default CodeEditor;
@@ -0,0 +1,85 @@
+/**
+ * CollectionMenu Component
+ * 
+ * Drop-down on the challenge page header for adding the challenge to the
+ * learner's collections, or creating a new collection that starts with it
+ * (see data/collections).
+ * 
+ * @module components/CollectionMenu
+ */
+
+import { useState } from 'react';
+import { Link } from '@tanstack/react-router';
+import { MAX_COLLECTION_NAME_LENGTH } from '../data/collections';
+import { useCollections } from '../hooks/use-collections';
+import { useLocale } from '../hooks/use-locale';
+
+/**
+ * CollectionMenu Component
+ * 
+ * @param {Object} props - Component props
+ * @param {string} props.challengeId - Challenge ID
+ */
+const CollectionMenu = ({ challengeId }) => {
+  const { collections, addCollection, toggleInCollection } = useCollections();
+  const { t } = useLocale();
+  const [name, setName] = useState('');
+  const memberCount = collections.filter((collection) => collection.challengeIds.includes(challengeId)).length;
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    if (addCollection(name, [challengeId])) setName('');
+  };
+
+  return (
+    <details className="relative">
+      <summary className="list-none cursor-pointer px-3 py-1 text-xs font-medium rounded-full border border-border text-text-secondary hover:border-primary hover:text-primary transition-colors">
+        📚 {memberCount > 0 ? t('collections.menu.count', { count: memberCount }) : t('collections.menu')}
+      </summary>
+      <div className="absolute end-0 z-20 mt-2 w-64 p-3 bg-bg-primary border border-border rounded-lg shadow-lg space-y-3">
+        {collections.length > 0 ? (
+          <ul className="space-y-1 max-h-48 overflow-y-auto">
+            {collections.map((collection) => (
+              <li key={collection.id}>
+                <label className="flex items-center gap-2 text-sm text-text-secondary">
+                  <input
+                    type="checkbox"
+                    checked={collection.challengeIds.includes(challengeId)}
+                    onChange={() => toggleInCollection(collection.id, challengeId)}
+                    className="accent-primary"
+                  />
+                  <span className="truncate">{collection.name}</span>
+                </label>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-sm text-text-muted">{t('collections.menu.empty')}</p>
+        )}
+        <form onSubmit={handleCreate} className="flex gap-2">
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            maxLength={MAX_COLLECTION_NAME_LENGTH}
+            placeholder={t('collections.namePlaceholder')}
+            aria-label={t('collections.name')}
+            className="min-w-0 flex-1 px-2 py-1 bg-bg-secondary border border-border rounded-md text-sm text-text-primary placeholder:text-text-muted focus:outline-none focus:ring-2 focus:ring-primary"
+          />
+          <button
+            type="submit"
+            disabled={name.trim() === ''}
+            className="px-2 py-1 rounded-md text-sm font-medium text-white bg-primary hover:bg-primary-hover disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            {t('collections.create')}
+          </button>
+        </form>
+        <Link to="/collections" className="block text-xs text-primary hover:text-primary-hover font-medium transition-colors">
+          {t('collections.all')}
+        </Link>
+      </div>
+    </details>
+  );
+};
+
+export default CollectionMenu;
@@ -0,0 +1,125 @@
+/**
+ * CollectionsProvider Component
+ * 
+ * Owns the learner's starred challenges and collections, persisted with
+ * useLocalStorage, and shares them through CollectionsContext
+ * (see data/collections).
+ * 
+ * @module components/CollectionsProvider
+ */
+
+import { useMemo } from 'react';
+import { useLocalStorage } from '../hooks/use-local-storage';
+import { CollectionsContext } from '../hooks/use-collections';
+import {
+  COLLECTIONS_STORAGE_KEY,
+  initialCollections,
+  cleanCollectionName,
+  createCollection,
+  moveItem,
+} from '../data/collections';
+
+/**
+ * CollectionsProvider Component
+ * 
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - App content
+ */
+const CollectionsProvider = ({ children }) => {
+  const [stored, setStored] = useLocalStorage(COLLECTIONS_STORAGE_KEY, initialCollections);
+
+  const value = useMemo(() => {
+    const { starred, collections } = stored;
+
+    /**
+     * Apply an update to the latest starred list or collections, so
+     * several updates in the same tick build on each other
+     */
+    const updateStarred = (update) => setStored((previous) => ({ ...previous, starred: update(previous.starred) }));
+    const updateCollections = (update) =>
+      setStored((previous) => ({ ...previous, collections: update(previous.collections) }));
+
+    /**
+     * Apply an update to one collection
+     */
+    const updateCollection = (id, update) => {
+      updateCollections((current) =>
+        current.map((collection) => (collection.id === id ? { ...collection, ...update(collection) } : collection)),
+      );
+    };
+
+    return {
+      starred,
+      collections,
+      isStarred: (challengeId) => starred.includes(challengeId),
+
+      /**
+       * Star a challenge, or unstar it when it is already starred
+       */
+      toggleStar: (challengeId) => {
+        updateStarred((current) =>
+          current.includes(challengeId) ? current.filter((id) => id !== challengeId) : [...current, challengeId],
+        );
+      },
+
+      /**
+       * Add a collection at the end of the list; blank names are ignored
+       * @returns {Object|null} The new collection
+       */
+      addCollection: (name, challengeIds = []) => {
+        if (!cleanCollectionName(name)) return null;
+        const collection = createCollection(name, challengeIds);
+        updateCollections((current) => [...current, collection]);
+        return collection;
+      },
+
+      /**
+       * Rename a collection; blank names are ignored
+       */
+      renameCollection: (id, name) => {
+        if (!cleanCollectionName(name)) return;
+        updateCollection(id, () => ({ name: cleanCollectionName(name) }));
+      },
+
+      /**
+       * Delete a collection
+       */
+      removeCollection: (id) => {
+        updateCollections((current) => current.filter((collection) => collection.id !== id));
+      },
+
+      /**
+       * Move a collection up (-1) or down (1) the list
+       */
+      moveCollection: (id, offset) => {
+        updateCollections((current) =>
+          moveItem(current, current.findIndex((collection) => collection.id === id), offset),
+        );
+      },
+
+      /**
+       * Add a challenge to the end of a collection, or take it out again
+       */
+      toggleInCollection: (id, challengeId) => {
+        updateCollection(id, ({ challengeIds }) => ({
+          challengeIds: challengeIds.includes(challengeId)
+            ? challengeIds.filter((c) => c !== challengeId)
+            : [...challengeIds, challengeId],
+        }));
+      },
+
+      /**
+       * Move a challenge up (-1) or down (1) within a collection
+       */
+      moveInCollection: (id, challengeId, offset) => {
+        updateCollection(id, ({ challengeIds }) => ({
+          challengeIds: moveItem(challengeIds, challengeIds.indexOf(challengeId), offset),
+        }));
+      },
+    };
+  }, [stored, setStored]);
+
+  return <CollectionsContext.Provider value={value}>{children}</CollectionsContext.Provider>;
+};
+
+export default CollectionsProvider;
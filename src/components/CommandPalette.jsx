@@ -0,0 +1,252 @@
+/**
+ * CommandPalette Component
+ * 
+ * Keyboard-driven search across challenge titles, descriptions, concepts,
+ * learning points and hint titles. Opened from the Header (Ctrl/Cmd+K).
+ * Picking a result opens the challenge; hint results also jump to the hint.
+ * 
+ * @module components/CommandPalette
+ */
+
+import { useState, useMemo, useEffect, useRef } from 'react';
+import { useNavigate } from '@tanstack/react-router';
+import { searchContent, createSearchEntries, SEARCH_RESULT_TYPES } from '../data/search';
+import { useLocale } from '../hooks/use-locale';
+
+/**
+ * ID of the results listbox, referenced by the search input
+ */
+const LISTBOX_ID = 'command-palette-results';
+
+/**
+ * Get the DOM ID of a result option
+ */
+const getOptionId = (index) => `command-palette-option-${index}`;
+
+/**
+ * HighlightedText Component
+ * 
+ * Renders text with the fuzzy-matched characters emphasized.
+ * 
+ * @param {Object} props - Component props
+ * @param {string} props.text - Text to render
+ * @param {number[]} props.indices - Positions of matched characters
+ */
+const HighlightedText = ({ text, indices }) => {
+  if (indices.length === 0) return text;
+
+  const matched = new Set(indices);
+  const segments = [];
+  for (let i = 0; i < text.length; i++) {
+    const isMatch = matched.has(i);
+    const last = segments[segments.length - 1];
+    if (last && last.isMatch === isMatch) {
+      last.text += text[i];
+    } else {
+      segments.push({ text: text[i], isMatch });
+    }
+  }
+
+  return segments.map((segment, index) =>
+    segment.isMatch ? (
+      <mark key={index} className="bg-transparent text-primary font-semibold">
+        {segment.text}
+      </mark>
+    ) : (
+      <span key={index}>{segment.text}</span>
+    ),
+  );
+};
+
+/**
+ * ResultOption Component
+ * 
+ * A single search result row.
+ */
+const ResultOption = ({ result, index, isActive, onSelect, onHover }) => {
+  const { t } = useLocale();
+  const isChallenge = result.type === SEARCH_RESULT_TYPES.CHALLENGE;
+
+  return (
+    <li
+      id={getOptionId(index)}
+      role="option"
+      aria-selected={isActive}
+      onMouseMove={() => onHover(index)}
+      onMouseDown={(event) => event.preventDefault()}
+      onClick={() => onSelect(result)}
+      className={`flex items-center gap-3 px-4 py-3 cursor-pointer ${isActive ? 'bg-primary-light' : ''}`}
+    >
+      <span className="text-2xl flex-shrink-0" aria-hidden="true">{result.challenge.icon}</span>
+      <div className="flex-1 min-w-0">
+        {isChallenge ? (
+          <p className="font-medium text-text-primary truncate">
+            <HighlightedText text={result.text} indices={result.indices} />
+          </p>
+        ) : (
+          <>
+            <p className="text-xs text-text-muted truncate">{result.challenge.title}</p>
+            <p className="text-sm text-text-primary truncate">
+              <HighlightedText text={result.text} indices={result.indices} />
+            </p>
+          </>
+        )}
+      </div>
+      <span className="px-2 py-0.5 text-xs text-text-muted bg-bg-tertiary rounded-md flex-shrink-0">
+        {t(`search.type.${result.type}`)}
+      </span>
+    </li>
+  );
+};
+
+/**
+ * CommandPalette Component
+ * 
+ * Mounted only while open, so every opening starts with an empty query.
+ * 
+ * @param {Object} props - Component props
+ * @param {Function} props.onClose - Called when the palette should close
+ */
+const CommandPalette = ({ onClose }) => {
+  const [query, setQuery] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+  const listRef = useRef(null);
+  const navigate = useNavigate();
+  const { t, localizeChallenge, localizeSolution } = useLocale();
+
+  const searchEntries = useMemo(
+    () => createSearchEntries(localizeChallenge, localizeSolution),
+    [localizeChallenge, localizeSolution],
+  );
+  const results = useMemo(() => searchContent(query, searchEntries), [query, searchEntries]);
+
+  /**
+   * Return focus to wherever it was before the palette opened
+   */
+  useEffect(() => {
+    const previouslyFocused = document.activeElement;
+    return () => previouslyFocused?.focus?.();
+  }, []);
+
+  /**
+   * Keep the active option scrolled into view
+   */
+  useEffect(() => {
+    listRef.current
+      ?.querySelector(`#${getOptionId(activeIndex)}`)
+      ?.scrollIntoView({ block: 'nearest' });
+  }, [activeIndex]);
+
+  const handleQueryChange = (event) => {
+    setQuery(event.target.value);
+    setActiveIndex(0);
+  };
+
+  /**
+   * Navigate to a result's challenge, and to the hint for hint results
+   */
+  const selectResult = (result) => {
+    onClose();
+    navigate({
+      to: '/challenges/$challengeId',
+      params: { challengeId: result.challenge.id },
+      search: result.hintIndex !== undefined ? { hint: result.hintIndex + 1 } : {},
+    });
+  };
+
+  const handleKeyDown = (event) => {
+    switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault();
+        setActiveIndex((index) => (results.length ? (index + 1) % results.length : 0));
+        break;
+      case 'ArrowUp':
+        event.preventDefault();
+        setActiveIndex((index) => (results.length ? (index - 1 + results.length) % results.length : 0));
+        break;
+      case 'Enter':
+        event.preventDefault();
+        if (results[activeIndex]) selectResult(results[activeIndex]);
+        break;
+      case 'Escape':
+        event.preventDefault();
+        onClose();
+        break;
+      case 'Tab':
+        // The input is the only focusable element; keep focus inside the dialog
+        event.preventDefault();
+        break;
+      default:
+        break;
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-[60] flex items-start justify-center px-4 pt-[15vh]">
+      {/* Backdrop */}
+      <div className="absolute inset-0 bg-black/50 backdrop-blur-sm" onClick={onClose} aria-hidden="true" />
+
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-label={t('search.dialogLabel')}
+        className="relative w-full max-w-xl bg-bg-primary rounded-xl border border-border shadow-xl overflow-hidden"
+      >
+        {/* Search input */}
+        <div className="flex items-center gap-3 px-4 border-b border-border">
+          <svg className="w-5 h-5 text-text-muted" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
+          </svg>
+          <input
+            type="text"
+            value={query}
+            onChange={handleQueryChange}
+            onKeyDown={handleKeyDown}
+            placeholder={t('search.placeholder')}
+            autoFocus
+            role="combobox"
+            aria-expanded="true"
+            aria-controls={LISTBOX_ID}
+            aria-autocomplete="list"
+            aria-activedescendant={results.length > 0 ? getOptionId(activeIndex) : undefined}
+            aria-label={t('search.inputLabel')}
+            className="flex-1 py-4 bg-transparent text-text-primary placeholder:text-text-muted focus:outline-none"
+          />
+        </div>
+
+        {/* Results */}
+        {results.length > 0 ? (
+          <ul id={LISTBOX_ID} ref={listRef} role="listbox" className="max-h-96 overflow-y-auto py-2">
+            {results.map((result, index) => (
+              <ResultOption
+                key={result.key}
+                result={result}
+                index={index}
+                isActive={index === activeIndex}
+                onSelect={selectResult}
+                onHover={setActiveIndex}
+              />
+            ))}
+          </ul>
+        ) : (
+          <p className="px-4 py-8 text-center text-sm text-text-muted">
+            {t('search.noResults', { query })}
+          </p>
+        )}
+
+        {/* Keyboard help */}
+        <div className="flex items-center gap-4 px-4 py-2 text-xs text-text-muted bg-bg-secondary border-t border-border">
+          <span>
+            {t('search.navigate', {
+              keys: <kbd key="keys" className="font-mono">↑ ↓</kbd>,
+            })}
+          </span>
+          <span>{t('search.open', { key: <kbd key="key" className="font-mono">↵</kbd> })}</span>
+          <span>{t('search.close', { key: <kbd key="key" className="font-mono">esc</kbd> })}</span>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CommandPalette;
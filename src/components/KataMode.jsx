@@ -0,0 +1,263 @@
+/**
+ * KataMode Component
+ * 
+ * Timed practice for a challenge: rebuild it from scratch in the
+ * playground while a countdown runs from the challenge's target time.
+ * Finished attempts are saved with useKataResults, and the history is
+ * charted with the personal best highlighted.
+ * 
+ * The countdown keeps going past zero and then shows the time over the
+ * target, so every attempt ends with a real time.
+ * 
+ * @module components/KataMode
+ */
+
+import { useState } from 'react';
+import { getKataTargetMs } from '../data/katas';
+import { useStopwatch } from '../hooks/use-stopwatch';
+import { useKataResults } from '../hooks/use-kata-results';
+import { useLocale } from '../hooks/use-locale';
+
+/**
+ * Chart size in SVG units; the chart scales to its container's width
+ */
+const CHART_WIDTH = 400;
+const CHART_HEIGHT = 120;
+
+/**
+ * Slots drawn even with fewer attempts, so early bars are not too wide
+ */
+const MIN_CHART_SLOTS = 5;
+
+/**
+ * KataChart Component
+ * 
+ * Bar per attempt (oldest first), a dashed line at the target and a step
+ * line following the personal best as it improves.
+ * 
+ * @param {Object} props - Component props
+ * @param {Array} props.attempts - Saved attempts, oldest first
+ * @param {Object} props.personalBest - Fastest saved attempt
+ * @param {number} props.targetMs - Current target time
+ */
+const KataChart = ({ attempts, personalBest, targetMs }) => {
+  const { t, formatDate, formatDuration } = useLocale();
+  const slot = CHART_WIDTH / Math.max(attempts.length, MIN_CHART_SLOTS);
+  const maxMs = Math.max(targetMs, ...attempts.map((attempt) => attempt.elapsedMs)) * 1.1;
+  const toY = (ms) => CHART_HEIGHT - (ms / maxMs) * CHART_HEIGHT;
+
+  // Running best after each attempt, drawn as a step line
+  const bestPoints = attempts
+    .reduce((points, attempt, index) => {
+      const best = Math.min(attempt.elapsedMs, points.at(-1)?.ms ?? Infinity);
+      return [...points, { index, ms: best }];
+    }, [])
+    .flatMap(({ index, ms }) => [`${index * slot},${toY(ms)}`, `${(index + 1) * slot},${toY(ms)}`])
+    .join(' ');
+
+  return (
+    <figure>
+      <svg
+        viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+        className="w-full h-32 rtl:-scale-x-100"
+        role="img"
+        aria-label={t('kata.chart.label', {
+          count: attempts.length,
+          time: formatDuration(personalBest.elapsedMs),
+        })}
+        preserveAspectRatio="none"
+      >
+        {attempts.map((attempt, index) => (
+          <rect
+            key={attempt.completedAt}
+            x={index * slot + slot * 0.15}
+            y={toY(attempt.elapsedMs)}
+            width={slot * 0.7}
+            height={CHART_HEIGHT - toY(attempt.elapsedMs)}
+            rx="2"
+            className={
+              attempt === personalBest
+                ? 'fill-success'
+                : attempt.elapsedMs > attempt.targetMs
+                  ? 'fill-warning opacity-60'
+                  : 'fill-primary opacity-60'
+            }
+          >
+            <title>
+              {t('kata.chart.attempt', {
+                date: formatDate(attempt.completedAt, { dateStyle: 'medium', timeStyle: 'short' }),
+                time: formatDuration(attempt.elapsedMs),
+              })}
+            </title>
+          </rect>
+        ))}
+        <polyline
+          points={bestPoints}
+          fill="none"
+          strokeWidth="2"
+          vectorEffect="non-scaling-stroke"
+          className="stroke-success"
+        />
+        <line
+          x1="0"
+          x2={CHART_WIDTH}
+          y1={toY(targetMs)}
+          y2={toY(targetMs)}
+          strokeWidth="1"
+          strokeDasharray="4 4"
+          vectorEffect="non-scaling-stroke"
+          className="stroke-text-muted"
+        />
+      </svg>
+      <figcaption className="mt-2 flex flex-wrap gap-4 text-xs text-text-muted">
+        <span className="flex items-center gap-1">
+          <span className="w-3 h-3 rounded-sm bg-success" /> {t('kata.chart.best')}
+        </span>
+        <span className="flex items-center gap-1">
+          <span className="w-3 border-t border-dashed border-text-muted" /> {t('kata.chart.target')}
+        </span>
+        <span className="flex items-center gap-1">
+          <span className="w-3 h-3 rounded-sm bg-warning opacity-60" /> {t('kata.chart.over')}
+        </span>
+      </figcaption>
+    </figure>
+  );
+};
+
+/**
+ * KataResult Component
+ * 
+ * Outcome of the attempt just finished.
+ * 
+ * @param {Object} props - Component props
+ * @param {Object} props.result - Finished attempt
+ * @param {number} props.result.elapsedMs - Time taken
+ * @param {number} props.result.targetMs - Target time
+ * @param {boolean} props.result.isNewBest - Whether it beat the previous personal best
+ */
+const KataResult = ({ result }) => {
+  const { t, formatDuration } = useLocale();
+  const { elapsedMs, targetMs, isNewBest } = result;
+  const values = { time: formatDuration(elapsedMs), margin: formatDuration(targetMs - elapsedMs) };
+
+  return (
+    <p role="status" className="mt-4 text-sm text-center text-text-secondary">
+      {elapsedMs <= targetMs ? t('kata.result.underTarget', values) : t('kata.result.overTarget', values)}
+      {isNewBest && <span className="ms-2 font-medium text-success">{t('kata.result.newBest')}</span>}
+    </p>
+  );
+};
+
+/**
+ * KataMode Component
+ * 
+ * @param {Object} props - Component props
+ * @param {Object} props.challenge - Challenge data object, already localized
+ */
+const KataMode = ({ challenge }) => {
+  const { t, formatDuration } = useLocale();
+  const { elapsed, isRunning, start, pause, stop, reset } = useStopwatch();
+  const { attempts, personalBest, recordAttempt } = useKataResults(challenge.id);
+  const [lastResult, setLastResult] = useState(null);
+  const targetMs = getKataTargetMs(challenge);
+  const remaining = targetMs - elapsed;
+  const isOvertime = remaining < 0;
+  const hasStarted = isRunning || elapsed > 0;
+
+  const handleStart = () => {
+    setLastResult(null);
+    start();
+  };
+
+  const handleDone = () => {
+    const elapsedMs = stop();
+    recordAttempt(elapsedMs, targetMs);
+    setLastResult({ elapsedMs, targetMs, isNewBest: !personalBest || elapsedMs < personalBest.elapsedMs });
+  };
+
+  return (
+    <section className="mt-8 bg-bg-primary rounded-xl border border-border p-6" aria-labelledby="kata-heading">
+      <div className="flex flex-wrap items-start justify-between gap-4 mb-6">
+        <div className="flex items-center gap-3">
+          <span className="text-2xl">⏱️</span>
+          <div>
+            <h2 id="kata-heading" className="text-lg font-semibold text-text-primary">{t('kata.title')}</h2>
+            <p className="text-sm text-text-muted">{t('kata.intro', { title: challenge.title })}</p>
+          </div>
+        </div>
+        <div className="text-sm text-end">
+          <p className="text-text-secondary">{t('kata.target', { count: challenge.kataMinutes })}</p>
+          {personalBest && (
+            <p className="font-medium text-success">
+              {t('kata.best', { time: formatDuration(personalBest.elapsedMs) })}
+            </p>
+          )}
+        </div>
+      </div>
+
+      {/* Countdown */}
+      <div className="text-center">
+        <p className={`text-5xl font-bold font-mono tabular-nums ${isOvertime ? 'text-danger' : 'text-text-primary'}`}>
+          {/* Count down in whole seconds, so the target shows until a full second has passed */}
+          {isOvertime ? `+${formatDuration(remaining)}` : formatDuration(Math.ceil(remaining / 1000) * 1000)}
+        </p>
+        <p className="mt-1 text-xs text-text-muted uppercase tracking-wider">
+          {isOvertime ? t('kata.overtime') : t('kata.remaining')}
+        </p>
+        <div className="mt-4 h-2 bg-bg-tertiary rounded-full overflow-hidden">
+          <div
+            className={`h-full transition-all ${isOvertime ? 'bg-danger' : 'bg-primary'}`}
+            style={{ width: `${Math.min(100, (elapsed / targetMs) * 100)}%` }}
+          />
+        </div>
+      </div>
+
+      {/* Controls */}
+      <div className="mt-6 flex flex-wrap items-center justify-center gap-3">
+        {isRunning ? (
+          <button
+            onClick={pause}
+            className="px-6 py-2 rounded-lg text-sm font-medium text-on-warning bg-warning hover:opacity-90 transition-all"
+          >
+            {t('kata.pause')}
+          </button>
+        ) : (
+          <button
+            onClick={handleStart}
+            className="px-6 py-2 rounded-lg text-sm font-medium text-white bg-success hover:bg-success-hover transition-colors"
+          >
+            {hasStarted ? t('kata.resume') : t('kata.start')}
+          </button>
+        )}
+        <button
+          onClick={handleDone}
+          disabled={!hasStarted}
+          className="px-6 py-2 rounded-lg text-sm font-medium text-white bg-primary hover:bg-primary-hover disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          {t('kata.done')}
+        </button>
+        <button
+          onClick={reset}
+          disabled={!hasStarted}
+          className="px-6 py-2 rounded-lg text-sm font-medium text-white bg-secondary hover:bg-secondary-hover disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          {t('kata.reset')}
+        </button>
+      </div>
+
+      {lastResult && <KataResult result={lastResult} />}
+
+      {/* History */}
+      <div className="mt-8">
+        <h3 className="text-sm font-medium text-text-primary mb-3">{t('kata.history')}</h3>
+        {personalBest ? (
+          <KataChart attempts={attempts} personalBest={personalBest} targetMs={targetMs} />
+        ) : (
+          <p className="text-sm text-text-muted">{t('kata.noAttempts')}</p>
+        )}
+      </div>
+    </section>
+  );
+};
+
+export default KataMode;
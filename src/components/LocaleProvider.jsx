@@ -0,0 +1,82 @@
+/**
+ * LocaleProvider Component
+ * 
+ * Owns the selected UI language, persisted with useLocalStorage, and
+ * keeps `lang` and `dir` on <html> in step with it. Loads the active
+ * locale's challenge content translations on demand; until they arrive,
+ * if they fail to load, and for anything they leave out, the English
+ * content is shown.
+ * 
+ * @module components/LocaleProvider
+ */
+
+import { useEffect, useMemo, useState } from 'react';
+import { useLocalStorage } from '../hooks/use-local-storage';
+import { LocaleContext } from '../hooks/use-locale';
+import {
+  LOCALE_STORAGE_KEY,
+  DEFAULT_LOCALE,
+  localeConfig,
+  readLocale,
+  applyLocale,
+  createTranslator,
+  createFormatters,
+} from '../data/i18n';
+import { loadContentTranslations, mergeTranslation } from '../data/content';
+
+/**
+ * Translations in effect for English, or while a locale's are loading
+ */
+const noTranslations = {};
+
+/**
+ * LocaleProvider Component
+ * 
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - App content
+ */
+const LocaleProvider = ({ children }) => {
+  const [storedLocale, setLocale] = useLocalStorage(LOCALE_STORAGE_KEY, readLocale());
+  const locale = localeConfig[storedLocale] ? storedLocale : DEFAULT_LOCALE;
+  const [loaded, setLoaded] = useState({ locale: DEFAULT_LOCALE, translations: noTranslations });
+  const translations = loaded.locale === locale ? loaded.translations : noTranslations;
+
+  useEffect(() => {
+    applyLocale(locale);
+  }, [locale]);
+
+  useEffect(() => {
+    if (locale === DEFAULT_LOCALE) return;
+
+    // Ignore a slow load that finishes after the locale changed again
+    let isCurrent = true;
+    loadContentTranslations(locale)
+      .then((result) => {
+        if (isCurrent) setLoaded({ locale, translations: result });
+      })
+      // e.g. a chunk missing after a deploy; the UI messages are still translated
+      .catch(() => {
+        if (isCurrent) setLoaded({ locale, translations: noTranslations });
+      });
+    return () => {
+      isCurrent = false;
+    };
+  }, [locale]);
+
+  const value = useMemo(
+    () => ({
+      locale,
+      dir: localeConfig[locale].dir,
+      setLocale,
+      t: createTranslator(locale),
+      ...createFormatters(locale),
+      localizeChallenge: (challenge) => mergeTranslation(challenge, translations[challenge.id]?.challenge),
+      localizeSolution: (id, solution) => mergeTranslation(solution, translations[id]?.solution),
+    }),
+    [locale, setLocale, translations],
+  );
+
+  return <LocaleContext.Provider value={value}>{children}</LocaleContext.Provider>;
+};
+
+export default LocaleProvider;
@@ -0,0 +1,123 @@
+/**
+ * Markdown Component
+ * 
+ * Renders the Markdown from the challenge content files (hint content
+ * and solution explanations) with the app's typography. Fenced code
+ * blocks are syntax highlighted like the solution source.
+ * 
+ * @module components/Markdown
+ */
+
+import { useMemo } from 'react';
+import { parseMarkdown, parseInline } from '../utils/markdown';
+import { highlightLines, tokenClasses } from '../utils/highlight';
+
+/**
+ * InlineContent Component
+ * 
+ * Text, inline code, bold and links within a paragraph or list item.
+ */
+const InlineContent = ({ segments }) =>
+  segments.map((segment, index) => {
+    if (segment.type === 'code') {
+      return (
+        <code key={index} className="px-1 py-0.5 bg-bg-tertiary rounded font-mono text-[0.9em] text-text-primary">
+          {segment.text}
+        </code>
+      );
+    }
+    if (segment.type === 'strong') {
+      return <strong key={index} className="font-semibold text-text-primary">{segment.text}</strong>;
+    }
+    if (segment.type === 'link') {
+      return (
+        <a
+          key={index}
+          href={segment.href}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="text-primary hover:text-primary-hover underline"
+        >
+          {segment.text}
+        </a>
+      );
+    }
+    return segment.text;
+  });
+
+/**
+ * CodeBlock Component
+ * 
+ * Highlighted fenced code block.
+ */
+const CodeBlock = ({ code }) => {
+  const lines = useMemo(() => highlightLines(code), [code]);
+
+  return (
+    <pre dir="ltr" className="overflow-x-auto bg-bg-tertiary border border-border rounded-lg px-4 py-3 font-mono text-sm leading-6 text-text-primary">
+      <code>
+        {lines.map((tokens, lineIndex) => (
+          <span key={lineIndex} className="block whitespace-pre">
+            {tokens.map((token, tokenIndex) => (
+              <span key={tokenIndex} className={tokenClasses[token.type]}>
+                {token.text}
+              </span>
+            ))}
+            {tokens.length === 0 && '\n'}
+          </span>
+        ))}
+      </code>
+    </pre>
+  );
+};
+
+/**
+ * Markdown Component
+ * 
+ * @param {Object} props - Component props
+ * @param {string} props.source - Markdown source
+ * @param {string} [props.className] - Classes for the paragraphs and lists, e.g. text size and color
+ */
+const Markdown = ({ source, className = '' }) => {
+  const blocks = useMemo(() => parseMarkdown(source), [source]);
+
+  return (
+    <div className="space-y-3">
+      {blocks.map((block, index) => {
+        if (block.type === 'code') return <CodeBlock key={index} code={block.code} />;
+        if (block.type === 'list') {
+          return (
+            <ul key={index} className={`list-disc ps-5 space-y-1 ${className}`}>
+              {block.items.map((segments, itemIndex) => (
+                <li key={itemIndex}>
+                  <InlineContent segments={segments} />
+                </li>
+              ))}
+            </ul>
+          );
+        }
+        return (
+          <p key={index} className={className}>
+            <InlineContent segments={block.segments} />
+          </p>
+        );
+      })}
+    </div>
+  );
+};
+
+/**
+ * InlineMarkdown Component
+ * 
+ * A single line of inline Markdown (code, bold, links) without a
+ * wrapping paragraph, e.g. for quiz questions and options.
+ * 
+ * @param {Object} props - Component props
+ * @param {string} props.text - Inline Markdown source
+ */
+export const InlineMarkdown = ({ text }) => {
+  const segments = useMemo(() => parseInline(text), [text]);
+  return <InlineContent segments={segments} />;
+};
+
+export default Markdown;
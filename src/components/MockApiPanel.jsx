@@ -0,0 +1,178 @@
+/**
+ * MockApiPanel Component
+ * 
+ * Control panel for the in-app mock API (see src/mock-api), shown on
+ * Data Fetching challenge pages. The learner picks the mock or the live
+ * API, and slows down or breaks mock responses to try the loading and
+ * error states of the demo and their own playground code. Settings are
+ * saved in localStorage and apply from the next request.
+ * 
+ * @module components/MockApiPanel
+ */
+
+import { useLocalStorage } from '../hooks/use-local-storage';
+import { useLocale } from '../hooks/use-locale';
+import {
+  MOCK_API_STORAGE_KEY,
+  MOCK_API_BASE,
+  API_SOURCES,
+  MAX_LATENCY,
+  NETWORK_ERROR,
+  FORCED_STATUSES,
+  defaultMockApiSettings,
+  normalizeMockApiSettings,
+} from '../data/mock-api';
+
+/**
+ * Routes of the mock API, with the message ID describing each
+ */
+const endpoints = [
+  { path: `${MOCK_API_BASE}/users?limit=10&skip=20`, description: 'mockApi.endpoint.list' },
+  { path: `${MOCK_API_BASE}/users/search?q=emma`, description: 'mockApi.endpoint.search' },
+  { path: `${MOCK_API_BASE}/users/1`, description: 'mockApi.endpoint.detail' },
+];
+
+/**
+ * Read the forced status from its select value
+ * @param {string} value - Select value: '', an HTTP status or NETWORK_ERROR
+ * @returns {number|string|null} `status` setting
+ */
+const parseStatus = (value) => {
+  if (value === '') return null;
+  return value === NETWORK_ERROR ? NETWORK_ERROR : Number(value);
+};
+
+/**
+ * RangeField Component
+ * 
+ * Labelled slider showing its current value.
+ * 
+ * @param {Object} props - Component props
+ * @param {string} props.label - Label including the value
+ * @param {number} props.value - Current value
+ * @param {number} props.max - Largest value
+ * @param {number} props.step - Step between values
+ * @param {boolean} props.disabled - Whether the slider is disabled
+ * @param {Function} props.onChange - Called with the new value
+ */
+const RangeField = ({ label, value, max, step, disabled, onChange }) => (
+  <label className={`block text-sm ${disabled ? 'opacity-50' : ''}`}>
+    <span className="text-text-secondary">{label}</span>
+    <input
+      type="range"
+      min="0"
+      max={max}
+      step={step}
+      value={value}
+      disabled={disabled}
+      onChange={(e) => onChange(Number(e.target.value))}
+      className="mt-1 w-full accent-primary"
+    />
+  </label>
+);
+
+const MockApiPanel = () => {
+  const { t, formatNumber } = useLocale();
+  const [stored, setStored] = useLocalStorage(MOCK_API_STORAGE_KEY, defaultMockApiSettings);
+  const settings = normalizeMockApiSettings(stored);
+  const isLive = settings.source === API_SOURCES.LIVE;
+
+  const update = (changes) => setStored({ ...settings, ...changes });
+
+  return (
+    <section className="mt-8 bg-bg-primary rounded-xl border border-border p-6" aria-labelledby="mock-api-heading">
+      <div className="flex flex-wrap items-start justify-between gap-4 mb-6">
+        <div className="flex items-center gap-3">
+          <span className="text-2xl">🔌</span>
+          <div>
+            <h2 id="mock-api-heading" className="text-lg font-semibold text-text-primary">{t('mockApi.title')}</h2>
+            <p className="text-sm text-text-muted">{t('mockApi.intro', { base: MOCK_API_BASE })}</p>
+          </div>
+        </div>
+        <button
+          onClick={() => setStored(defaultMockApiSettings)}
+          className="px-3 py-1 text-xs font-medium rounded-full border border-border text-text-secondary hover:border-primary hover:text-primary transition-colors"
+        >
+          {t('mockApi.reset')}
+        </button>
+      </div>
+
+      <div className="grid gap-6 sm:grid-cols-2">
+        <div className="space-y-4">
+          {/* Source */}
+          <fieldset>
+            <legend className="text-sm font-medium text-text-primary mb-2">{t('mockApi.source')}</legend>
+            {Object.values(API_SOURCES).map((source) => (
+              <label key={source} className="flex items-center gap-2 text-sm text-text-secondary">
+                <input
+                  type="radio"
+                  name="mock-api-source"
+                  value={source}
+                  checked={settings.source === source}
+                  onChange={() => update({ source })}
+                />
+                {t(`mockApi.source.${source}`)}
+              </label>
+            ))}
+          </fieldset>
+
+          {/* Forced response */}
+          <label className={`block text-sm ${isLive ? 'opacity-50' : ''}`}>
+            <span className="text-text-secondary">{t('mockApi.status')}</span>
+            <select
+              value={settings.status ?? ''}
+              disabled={isLive}
+              onChange={(e) => update({ status: parseStatus(e.target.value) })}
+              className="mt-1 block w-full px-2 py-1 bg-bg-secondary border border-border rounded-lg text-text-primary focus:outline-none focus:ring-2 focus:ring-primary"
+            >
+              <option value="">{t('mockApi.status.normal')}</option>
+              {Object.entries(FORCED_STATUSES).map(([status, reason]) => (
+                <option key={status} value={status}>
+                  {status} {reason}
+                </option>
+              ))}
+              <option value={NETWORK_ERROR}>{t('mockApi.status.network')}</option>
+            </select>
+          </label>
+        </div>
+
+        <div className="space-y-4">
+          <RangeField
+            label={t('mockApi.latency', { ms: formatNumber(settings.latency) })}
+            value={settings.latency}
+            max={MAX_LATENCY}
+            step={100}
+            disabled={isLive}
+            onChange={(latency) => update({ latency })}
+          />
+          <RangeField
+            label={t('mockApi.errorRate', { percent: formatNumber(settings.errorRate) })}
+            value={settings.errorRate}
+            max={100}
+            step={5}
+            disabled={isLive || settings.status !== null}
+            onChange={(errorRate) => update({ errorRate })}
+          />
+          {isLive && <p className="text-xs text-text-muted">{t('mockApi.liveNote')}</p>}
+        </div>
+      </div>
+
+      {/* Endpoints */}
+      <div className="mt-6">
+        <h3 className="text-sm font-medium text-text-primary mb-2">{t('mockApi.endpoints')}</h3>
+        <ul className="space-y-1 text-sm">
+          {endpoints.map((endpoint) => (
+            <li key={endpoint.path} className="flex flex-wrap gap-x-3">
+              <code dir="ltr" className="font-mono text-primary">
+                GET {endpoint.path}
+              </code>
+              <span className="text-text-muted">{t(endpoint.description)}</span>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </section>
+  );
+};
+
+export default MockApiPanel;
@@ -0,0 +1,40 @@
+/**
+ * ModalDemo Component
+ * 
+ * Wraps the Modal challenge with sample content so it can be
+ * rendered on its challenge page like any other challenge.
+ * 
+ * @module components/ModalDemo
+ */
+
+import Modal from '../challenges/Modal';
+
+const ModalDemo = () => {
+  return (
+    <div className="bg-bg-primary rounded-xl border border-border p-8">
+      <div className="text-center">
+        <p className="text-text-muted text-sm uppercase tracking-wider mb-4">
+          Modal Demo
+        </p>
+        <p className="text-text-secondary mb-6">
+          Click the button below to open the modal dialog.
+        </p>
+        
+        <div className="flex justify-center">
+          <Modal>
+            <p className="mb-4">
+              This is the modal content. You can put any content here, including forms, 
+              images, or other interactive elements.
+            </p>
+            <p>
+              Click outside the modal, press the close button, or use the action buttons 
+              to dismiss it.
+            </p>
+          </Modal>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ModalDemo;
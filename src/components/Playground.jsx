@@ -0,0 +1,337 @@
+/**
+ * Playground Component
+ * 
+ * In-browser code playground for a challenge. Learners edit a starter
+ * version of the component and see it rendered live in a sandboxed
+ * preview frame. Compile and runtime errors are shown inline, and the
+ * challenge's acceptance specs can be run against the code on demand.
+ * 
+ * The preview is a self-contained `srcdoc` document (see
+ * scripts/vite-plugin-playground-preview.js) sandboxed without
+ * `allow-same-origin`, so learner code — including code restored from a
+ * backup — cannot touch the app's storage or DOM. The editor talks to it
+ * only through the messages in playground/messages.
+ * 
+ * The learner's code is saved per challenge in localStorage. Editing the
+ * code marks the challenge as in progress, and a fully passing spec run
+ * marks it as completed.
+ * 
+ * @module components/Playground
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import CodeEditor from './CodeEditor';
+import { useLocalStorage } from '../hooks/use-local-storage';
+import { useDebounce } from '../hooks/use-debounce';
+import { useProgress } from '../hooks/use-progress';
+import { useLocale } from '../hooks/use-locale';
+import { useTheme } from '../hooks/use-theme';
+import {
+  PREVIEW_MESSAGES,
+  ERROR_PHASES,
+  createPreviewMessage,
+  isPreviewMessage,
+} from '../playground/messages';
+import { getPlaygroundStorageKey } from '../playground/starters';
+import { createPreviewDocument } from '../playground/document';
+import { MOCK_API_STORAGE_KEY, defaultMockApiSettings, normalizeMockApiSettings } from '../data/mock-api';
+import { readThemeMode, resolveTheme, DARK_SCHEME_QUERY } from '../data/theme';
+import { readLocale, localeConfig } from '../data/i18n';
+
+/**
+ * Load the preview document with the current language and theme applied.
+ * The preview bundle holds the whole runtime, so it is its own chunk.
+ * @returns {Promise<string>} HTML for the frame's srcdoc
+ */
+const loadPreviewDocument = async () => {
+  const { script, css } = await import('virtual:playground-preview');
+  const locale = readLocale();
+  return createPreviewDocument({
+    script,
+    css,
+    locale,
+    dir: localeConfig[locale].dir,
+    theme: resolveTheme(readThemeMode(), window.matchMedia(DARK_SCHEME_QUERY).matches),
+  });
+};
+
+/**
+ * Post a message to the preview frame. Its origin is opaque, so any
+ * origin is allowed; the frame only accepts messages from this window.
+ */
+const postToPreview = (iframe, type, payload) => {
+  iframe?.contentWindow?.postMessage(createPreviewMessage(type, payload), '*');
+};
+
+/**
+ * Delay before edits are sent to the preview
+ */
+const COMPILE_DELAY = 400;
+
+/**
+ * Label message IDs for error phases
+ */
+const errorPhaseLabels = {
+  [ERROR_PHASES.COMPILE]: 'playground.error.compile',
+  [ERROR_PHASES.RUNTIME]: 'playground.error.runtime',
+};
+
+/**
+ * PlaygroundError Component
+ * 
+ * Inline error panel shown below the editor.
+ */
+const PlaygroundError = ({ error }) => {
+  const { t } = useLocale();
+
+  return (
+    <div role="alert" className="px-4 py-3 bg-danger-light border-t border-border">
+      <p className="text-xs font-medium text-danger uppercase tracking-wider mb-1">
+        {t(errorPhaseLabels[error.phase] || 'playground.error.other')}
+      </p>
+      <pre dir="ltr" className="text-sm text-danger font-mono whitespace-pre-wrap">{error.message}</pre>
+    </div>
+  );
+};
+
+/**
+ * SpecResults Component
+ * 
+ * Pass/fail list for the last spec run.
+ * 
+ * @param {Object} props - Component props
+ * @param {Object} props.specRun - Last spec run: { status, results, error }
+ */
+const SpecResults = ({ specRun }) => {
+  const { t } = useLocale();
+  const passedCount = specRun.results.filter((result) => result.passed).length;
+  const allPassed = specRun.results.length > 0 && passedCount === specRun.results.length;
+
+  return (
+    <div className="border-t border-border px-6 py-4" aria-live="polite">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-medium text-text-muted uppercase tracking-wider">{t('playground.specs')}</h3>
+        {specRun.status === 'done' && specRun.results.length > 0 && (
+          <span
+            className={`px-3 py-1 text-xs font-medium rounded-full ${
+              allPassed ? 'bg-success-light text-success' : 'bg-danger-light text-danger'
+            }`}
+          >
+            {t('playground.passing', { passed: passedCount, total: specRun.results.length })}
+          </span>
+        )}
+      </div>
+
+      {specRun.status === 'running' && (
+        <p className="text-sm text-text-muted">{t('playground.running')}</p>
+      )}
+
+      {specRun.status === 'done' && specRun.error && (
+        <p className="text-sm text-danger">{specRun.error}</p>
+      )}
+
+      {specRun.status === 'done' && !specRun.error && specRun.results.length === 0 && (
+        <p className="text-sm text-text-muted">{t('playground.noSpecs')}</p>
+      )}
+
+      {specRun.status === 'done' && specRun.results.length > 0 && (
+        <ul className="space-y-2">
+          {specRun.results.map((result) => (
+            <li key={result.title} className="flex items-start gap-3 text-sm">
+              <span className={result.passed ? 'text-success' : 'text-danger'}>
+                {result.passed ? '✓' : '✗'}
+              </span>
+              <div className="min-w-0">
+                <p className="text-text-primary">{result.title}</p>
+                {!result.passed && (
+                  <p dir="ltr" className="text-danger font-mono text-xs whitespace-pre-wrap break-words">{result.message}</p>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Playground Component
+ * 
+ * @param {Object} props - Component props
+ * @param {string} props.challengeId - Challenge ID used to persist the code
+ * @param {string} props.starterCode - Starter source shown on first visit and on reset
+ * @param {string} props.filename - Filename displayed above the editor
+ */
+const Playground = ({ challengeId, starterCode, filename }) => {
+  const [code, setCode] = useLocalStorage(getPlaygroundStorageKey(challengeId), starterCode);
+  const [mockApiSettings] = useLocalStorage(MOCK_API_STORAGE_KEY, defaultMockApiSettings);
+  const debouncedCode = useDebounce(code, COMPILE_DELAY);
+  const [previewDocument, setPreviewDocument] = useState(null);
+  const [isPreviewReady, setIsPreviewReady] = useState(false);
+  const [error, setError] = useState(null);
+  const [specRun, setSpecRun] = useState(null);
+  const iframeRef = useRef(null);
+  const { startChallenge, completeChallenge } = useProgress();
+  const { t, locale } = useLocale();
+  const { theme } = useTheme();
+  const filenameLabel = (
+    <span key="filename" className="font-mono">
+      {filename}
+    </span>
+  );
+
+  /**
+   * Load the preview document once
+   */
+  useEffect(() => {
+    let isCurrent = true;
+    loadPreviewDocument()
+      .then((html) => {
+        if (isCurrent) setPreviewDocument(html);
+      })
+      .catch((loadError) => {
+        if (isCurrent) setError({ phase: null, message: loadError.message });
+      });
+    return () => {
+      isCurrent = false;
+    };
+  }, []);
+
+  /**
+   * Listen for status messages from the preview frame
+   */
+  useEffect(() => {
+    const handleMessage = (event) => {
+      if (event.source !== iframeRef.current?.contentWindow || !isPreviewMessage(event)) return;
+
+      switch (event.data.type) {
+        case PREVIEW_MESSAGES.READY:
+          setIsPreviewReady(true);
+          break;
+        case PREVIEW_MESSAGES.RENDERED:
+          setError(null);
+          break;
+        case PREVIEW_MESSAGES.ERROR:
+          setError({ phase: event.data.phase, message: event.data.message });
+          break;
+        case PREVIEW_MESSAGES.SPEC_RESULTS: {
+          const { results, error: specError } = event.data;
+          setSpecRun({ status: 'done', results, error: specError });
+          if (results.length > 0 && results.every((result) => result.passed)) {
+            completeChallenge(challengeId);
+          }
+          break;
+        }
+        default:
+          break;
+      }
+    };
+
+    window.addEventListener('message', handleMessage);
+    return () => window.removeEventListener('message', handleMessage);
+  }, [challengeId, completeChallenge]);
+
+  /**
+   * Keep the preview's theme, language and mock API settings in step with
+   * the app's; sent before the first render
+   */
+  useEffect(() => {
+    if (!isPreviewReady) return;
+    postToPreview(iframeRef.current, PREVIEW_MESSAGES.SETTINGS, {
+      theme,
+      locale,
+      mockApi: normalizeMockApiSettings(mockApiSettings),
+    });
+  }, [isPreviewReady, theme, locale, mockApiSettings]);
+
+  /**
+   * Send the latest code to the preview once it is ready
+   */
+  useEffect(() => {
+    if (!isPreviewReady) return;
+    postToPreview(iframeRef.current, PREVIEW_MESSAGES.RENDER, { code: debouncedCode });
+  }, [isPreviewReady, debouncedCode]);
+
+  /**
+   * Saves an edit and marks the challenge as started
+   */
+  const handleCodeChange = (nextCode) => {
+    setCode(nextCode);
+    startChallenge(challengeId);
+  };
+
+  /**
+   * Runs the challenge specs against the current code
+   */
+  const handleRunSpecs = () => {
+    setSpecRun({ status: 'running', results: [], error: null });
+    postToPreview(iframeRef.current, PREVIEW_MESSAGES.RUN_SPECS, { code, challengeId });
+  };
+
+  /**
+   * Restores the starter code
+   */
+  const handleReset = () => {
+    setCode(starterCode);
+  };
+
+  return (
+    <div className="mt-8 bg-bg-primary rounded-xl border border-border overflow-hidden">
+      {/* Toolbar */}
+      <div className="px-6 py-4 flex items-center justify-between bg-bg-secondary border-b border-border">
+        <div>
+          <h2 className="text-lg font-semibold text-text-primary">{t('playground.title')}</h2>
+          <p className="text-sm text-text-muted">
+            {t('playground.intro', { filename: filenameLabel })}
+          </p>
+        </div>
+        <div className="flex items-center gap-3">
+          <button
+            onClick={handleReset}
+            disabled={code === starterCode}
+            className="px-4 py-2 border border-border rounded-lg text-sm text-text-secondary hover:border-primary hover:text-primary disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            {t('playground.reset')}
+          </button>
+          <button
+            onClick={handleRunSpecs}
+            disabled={!isPreviewReady || specRun?.status === 'running'}
+            className="px-4 py-2 bg-primary text-white text-sm font-medium rounded-lg hover:bg-primary-hover disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            {t('playground.runSpecs')}
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2">
+        {/* Editor */}
+        <div className="flex flex-col h-[32rem] border-b lg:border-b-0 lg:border-e border-border">
+          <div className="flex-1 min-h-0">
+            <CodeEditor value={code} onChange={handleCodeChange} label={t('playground.editorLabel', { filename })} />
+          </div>
+          {error && <PlaygroundError error={error} />}
+        </div>
+
+        {/* Preview */}
+        <div className="h-[32rem] bg-bg-secondary">
+          {/* No allow-same-origin: learner code must not reach the app's origin */}
+          {previewDocument && (
+            <iframe
+              ref={iframeRef}
+              srcDoc={previewDocument}
+              title={t('playground.previewTitle', { filename })}
+              sandbox="allow-scripts allow-forms allow-modals"
+              className="w-full h-full border-0"
+            />
+          )}
+        </div>
+      </div>
+
+      {/* Spec results */}
+      {specRun && <SpecResults specRun={specRun} />}
+    </div>
+  );
+};
+
+export default Playground;
@@ -0,0 +1,58 @@
+/**
+ * ProgressBadge Component
+ * 
+ * Small pill showing a challenge's progress status, with the completion
+ * date and revealed hints in its tooltip.
+ * 
+ * @module components/ProgressBadge
+ */
+
+import { progressStatusConfig, PROGRESS_STATUS } from '../data/progress';
+import { useLocale } from '../hooks/use-locale';
+
+/**
+ * Build the tooltip text for a progress record
+ * @param {Object} progress - Progress record
+ * @param {Object} locale - Value of useLocale()
+ */
+const getProgressTitle = ({ status, completedAt, hintsRevealed }, { t, formatDate }) => {
+  const parts = [
+    status === PROGRESS_STATUS.COMPLETED && completedAt
+      ? t('progress.completedOn', { date: formatDate(completedAt) })
+      : t(`progress.status.${status}`),
+  ];
+  if (hintsRevealed > 0) {
+    parts.push(t('progress.hintsUsed', { count: hintsRevealed }));
+  }
+  return parts.join(' · ');
+};
+
+/**
+ * ProgressBadge Component
+ * 
+ * @param {Object} props - Component props
+ * @param {Object} props.progress - Progress record from useProgress().getProgress(id)
+ * @param {boolean} props.showNotStarted - Render a badge for untouched challenges too
+ */
+const ProgressBadge = ({ progress, showNotStarted = false }) => {
+  const locale = useLocale();
+
+  if (progress.status === PROGRESS_STATUS.NOT_STARTED && !showNotStarted) return null;
+
+  const config = progressStatusConfig[progress.status];
+
+  return (
+    <span
+      className={`inline-flex items-center gap-1 px-3 py-1 rounded-full text-xs font-medium ${config.color}`}
+      title={getProgressTitle(progress, locale)}
+    >
+      <span aria-hidden="true">{config.icon}</span>
+      {locale.t(`progress.status.${progress.status}`)}
+      {progress.hintsRevealed > 0 && (
+        <span className="opacity-75">· 💡 {locale.formatNumber(progress.hintsRevealed)}</span>
+      )}
+    </span>
+  );
+};
+
+export default ProgressBadge;
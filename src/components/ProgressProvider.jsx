@@ -0,0 +1,99 @@
+/**
+ * ProgressProvider Component
+ * 
+ * Owns the learner's per-challenge progress, persisted with
+ * useLocalStorage, and shares it through ProgressContext.
+ * 
+ * Each record tracks the challenge status, when it was started and
+ * finished, and the most hints revealed in ShowSolution.
+ * 
+ * @module components/ProgressProvider
+ */
+
+import { useMemo } from 'react';
+import { useLocalStorage } from '../hooks/use-local-storage';
+import { ProgressContext } from '../hooks/use-progress';
+import { PROGRESS_STORAGE_KEY, PROGRESS_STATUS, getChallengeProgress } from '../data/progress';
+
+/**
+ * Initial (empty) progress map
+ */
+const initialProgress = {};
+
+/**
+ * ProgressProvider Component
+ * 
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - App content
+ */
+const ProgressProvider = ({ children }) => {
+  const [progress, setProgress] = useLocalStorage(PROGRESS_STORAGE_KEY, initialProgress);
+
+  const value = useMemo(() => {
+    /**
+     * Apply an update to one challenge's record. The update reads the
+     * latest record, so several updates in the same tick all apply.
+     */
+    const updateChallenge = (id, update) => {
+      setProgress((previous) => {
+        const current = getChallengeProgress(previous, id);
+        return { ...previous, [id]: { ...current, ...update(current) } };
+      });
+    };
+
+    /**
+     * Fields that move a not-started challenge to in progress
+     */
+    const startIfNeeded = (current) =>
+      current.status === PROGRESS_STATUS.NOT_STARTED
+        ? { status: PROGRESS_STATUS.IN_PROGRESS, startedAt: new Date().toISOString() }
+        : {};
+
+    return {
+      progress,
+      getProgress: (id) => getChallengeProgress(progress, id),
+
+      /**
+       * Mark a challenge as in progress, unless it already has a status
+       */
+      startChallenge: (id) => {
+        if (getChallengeProgress(progress, id).status !== PROGRESS_STATUS.NOT_STARTED) return;
+        updateChallenge(id, startIfNeeded);
+      },
+
+      /**
+       * Mark a challenge as completed
+       */
+      completeChallenge: (id) => {
+        if (getChallengeProgress(progress, id).status === PROGRESS_STATUS.COMPLETED) return;
+        updateChallenge(id, (current) => ({
+          startedAt: current.startedAt || new Date().toISOString(),
+          status: PROGRESS_STATUS.COMPLETED,
+          completedAt: new Date().toISOString(),
+        }));
+      },
+
+      /**
+       * Move a completed challenge back to in progress
+       */
+      reopenChallenge: (id) => {
+        updateChallenge(id, () => ({ status: PROGRESS_STATUS.IN_PROGRESS, completedAt: null }));
+      },
+
+      /**
+       * Record how many hints are revealed; keeps the highest count seen
+       */
+      recordHintsRevealed: (id, count) => {
+        if (getChallengeProgress(progress, id).hintsRevealed >= count) return;
+        updateChallenge(id, (current) => ({
+          ...startIfNeeded(current),
+          hintsRevealed: Math.max(current.hintsRevealed, count),
+        }));
+      },
+    };
+  }, [progress, setProgress]);
+
+  return <ProgressContext.Provider value={value}>{children}</ProgressContext.Provider>;
+};
+
+export default ProgressProvider;
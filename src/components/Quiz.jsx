@@ -0,0 +1,239 @@
+/**
+ * Quiz Component
+ * 
+ * Runs a quiz one question at a time: pick an answer to see whether it is
+ * right and the explanation for every option, then move on. The score of
+ * each finished attempt is saved with useQuizResults, and the best and
+ * recent attempts are shown alongside the result.
+ * 
+ * Used for a challenge's own quiz on its page and for category quizzes,
+ * where each question links back to the challenge it comes from.
+ * 
+ * @module components/Quiz
+ */
+
+import { useState } from 'react';
+import { Link } from '@tanstack/react-router';
+import Markdown, { InlineMarkdown } from './Markdown';
+import { quizTypeConfig } from '../data/quizzes';
+import { useQuizResults } from '../hooks/use-quiz-results';
+import { useLocale } from '../hooks/use-locale';
+
+/**
+ * Option classes once the question is answered
+ */
+const answeredOptionClasses = {
+  correct: 'border-success bg-success-light',
+  chosen: 'border-danger bg-danger-light',
+  other: 'border-border opacity-75',
+};
+
+/**
+ * QuizQuestion Component
+ * 
+ * One question with its options and, once answered, the explanations.
+ * 
+ * @param {Object} props - Component props
+ * @param {Object} props.question - Question from a solution's `quiz`
+ * @param {Object} [props.question.challenge] - Challenge the question comes from, for category quizzes
+ * @param {number|null} props.answer - Index of the chosen option, or null
+ * @param {Function} props.onAnswer - Called with the index of the chosen option
+ */
+const QuizQuestion = ({ question, answer, onAnswer }) => {
+  const { t } = useLocale();
+  const isAnswered = answer !== null;
+
+  /**
+   * Classes for an option, depending on whether and how it was answered
+   */
+  const getOptionClasses = (option, index) => {
+    if (!isAnswered) return 'border-border hover:border-primary hover:bg-bg-tertiary';
+    if (option.correct) return answeredOptionClasses.correct;
+    return index === answer ? answeredOptionClasses.chosen : answeredOptionClasses.other;
+  };
+
+  return (
+    <fieldset>
+      <legend className="w-full">
+        <span className="flex flex-wrap items-center gap-2 text-xs text-text-muted mb-2">
+          <span className="px-2 py-0.5 rounded-full bg-bg-tertiary font-medium">
+            {quizTypeConfig[question.type].icon} {t(`quiz.type.${question.type}`)}
+          </span>
+          {question.challenge && (
+            <Link
+              to="/challenges/$challengeId"
+              params={{ challengeId: question.challenge.id }}
+              className="hover:text-primary transition-colors"
+            >
+              {t('quiz.from', { title: question.challenge.title })}
+            </Link>
+          )}
+        </span>
+        <span className="block text-lg font-semibold text-text-primary">
+          <InlineMarkdown text={question.question} />
+        </span>
+      </legend>
+
+      {question.prompt && (
+        <div className="mt-3">
+          <Markdown source={question.prompt} className="text-text-secondary" />
+        </div>
+      )}
+
+      <ul className="mt-4 space-y-2">
+        {question.options.map((option, index) => (
+          <li key={index}>
+            <button
+              onClick={() => onAnswer(index)}
+              disabled={isAnswered}
+              aria-pressed={answer === index}
+              className={`w-full text-start px-4 py-3 rounded-lg border bg-bg-primary text-sm text-text-primary transition-colors disabled:cursor-default ${getOptionClasses(option, index)}`}
+            >
+              <span className="flex items-start gap-2">
+                {isAnswered && (
+                  <span aria-hidden="true" className={option.correct ? 'text-success' : 'text-text-muted'}>
+                    {option.correct ? '✓' : '✗'}
+                  </span>
+                )}
+                <span>
+                  <InlineMarkdown text={option.text} />
+                  {isAnswered && (
+                    <>
+                      <span className="sr-only">
+                        {' '}({option.correct ? t('quiz.correctAnswer') : t('quiz.wrongAnswer')})
+                      </span>
+                      <span className="block mt-1 text-text-secondary">
+                        <InlineMarkdown text={option.explanation} />
+                      </span>
+                    </>
+                  )}
+                </span>
+              </span>
+            </button>
+          </li>
+        ))}
+      </ul>
+    </fieldset>
+  );
+};
+
+/**
+ * QuizResult Component
+ * 
+ * Score of the finished attempt with the best and recent saved attempts.
+ * 
+ * @param {Object} props - Component props
+ * @param {number} props.score - Right answers in this attempt
+ * @param {number} props.total - Questions in the quiz
+ * @param {Array} props.attempts - Saved attempts, oldest first
+ * @param {Object|null} props.bestAttempt - Best saved attempt
+ * @param {Function} props.onRetry - Called to start a new attempt
+ */
+const QuizResult = ({ score, total, attempts, bestAttempt, onRetry }) => {
+  const { t, formatDate, formatNumber } = useLocale();
+
+  return (
+    <div role="status" className="text-center space-y-4">
+      <p className="text-4xl">{score === total ? '🎉' : '📝'}</p>
+      <p className="text-lg font-semibold text-text-primary">{t('quiz.score', { score, total })}</p>
+      {bestAttempt && (
+        <p className="text-sm text-text-secondary">
+          {t('quiz.best', { score: bestAttempt.score, total: bestAttempt.total })}
+        </p>
+      )}
+      {attempts.length > 1 && (
+        <div className="text-sm">
+          <p className="text-text-muted mb-2">{t('quiz.history')}</p>
+          <ol className="inline-flex flex-wrap justify-center gap-2">
+            {attempts.slice(-5).reverse().map((attempt) => (
+              <li
+                key={attempt.completedAt}
+                title={formatDate(attempt.completedAt, { dateStyle: 'medium', timeStyle: 'short' })}
+                className="px-2 py-1 rounded-md bg-bg-tertiary text-text-secondary"
+              >
+                {formatNumber(attempt.score)}/{formatNumber(attempt.total)}
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+      <button
+        onClick={onRetry}
+        className="px-4 py-2 rounded-lg text-sm font-medium text-white bg-primary hover:bg-primary-hover transition-colors"
+      >
+        {t('quiz.retry')}
+      </button>
+    </div>
+  );
+};
+
+/**
+ * Quiz Component
+ * 
+ * @param {Object} props - Component props
+ * @param {string} props.quizId - Quiz ID the attempts are saved under (see data/quizzes)
+ * @param {Array} props.questions - Questions, already localized
+ */
+const Quiz = ({ quizId, questions }) => {
+  const { t } = useLocale();
+  const { attempts, bestAttempt, recordAttempt } = useQuizResults(quizId);
+  const [answers, setAnswers] = useState([]);
+  const [current, setCurrent] = useState(0);
+  const isFinished = current === questions.length;
+  const score = answers.filter((answer, index) => questions[index].options[answer]?.correct).length;
+  const answer = answers[current] ?? null;
+
+  const handleAnswer = (index) => {
+    const nextAnswers = [...answers];
+    nextAnswers[current] = index;
+    setAnswers(nextAnswers);
+  };
+
+  const handleNext = () => {
+    if (current === questions.length - 1) recordAttempt(score, questions.length);
+    setCurrent(current + 1);
+  };
+
+  const handleRetry = () => {
+    setAnswers([]);
+    setCurrent(0);
+  };
+
+  if (questions.length === 0) return <p className="text-text-muted text-sm">{t('quiz.empty')}</p>;
+
+  if (isFinished) {
+    return (
+      <QuizResult
+        score={score}
+        total={questions.length}
+        attempts={attempts}
+        bestAttempt={bestAttempt}
+        onRetry={handleRetry}
+      />
+    );
+  }
+
+  return (
+    <div>
+      <div className="flex items-center justify-between gap-4 mb-4 text-sm text-text-muted">
+        <span>{t('quiz.progress', { number: current + 1, total: questions.length })}</span>
+        {bestAttempt && <span>{t('quiz.best', { score: bestAttempt.score, total: bestAttempt.total })}</span>}
+      </div>
+
+      <QuizQuestion key={current} question={questions[current]} answer={answer} onAnswer={handleAnswer} />
+
+      {answer !== null && (
+        <div className="mt-6 flex justify-end">
+          <button
+            onClick={handleNext}
+            className="px-4 py-2 rounded-lg text-sm font-medium text-white bg-primary hover:bg-primary-hover transition-colors"
+          >
+            {current === questions.length - 1 ? t('quiz.finish') : t('quiz.next')}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Quiz;
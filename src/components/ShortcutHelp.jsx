@@ -0,0 +1,215 @@
+/**
+ * ShortcutHelp Component
+ * 
+ * Cheatsheet of the keyboard shortcuts, opened with `?` or from the
+ * footer. Each shortcut can be rebound here: press "Change", then the
+ * new key or two-key sequence. Keys that clash with another shortcut
+ * are refused with a message naming it.
+ * 
+ * @module components/ShortcutHelp
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { useShortcuts } from '../hooks/use-shortcuts';
+import { useLocale } from '../hooks/use-locale';
+import {
+  shortcutConfig,
+  getBindingKeys,
+  isBindableKey,
+  MAX_SEQUENCE_LENGTH,
+  SEQUENCE_TIMEOUT,
+} from '../data/shortcuts';
+
+/**
+ * Cheatsheet sections, in order
+ */
+const SCOPES = ['global', 'challenge'];
+
+/**
+ * KeyBinding Component
+ * 
+ * The keys of a binding, e.g. "g then c".
+ * 
+ * @param {Object} props - Component props
+ * @param {string[]} props.keys - Keys in order
+ */
+const KeyBinding = ({ keys }) => {
+  const { t } = useLocale();
+
+  return (
+    <span className="inline-flex items-center gap-1 text-xs text-text-muted">
+      {keys.map((key, index) => (
+        <span key={index} className="inline-flex items-center gap-1">
+          {index > 0 && t('shortcuts.then')}
+          <kbd dir="ltr" className="min-w-6 px-1.5 py-0.5 text-center font-mono text-sm text-text-primary bg-bg-tertiary border border-border rounded">
+            {key}
+          </kbd>
+        </span>
+      ))}
+    </span>
+  );
+};
+
+/**
+ * ShortcutHelp Component
+ * 
+ * @param {Object} props - Component props
+ * @param {Function} props.onClose - Called when the cheatsheet should close
+ */
+const ShortcutHelp = ({ onClose }) => {
+  const { bindings, setBinding, resetBindings, isCustomized } = useShortcuts();
+  const { t } = useLocale();
+  const [recording, setRecording] = useState(null);
+  const [recordedKeys, setRecordedKeys] = useState([]);
+  const [conflict, setConflict] = useState(null);
+  const dialogRef = useRef(null);
+
+  /**
+   * Take focus, and return it to wherever it was when closed
+   */
+  useEffect(() => {
+    const previouslyFocused = document.activeElement;
+    dialogRef.current?.focus();
+    return () => previouslyFocused?.focus?.();
+  }, []);
+
+  /**
+   * Close on Escape or the help shortcut; while recording, take every key
+   */
+  useEffect(() => {
+    if (!recording) {
+      const handleKeyDown = (event) => {
+        if (event.key === 'Escape' || event.key === bindings.help) {
+          event.preventDefault();
+          onClose();
+        }
+      };
+      window.addEventListener('keydown', handleKeyDown);
+      return () => window.removeEventListener('keydown', handleKeyDown);
+    }
+
+    const keys = [];
+    let timeoutId;
+
+    const save = () => {
+      const clash = setBinding(recording, keys.join(' '));
+      setConflict(clash && { action: recording, with: clash });
+      setRecording(null);
+    };
+
+    const handleKeyDown = (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      if (event.key === 'Escape') {
+        setRecording(null);
+        return;
+      }
+      if (event.repeat || event.ctrlKey || event.metaKey || event.altKey || !isBindableKey(event.key)) return;
+
+      clearTimeout(timeoutId);
+      keys.push(event.key);
+      setRecordedKeys([...keys]);
+      if (keys.length >= MAX_SEQUENCE_LENGTH) save();
+      else timeoutId = setTimeout(save, SEQUENCE_TIMEOUT);
+    };
+
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown, true);
+      clearTimeout(timeoutId);
+    };
+  }, [recording, bindings, setBinding, onClose]);
+
+  const startRecording = (action) => {
+    setConflict(null);
+    setRecordedKeys([]);
+    setRecording(action);
+  };
+
+  return (
+    <div className="fixed inset-0 z-[60] flex items-start justify-center px-4 pt-[10vh]">
+      {/* Backdrop */}
+      <div className="absolute inset-0 bg-black/50 backdrop-blur-sm" onClick={onClose} aria-hidden="true" />
+
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="shortcuts-heading"
+        tabIndex={-1}
+        className="relative w-full max-w-lg max-h-[80vh] overflow-y-auto bg-bg-primary rounded-xl border border-border shadow-xl focus:outline-none"
+      >
+        <div className="flex items-center justify-between gap-4 px-6 py-4 border-b border-border">
+          <h2 id="shortcuts-heading" className="text-lg font-semibold text-text-primary">{t('shortcuts.title')}</h2>
+          <button
+            onClick={onClose}
+            aria-label={t('shortcuts.close')}
+            className="p-1 rounded-lg text-text-muted hover:text-text-primary hover:bg-bg-tertiary transition-colors"
+          >
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="px-6 py-4 space-y-6">
+          {SCOPES.map((scope) => (
+            <section key={scope}>
+              <h3 className="text-sm font-medium text-text-muted uppercase tracking-wider mb-2">
+                {t(`shortcuts.scope.${scope}`)}
+              </h3>
+              <ul className="divide-y divide-border">
+                {Object.keys(shortcutConfig)
+                  .filter((action) => shortcutConfig[action].scope === scope)
+                  .map((action) => (
+                    <li key={action} className="py-2">
+                      <div className="flex items-center justify-between gap-4">
+                        <span className="text-sm text-text-secondary">{t(`shortcuts.action.${action}`)}</span>
+                        <div className="flex items-center gap-3">
+                          {recording === action ? (
+                            <span role="status" className="text-xs text-primary">
+                              {recordedKeys.length > 0 ? <KeyBinding keys={recordedKeys} /> : t('shortcuts.recording')}
+                            </span>
+                          ) : (
+                            <KeyBinding keys={getBindingKeys(bindings[action])} />
+                          )}
+                          <button
+                            onClick={() => (recording === action ? setRecording(null) : startRecording(action))}
+                            className="text-xs font-medium text-text-muted hover:text-primary transition-colors"
+                            aria-label={t('shortcuts.changeLabel', { action: t(`shortcuts.action.${action}`) })}
+                          >
+                            {recording === action ? t('shortcuts.cancel') : t('shortcuts.change')}
+                          </button>
+                        </div>
+                      </div>
+                      {conflict?.action === action && (
+                        <p role="alert" className="mt-1 text-xs text-danger">
+                          {t('shortcuts.conflict', { action: t(`shortcuts.action.${conflict.with}`) })}
+                        </p>
+                      )}
+                    </li>
+                  ))}
+              </ul>
+            </section>
+          ))}
+        </div>
+
+        <div className="flex items-center justify-between gap-4 px-6 py-3 text-xs text-text-muted bg-bg-secondary border-t border-border">
+          <span>{t('shortcuts.typingNote')}</span>
+          <button
+            onClick={() => {
+              resetBindings();
+              setConflict(null);
+            }}
+            disabled={!Object.keys(shortcutConfig).some(isCustomized)}
+            className="font-medium hover:text-primary disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            {t('shortcuts.reset')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ShortcutHelp;
@@ -0,0 +1,147 @@
+/**
+ * ShortcutsProvider Component
+ * 
+ * The app's keyboard shortcut registry (see data/shortcuts). Listens for
+ * key presses once for the whole app, matches them, including key
+ * sequences such as `g c`, against the learner's bindings and runs the
+ * handler the current page registered with useShortcut. Bindings are
+ * persisted with useLocalStorage. Also owns the global shortcuts: the
+ * cheatsheet (`?`) and going to the challenges list (`g c`).
+ * 
+ * @module components/ShortcutsProvider
+ */
+
+import { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import { useNavigate } from '@tanstack/react-router';
+import { useLocalStorage } from '../hooks/use-local-storage';
+import { ShortcutsContext } from '../hooks/use-shortcuts';
+import ShortcutHelp from './ShortcutHelp';
+import {
+  SHORTCUTS_STORAGE_KEY,
+  SHORTCUT_ACTIONS,
+  SEQUENCE_TIMEOUT,
+  defaultBindings,
+  resolveBindings,
+  findConflict,
+  isIgnoredKeyEvent,
+} from '../data/shortcuts';
+
+/**
+ * ShortcutsProvider Component
+ * 
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - App content
+ */
+const ShortcutsProvider = ({ children }) => {
+  const [stored, setStored] = useLocalStorage(SHORTCUTS_STORAGE_KEY, {});
+  const [isHelpOpen, setIsHelpOpen] = useState(false);
+  const navigate = useNavigate();
+  const bindings = useMemo(() => resolveBindings(stored), [stored]);
+
+  // Handlers per action, latest registration last; a ref so registering does not re-render
+  const handlersRef = useRef(new Map());
+
+  /**
+   * Add a handler for an action
+   * @returns {Function} Removes the handler again
+   */
+  const registerShortcut = useCallback((action, handler) => {
+    const handlers = handlersRef.current;
+    handlers.set(action, [...(handlers.get(action) || []), handler]);
+    return () => handlers.set(action, handlers.get(action).filter((h) => h !== handler));
+  }, []);
+
+  useEffect(() => registerShortcut(SHORTCUT_ACTIONS.HELP, () => setIsHelpOpen(true)), [registerShortcut]);
+  useEffect(
+    () => registerShortcut(SHORTCUT_ACTIONS.GO_CHALLENGES, () => navigate({ to: '/challenges' })),
+    [registerShortcut, navigate],
+  );
+
+  /**
+   * Match key presses against the bindings of the registered actions.
+   * The cheatsheet handles its own keys while it is open.
+   */
+  useEffect(() => {
+    if (isHelpOpen) return;
+    let sequence = [];
+    let timeoutId;
+
+    /**
+     * Find the action bound to some keys, or whether they start a binding
+     */
+    const match = (keys) => {
+      const pressed = keys.join(' ');
+      const actions = Object.keys(bindings).filter((action) => handlersRef.current.get(action)?.length);
+      const action = actions.find((a) => bindings[a] === pressed);
+      if (action) return { action };
+      return actions.some((a) => bindings[a].startsWith(`${pressed} `)) ? { action: null } : null;
+    };
+
+    const handleKeyDown = (event) => {
+      if (event.repeat || event.defaultPrevented || isIgnoredKeyEvent(event)) return;
+      clearTimeout(timeoutId);
+
+      // Continue the current sequence, or start over from this key
+      let keys = [...sequence, event.key];
+      let result = match(keys);
+      if (!result && sequence.length > 0) {
+        keys = [event.key];
+        result = match(keys);
+      }
+      sequence = [];
+      if (!result) return;
+
+      event.preventDefault();
+      if (result.action) {
+        handlersRef.current.get(result.action).at(-1)();
+      } else {
+        sequence = keys;
+        timeoutId = setTimeout(() => {
+          sequence = [];
+        }, SEQUENCE_TIMEOUT);
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+      clearTimeout(timeoutId);
+    };
+  }, [bindings, isHelpOpen]);
+
+  const value = useMemo(
+    () => ({
+      bindings,
+      registerShortcut,
+      openHelp: () => setIsHelpOpen(true),
+      isCustomized: (action) => bindings[action] !== defaultBindings[action],
+
+      /**
+       * Bind an action to new keys, unless they clash with another action
+       * @returns {string|null} The clashing action, or null when saved
+       */
+      setBinding: (action, binding) => {
+        const conflict = findConflict(bindings, action, binding);
+        if (conflict) return conflict;
+        const { [action]: _previous, ...rest } = stored;
+        setStored(binding === defaultBindings[action] ? rest : { ...rest, [action]: binding });
+        return null;
+      },
+
+      /**
+       * Restore every default binding
+       */
+      resetBindings: () => setStored({}),
+    }),
+    [bindings, registerShortcut, stored, setStored],
+  );
+
+  return (
+    <ShortcutsContext.Provider value={value}>
+      {children}
+      {isHelpOpen && <ShortcutHelp onClose={() => setIsHelpOpen(false)} />}
+    </ShortcutsContext.Provider>
+  );
+};
+
+export default ShortcutsProvider;
@@ -2,12 +2,30 @@
  * ShowSolution Component
  * 
  * A collapsible component that reveals challenge solutions with
- * progressive hints and a link to the solution code on GitHub.
+ * progressive hints and the bundled solution source, with a link to
+ * the file on GitHub as a secondary action.
+ * Revealed hints are recorded in the learner's progress, and each hint
+ * holds the learner's notes anchored to it. The panel registers the
+ * toggle-solution (`s`) and next-hint (`h`) keyboard shortcuts.
+ * Next to the code reveal, learners can compare their playground code
+ * with the solution source in a diff.
  * 
  * @module components/ShowSolution
  */
 
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
+import { useProgress } from '../hooks/use-progress';
+import { useLocale } from '../hooks/use-locale';
+import { useAnnotations } from '../hooks/use-annotations';
+import { useOnlineStatus } from '../hooks/use-online-status';
+import { useShortcut } from '../hooks/use-shortcuts';
+import { SHORTCUT_ACTIONS } from '../data/shortcuts';
+import { getHintAnnotations } from '../data/annotations';
+import { readPlaygroundCode } from '../playground/starters';
+import SourceViewer from './SourceViewer';
+import CodeDiff from './CodeDiff';
+import Markdown from './Markdown';
+import { HintAnnotations } from './Annotations';
 
 /**
  * ChevronIcon Component
@@ -28,30 +46,48 @@ const ChevronIcon = ({ isOpen }) => (
 /**
  * HintCard Component
  * 
- * Displays a single hint with reveal functionality.
+ * Displays a single hint with reveal functionality and, once revealed,
+ * the notes anchored to it. A focused hint (one linked to from search or
+ * a note) is outlined.
  */
-const HintCard = ({ hint, index, isRevealed, onReveal }) => {
+const HintCard = ({ challengeId, hint, index, isRevealed, isFocused, onReveal }) => {
+  const { t, formatNumber } = useLocale();
+  const { getAnnotations } = useAnnotations();
+  const noteCount = getHintAnnotations(getAnnotations(challengeId), index).length;
+
   return (
-    <div className="border border-border rounded-lg overflow-hidden">
+    <div
+      id={`hint-${index + 1}`}
+      className={`border rounded-lg overflow-hidden scroll-mt-36 lg:scroll-mt-24 ${isFocused ? 'border-primary ring-2 ring-primary-light' : 'border-border'}`}
+    >
       <button
         onClick={onReveal}
-        className="w-full px-4 py-3 bg-bg-secondary flex items-center justify-between text-left hover:bg-bg-tertiary transition-colors"
+        className="w-full px-4 py-3 bg-bg-secondary flex items-center justify-between text-start hover:bg-bg-tertiary transition-colors"
       >
         <span className="flex items-center gap-2">
           <span className="w-6 h-6 bg-warning-light text-warning rounded-full flex items-center justify-center text-xs font-medium">
-            {index + 1}
+            {formatNumber(index + 1)}
           </span>
           <span className="font-medium text-text-primary">
-            {isRevealed ? hint.title : `Hint ${index + 1}`}
+            {isRevealed ? hint.title : t('solution.hintNumber', { number: index + 1 })}
           </span>
         </span>
-        {!isRevealed && (
-          <span className="text-xs text-primary">Click to reveal</span>
-        )}
+        <span className="flex items-center gap-3">
+          {noteCount > 0 && (
+            <span className="text-xs text-text-muted">
+              📝 {formatNumber(noteCount)}
+              <span className="sr-only"> {t('annotations.count', { count: noteCount })}</span>
+            </span>
+          )}
+          {!isRevealed && (
+            <span className="text-xs text-primary">{t('solution.reveal')}</span>
+          )}
+        </span>
       </button>
       {isRevealed && (
         <div className="px-4 py-3 bg-bg-primary">
-          <p className="text-text-secondary text-sm">{hint.content}</p>
+          <Markdown source={hint.content} className="text-text-secondary text-sm" />
+          <HintAnnotations challengeId={challengeId} hintIndex={index} />
         </div>
       )}
     </div>
@@ -61,24 +97,32 @@ const HintCard = ({ hint, index, isRevealed, onReveal }) => {
 /**
  * GitHubLink Component
  * 
- * Displays a link to view the solution code on GitHub.
+ * Secondary link to the solution file on GitHub. Offline, it points to
+ * the bundled source shown above instead.
  */
 const GitHubLink = ({ url, filename }) => {
+  const { t } = useLocale();
+  const isOnline = useOnlineStatus();
+
+  if (!isOnline) {
+    return <p className="text-sm text-text-muted">{t('solution.githubOffline')}</p>;
+  }
+
   return (
     <a
       href={url}
       target="_blank"
       rel="noopener noreferrer"
-      className="flex items-center justify-center gap-3 px-6 py-4 bg-[#24292e] text-white rounded-lg hover:bg-[#1b1f23] transition-colors"
+      className="inline-flex items-center gap-3 px-4 py-2 bg-inverse text-inverse-text rounded-lg hover:bg-inverse-hover transition-colors"
     >
-      <svg className="w-6 h-6" fill="currentColor" viewBox="0 0 24 24">
+      <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 24 24">
         <path fillRule="evenodd" d="M12 2C6.477 2 2 6.484 2 12.017c0 4.425 2.865 8.18 6.839 9.504.5.092.682-.217.682-.483 0-.237-.008-.868-.013-1.703-2.782.605-3.369-1.343-3.369-1.343-.454-1.158-1.11-1.466-1.11-1.466-.908-.62.069-.608.069-.608 1.003.07 1.531 1.032 1.531 1.032.892 1.53 2.341 1.088 2.91.832.092-.647.35-1.088.636-1.338-2.22-.253-4.555-1.113-4.555-4.951 0-1.093.39-1.988 1.029-2.688-.103-.253-.446-1.272.098-2.65 0 0 .84-.27 2.75 1.026A9.564 9.564 0 0112 6.844c.85.004 1.705.115 2.504.337 1.909-1.296 2.747-1.027 2.747-1.027.546 1.379.202 2.398.1 2.651.64.7 1.028 1.595 1.028 2.688 0 3.848-2.339 4.695-4.566 4.943.359.309.678.92.678 1.855 0 1.338-.012 2.419-.012 2.747 0 .268.18.58.688.482A10.019 10.019 0 0022 12.017C22 6.484 17.522 2 12 2z" clipRule="evenodd" />
       </svg>
-      <div className="text-left">
-        <p className="font-medium">View Solution on GitHub</p>
-        <p className="text-sm text-gray-400">{filename}</p>
+      <div className="text-start">
+        <p className="text-sm font-medium">{t('solution.github')}</p>
+        <p className="text-xs text-inverse-text-muted">{filename}</p>
       </div>
-      <svg className="w-5 h-5 ml-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+      <svg className="w-4 h-4 ms-1 rtl:-scale-x-100" fill="none" stroke="currentColor" viewBox="0 0 24 24">
         <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10 6H6a2 2 0 00-2 2v10a2 2 0 002 2h10a2 2 0 002-2v-4M14 4h6m0 0v6m0-6L10 14" />
       </svg>
     </a>
@@ -91,32 +135,101 @@ const GitHubLink = ({ url, filename }) => {
  * Main component that manages solution visibility with hints.
  * 
  * @param {Object} props - Component props
+ * @param {string} props.challengeId - Challenge ID used to record hint usage
+ * @param {string|null} props.source - Bundled source of the solution file
+ * @param {string|null} props.starterCode - Playground starter, compared when the learner has not edited it
+ * @param {number|null} props.focusHint - Index of a hint to open the panel at
  * @param {Object} props.solution - Solution data object
  * @param {string} props.solution.explanation - Main explanation text
  * @param {Array} props.solution.hints - Array of hint objects
  * @param {string} props.solution.filename - Code filename
  * @param {string} props.solution.githubUrl - GitHub URL for the solution
  */
-const ShowSolution = ({ solution }) => {
-  const [showSolution, setShowSolution] = useState(false);
+const ShowSolution = ({ challengeId, source, starterCode = null, solution, focusHint = null }) => {
+  const [showSolution, setShowSolution] = useState(focusHint !== null);
   const [revealedHints, setRevealedHints] = useState([]);
   const [showCode, setShowCode] = useState(false);
+  const [scrollToHint, setScrollToHint] = useState(null);
+  const [comparison, setComparison] = useState(null);
+  const { recordHintsRevealed } = useProgress();
+  const { t } = useLocale();
+
+  /**
+   * Scroll to the focused hint when opened from a hint link
+   */
+  useEffect(() => {
+    if (focusHint === null) return;
+    document.getElementById(`hint-${focusHint + 1}`)?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }, [focusHint]);
 
   const toggleSolution = () => {
     setShowSolution(!showSolution);
     if (!showSolution) {
       setRevealedHints([]);
       setShowCode(false);
+      setComparison(null);
     }
   };
 
+  /**
+   * Diff the learner's current playground code against the solution
+   */
+  const compareCode = () => {
+    const savedCode = readPlaygroundCode(challengeId);
+    setComparison({ code: savedCode ?? starterCode, isStarterCode: savedCode === null });
+  };
+
   const revealHint = (index) => {
     if (!revealedHints.includes(index)) {
-      setRevealedHints([...revealedHints, index]);
+      const nextRevealed = [...revealedHints, index];
+      setRevealedHints(nextRevealed);
+      recordHintsRevealed(challengeId, nextRevealed.length);
+    }
+  };
+
+  /**
+   * Reveal the first hint not revealed yet, opening the panel if needed
+   */
+  const revealNextHint = () => {
+    const revealed = showSolution ? revealedHints : [];
+    const next = (solution.hints || []).findIndex((_, index) => !revealed.includes(index));
+    if (next === -1) return;
+    if (!showSolution) {
+      setShowSolution(true);
+      setShowCode(false);
+      setComparison(null);
     }
+    const nextRevealed = [...revealed, next];
+    setRevealedHints(nextRevealed);
+    recordHintsRevealed(challengeId, nextRevealed.length);
+    setScrollToHint(next);
   };
 
+  useShortcut(SHORTCUT_ACTIONS.TOGGLE_SOLUTION, toggleSolution);
+  useShortcut(SHORTCUT_ACTIONS.NEXT_HINT, revealNextHint);
+
+  /**
+   * Bring a hint revealed from the keyboard into view
+   */
+  useEffect(() => {
+    if (scrollToHint === null) return;
+    document.getElementById(`hint-${scrollToHint + 1}`)?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  }, [scrollToHint]);
+
   const allHintsRevealed = solution.hints && revealedHints.length === solution.hints.length;
+  const canCompare = Boolean(source && starterCode);
+
+  const compareButton = (
+    <button
+      onClick={compareCode}
+      className="px-4 py-3 border-2 border-dashed border-border rounded-lg text-text-secondary hover:border-primary hover:text-primary transition-colors flex items-center justify-center gap-2"
+    >
+      <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7h12m0 0l-4-4m4 4l-4 4M16 17H4m0 0l4 4m-4-4l4-4" />
+      </svg>
+      {t('diff.compare')}
+    </button>
+  );
 
   return (
     <div className="mt-8 bg-bg-primary rounded-xl border border-border overflow-hidden">
@@ -127,12 +240,12 @@ const ShowSolution = ({ solution }) => {
       >
         <div className="flex items-center gap-3">
           <span className="text-2xl">💡</span>
-          <div className="text-left">
+          <div className="text-start">
             <h2 className="text-lg font-semibold text-text-primary">
-              {showSolution ? 'Hide Solution' : 'Need Help?'}
+              {showSolution ? t('solution.hide') : t('solution.needHelp')}
             </h2>
             <p className="text-sm text-text-muted">
-              {showSolution ? 'Click to collapse' : 'View hints and solution code'}
+              {showSolution ? t('solution.collapse') : t('solution.expand')}
             </p>
           </div>
         </div>
@@ -145,24 +258,26 @@ const ShowSolution = ({ solution }) => {
           {/* Explanation */}
           <div>
             <h3 className="text-sm font-medium text-text-muted uppercase tracking-wider mb-2">
-              Approach
+              {t('solution.approach')}
             </h3>
-            <p className="text-text-secondary">{solution.explanation}</p>
+            <Markdown source={solution.explanation} className="text-text-secondary" />
           </div>
 
           {/* Progressive hints */}
           {solution.hints && solution.hints.length > 0 && (
             <div>
               <h3 className="text-sm font-medium text-text-muted uppercase tracking-wider mb-3">
-                Hints ({revealedHints.length}/{solution.hints.length})
+                {t('solution.hints', { revealed: revealedHints.length, total: solution.hints.length })}
               </h3>
               <div className="space-y-2">
                 {solution.hints.map((hint, index) => (
                   <HintCard
                     key={index}
+                    challengeId={challengeId}
                     hint={hint}
                     index={index}
                     isRevealed={revealedHints.includes(index)}
+                    isFocused={index === focusHint}
                     onReveal={() => revealHint(index)}
                   />
                 ))}
@@ -170,34 +285,59 @@ const ShowSolution = ({ solution }) => {
             </div>
           )}
 
-          {/* Solution code link - only show after all hints revealed or if no hints */}
+          {/* Solution code - only show after all hints revealed or if no hints */}
           {(allHintsRevealed || !solution.hints || solution.hints.length === 0) && (
-            <div>
+            <div className="space-y-3">
               {!showCode ? (
-                <button
-                  onClick={() => setShowCode(true)}
-                  className="w-full px-4 py-3 border-2 border-dashed border-border rounded-lg text-text-secondary hover:border-primary hover:text-primary transition-colors flex items-center justify-center gap-2"
-                >
-                  <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10 20l4-16m4 4l4 4-4 4M6 16l-4-4 4-4" />
-                  </svg>
-                  Reveal Solution
-                </button>
+                <div className="flex flex-col sm:flex-row gap-2">
+                  <button
+                    onClick={() => setShowCode(true)}
+                    className="flex-1 px-4 py-3 border-2 border-dashed border-border rounded-lg text-text-secondary hover:border-primary hover:text-primary transition-colors flex items-center justify-center gap-2"
+                  >
+                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10 20l4-16m4 4l4 4-4 4M6 16l-4-4 4-4" />
+                    </svg>
+                    {t('solution.revealCode')}
+                  </button>
+                  {canCompare && !comparison && compareButton}
+                </div>
               ) : (
-                <div>
-                  <h3 className="text-sm font-medium text-text-muted uppercase tracking-wider mb-3">
-                    Solution Code
-                  </h3>
-                  <GitHubLink url={solution.githubUrl} filename={solution.filename} />
+                <div className="space-y-3">
+                  <div className="flex flex-wrap items-center justify-between gap-2">
+                    <h3 className="text-sm font-medium text-text-muted uppercase tracking-wider">
+                      {t('solution.code')}
+                    </h3>
+                    {canCompare && !comparison && (
+                      <button onClick={compareCode} className="text-sm font-medium text-primary hover:text-primary-hover transition-colors">
+                        {t('diff.compare')}
+                      </button>
+                    )}
+                  </div>
+                  {source && <SourceViewer code={source} filename={solution.filename} />}
+                  {solution.githubUrl && (
+                    <div className="flex justify-end">
+                      <GitHubLink url={solution.githubUrl} filename={solution.filename} />
+                    </div>
+                  )}
                 </div>
               )}
+              {comparison && (
+                <CodeDiff
+                  learnerCode={comparison.code}
+                  referenceCode={source}
+                  filename={solution.filename}
+                  isStarterCode={comparison.isStarterCode}
+                  onRefresh={compareCode}
+                  onClose={() => setComparison(null)}
+                />
+              )}
             </div>
           )}
 
           {/* Show message if hints not all revealed */}
           {solution.hints && solution.hints.length > 0 && !allHintsRevealed && (
             <p className="text-sm text-text-muted text-center py-2">
-              💡 Reveal all hints to unlock the solution code
+              {t('solution.locked')}
             </p>
           )}
         </div>
@@ -0,0 +1,129 @@
+/**
+ * SourceViewer Component
+ * 
+ * Read-only code viewer with syntax highlighting, line numbers, a copy
+ * button and a collapsible body for long files.
+ * 
+ * @module components/SourceViewer
+ */
+
+import { useState, useMemo } from 'react';
+import { highlightLines, tokenClasses } from '../utils/highlight';
+import { useLocale } from '../hooks/use-locale';
+
+/**
+ * Lines shown while the viewer is collapsed
+ */
+const COLLAPSED_LINES = 20;
+
+/**
+ * How long the "Copied" confirmation stays visible
+ */
+const COPY_FEEDBACK_DURATION = 2000;
+
+/**
+ * Copy button label message IDs per status
+ */
+const copyLabels = {
+  idle: 'source.copy',
+  copied: 'source.copied',
+  failed: 'source.copyFailed',
+};
+
+/**
+ * SourceViewer Component
+ * 
+ * @param {Object} props - Component props
+ * @param {string} props.code - Source code to display
+ * @param {string} props.filename - Filename shown in the header
+ */
+const SourceViewer = ({ code, filename }) => {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [copyStatus, setCopyStatus] = useState('idle');
+  const { t } = useLocale();
+
+  const lines = useMemo(() => highlightLines(code), [code]);
+  const isCollapsible = lines.length > COLLAPSED_LINES;
+  const visibleLines = isCollapsible && !isExpanded ? lines.slice(0, COLLAPSED_LINES) : lines;
+
+  /**
+   * Copies the full source to the clipboard
+   */
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(code);
+      setCopyStatus('copied');
+    } catch {
+      setCopyStatus('failed');
+    }
+    setTimeout(() => setCopyStatus('idle'), COPY_FEEDBACK_DURATION);
+  };
+
+  return (
+    <div className="border border-border rounded-lg overflow-hidden">
+      {/* Header */}
+      <div className="px-4 py-2 flex items-center justify-between bg-bg-secondary border-b border-border">
+        <p className="text-sm text-text-secondary">
+          <span className="font-mono text-text-primary">{filename}</span>
+          <span className="text-text-muted"> · {t('source.lines', { count: lines.length })}</span>
+        </p>
+        <div className="flex items-center gap-2">
+          {isCollapsible && (
+            <button
+              onClick={() => setIsExpanded(!isExpanded)}
+              aria-expanded={isExpanded}
+              className="px-3 py-1 text-xs text-text-secondary rounded-md hover:bg-bg-tertiary transition-colors"
+            >
+              {isExpanded ? t('source.collapse') : t('source.expand')}
+            </button>
+          )}
+          <button
+            onClick={handleCopy}
+            className="px-3 py-1 text-xs font-medium text-primary border border-border rounded-md hover:border-primary transition-colors"
+          >
+            <span aria-live="polite">{t(copyLabels[copyStatus])}</span>
+          </button>
+        </div>
+      </div>
+
+      {/* Code; always left to right, even in RTL locales */}
+      <div className="relative" dir="ltr">
+        <pre className="overflow-x-auto bg-bg-tertiary py-3 font-mono text-sm leading-6">
+          <code className="table min-w-full">
+            {visibleLines.map((tokens, lineIndex) => (
+              <span key={lineIndex} className="table-row">
+                <span
+                  className="table-cell pl-4 pr-4 text-right text-text-muted select-none"
+                  aria-hidden="true"
+                >
+                  {lineIndex + 1}
+                </span>
+                <span className="table-cell pr-4 text-text-primary whitespace-pre">
+                  {tokens.map((token, tokenIndex) => (
+                    <span key={tokenIndex} className={tokenClasses[token.type]}>
+                      {token.text}
+                    </span>
+                  ))}
+                </span>
+              </span>
+            ))}
+          </code>
+        </pre>
+
+        {/* Fade-out and expand button while collapsed */}
+        {isCollapsible && !isExpanded && (
+          <div className="absolute inset-x-0 bottom-0 pt-16 pb-3 flex justify-center bg-gradient-to-t from-bg-tertiary to-transparent">
+            <button
+              onClick={() => setIsExpanded(true)}
+              className="px-4 py-2 text-sm font-medium bg-bg-primary border border-border rounded-lg text-text-secondary hover:border-primary hover:text-primary transition-colors"
+            >
+              {t('source.showAll', { count: lines.length })}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SourceViewer;
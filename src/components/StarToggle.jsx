@@ -0,0 +1,42 @@
+/**
+ * StarToggle Component
+ * 
+ * Star button that bookmarks a challenge (see data/collections). Sits
+ * above stretched card links, so it can be used inside ChallengeCard.
+ * 
+ * @module components/StarToggle
+ */
+
+import { useCollections } from '../hooks/use-collections';
+import { useLocale } from '../hooks/use-locale';
+
+/**
+ * StarToggle Component
+ * 
+ * @param {Object} props - Component props
+ * @param {string} props.challengeId - Challenge ID
+ * @param {string} props.title - Challenge title, for the accessible label
+ */
+const StarToggle = ({ challengeId, title }) => {
+  const { isStarred, toggleStar } = useCollections();
+  const { t } = useLocale();
+  const starred = isStarred(challengeId);
+  const label = t(starred ? 'collections.unstar' : 'collections.star', { title });
+
+  return (
+    <button
+      type="button"
+      onClick={() => toggleStar(challengeId)}
+      aria-pressed={starred}
+      aria-label={label}
+      title={label}
+      className={`relative z-10 w-8 h-8 rounded-full text-lg leading-none transition-colors hover:bg-bg-tertiary ${
+        starred ? 'text-warning' : 'text-text-muted hover:text-warning'
+      }`}
+    >
+      {starred ? '★' : '☆'}
+    </button>
+  );
+};
+
+export default StarToggle;
@@ -0,0 +1,59 @@
+/**
+ * ThemeProvider Component
+ * 
+ * Owns the selected color theme mode, persisted with useLocalStorage,
+ * and keeps data-theme on <html> in step with it. In system mode the
+ * theme follows the OS color scheme, including changes while the page
+ * is open.
+ * 
+ * @module components/ThemeProvider
+ */
+
+import { useEffect, useMemo, useSyncExternalStore } from 'react';
+import { useLocalStorage } from '../hooks/use-local-storage';
+import { ThemeContext } from '../hooks/use-theme';
+import {
+  THEME_STORAGE_KEY,
+  THEME_MODES,
+  DARK_SCHEME_QUERY,
+  themeModeConfig,
+  resolveTheme,
+  applyTheme,
+} from '../data/theme';
+
+/**
+ * Subscribe to OS color scheme changes
+ */
+const subscribeToColorScheme = (onChange) => {
+  const query = window.matchMedia(DARK_SCHEME_QUERY);
+  query.addEventListener('change', onChange);
+  return () => query.removeEventListener('change', onChange);
+};
+
+/**
+ * Whether the OS currently prefers a dark color scheme
+ */
+const getPrefersDark = () => window.matchMedia(DARK_SCHEME_QUERY).matches;
+
+/**
+ * ThemeProvider Component
+ * 
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - App content
+ */
+const ThemeProvider = ({ children }) => {
+  const [storedMode, setMode] = useLocalStorage(THEME_STORAGE_KEY, THEME_MODES.SYSTEM);
+  const prefersDark = useSyncExternalStore(subscribeToColorScheme, getPrefersDark);
+  const mode = themeModeConfig[storedMode] ? storedMode : THEME_MODES.SYSTEM;
+  const theme = resolveTheme(mode, prefersDark);
+
+  useEffect(() => {
+    applyTheme(theme);
+  }, [theme]);
+
+  const value = useMemo(() => ({ mode, theme, setMode }), [mode, theme, setMode]);
+
+  return <ThemeContext.Provider value={value}>{children}</ThemeContext.Provider>;
+};
+
+export default ThemeProvider;
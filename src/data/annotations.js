@@ -0,0 +1,66 @@
+/**
+ * Annotation Data
+ * 
+ * Learners' own Markdown notes on challenges, saved in localStorage keyed
+ * by challenge ID, oldest first:
+ * 
+ *   { "counter": [{ "id": "...", "hint": 1, "content": "Remember: ...", "createdAt": "...", "updatedAt": "..." }] }
+ * 
+ * `hint` is the index of the hint in ShowSolution a note is anchored to,
+ * or null for a note on the whole challenge.
+ * 
+ * Not to be confused with the Notes App challenge, which keeps its own
+ * notes under `react-practice-notes`.
+ * 
+ * @module data/annotations
+ */
+
+/**
+ * localStorage key holding the annotations
+ */
+export const ANNOTATIONS_STORAGE_KEY = 'react-practice-annotations';
+
+/**
+ * Create a new annotation
+ * @param {{content: string, hint?: number|null}} fields - Markdown content and optional hint index
+ * @returns {Object} Annotation
+ */
+export const createAnnotation = ({ content, hint = null }) => {
+  const now = new Date().toISOString();
+  return { id: crypto.randomUUID(), hint, content, createdAt: now, updatedAt: now };
+};
+
+/**
+ * Get the annotations anchored to a hint
+ * @param {Array} annotations - A challenge's annotations
+ * @param {number} hint - Hint index
+ * @returns {Array} Matching annotations
+ */
+export const getHintAnnotations = (annotations, hint) =>
+  annotations.filter((annotation) => annotation.hint === hint);
+
+/**
+ * Count every saved annotation
+ * @param {Object} annotations - Annotations keyed by challenge ID
+ * @returns {number} Annotation count
+ */
+export const countAnnotations = (annotations) =>
+  Object.values(annotations).reduce((sum, list) => sum + list.length, 0);
+
+/**
+ * Check whether text contains every word of a query, ignoring case
+ * @param {string} text - Text to search in
+ * @param {string} query - What the user typed
+ * @returns {boolean} Whether every word was found
+ * 
+ * @example
+ * matchesQuery('Remember: functional update here', 'update func') // true
+ */
+export const matchesQuery = (text, query) => {
+  const haystack = text.toLowerCase();
+  return query
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean)
+    .every((term) => haystack.includes(term));
+};
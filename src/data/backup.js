@@ -0,0 +1,456 @@
+/**
+ * Backup Data
+ * 
+ * Export and import of everything the app keeps in localStorage as one
+ * versioned JSON bundle, used by the settings page. Every key starting
+ * with STORAGE_NAMESPACE is app-owned and included: progress, review
+ * schedule, quiz scores, kata times, challenge notes, starred challenges and
+ * collections, Notes App notes, playground code, preferences (including
+ * keyboard shortcuts and the mock API settings), and any
+ * other data learner code saved under the namespace.
+ * 
+ * A bundle looks like:
+ * 
+ *   {
+ *     "format": "react-practice-backup",
+ *     "version": 1,
+ *     "exportedAt": "2026-10-18T09:30:00.000Z",
+ *     "data": { "react-practice-progress": { ... }, ... }
+ *   }
+ * 
+ * `data` holds each key's parsed JSON value. Older bundles are upgraded
+ * by `migrations` before they are checked, so the rest of the code only
+ * deals with the current version. When the shape changes, bump
+ * BACKUP_VERSION and add a migration from the previous version.
+ * 
+ * Problems are reported as message IDs with values (see locales/en) so
+ * the settings page can show them in the active language.
+ * 
+ * @module data/backup
+ */
+
+import { challenges } from './challenges';
+import { PROGRESS_STORAGE_KEY, PROGRESS_STATUS, mergeProgress } from './progress';
+import { REVIEW_STORAGE_KEY } from './review';
+import { QUIZ_RESULTS_STORAGE_KEY, MAX_SAVED_ATTEMPTS } from './quizzes';
+import { KATA_STORAGE_KEY, MAX_SAVED_KATA_ATTEMPTS } from './katas';
+import { ANNOTATIONS_STORAGE_KEY, countAnnotations } from './annotations';
+import { COLLECTIONS_STORAGE_KEY, initialCollections, countCollections } from './collections';
+import { THEME_STORAGE_KEY, themeModeConfig } from './theme';
+import { LOCALE_STORAGE_KEY, localeConfig } from './i18n';
+import { MOCK_API_STORAGE_KEY, API_SOURCES } from './mock-api';
+import { SHORTCUTS_STORAGE_KEY } from './shortcuts';
+import { PLAYGROUND_STORAGE_PREFIX } from '../playground/starters';
+
+/**
+ * Prefix shared by every localStorage key the app owns
+ */
+export const STORAGE_NAMESPACE = 'react-practice-';
+
+/**
+ * Value of `format` identifying a backup file
+ */
+export const BACKUP_FORMAT = 'react-practice-backup';
+
+/**
+ * Current bundle version
+ */
+export const BACKUP_VERSION = 1;
+
+/**
+ * Ways to import a bundle
+ */
+export const IMPORT_MODES = {
+  MERGE: 'merge',
+  REPLACE: 'replace',
+};
+
+/**
+ * localStorage key of the Notes App challenge, which keeps its own key
+ */
+const NOTES_STORAGE_KEY = 'react-practice-notes';
+
+const challengeIds = new Set(challenges.map((c) => c.id));
+
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+/**
+ * Keep the value already in this browser when there is one
+ */
+const keepCurrent = (current, imported) => (current === undefined ? imported : current);
+
+/**
+ * Combine two note lists by ID; when both have a note, the last edited wins
+ */
+const mergeNotes = (current, imported) => {
+  const byId = new Map(current.map((note) => [note.id, note]));
+  imported.forEach((note) => {
+    const existing = byId.get(note.id);
+    if (!existing || new Date(note.updatedAt) > new Date(existing.updatedAt)) byId.set(note.id, note);
+  });
+  return [...byId.values()].sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+};
+
+/**
+ * Combine two sets of challenge annotations by ID; when both have a note,
+ * the last edited wins
+ */
+const mergeAnnotations = (current, imported) => {
+  const merged = { ...current };
+  Object.entries(imported).forEach(([challengeId, annotations]) => {
+    const byId = new Map((merged[challengeId] || []).map((annotation) => [annotation.id, annotation]));
+    annotations.forEach((annotation) => {
+      const existing = byId.get(annotation.id);
+      if (!existing || new Date(annotation.updatedAt) > new Date(existing.updatedAt)) byId.set(annotation.id, annotation);
+    });
+    merged[challengeId] = [...byId.values()].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  });
+  return merged;
+};
+
+/**
+ * Combine two sets of starred challenges and collections: stars are
+ * joined, and imported collections are added after the current ones
+ * unless a collection with the same ID is already here
+ */
+const mergeCollections = (current, imported) => {
+  const collectionIds = new Set(current.collections.map((collection) => collection.id));
+  return {
+    starred: [...new Set([...current.starred, ...imported.starred])],
+    collections: [
+      ...current.collections,
+      ...imported.collections.filter((collection) => !collectionIds.has(collection.id)),
+    ],
+  };
+};
+
+/**
+ * Combine two sets of review cards; when both have a card, the last
+ * reviewed wins
+ */
+const mergeReviews = (current, imported) => {
+  const merged = { ...current };
+  Object.entries(imported).forEach(([id, card]) => {
+    const existing = merged[id];
+    if (!existing || new Date(card.lastReviewedAt) > new Date(existing.lastReviewedAt)) merged[id] = card;
+  });
+  return merged;
+};
+
+/**
+ * Combine two sets of saved attempts (quiz scores or kata times), keeping
+ * the latest `limit` of both per key
+ */
+const mergeAttempts = (current, imported, limit) => {
+  const merged = { ...current };
+  Object.entries(imported).forEach(([key, attempts]) => {
+    const seen = new Set((merged[key] || []).map((attempt) => attempt.completedAt));
+    merged[key] = [...(merged[key] || []), ...attempts.filter((attempt) => !seen.has(attempt.completedAt))]
+      .sort((a, b) => new Date(a.completedAt) - new Date(b.completedAt))
+      .slice(-limit);
+  });
+  return merged;
+};
+
+/**
+ * Kinds of stored data, matched in order against each key. `isValid`
+ * checks an imported value and `merge` combines it with the current one.
+ */
+export const backupDataTypes = {
+  progress: {
+    matches: (key) => key === PROGRESS_STORAGE_KEY,
+    isValid: (value) =>
+      isObject(value) &&
+      Object.values(value).every(
+        (record) => isObject(record) && Object.values(PROGRESS_STATUS).includes(record.status),
+      ),
+    count: (value) => Object.keys(value).length,
+    merge: (current, imported) => mergeProgress(current || {}, imported),
+  },
+  notes: {
+    matches: (key) => key === NOTES_STORAGE_KEY,
+    isValid: (value) =>
+      Array.isArray(value) && value.every((note) => isObject(note) && typeof note.id === 'string'),
+    count: (value) => value.length,
+    merge: (current, imported) => mergeNotes(current || [], imported),
+  },
+  annotations: {
+    matches: (key) => key === ANNOTATIONS_STORAGE_KEY,
+    isValid: (value) =>
+      isObject(value) &&
+      Object.values(value).every(
+        (annotations) =>
+          Array.isArray(annotations) &&
+          annotations.every(
+            (annotation) =>
+              isObject(annotation) &&
+              typeof annotation.id === 'string' &&
+              typeof annotation.content === 'string' &&
+              (annotation.hint === null || Number.isInteger(annotation.hint)),
+          ),
+      ),
+    count: countAnnotations,
+    merge: (current, imported) => mergeAnnotations(current || {}, imported),
+  },
+  collections: {
+    matches: (key) => key === COLLECTIONS_STORAGE_KEY,
+    isValid: (value) =>
+      isObject(value) &&
+      Array.isArray(value.starred) &&
+      value.starred.every((id) => typeof id === 'string') &&
+      Array.isArray(value.collections) &&
+      value.collections.every(
+        (collection) =>
+          isObject(collection) &&
+          typeof collection.id === 'string' &&
+          typeof collection.name === 'string' &&
+          Array.isArray(collection.challengeIds) &&
+          collection.challengeIds.every((id) => typeof id === 'string'),
+      ),
+    count: countCollections,
+    merge: (current, imported) => mergeCollections(current || initialCollections, imported),
+  },
+  playground: {
+    matches: (key) => key.startsWith(PLAYGROUND_STORAGE_PREFIX) && challengeIds.has(key.slice(PLAYGROUND_STORAGE_PREFIX.length)),
+    isValid: (value) => typeof value === 'string',
+    count: () => 1,
+    merge: keepCurrent,
+  },
+  review: {
+    matches: (key) => key === REVIEW_STORAGE_KEY,
+    isValid: (value) =>
+      isObject(value) &&
+      Object.values(value).every(
+        (card) =>
+          isObject(card) &&
+          /^\d{4}-\d{2}-\d{2}$/.test(card.due) &&
+          typeof card.interval === 'number' &&
+          typeof card.easeFactor === 'number',
+      ),
+    count: (value) => Object.keys(value).length,
+    merge: (current, imported) => mergeReviews(current || {}, imported),
+  },
+  quizzes: {
+    matches: (key) => key === QUIZ_RESULTS_STORAGE_KEY,
+    isValid: (value) =>
+      isObject(value) &&
+      Object.values(value).every(
+        (attempts) =>
+          Array.isArray(attempts) &&
+          attempts.every((attempt) => isObject(attempt) && Number.isInteger(attempt.score) && Number.isInteger(attempt.total)),
+      ),
+    count: (value) => Object.keys(value).length,
+    merge: (current, imported) => mergeAttempts(current || {}, imported, MAX_SAVED_ATTEMPTS),
+  },
+  katas: {
+    matches: (key) => key === KATA_STORAGE_KEY,
+    isValid: (value) =>
+      isObject(value) &&
+      Object.values(value).every(
+        (attempts) =>
+          Array.isArray(attempts) &&
+          attempts.every(
+            (attempt) => isObject(attempt) && typeof attempt.elapsedMs === 'number' && typeof attempt.targetMs === 'number',
+          ),
+      ),
+    count: (value) => Object.keys(value).length,
+    merge: (current, imported) => mergeAttempts(current || {}, imported, MAX_SAVED_KATA_ATTEMPTS),
+  },
+  theme: {
+    matches: (key) => key === THEME_STORAGE_KEY,
+    isValid: (value) => Boolean(themeModeConfig[value]),
+    merge: keepCurrent,
+  },
+  locale: {
+    matches: (key) => key === LOCALE_STORAGE_KEY,
+    isValid: (value) => Boolean(localeConfig[value]),
+    merge: keepCurrent,
+  },
+  shortcuts: {
+    matches: (key) => key === SHORTCUTS_STORAGE_KEY,
+    isValid: (value) => isObject(value) && Object.values(value).every((binding) => typeof binding === 'string'),
+    count: (value) => Object.keys(value).length,
+    merge: keepCurrent,
+  },
+  mockApi: {
+    matches: (key) => key === MOCK_API_STORAGE_KEY,
+    isValid: (value) => isObject(value) && Object.values(API_SOURCES).includes(value.source),
+    merge: keepCurrent,
+  },
+  other: {
+    matches: () => true,
+    isValid: () => true,
+    count: () => 1,
+    merge: keepCurrent,
+  },
+};
+
+/**
+ * Find the kind of data stored under a key
+ * @param {string} key - localStorage key
+ * @returns {string} A key of backupDataTypes
+ */
+const getDataType = (key) => Object.keys(backupDataTypes).find((type) => backupDataTypes[type].matches(key));
+
+/**
+ * Upgrades from each older version to the next one
+ */
+const migrations = {
+  /**
+   * Version 0: a plain copy of localStorage, e.g. from
+   * `copy(JSON.stringify(localStorage))` in the browser console, with
+   * values still JSON-encoded and possibly other sites' keys mixed in
+   */
+  0: (dump) => ({
+    format: BACKUP_FORMAT,
+    version: 1,
+    exportedAt: null,
+    data: Object.fromEntries(
+      Object.entries(dump)
+        .filter(([key, value]) => key.startsWith(STORAGE_NAMESPACE) && typeof value === 'string')
+        .map(([key, value]) => {
+          try {
+            return [key, JSON.parse(value)];
+          } catch {
+            return [key, value];
+          }
+        }),
+    ),
+  }),
+};
+
+/**
+ * Read every app-owned key from localStorage
+ * @returns {Object} Parsed values keyed by storage key
+ */
+export const readStoredData = () => {
+  const data = {};
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (!key.startsWith(STORAGE_NAMESPACE)) continue;
+    try {
+      data[key] = JSON.parse(localStorage.getItem(key));
+    } catch {
+      data[key] = localStorage.getItem(key);
+    }
+  }
+  return data;
+};
+
+/**
+ * Create a bundle of everything currently stored
+ * @returns {Object} Backup bundle
+ */
+export const createBackup = () => ({
+  format: BACKUP_FORMAT,
+  version: BACKUP_VERSION,
+  exportedAt: new Date().toISOString(),
+  data: readStoredData(),
+});
+
+/**
+ * Summarize stored data per kind, for the export and import previews
+ * @param {Object} data - Parsed values keyed by storage key
+ * @returns {Object} Per kind: `{ count }` for collections, `{ value }` for single settings
+ */
+export const summarizeData = (data) => {
+  const summary = {};
+  Object.entries(data).forEach(([key, value]) => {
+    const type = getDataType(key);
+    const { count } = backupDataTypes[type];
+    if (!count) {
+      summary[type] = { value };
+      return;
+    }
+    summary[type] = { count: (summary[type]?.count || 0) + count(value) };
+  });
+  return summary;
+};
+
+/**
+ * Parse, upgrade and check a backup file
+ * @param {string} text - File contents
+ * @returns {{bundle: Object|null, migratedFrom: number|null, errors: Array<{id: string, values?: Object}>}}
+ *   The upgraded bundle, the version it was upgraded from (if any) and
+ *   problems as message IDs; `bundle` is null when `errors` is not empty
+ */
+export const parseBackup = (text) => {
+  const fail = (id, values) => ({ bundle: null, migratedFrom: null, errors: [{ id, values }] });
+
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    return fail('backup.error.json');
+  }
+  if (!isObject(parsed)) return fail('backup.error.format');
+
+  // A file without `format` may be a plain localStorage copy, i.e. version 0
+  const isDump = parsed.format === undefined && Object.keys(parsed).some((key) => key.startsWith(STORAGE_NAMESPACE));
+  if (!isDump && parsed.format !== BACKUP_FORMAT) return fail('backup.error.format');
+
+  const originalVersion = isDump ? 0 : parsed.version;
+  if (!Number.isInteger(originalVersion) || originalVersion < 0) {
+    return fail('backup.error.version', { version: String(originalVersion) });
+  }
+  if (originalVersion > BACKUP_VERSION) return fail('backup.error.newer', { version: originalVersion });
+
+  let bundle = parsed;
+  for (let version = originalVersion; version < BACKUP_VERSION; version++) {
+    bundle = migrations[version](bundle);
+  }
+  if (!isObject(bundle.data)) return fail('backup.error.format');
+
+  const errors = Object.entries(bundle.data)
+    .filter(([key, value]) => !key.startsWith(STORAGE_NAMESPACE) || !backupDataTypes[getDataType(key)].isValid(value))
+    .map(([key]) => ({ id: 'backup.error.value', values: { key } }));
+
+  return {
+    bundle: errors.length > 0 ? null : bundle,
+    migratedFrom: originalVersion < BACKUP_VERSION ? originalVersion : null,
+    errors,
+  };
+};
+
+/**
+ * Work out the data that importing a bundle would leave in this browser
+ * @param {Object} current - Parsed values currently stored, keyed by storage key
+ * @param {Object} imported - `data` of the bundle
+ * @param {string} mode - One of IMPORT_MODES
+ * @returns {Object} Resulting values keyed by storage key
+ */
+export const resolveImport = (current, imported, mode) => {
+  if (mode === IMPORT_MODES.REPLACE) return { ...imported };
+
+  const result = { ...current };
+  Object.entries(imported).forEach(([key, value]) => {
+    result[key] = backupDataTypes[getDataType(key)].merge(current[key], value);
+  });
+  return result;
+};
+
+/**
+ * Import a bundle into localStorage. Each changed key is announced with
+ * a `storage` event, so useLocalStorage picks up the new values in this
+ * tab just as it does for changes made in other tabs.
+ * @param {Object} bundle - Bundle returned by parseBackup
+ * @param {string} mode - One of IMPORT_MODES
+ */
+export const importBackup = (bundle, mode) => {
+  const current = readStoredData();
+  const result = resolveImport(current, bundle.data, mode);
+  const keys = new Set([...Object.keys(current), ...Object.keys(result)]);
+
+  keys.forEach((key) => {
+    const oldValue = key in current ? JSON.stringify(current[key]) : null;
+    const newValue = key in result ? JSON.stringify(result[key]) : null;
+    if (oldValue === newValue) return;
+
+    if (newValue === null) {
+      localStorage.removeItem(key);
+    } else {
+      localStorage.setItem(key, newValue);
+    }
+    window.dispatchEvent(new StorageEvent('storage', { key, oldValue, newValue, storageArea: localStorage }));
+  });
+};
@@ -7,236 +7,31 @@
  * @module data/challenges
  */
 
+import { challengeContent } from './content';
+
 /**
  * Category configuration with colors and icons
  */
 export const categoryConfig = {
   All: { color: 'bg-bg-tertiary text-text-primary', icon: '📚' },
-  'State Management': { color: 'bg-blue-100 text-blue-700', icon: '🎛️' },
-  'Custom Hooks': { color: 'bg-purple-100 text-purple-700', icon: '🪝' },
-  'Side Effects': { color: 'bg-green-100 text-green-700', icon: '⚡' },
-  'Data Fetching': { color: 'bg-orange-100 text-orange-700', icon: '🌐' },
-  'Performance': { color: 'bg-yellow-100 text-yellow-700', icon: '🚀' },
+  'State Management': { color: 'bg-primary-light text-primary', icon: '🎛️' },
+  'Custom Hooks': { color: 'bg-accent-light text-accent', icon: '🪝' },
+  'Side Effects': { color: 'bg-success-light text-success', icon: '⚡' },
+  'Data Fetching': { color: 'bg-attention-light text-attention', icon: '🌐' },
+  'Performance': { color: 'bg-warning-light text-warning', icon: '🚀' },
 };
 
 /**
  * Complete challenge metadata
- * Contains all information needed to display challenge cards
+ * Contains all information needed to display challenge cards and challenge pages.
+ * Authored as Markdown in src/content/challenges/ (see data/content).
+ * `keyConcepts` feed the "Key Concepts Learned" section, while the optional
+ * `demoIntro` and `pageWidth` fields tune the challenge page layout.
+ * `prerequisites` lists the IDs of challenges recommended before this one
+ * (see data/learning-paths). `kataMinutes` is the target time for
+ * rebuilding the challenge in kata mode (see data/katas).
  */
-export const challenges = [
-  {
-    id: 'counter',
-    title: 'Counter',
-    description: 'Learn the fundamental useState hook by building a simple counter with increment, decrement, and boundary checking.',
-    difficulty: 'Beginner',
-    category: 'State Management',
-    concepts: ['useState', 'Event Handling', 'Conditional Rendering'],
-    icon: '🔢',
-    learningPoints: [
-      'Initialize state with useState',
-      'Update state based on previous value',
-      'Disable buttons conditionally',
-    ],
-  },
-  {
-    id: 'toggle-theme',
-    title: 'Toggle Theme',
-    description: 'Implement a theme toggle between light and dark modes using state-driven styling.',
-    difficulty: 'Beginner',
-    category: 'State Management',
-    concepts: ['useState', 'Conditional Styling', 'Object Lookup'],
-    icon: '🌓',
-    learningPoints: [
-      'Manage theme state',
-      'Apply dynamic inline styles',
-      'Toggle between states',
-    ],
-  },
-  {
-    id: 'controlled-input',
-    title: 'Controlled Input',
-    description: 'Master the controlled component pattern with text inputs and real-time display.',
-    difficulty: 'Beginner',
-    category: 'State Management',
-    concepts: ['useState', 'Controlled Components', 'Form Handling'],
-    icon: '📝',
-    learningPoints: [
-      'Bind input value to state',
-      'Handle onChange events',
-      'Clear input programmatically',
-    ],
-  },
-  {
-    id: 'modal',
-    title: 'Modal',
-    description: 'Build a reusable modal component with custom hooks for conditional rendering and accessible markup.',
-    difficulty: 'Beginner',
-    category: 'Custom Hooks',
-    concepts: ['Custom Hooks', 'Conditional Rendering', 'Children Prop', 'ARIA'],
-    icon: '🪟',
-    learningPoints: [
-      'Create custom hooks for state logic',
-      'Implement conditional rendering',
-      'Build accessible modal dialogs',
-    ],
-  },
-  {
-    id: 'table',
-    title: 'Tabbed Content',
-    description: 'Build a tabbed content component with dynamic tab switching and conditional rendering.',
-    difficulty: 'Beginner',
-    category: 'State Management',
-    concepts: ['useState', 'Conditional Rendering', 'Array Mapping', 'ARIA'],
-    icon: '📊',
-    learningPoints: [
-      'Track active tab with useState',
-      'Apply dynamic styles based on state',
-      'Use hidden attribute for content switching',
-    ],
-  },
-  {
-    id: 'todo-list',
-    title: 'Todo List',
-    description: 'Build a complete todo application with add, delete, complete, and filter functionality.',
-    difficulty: 'Intermediate',
-    category: 'State Management',
-    concepts: ['useState', 'useMemo', 'Array Methods', 'UUID Generation'],
-    icon: '✅',
-    learningPoints: [
-      'Manage array state immutably',
-      'Filter and map collections',
-      'Optimize with useMemo',
-    ],
-  },
-  {
-    id: 'search',
-    title: 'Search Filter',
-    description: 'Create a real-time search filter with debouncing and memoized results for optimal performance.',
-    difficulty: 'Intermediate',
-    category: 'Performance',
-    concepts: ['useState', 'useMemo', 'Custom Hooks', 'Debouncing'],
-    icon: '🔍',
-    learningPoints: [
-      'Use custom useDebounce hook',
-      'Memoize expensive computations',
-      'Handle empty states',
-    ],
-  },
-  {
-    id: 'timer',
-    title: 'Timer',
-    description: 'Create a fully functional timer with start, pause, and reset controls using intervals.',
-    difficulty: 'Intermediate',
-    category: 'Side Effects',
-    concepts: ['useState', 'useEffect', 'useRef', 'setInterval'],
-    icon: '⏱️',
-    learningPoints: [
-      'Manage intervals with useRef',
-      'Clean up effects properly',
-      'Control async operations',
-    ],
-  },
-  {
-    id: 'window-resizer',
-    title: 'Window Resizer',
-    description: 'Track and display window dimensions in real-time using event listeners.',
-    difficulty: 'Intermediate',
-    category: 'Side Effects',
-    concepts: ['useState', 'useEffect', 'Event Listeners', 'Cleanup'],
-    icon: '📐',
-    learningPoints: [
-      'Add window event listeners',
-      'Clean up on unmount',
-      'Access window properties',
-    ],
-  },
-  {
-    id: 'pagination',
-    title: 'Pagination',
-    description: 'Build a pagination component with configurable page sizes, navigation controls, and optimized rendering.',
-    difficulty: 'Intermediate',
-    category: 'Performance',
-    concepts: ['useState', 'useMemo', 'Array Slicing', 'Boundary Checking'],
-    icon: '📄',
-    learningPoints: [
-      'Memoize expensive calculations',
-      'Slice arrays for pagination',
-      'Handle boundary conditions',
-    ],
-  },
-  {
-    id: 'shopping-cart',
-    title: 'Shopping Cart',
-    description: 'Build a shopping cart with useReducer for complex state management, add/remove functionality, and price calculations.',
-    difficulty: 'Intermediate',
-    category: 'State Management',
-    concepts: ['useReducer', 'useMemo', 'Actions', 'Component Composition'],
-    icon: '🛒',
-    learningPoints: [
-      'Use useReducer for complex state',
-      'Dispatch actions with payloads',
-      'Memoize total calculations',
-    ],
-  },
-  {
-    id: 'form-validation',
-    title: 'Form Validation',
-    description: 'Build a comprehensive form with real-time validation, password strength indicator, and accessible error handling.',
-    difficulty: 'Intermediate',
-    category: 'State Management',
-    concepts: ['useState', 'useMemo', 'Validation', 'Accessibility'],
-    icon: '📋',
-    learningPoints: [
-      'Real-time field validation',
-      'Password strength calculation',
-      'Accessible error messages',
-    ],
-  },
-  {
-    id: 'fetch-users',
-    title: 'Fetch Users',
-    description: 'Handle asynchronous data fetching with loading states, error handling, and request cancellation.',
-    difficulty: 'Advanced',
-    category: 'Data Fetching',
-    concepts: ['useState', 'useEffect', 'Async/Await', 'AbortController'],
-    icon: '👥',
-    learningPoints: [
-      'Fetch data in useEffect',
-      'Handle loading and errors',
-      'Cancel requests on unmount',
-    ],
-  },
-  {
-    id: 'product-filters',
-    title: 'Product Filters',
-    description: 'Build a product filtering system using useReducer for complex state management with debounced search and category filtering.',
-    difficulty: 'Intermediate',
-    category: 'State Management',
-    concepts: ['useReducer', 'useEffect', 'Custom Hooks', 'Debouncing'],
-    icon: '🛍️',
-    learningPoints: [
-      'Use useReducer for complex filter state',
-      'Implement debounced search with custom hooks',
-      'Combine multiple filter types',
-      'Dispatch typed actions with payloads',
-    ],
-  },
-  {
-    id: 'notes-app',
-    title: 'Notes App',
-    description: 'Build a persistent notes application using custom useLocalStorage hook with CRUD operations and cross-tab synchronization.',
-    difficulty: 'Intermediate',
-    category: 'Custom Hooks',
-    concepts: ['Custom Hooks', 'useLocalStorage', 'useEffect', 'Data Persistence'],
-    icon: '📝',
-    learningPoints: [
-      'Create and use custom useLocalStorage hook',
-      'Persist data across page refreshes',
-      'Sync state across browser tabs',
-      'Handle JSON serialization safely',
-    ],
-  },
-];
+export const challenges = challengeContent.map((entry) => entry.challenge);
 
 /**
  * Difficulty configuration with colors and order
@@ -257,6 +52,13 @@ export const difficultyColors = {
   Advanced: 'bg-danger-light text-danger',
 };
 
+/**
+ * Get a challenge by its ID
+ * @param {string} id - Challenge ID (matches the /challenges/$challengeId URL segment)
+ * @returns {Object|null} Challenge metadata or null if not found
+ */
+export const getChallengeById = (id) => challenges.find(c => c.id === id) || null;
+
 /**
  * Get challenge statistics
  */
@@ -278,10 +80,11 @@ export const getCategories = () => {
 
 /**
  * Get category counts
+ * @param {Object[]} [list] - Challenges to count (defaults to all challenges)
  */
-export const getCategoryCounts = () => {
-  const counts = { All: challenges.length };
-  challenges.forEach(c => {
+export const getCategoryCounts = (list = challenges) => {
+  const counts = { All: list.length };
+  list.forEach(c => {
     counts[c.category] = (counts[c.category] || 0) + 1;
   });
   return counts;
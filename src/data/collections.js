@@ -0,0 +1,106 @@
+/**
+ * Collection Data
+ * 
+ * The learner's starred challenges and their own named collections of
+ * challenges ("Interview prep", "Week 3 workshop"), saved in localStorage:
+ * 
+ *   {
+ *     "starred": ["counter", "modal"],
+ *     "collections": [{ "id": "...", "name": "Interview prep", "challengeIds": ["modal", "counter"], "createdAt": "..." }]
+ *   }
+ * 
+ * Both lists keep the order the learner gave them. A collection can be
+ * shared as a `/collections?name=...&ids=a,b` link (see getShareSearch
+ * and parseSharedCollection), which opens the same list for a teammate.
+ * 
+ * @module data/collections
+ */
+
+import { challenges } from './challenges';
+
+/**
+ * localStorage key holding the starred challenges and collections
+ */
+export const COLLECTIONS_STORAGE_KEY = 'react-practice-collections';
+
+/**
+ * Longest allowed collection name
+ */
+export const MAX_COLLECTION_NAME_LENGTH = 60;
+
+/**
+ * Initial (empty) collections state
+ */
+export const initialCollections = { starred: [], collections: [] };
+
+const challengeIds = new Set(challenges.map((c) => c.id));
+
+/**
+ * Tidy a collection name: trimmed, inner whitespace collapsed, length capped
+ * @param {string} name - Name as typed
+ * @returns {string} Cleaned name, empty when nothing is left
+ */
+export const cleanCollectionName = (name) =>
+  String(name).trim().replace(/\s+/g, ' ').slice(0, MAX_COLLECTION_NAME_LENGTH);
+
+/**
+ * Create a new collection
+ * @param {string} name - Collection name
+ * @param {string[]} [ids] - Challenge IDs to start with
+ * @returns {Object} Collection
+ */
+export const createCollection = (name, ids = []) => ({
+  id: crypto.randomUUID(),
+  name: cleanCollectionName(name),
+  challengeIds: [...new Set(ids)],
+  createdAt: new Date().toISOString(),
+});
+
+/**
+ * Move an item of a list by an offset, keeping it within the list
+ * @param {Array} list - List to reorder
+ * @param {number} index - Index of the item to move
+ * @param {number} offset - Places to move it, e.g. -1 for up
+ * @returns {Array} New list
+ * 
+ * @example
+ * moveItem(['a', 'b', 'c'], 2, -1) // ['a', 'c', 'b']
+ */
+export const moveItem = (list, index, offset) => {
+  const target = Math.min(Math.max(index + offset, 0), list.length - 1);
+  if (index < 0 || target === index) return list;
+  const next = [...list];
+  const [item] = next.splice(index, 1);
+  next.splice(target, 0, item);
+  return next;
+};
+
+/**
+ * Search params of a collection's share link
+ * @param {Object} collection - Collection to share
+ * @returns {{name: string, ids: string}} Name and comma-separated challenge IDs
+ */
+export const getShareSearch = (collection) => ({
+  name: collection.name,
+  ids: collection.challengeIds.join(','),
+});
+
+/**
+ * Read a shared collection from a share link's search params. Unknown
+ * and repeated challenge IDs are dropped, so an old link keeps working
+ * after a challenge is removed.
+ * @param {{name?: string, ids?: string}} search - Search params of the link
+ * @returns {{name: string, challengeIds: string[]}|null} The shared list, or null without any known challenge
+ */
+export const parseSharedCollection = ({ name = '', ids = '' }) => {
+  const challengeIdList = [...new Set(String(ids).split(','))].filter((id) => challengeIds.has(id));
+  if (challengeIdList.length === 0) return null;
+  return { name: cleanCollectionName(name), challengeIds: challengeIdList };
+};
+
+/**
+ * Count starred challenges and collections
+ * @param {Object} value - Stored collections state
+ * @returns {number} Starred challenges plus collections
+ */
+export const countCollections = (value) => value.starred.length + value.collections.length;
@@ -0,0 +1,220 @@
+/**
+ * Concepts Data
+ * 
+ * Glossary for the concept tags in each challenge's `concepts` array, and
+ * helpers that build the concept index pages from the challenge data.
+ * 
+ * Each glossary entry has a short definition, optional React docs link,
+ * and the keywords used to pick the learning points and hints that relate
+ * to the concept (case-insensitive substring match; defaults to the
+ * concept name).
+ * 
+ * @module data/concepts
+ */
+
+import { challenges } from './challenges';
+import { getSolutionById } from './solutions';
+
+/**
+ * Glossary entries keyed by concept name, as written in the challenge content files
+ */
+export const conceptGlossary = {
+  useState: {
+    definition: 'A React hook that adds a state variable to a component and returns the current value with a setter that triggers a re-render.',
+    docsUrl: 'https://react.dev/reference/react/useState',
+  },
+  useEffect: {
+    definition: 'A React hook that synchronizes a component with an external system, such as timers, browser events or the network, after render.',
+    docsUrl: 'https://react.dev/reference/react/useEffect',
+    keywords: ['useEffect', 'effect'],
+  },
+  useRef: {
+    definition: 'A React hook that holds a mutable value in .current which survives re-renders without causing them.',
+    docsUrl: 'https://react.dev/reference/react/useRef',
+    keywords: ['useRef', '.current'],
+  },
+  useMemo: {
+    definition: 'A React hook that caches the result of a calculation between renders until its dependencies change.',
+    docsUrl: 'https://react.dev/reference/react/useMemo',
+    keywords: ['useMemo', 'memo'],
+  },
+  useReducer: {
+    definition: 'A React hook that manages state with a reducer function, which computes the next state from the current state and a dispatched action.',
+    docsUrl: 'https://react.dev/reference/react/useReducer',
+    keywords: ['useReducer', 'reducer', 'dispatch'],
+  },
+  useLocalStorage: {
+    definition: 'A custom hook that works like useState but saves the value to localStorage so it survives page reloads.',
+    keywords: ['useLocalStorage', 'localStorage'],
+  },
+  'Custom Hooks': {
+    definition: 'Functions whose names start with use that package up stateful logic built from other hooks so components can share it.',
+    docsUrl: 'https://react.dev/learn/reusing-logic-with-custom-hooks',
+    keywords: ['custom hook', 'hook'],
+  },
+  'Event Handling': {
+    definition: 'Responding to user interactions by passing handler functions to props such as onClick and onChange.',
+    docsUrl: 'https://react.dev/learn/responding-to-events',
+    keywords: ['event', 'onClick', 'onChange', 'handler'],
+  },
+  'Event Listeners': {
+    definition: 'Subscribing to browser events outside React, such as window resize, with addEventListener and removing the listener again on cleanup.',
+    keywords: ['addEventListener', 'listener', 'resize'],
+  },
+  'Conditional Rendering': {
+    definition: 'Choosing what to render based on state or props, typically with &&, the ternary operator or an early return.',
+    docsUrl: 'https://react.dev/learn/conditional-rendering',
+    keywords: ['conditional', 'ternary', '&&'],
+  },
+  'Conditional Styling': {
+    definition: 'Deriving class names or inline styles from state so the look of a component follows its data.',
+    keywords: ['style', 'styling', 'className'],
+  },
+  'Object Lookup': {
+    definition: 'Mapping keys to values with a plain object instead of chains of if/else or switch statements.',
+    keywords: ['object', 'lookup', 'config'],
+  },
+  'Controlled Components': {
+    definition: 'Form elements whose value is driven by React state and updated through onChange, making React the single source of truth.',
+    docsUrl: 'https://react.dev/reference/react-dom/components/input#controlling-an-input-with-a-state-variable',
+    keywords: ['controlled', 'value'],
+  },
+  'Form Handling': {
+    definition: 'Reading, updating and submitting form input values, usually through controlled components and an onSubmit handler.',
+    keywords: ['form', 'input', 'submit'],
+  },
+  'Children Prop': {
+    definition: 'The children prop holds whatever JSX is nested inside a component, letting wrappers like modals render arbitrary content.',
+    docsUrl: 'https://react.dev/learn/passing-props-to-a-component#passing-jsx-as-children',
+    keywords: ['children'],
+  },
+  ARIA: {
+    definition: 'Accessible Rich Internet Applications attributes, such as role and aria-label, that describe widgets to assistive technology.',
+    keywords: ['aria', 'role', 'screen reader'],
+  },
+  Accessibility: {
+    definition: 'Building UI that everyone can use, including keyboard and screen reader users, with labels, focus management and clear error messages.',
+    keywords: ['accessib', 'aria', 'label', 'screen reader'],
+  },
+  'Array Mapping': {
+    definition: 'Turning an array of data into a list of elements with .map(), giving each element a stable key.',
+    docsUrl: 'https://react.dev/learn/rendering-lists',
+    keywords: ['map', 'key'],
+  },
+  'Array Methods': {
+    definition: 'Immutable array helpers such as map, filter and reduce, used to derive new state without mutating the old one.',
+    keywords: ['filter', 'map', 'reduce', 'array'],
+  },
+  'Array Slicing': {
+    definition: 'Taking a range of items from an array with .slice(start, end), for example to show one page of results.',
+    keywords: ['slice', 'slicing'],
+  },
+  'Boundary Checking': {
+    definition: 'Guarding against values outside a valid range, such as disabling a button at a minimum or on the last page.',
+    keywords: ['boundar', 'disable', 'first page', 'last page'],
+  },
+  'UUID Generation': {
+    definition: 'Creating unique IDs for new items, for example with crypto.randomUUID(), so list keys stay stable.',
+    keywords: ['uuid', 'unique'],
+  },
+  Debouncing: {
+    definition: 'Delaying work until input has stopped changing for a moment, so expensive filtering or requests do not run on every keystroke.',
+    keywords: ['debounc'],
+  },
+  setInterval: {
+    definition: 'A browser timer that calls a function repeatedly at a fixed delay until it is cleared with clearInterval.',
+    keywords: ['setInterval', 'clearInterval', 'interval'],
+  },
+  Cleanup: {
+    definition: 'The function returned from an effect, which React calls to undo the effect before re-running it or on unmount.',
+    docsUrl: 'https://react.dev/learn/synchronizing-with-effects#how-to-handle-the-effect-firing-twice-in-development',
+    keywords: ['cleanup', 'clean up', 'removeEventListener', 'clearInterval'],
+  },
+  Actions: {
+    definition: 'Plain objects with a type (and optional payload) that describe what happened, dispatched to a reducer.',
+    keywords: ['action', 'dispatch'],
+  },
+  'Component Composition': {
+    definition: 'Building complex UI from small, focused components that receive data and callbacks through props.',
+    keywords: ['compos', 'component'],
+  },
+  Validation: {
+    definition: 'Checking user input against rules and showing errors, either as the user types or when the form is submitted.',
+    keywords: ['validat', 'error'],
+  },
+  'Async/Await': {
+    definition: 'Syntax for writing promise-based code, such as fetch requests, as if it were sequential.',
+    keywords: ['async', 'await', 'promise'],
+  },
+  AbortController: {
+    definition: 'A browser API for cancelling fetch requests, used in effect cleanup to ignore responses that arrive after unmount.',
+    keywords: ['abort', 'signal'],
+  },
+  'Data Persistence': {
+    definition: 'Saving data outside the component, such as in localStorage, so it is still there after a reload.',
+    keywords: ['persist', 'localStorage', 'storage'],
+  },
+};
+
+/**
+ * Turn a concept name into its URL segment
+ * @param {string} name - Concept name, e.g. 'Async/Await'
+ * @returns {string} URL-safe slug, e.g. 'async-await'
+ */
+export const getConceptSlug = (name) =>
+  name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+/**
+ * Whether a piece of text relates to a concept
+ */
+const mentionsConcept = (text, keywords) => {
+  const lower = text.toLowerCase();
+  return keywords.some((keyword) => lower.includes(keyword.toLowerCase()));
+};
+
+/**
+ * Build the summary for one concept
+ */
+const buildConcept = (name) => {
+  const glossary = conceptGlossary[name] || {};
+  return {
+    name,
+    slug: getConceptSlug(name),
+    definition: glossary.definition || null,
+    docsUrl: glossary.docsUrl || null,
+    keywords: glossary.keywords || [name],
+    challenges: challenges.filter((c) => c.concepts.includes(name)),
+  };
+};
+
+/**
+ * Every concept used by a challenge, sorted by name
+ */
+export const concepts = [...new Set(challenges.flatMap((c) => c.concepts))]
+  .sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' }))
+  .map(buildConcept);
+
+/**
+ * Get a concept by its URL slug
+ * @param {string} slug - Concept slug
+ * @returns {Object|null} Concept or null if not found
+ */
+export const getConceptBySlug = (slug) => concepts.find((c) => c.slug === slug) || null;
+
+/**
+ * Get what a challenge teaches about a concept
+ * @param {Object} concept - Concept from `concepts`
+ * @param {Object} challenge - Challenge that lists the concept
+ * @returns {{learningPoints: string[], hints: Array<{title: string, content: string, hintNumber: number}>}}
+ *   Matching learning points, and matching hints with their 1-based position
+ */
+export const getConceptMaterial = (concept, challenge) => {
+  const hints = getSolutionById(challenge.id)?.hints || [];
+
+  return {
+    learningPoints: challenge.learningPoints.filter((point) => mentionsConcept(point, concept.keywords)),
+    hints: hints
+      .map((hint, index) => ({ ...hint, hintNumber: index + 1 }))
+      .filter((hint) => mentionsConcept(`${hint.title} ${hint.content}`, concept.keywords)),
+  };
+};
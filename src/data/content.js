@@ -0,0 +1,65 @@
+/**
+ * Challenge Content
+ * 
+ * Loads the challenge content files from src/content/challenges/. Each
+ * Markdown file is compiled by the challenge-content Vite plugin
+ * (scripts/vite-plugin-challenge-content.js) into a module exporting
+ * `order`, `challenge` and `solution`; data/challenges and data/solutions
+ * build their exports from these entries.
+ * 
+ * Translations in src/content/translations/<locale>/ are loaded on demand
+ * for the active locale and merged over the English content field by
+ * field (see LocaleProvider).
+ * 
+ * @module data/content
+ */
+
+const modules = import.meta.glob('../content/challenges/*.md', { eager: true });
+
+/**
+ * Compiled content entries, sorted by their `order` frontmatter field
+ * @type {Array<{order: number, challenge: Object, solution: Object}>}
+ */
+export const challengeContent = Object.values(modules).sort((a, b) => a.order - b.order);
+
+const translationModules = import.meta.glob('../content/translations/*/*.md');
+
+/**
+ * Load the content translations for a locale. Each locale's files are
+ * split into their own chunks, so only the active locale is downloaded.
+ * @param {string} locale - Locale code, e.g. 'es'
+ * @returns {Promise<Object>} Translations keyed by challenge ID, each with
+ *   partial `challenge` and `solution` objects
+ */
+export const loadContentTranslations = async (locale) => {
+  const loaders = Object.entries(translationModules)
+    .filter(([path]) => path.split('/').at(-2) === locale)
+    .map(([, load]) => load());
+  const modules = await Promise.all(loaders);
+  return Object.fromEntries(modules.map((module) => [module.id, module]));
+};
+
+/**
+ * Overlay translated content onto the English content, field by field.
+ * Missing or empty translated strings keep the English text; arrays are
+ * matched by position; fields the translation does not know about
+ * (ids, concepts, filenames) are always taken from the English content.
+ * @param {*} base - English value
+ * @param {*} translated - Translated value, possibly partial or undefined
+ * @returns {*} Merged value
+ * 
+ * @example
+ * mergeTranslation({ title: 'Counter', description: 'Count up' }, { title: 'Contador' })
+ * // { title: 'Contador', description: 'Count up' }
+ */
+export const mergeTranslation = (base, translated) => {
+  if (translated === undefined || translated === null) return base;
+  if (typeof base === 'string') return typeof translated === 'string' && translated.trim() !== '' ? translated : base;
+  if (Array.isArray(base)) {
+    return Array.isArray(translated) ? base.map((item, index) => mergeTranslation(item, translated[index])) : base;
+  }
+  if (base && typeof base === 'object') {
+    return Object.fromEntries(Object.entries(base).map(([key, value]) => [key, mergeTranslation(value, translated[key])]));
+  }
+  return base;
+};
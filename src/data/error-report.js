@@ -0,0 +1,56 @@
+/**
+ * Error Reports
+ * 
+ * Builds the "Report this problem" link shown when a challenge page
+ * crashes: a new GitHub issue in the challenge's repository, prefilled
+ * with the challenge, page and error so the report is useful as is.
+ * 
+ * @module data/error-report
+ */
+
+/**
+ * Longest stack trace included, so the link stays within URL length limits
+ */
+const MAX_STACK_LENGTH = 1500;
+
+/**
+ * Repository URL of a source file link
+ * @param {string} githubUrl - e.g. https://github.com/owner/repo/blob/main/src/challenges/Counter.jsx
+ * @returns {string|null} e.g. https://github.com/owner/repo
+ */
+const getRepositoryUrl = (githubUrl) => githubUrl?.match(/^https:\/\/github\.com\/[^/]+\/[^/]+/)?.[0] ?? null;
+
+/**
+ * Link that opens a prefilled GitHub issue about a crashed challenge
+ * @param {Object} options
+ * @param {Object} options.challenge - Challenge that crashed
+ * @param {string} [options.githubUrl] - Its solution's GitHub URL, locating the repository
+ * @param {Error|*} options.error - What was thrown
+ * @param {string} options.page - Path of the page, e.g. /challenges/counter?hint=2
+ * @returns {string|null} Issue URL, or null without a known repository
+ */
+export const createErrorReportUrl = ({ challenge, githubUrl, error, page }) => {
+  const repositoryUrl = getRepositoryUrl(githubUrl);
+  if (!repositoryUrl) return null;
+
+  const message = error instanceof Error ? `${error.name}: ${error.message}` : String(error);
+  const stack = error instanceof Error && error.stack ? error.stack.slice(0, MAX_STACK_LENGTH) : '';
+  // Some browsers start the stack with the message, others do not
+  const details = stack.startsWith(message) ? [stack] : [message, stack].filter(Boolean);
+  const body = [
+    `**Challenge:** ${challenge.title} (\`${challenge.id}\`)`,
+    `**Page:** \`${page}\``,
+    `**Browser:** ${navigator.userAgent}`,
+    '',
+    '**Error:**',
+    '```',
+    ...details,
+    '```',
+    '',
+    '**What I was doing:**',
+    '',
+  ].join('\n');
+
+  const params = new URLSearchParams({ title: `${challenge.title} crashed: ${message}`.slice(0, 200), body });
+  return `${repositoryUrl}/issues/new?${params}`;
+};
@@ -0,0 +1,148 @@
+/**
+ * Internationalization Data
+ * 
+ * Supported locales and helpers shared by LocaleProvider: reading the
+ * saved locale, applying `lang`/`dir` to <html>, looking up UI messages
+ * and formatting numbers and dates with Intl.
+ * 
+ * UI messages live in src/locales/<locale>.js; translated challenge
+ * content lives in src/content/translations/<locale>/ (see data/content).
+ * English is the source language and the fallback for anything missing.
+ * 
+ * The inline script in index.html repeats readLocale so `lang` and `dir`
+ * are set before first paint. Keep them in sync.
+ * 
+ * @module data/i18n
+ */
+
+import en from '../locales/en';
+import es from '../locales/es';
+import ar from '../locales/ar';
+
+/**
+ * localStorage key holding the selected locale
+ */
+export const LOCALE_STORAGE_KEY = 'react-practice-locale';
+
+/**
+ * Source language, used for anything a locale does not translate
+ */
+export const DEFAULT_LOCALE = 'en';
+
+/**
+ * Locale configuration with native names and text direction, in switcher order
+ */
+export const localeConfig = {
+  en: { label: 'English', dir: 'ltr' },
+  es: { label: 'Español', dir: 'ltr' },
+  ar: { label: 'العربية', dir: 'rtl' },
+};
+
+/**
+ * UI messages per locale
+ */
+export const messages = { en, es, ar };
+
+/**
+ * Read the stored locale, falling back to the browser language when it
+ * is supported, and to English otherwise
+ * @returns {string} A key of localeConfig
+ */
+export const readLocale = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(LOCALE_STORAGE_KEY));
+    if (localeConfig[stored]) return stored;
+  } catch {
+    // Ignore unreadable values and fall through to the browser language
+  }
+  const browserLocale = (navigator.languages || [navigator.language])
+    .map((language) => language?.split('-')[0])
+    .find((language) => localeConfig[language]);
+  return browserLocale || DEFAULT_LOCALE;
+};
+
+/**
+ * Apply a locale's language and text direction to the document
+ * @param {string} locale - A key of localeConfig
+ */
+export const applyLocale = (locale) => {
+  document.documentElement.lang = locale;
+  document.documentElement.dir = localeConfig[locale].dir;
+};
+
+/**
+ * Create the message lookup for a locale
+ * 
+ * Messages are looked up in the locale, then in English, then the ID is
+ * returned as is. `{name}` placeholders are filled from `values`; numbers
+ * are formatted for the locale. A message may be an object of plural
+ * forms (`one`, `other`, ...) picked by `values.count` with
+ * Intl.PluralRules. When any value is a React element (give it a `key`),
+ * an array of parts is returned instead of a string so it can be rendered
+ * inline.
+ * 
+ * @param {string} locale - A key of localeConfig
+ * @returns {(id: string, values?: Object) => string|Array} Translate function
+ * 
+ * @example
+ * const t = createTranslator('es');
+ * t('progress.hintsUsed', { count: 2 }); // '2 pistas usadas'
+ */
+export const createTranslator = (locale) => {
+  const pluralRules = new Intl.PluralRules(locale);
+  const numberFormat = new Intl.NumberFormat(locale);
+
+  return (id, values = {}) => {
+    const message = messages[locale]?.[id] ?? messages[DEFAULT_LOCALE][id];
+    if (message === undefined) return id;
+
+    const template = typeof message === 'object'
+      ? message[pluralRules.select(values.count ?? 0)] ?? message.other
+      : message;
+
+    // Odd parts are placeholder names, even parts literal text
+    const parts = template.split(/\{(\w+)\}/).map((part, index) => {
+      if (index % 2 === 0) return part;
+      if (!(part in values)) return `{${part}}`;
+      const value = values[part];
+      return typeof value === 'number' ? numberFormat.format(value) : value;
+    });
+
+    return parts.every((part) => typeof part === 'string') ? parts.join('') : parts.filter((part) => part !== '');
+  };
+};
+
+/**
+ * Create Intl formatters for a locale
+ * @param {string} locale - A key of localeConfig
+ * @returns {{formatNumber: Function, formatCurrency: Function, formatDate: Function, formatDuration: Function}}
+ */
+export const createFormatters = (locale) => ({
+  /**
+   * Format a number, e.g. 12345.6 -> '12.345,6' in Spanish
+   */
+  formatNumber: (value, options) => new Intl.NumberFormat(locale, options).format(value),
+
+  /**
+   * Format an amount of money; the app's prices are in US dollars
+   */
+  formatCurrency: (value, currency = 'USD') =>
+    new Intl.NumberFormat(locale, { style: 'currency', currency }).format(value),
+
+  /**
+   * Format a date or ISO date string
+   */
+  formatDate: (date, options = { dateStyle: 'medium' }) =>
+    new Intl.DateTimeFormat(locale, options).format(new Date(date)),
+
+  /**
+   * Format a duration in milliseconds as minutes and seconds, e.g.
+   * 95000 -> '1:35'; the sign is dropped
+   */
+  formatDuration: (ms) => {
+    const totalSeconds = Math.floor(Math.abs(ms) / 1000);
+    const minutes = new Intl.NumberFormat(locale).format(Math.floor(totalSeconds / 60));
+    const seconds = new Intl.NumberFormat(locale, { minimumIntegerDigits: 2 }).format(totalSeconds % 60);
+    return `${minutes}:${seconds}`;
+  },
+});
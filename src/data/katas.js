@@ -0,0 +1,57 @@
+/**
+ * Kata Data
+ * 
+ * Helpers for kata mode: rebuilding a challenge from scratch against the
+ * clock. Each challenge's target time is its `kataMinutes` field (see
+ * data/challenges).
+ * 
+ * Finished attempts are saved in localStorage keyed by challenge ID,
+ * oldest first:
+ * 
+ *   { "counter": [{ "elapsedMs": 241300, "targetMs": 300000, "completedAt": "..." }] }
+ * 
+ * The target is saved with each attempt, so history stays meaningful when
+ * a challenge's target changes.
+ * 
+ * @module data/katas
+ */
+
+/**
+ * localStorage key holding the saved attempts
+ */
+export const KATA_STORAGE_KEY = 'react-practice-katas';
+
+/**
+ * Attempts kept per challenge; older ones are dropped
+ */
+export const MAX_SAVED_KATA_ATTEMPTS = 20;
+
+/**
+ * Get a challenge's kata target time
+ * @param {Object} challenge - Challenge data object
+ * @returns {number} Target time in milliseconds
+ */
+export const getKataTargetMs = (challenge) => challenge.kataMinutes * 60 * 1000;
+
+/**
+ * Record an attempt, keeping the latest MAX_SAVED_KATA_ATTEMPTS per challenge
+ * @param {Object} results - Attempts keyed by challenge ID
+ * @param {string} challengeId - Challenge ID
+ * @param {{elapsedMs: number, targetMs: number}} attempt - Time taken and the target it was run against
+ * @returns {Object} Updated results
+ */
+export const addKataAttempt = (results, challengeId, { elapsedMs, targetMs }) => ({
+  ...results,
+  [challengeId]: [
+    ...(results[challengeId] || []),
+    { elapsedMs: Math.round(elapsedMs), targetMs, completedAt: new Date().toISOString() },
+  ].slice(-MAX_SAVED_KATA_ATTEMPTS),
+});
+
+/**
+ * Get the personal best of a challenge
+ * @param {Array<{elapsedMs: number}>} attempts - Saved attempts
+ * @returns {Object|null} Fastest attempt, or null when there are none
+ */
+export const getPersonalBest = (attempts = []) =>
+  attempts.reduce((best, attempt) => (!best || attempt.elapsedMs < best.elapsedMs ? attempt : best), null);
@@ -0,0 +1,133 @@
+/**
+ * Learning Paths Data
+ * 
+ * Named learning paths through the challenges and helpers for the
+ * prerequisite graph declared by each challenge's `prerequisites` field.
+ * 
+ * The graph is checked when this module loads: an unknown challenge ID
+ * or a cycle in the prerequisites throws, so mistakes in the data show
+ * up as soon as the app loads.
+ * 
+ * @module data/learning-paths
+ */
+
+import { challenges, getChallengeById } from './challenges';
+
+/**
+ * Learning paths, each an ordered track of challenge IDs
+ */
+export const learningPaths = [
+  {
+    id: 'hooks-fundamentals',
+    title: 'Hooks fundamentals',
+    description: 'Start from useState and work up to reducers and your own custom hooks.',
+    icon: '🪝',
+    challengeIds: ['counter', 'controlled-input', 'modal', 'todo-list', 'shopping-cart', 'notes-app'],
+  },
+  {
+    id: 'data-and-effects',
+    title: 'Data & effects',
+    description: 'Synchronize components with timers, browser events and the network, and clean up after them.',
+    icon: '⚡',
+    challengeIds: ['counter', 'timer', 'window-resizer', 'fetch-users'],
+  },
+  {
+    id: 'working-with-lists',
+    title: 'Working with lists',
+    description: 'Render, page, search and filter collections of data efficiently.',
+    icon: '📋',
+    challengeIds: ['counter', 'table', 'pagination', 'controlled-input', 'search', 'todo-list', 'shopping-cart', 'product-filters'],
+  },
+];
+
+/**
+ * Find a cycle in the prerequisite graph
+ * @param {Array<{id: string, prerequisites?: string[]}>} list - Challenges to check
+ * @returns {string[]|null} IDs along the cycle, starting and ending with the same ID, or null
+ */
+export const findPrerequisiteCycle = (list) => {
+  const prerequisitesById = new Map(list.map((c) => [c.id, c.prerequisites || []]));
+  const visited = new Set();
+  const stack = [];
+
+  const visit = (id) => {
+    const stackIndex = stack.indexOf(id);
+    if (stackIndex !== -1) return [...stack.slice(stackIndex), id];
+    if (visited.has(id)) return null;
+
+    visited.add(id);
+    stack.push(id);
+    for (const prerequisite of prerequisitesById.get(id) || []) {
+      const cycle = visit(prerequisite);
+      if (cycle) return cycle;
+    }
+    stack.pop();
+    return null;
+  };
+
+  for (const { id } of list) {
+    const cycle = visit(id);
+    if (cycle) return cycle;
+  }
+  return null;
+};
+
+/**
+ * Check the prerequisite graph and learning paths, throwing on the first problem
+ * @param {Array<Object>} list - Challenges to check
+ * @param {Array<Object>} paths - Learning paths to check
+ */
+export const validateLearningData = (list, paths) => {
+  const ids = new Set(list.map((c) => c.id));
+
+  list.forEach((challenge) => {
+    (challenge.prerequisites || []).forEach((prerequisite) => {
+      if (!ids.has(prerequisite)) {
+        throw new Error(`Challenge "${challenge.id}" has unknown prerequisite "${prerequisite}"`);
+      }
+    });
+  });
+
+  const cycle = findPrerequisiteCycle(list);
+  if (cycle) {
+    throw new Error(`Prerequisite cycle between challenges: ${cycle.join(' → ')}`);
+  }
+
+  paths.forEach((path) => {
+    path.challengeIds.forEach((id, index) => {
+      if (!ids.has(id)) throw new Error(`Learning path "${path.id}" has unknown challenge "${id}"`);
+
+      // A challenge's prerequisites on the same path must come before it
+      const prerequisites = list.find((c) => c.id === id).prerequisites || [];
+      const late = prerequisites.find((p) => path.challengeIds.indexOf(p) > index);
+      if (late) {
+        throw new Error(`Learning path "${path.id}" lists "${id}" before its prerequisite "${late}"`);
+      }
+    });
+  });
+};
+
+validateLearningData(challenges, learningPaths);
+
+/**
+ * Get the challenges recommended before a challenge
+ * @param {string} id - Challenge ID
+ * @returns {Object[]} Prerequisite challenges
+ */
+export const getPrerequisites = (id) =>
+  (getChallengeById(id)?.prerequisites || []).map(getChallengeById);
+
+/**
+ * Get the challenges that list a challenge as a prerequisite
+ * @param {string} id - Challenge ID
+ * @returns {Object[]} Challenges this one unlocks
+ */
+export const getUnlockedChallenges = (id) =>
+  challenges.filter((c) => c.prerequisites?.includes(id));
+
+/**
+ * Get the challenges of a learning path, in order
+ * @param {Object} path - Learning path
+ * @returns {Object[]} Challenges on the path
+ */
+export const getPathChallenges = (path) => path.challengeIds.map(getChallengeById);
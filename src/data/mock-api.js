@@ -0,0 +1,106 @@
+/**
+ * Mock API Settings
+ * 
+ * Settings of the in-app mock backend (see mock-api/install), shared by
+ * the control panel on Data Fetching challenge pages, the app window and
+ * the playground preview frame. They are stored in localStorage and read
+ * again on every request, so a change applies to the next request in
+ * every frame without a reload:
+ * 
+ *   { "source": "mock", "latency": 600, "errorRate": 10, "status": null }
+ * 
+ * - `source`: 'mock' answers `/api/...` requests in the browser; 'live'
+ *   forwards them to the real API at LIVE_API_ORIGIN
+ * - `latency`: delay before each mock response, in milliseconds
+ * - `errorRate`: percentage of mock requests that fail with a 500
+ * - `status`: forces every mock response to one of FORCED_STATUSES, or
+ *   to a network error; null answers normally
+ * 
+ * @module data/mock-api
+ */
+
+/**
+ * localStorage key holding the settings
+ */
+export const MOCK_API_STORAGE_KEY = 'react-practice-mock-api';
+
+/**
+ * Path prefix of the requests the mock backend answers
+ */
+export const MOCK_API_BASE = '/api';
+
+/**
+ * Real API the `live` source forwards to; it has the same routes
+ */
+export const LIVE_API_ORIGIN = 'https://dummyjson.com';
+
+/**
+ * Where `/api/...` requests are answered
+ */
+export const API_SOURCES = {
+  MOCK: 'mock',
+  LIVE: 'live',
+};
+
+/**
+ * Largest allowed latency, in milliseconds
+ */
+export const MAX_LATENCY = 5000;
+
+/**
+ * `status` value that makes requests fail like a dropped connection
+ */
+export const NETWORK_ERROR = 'network';
+
+/**
+ * HTTP status codes every mock response can be forced to, with their
+ * reason phrases
+ */
+export const FORCED_STATUSES = {
+  400: 'Bad Request',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'Not Found',
+  429: 'Too Many Requests',
+  500: 'Internal Server Error',
+  503: 'Service Unavailable',
+};
+
+/**
+ * Settings used until the learner changes them
+ */
+export const defaultMockApiSettings = {
+  source: API_SOURCES.MOCK,
+  latency: 600,
+  errorRate: 0,
+  status: null,
+};
+
+const clamp = (value, min, max) => Math.min(Math.max(Math.round(value), min), max);
+
+/**
+ * Fill in and bound stored settings, so a hand-edited or old value is safe to use
+ * @param {Object} value - Stored settings
+ * @returns {Object} Complete settings
+ */
+export const normalizeMockApiSettings = (value) => {
+  const settings = { ...defaultMockApiSettings, ...(typeof value === 'object' && value) };
+  return {
+    source: Object.values(API_SOURCES).includes(settings.source) ? settings.source : API_SOURCES.MOCK,
+    latency: Number.isFinite(settings.latency) ? clamp(settings.latency, 0, MAX_LATENCY) : defaultMockApiSettings.latency,
+    errorRate: Number.isFinite(settings.errorRate) ? clamp(settings.errorRate, 0, 100) : 0,
+    status: settings.status === NETWORK_ERROR || FORCED_STATUSES[settings.status] ? settings.status : null,
+  };
+};
+
+/**
+ * Read the stored settings
+ * @returns {Object} Complete settings
+ */
+export const readMockApiSettings = () => {
+  try {
+    return normalizeMockApiSettings(JSON.parse(localStorage.getItem(MOCK_API_STORAGE_KEY)));
+  } catch {
+    return defaultMockApiSettings;
+  }
+};
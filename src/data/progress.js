@@ -0,0 +1,102 @@
+/**
+ * Progress Data
+ * 
+ * Status definitions and pure helpers for the learner's per-challenge
+ * progress. The progress map itself lives in localStorage and is managed
+ * by ProgressProvider.
+ * 
+ * @module data/progress
+ */
+
+import { challenges } from './challenges';
+
+/**
+ * localStorage key holding the progress map
+ */
+export const PROGRESS_STORAGE_KEY = 'react-practice-progress';
+
+/**
+ * Challenge progress statuses
+ */
+export const PROGRESS_STATUS = {
+  NOT_STARTED: 'not-started',
+  IN_PROGRESS: 'in-progress',
+  COMPLETED: 'completed',
+};
+
+/**
+ * Status configuration with labels, colors and icons
+ */
+export const progressStatusConfig = {
+  [PROGRESS_STATUS.NOT_STARTED]: { label: 'Not started', color: 'bg-bg-tertiary text-text-muted', icon: '○' },
+  [PROGRESS_STATUS.IN_PROGRESS]: { label: 'In progress', color: 'bg-primary-light text-primary', icon: '◐' },
+  [PROGRESS_STATUS.COMPLETED]: { label: 'Completed', color: 'bg-success-light text-success', icon: '✓' },
+};
+
+/**
+ * Progress for a challenge nobody has touched yet
+ */
+const emptyProgress = {
+  status: PROGRESS_STATUS.NOT_STARTED,
+  startedAt: null,
+  completedAt: null,
+  hintsRevealed: 0,
+};
+
+/**
+ * Get the progress record for a challenge
+ * @param {Object} progress - Progress map keyed by challenge ID
+ * @param {string} id - Challenge ID
+ * @returns {{status: string, startedAt: string|null, completedAt: string|null, hintsRevealed: number}}
+ */
+export const getChallengeProgress = (progress, id) => ({ ...emptyProgress, ...progress[id] });
+
+/**
+ * Summarize progress across all challenges
+ * @param {Object} progress - Progress map keyed by challenge ID
+ * @returns {Object} Counts per status, completion percentage and total hints revealed
+ */
+export const getProgressSummary = (progress) => {
+  const records = challenges.map((c) => getChallengeProgress(progress, c.id));
+  const completed = records.filter((r) => r.status === PROGRESS_STATUS.COMPLETED).length;
+  const inProgress = records.filter((r) => r.status === PROGRESS_STATUS.IN_PROGRESS).length;
+
+  return {
+    total: challenges.length,
+    completed,
+    inProgress,
+    notStarted: challenges.length - completed - inProgress,
+    percentComplete: Math.round((completed / challenges.length) * 100),
+    hintsRevealed: records.reduce((sum, r) => sum + r.hintsRevealed, 0),
+  };
+};
+
+/**
+ * Order of statuses from least to most advanced
+ */
+const statusRank = [PROGRESS_STATUS.NOT_STARTED, PROGRESS_STATUS.IN_PROGRESS, PROGRESS_STATUS.COMPLETED];
+
+/**
+ * Combine two progress maps, e.g. when importing a backup. For each
+ * challenge the more advanced record wins; the most hints revealed in
+ * either is kept.
+ * @param {Object} current - Progress map in this browser
+ * @param {Object} imported - Progress map being imported
+ * @returns {Object} Merged progress map
+ */
+export const mergeProgress = (current, imported) => {
+  const merged = { ...current };
+  Object.entries(imported).forEach(([id, record]) => {
+    const existing = merged[id];
+    if (!existing) {
+      merged[id] = record;
+      return;
+    }
+    const winner = statusRank.indexOf(record.status) > statusRank.indexOf(existing.status) ? record : existing;
+    merged[id] = {
+      ...winner,
+      hintsRevealed: Math.max(existing.hintsRevealed || 0, record.hintsRevealed || 0),
+    };
+  });
+  return merged;
+};
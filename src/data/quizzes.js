@@ -0,0 +1,96 @@
+/**
+ * Quiz Data
+ * 
+ * Question types and helpers for the challenge quizzes. Each challenge's
+ * questions are authored in the `## Quiz` section of its content file and
+ * compiled onto its solution as `quiz` (see data/solutions). A category
+ * quiz draws the questions of every challenge in a categoryConfig
+ * category.
+ * 
+ * Scores are saved per attempt in localStorage, keyed by quiz ID: the
+ * challenge ID for a challenge quiz, `category:<slug>` for a category quiz.
+ * 
+ * @module data/quizzes
+ */
+
+import { challenges, categoryConfig } from './challenges';
+import { solutions } from './solutions';
+
+/**
+ * localStorage key holding the saved attempts
+ */
+export const QUIZ_RESULTS_STORAGE_KEY = 'react-practice-quiz-results';
+
+/**
+ * Attempts kept per quiz; older ones are dropped
+ */
+export const MAX_SAVED_ATTEMPTS = 10;
+
+/**
+ * Question type configuration with icons
+ */
+export const quizTypeConfig = {
+  choice: { icon: '❓' },
+  output: { icon: '🖥️' },
+  bug: { icon: '🐞' },
+};
+
+/**
+ * Get the URL slug for a category, e.g. 'State Management' -> 'state-management'
+ * @param {string} category - A key of categoryConfig
+ * @returns {string} Slug
+ */
+export const getCategorySlug = (category) => category.toLowerCase().replace(/\s+/g, '-');
+
+/**
+ * Find the category for a slug
+ * @param {string} slug - Category slug
+ * @returns {string|null} A key of categoryConfig, or null if none matches
+ */
+export const getCategoryBySlug = (slug) =>
+  Object.keys(categoryConfig).find((category) => category !== 'All' && getCategorySlug(category) === slug) || null;
+
+/**
+ * Get the quiz ID of a category quiz
+ * @param {string} category - A key of categoryConfig
+ * @returns {string} Quiz ID
+ */
+export const getCategoryQuizId = (category) => `category:${getCategorySlug(category)}`;
+
+/**
+ * Get the challenges in a category that have quiz questions
+ * @param {string} category - A key of categoryConfig
+ * @returns {Object[]} Challenges, in challenge order
+ */
+export const getCategoryQuizChallenges = (category) =>
+  challenges.filter((c) => c.category === category && solutions[c.id]?.quiz?.length > 0);
+
+/**
+ * Count the questions in a category quiz
+ * @param {string} category - A key of categoryConfig
+ * @returns {number} Question count
+ */
+export const getCategoryQuestionCount = (category) =>
+  getCategoryQuizChallenges(category).reduce((sum, c) => sum + solutions[c.id].quiz.length, 0);
+
+/**
+ * Record an attempt, keeping the latest MAX_SAVED_ATTEMPTS per quiz
+ * @param {Object} results - Attempts keyed by quiz ID
+ * @param {string} quizId - Quiz ID
+ * @param {{score: number, total: number}} attempt - Correct answers and question count
+ * @returns {Object} Updated results
+ */
+export const addQuizAttempt = (results, quizId, { score, total }) => ({
+  ...results,
+  [quizId]: [...(results[quizId] || []), { score, total, completedAt: new Date().toISOString() }].slice(
+    -MAX_SAVED_ATTEMPTS,
+  ),
+});
+
+/**
+ * Get the best attempt of a quiz
+ * @param {Array<{score: number, total: number}>} attempts - Saved attempts
+ * @returns {Object|null} Attempt with the highest share of right answers
+ */
+export const getBestAttempt = (attempts = []) =>
+  attempts.reduce((best, attempt) => (!best || attempt.score / attempt.total > best.score / best.total ? attempt : best), null);
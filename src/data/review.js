@@ -0,0 +1,156 @@
+/**
+ * Review Data
+ * 
+ * Spaced-repetition scheduling for completed challenges, based on the
+ * SM-2 algorithm. Each completed challenge gets a review card; after a
+ * review the learner rates how well they recalled it, and the rating sets
+ * the interval until the next review. Good recall stretches the interval
+ * (1 day, 6 days, then multiplied by the card's ease factor); forgetting
+ * starts it over at 1 day. The cards live in localStorage and are managed
+ * by useReviews.
+ * 
+ * Due dates are local calendar days ('YYYY-MM-DD'), so a review is due
+ * for the whole day whatever time it was scheduled at.
+ * 
+ * @module data/review
+ */
+
+import { challenges } from './challenges';
+import { PROGRESS_STATUS } from './progress';
+
+/**
+ * localStorage key holding the review cards
+ */
+export const REVIEW_STORAGE_KEY = 'react-practice-review';
+
+/**
+ * Recall ratings
+ */
+export const REVIEW_RATINGS = {
+  AGAIN: 'again',
+  HARD: 'hard',
+  GOOD: 'good',
+  EASY: 'easy',
+};
+
+/**
+ * Rating configuration with the SM-2 quality (0-5) and button color, in
+ * button order
+ */
+export const reviewRatingConfig = {
+  [REVIEW_RATINGS.AGAIN]: { quality: 1, color: 'border-danger text-danger hover:bg-danger-light' },
+  [REVIEW_RATINGS.HARD]: { quality: 3, color: 'border-warning text-warning hover:bg-warning-light' },
+  [REVIEW_RATINGS.GOOD]: { quality: 4, color: 'border-primary text-primary hover:bg-primary-light' },
+  [REVIEW_RATINGS.EASY]: { quality: 5, color: 'border-success text-success hover:bg-success-light' },
+};
+
+/**
+ * Ease factor of a new card, and the lowest it may fall to
+ */
+const INITIAL_EASE = 2.5;
+const MIN_EASE = 1.3;
+
+/**
+ * Format a date as a local calendar day
+ * @param {Date} [date] - Date, defaults to now
+ * @returns {string} Day as 'YYYY-MM-DD'
+ */
+export const toDateKey = (date = new Date()) =>
+  [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+    .map((part) => String(part).padStart(2, '0'))
+    .join('-');
+
+/**
+ * Turn a calendar day back into a local Date (at midnight)
+ * @param {string} dateKey - Day as 'YYYY-MM-DD'
+ * @returns {Date}
+ */
+export const parseDateKey = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+/**
+ * Move a calendar day by a number of days
+ * @param {string} dateKey - Day as 'YYYY-MM-DD'
+ * @param {number} days - Days to add
+ * @returns {string} Day as 'YYYY-MM-DD'
+ */
+export const addDays = (dateKey, days) => {
+  const date = parseDateKey(dateKey);
+  date.setDate(date.getDate() + days);
+  return toDateKey(date);
+};
+
+/**
+ * Create the card for a newly completed challenge, first due the day
+ * after it was completed
+ * @param {string|null} completedAt - ISO timestamp of completion
+ * @returns {Object} Review card
+ */
+export const createReviewCard = (completedAt) => ({
+  repetitions: 0,
+  interval: 0,
+  easeFactor: INITIAL_EASE,
+  due: addDays(toDateKey(completedAt ? new Date(completedAt) : new Date()), completedAt ? 1 : 0),
+  lastReviewedAt: null,
+});
+
+/**
+ * Schedule a card's next review from a recall rating (SM-2)
+ * @param {Object} card - Review card
+ * @param {string} rating - One of REVIEW_RATINGS
+ * @param {string} [today] - Day of the review as 'YYYY-MM-DD'
+ * @returns {Object} Updated review card
+ */
+export const scheduleReview = (card, rating, today = toDateKey()) => {
+  const { quality } = reviewRatingConfig[rating];
+  const easeFactor = Math.max(
+    MIN_EASE,
+    card.easeFactor + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02),
+  );
+
+  let repetitions = card.repetitions + 1;
+  let interval;
+  if (quality < 3) {
+    repetitions = 0;
+    interval = 1;
+  } else if (repetitions === 1) {
+    interval = 1;
+  } else if (repetitions === 2) {
+    interval = 6;
+  } else {
+    interval = Math.round(card.interval * easeFactor);
+  }
+
+  return {
+    repetitions,
+    interval,
+    easeFactor: Number(easeFactor.toFixed(2)),
+    due: addDays(today, interval),
+    lastReviewedAt: new Date().toISOString(),
+  };
+};
+
+/**
+ * List every completed challenge with its review card, soonest due first
+ * @param {Object} progress - Progress map keyed by challenge ID
+ * @param {Object} reviews - Review cards keyed by challenge ID
+ * @returns {Array<{challenge: Object, card: Object}>}
+ */
+export const getReviewQueue = (progress, reviews) =>
+  challenges
+    .filter((c) => progress[c.id]?.status === PROGRESS_STATUS.COMPLETED)
+    .map((challenge) => ({
+      challenge,
+      card: reviews[challenge.id] || createReviewCard(progress[challenge.id].completedAt),
+    }))
+    .sort((a, b) => a.card.due.localeCompare(b.card.due));
+
+/**
+ * Filter a review queue to the reviews due on or before a day
+ * @param {Array} queue - Queue from getReviewQueue
+ * @param {string} [today] - Day as 'YYYY-MM-DD'
+ * @returns {Array} Due entries, soonest first
+ */
+export const getDueReviews = (queue, today = toDateKey()) => queue.filter(({ card }) => card.due <= today);
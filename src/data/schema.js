@@ -0,0 +1,300 @@
+/**
+ * Data Schema
+ * 
+ * Schemas for the challenge and solution data compiled from the content
+ * files in src/content/challenges/, and the validator that checks them.
+ * The validator is run by the validate-data Vite plugin on `vite build`
+ * and while the dev server is running, so a typo in the data fails loudly
+ * instead of a page silently rendering nothing. Content translations and
+ * UI message files are checked against the English originals.
+ * 
+ * A schema describes each field with:
+ * - `type`: 'string', 'number', 'boolean', 'array' or 'object'
+ * - `optional`: field may be left out (fields are required by default)
+ * - `pattern` / `oneOf`: allowed string values
+ * - `min`: smallest allowed number; numbers must be integers
+ * - `items`: schema for each array item; `nonEmpty`: array needs one item
+ * - `fields`: schema for each key of a nested object; unknown keys are errors
+ * 
+ * @module data/schema
+ */
+
+import { challenges, categoryConfig, difficultyConfig } from './challenges';
+import { solutions } from './solutions';
+import { conceptGlossary } from './concepts';
+import { challengeComponents } from '../challenges/registry';
+import { localeConfig, DEFAULT_LOCALE, messages } from './i18n';
+import { quizTypeConfig } from './quizzes';
+
+const translationModules = import.meta.glob('../content/translations/*/*.md', { eager: true });
+
+/**
+ * Challenge IDs double as URL segments, so they must be kebab-case
+ */
+const ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+/**
+ * Schema for each entry of `challenges` in data/challenges
+ */
+export const challengeSchema = {
+  id: { type: 'string', pattern: ID_PATTERN },
+  title: { type: 'string' },
+  description: { type: 'string' },
+  difficulty: { type: 'string', oneOf: Object.keys(difficultyConfig).filter((d) => d !== 'All') },
+  category: { type: 'string', oneOf: Object.keys(categoryConfig).filter((c) => c !== 'All') },
+  concepts: { type: 'array', nonEmpty: true, items: { type: 'string' } },
+  icon: { type: 'string' },
+  prerequisites: { type: 'array', items: { type: 'string', pattern: ID_PATTERN } },
+  kataMinutes: { type: 'number', min: 1 },
+  learningPoints: { type: 'array', nonEmpty: true, items: { type: 'string' } },
+  keyConcepts: {
+    type: 'array',
+    optional: true,
+    items: { type: 'object', fields: { title: { type: 'string' }, description: { type: 'string' } } },
+  },
+  demoIntro: { type: 'string', optional: true },
+  pageWidth: { type: 'string', optional: true, pattern: /^max-w-/ },
+};
+
+/**
+ * Schema for each value of `solutions` in data/solutions
+ */
+export const solutionSchema = {
+  explanation: { type: 'string' },
+  hints: {
+    type: 'array',
+    nonEmpty: true,
+    items: { type: 'object', fields: { title: { type: 'string' }, content: { type: 'string' } } },
+  },
+  filename: { type: 'string', pattern: /^[A-Z]\w*\.jsx$/ },
+  githubUrl: { type: 'string', pattern: /^https:\/\/github\.com\/[^/]+\/[^/]+\/blob\/[^/]+\/src\/challenges\/[^/]+\.jsx$/ },
+  quiz: {
+    type: 'array',
+    nonEmpty: true,
+    items: {
+      type: 'object',
+      fields: {
+        type: { type: 'string', oneOf: Object.keys(quizTypeConfig) },
+        question: { type: 'string' },
+        prompt: { type: 'string', optional: true },
+        options: {
+          type: 'array',
+          nonEmpty: true,
+          items: {
+            type: 'object',
+            fields: { text: { type: 'string' }, correct: { type: 'boolean' }, explanation: { type: 'string' } },
+          },
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Describe a value's type for error messages
+ */
+const typeOf = (value) => {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+};
+
+/**
+ * Check an object against a schema
+ * @param {*} value - Value to check
+ * @param {Object} fields - Schema fields
+ * @param {string} path - Path of the value, used in error messages
+ * @returns {string[]} Error messages
+ */
+export const validateFields = (value, fields, path) => {
+  if (typeOf(value) !== 'object') return [`${path} must be an object, got ${typeOf(value)}`];
+
+  const errors = Object.keys(value)
+    .filter((key) => !fields[key])
+    .map((key) => `${path}.${key} is not a known field (expected one of: ${Object.keys(fields).join(', ')})`);
+
+  Object.entries(fields).forEach(([key, spec]) => {
+    if (value[key] === undefined) {
+      if (!spec.optional) errors.push(`${path}.${key} is required`);
+      return;
+    }
+    errors.push(...validateValue(value[key], spec, `${path}.${key}`));
+  });
+
+  return errors;
+};
+
+/**
+ * Check a single value against a field spec
+ * @param {*} value - Value to check
+ * @param {Object} spec - Field spec
+ * @param {string} path - Path of the value, used in error messages
+ * @returns {string[]} Error messages
+ */
+const validateValue = (value, spec, path) => {
+  if (spec.type === 'object') return validateFields(value, spec.fields, path);
+  if (typeOf(value) !== spec.type) return [`${path} must be a ${spec.type}, got ${typeOf(value)}`];
+
+  if (spec.type === 'array') {
+    if (spec.nonEmpty && value.length === 0) return [`${path} must not be empty`];
+    return value.flatMap((item, index) => validateValue(item, spec.items, `${path}[${index}]`));
+  }
+  if (spec.type === 'boolean') return [];
+  if (spec.type === 'number') {
+    if (!Number.isInteger(value)) return [`${path} must be a whole number, got ${value}`];
+    if (spec.min !== undefined && value < spec.min) return [`${path} is ${value}, expected at least ${spec.min}`];
+    return [];
+  }
+
+  if (value.trim() === '') return [`${path} must not be empty`];
+  if (spec.oneOf && !spec.oneOf.includes(value)) {
+    return [`${path} is "${value}", expected one of: ${spec.oneOf.join(', ')}`];
+  }
+  if (spec.pattern && !spec.pattern.test(value)) {
+    return [`${path} is "${value}", which does not match ${spec.pattern}`];
+  }
+  return [];
+};
+
+/**
+ * Directory of the file routes under /challenges/
+ */
+const CHALLENGE_ROUTES_DIR = 'src/routes/challenges';
+
+/**
+ * Find the file routes one level under /challenges/, following TanStack
+ * Router's file naming: `<segment>.jsx` or `<segment>/index.jsx`, where a
+ * `$param` segment matches any challenge ID. A file only counts when it
+ * declares the route for its own path, as the route generator requires.
+ * 
+ * @param {Object} files - Project file lookups, as for validateAppData
+ * @returns {string[]} Path segments served, e.g. ['$challengeId']
+ */
+const getChallengeRouteSegments = ({ exists, list, read }) =>
+  list(CHALLENGE_ROUTES_DIR).flatMap((name) => {
+    const segment = name.replace(/\.jsx$/, '');
+    const file = name.endsWith('.jsx') ? `${CHALLENGE_ROUTES_DIR}/${name}` : `${CHALLENGE_ROUTES_DIR}/${name}/index.jsx`;
+    if (segment === 'index' || !exists(file)) return [];
+    return read(file).includes(`createFileRoute('/challenges/${segment}')`) ? [segment] : [];
+  });
+
+/**
+ * Validate the challenge and solution data and cross-check them against
+ * the files in the project. Prerequisites and learning paths are checked
+ * by data/learning-paths itself when it loads.
+ * 
+ * @param {Object} files - Project file lookups
+ * @param {(path: string) => boolean} files.exists - Whether a path relative to the project root exists
+ * @param {(path: string) => string[]} files.list - Names in a directory relative to the project root; empty when it does not exist
+ * @param {(path: string) => string} files.read - Contents of an existing file relative to the project root
+ * @returns {string[]} Error messages; empty when the data is valid
+ */
+export const validateAppData = (files) => {
+  const { exists } = files;
+  const errors = [];
+  const seenIds = new Set();
+  const routeSegments = getChallengeRouteSegments(files);
+
+  challenges.forEach((challenge, index) => {
+    const label = `challenges[${index}]${typeof challenge?.id === 'string' ? ` (${challenge.id})` : ''}`;
+    errors.push(...validateFields(challenge, challengeSchema, label));
+
+    const { id } = challenge;
+    if (typeof id !== 'string') return;
+
+    if (seenIds.has(id)) errors.push(`${label}: duplicate challenge id "${id}"`);
+    seenIds.add(id);
+
+    if (!solutions[id]) errors.push(`${label}: no entry for "${id}" in data/solutions`);
+    if (!challengeComponents[id]) errors.push(`${label}: no component registered for "${id}" in challenges/registry`);
+    if (!routeSegments.some((segment) => segment === id || segment.startsWith('$'))) {
+      errors.push(`${label}: no route in ${CHALLENGE_ROUTES_DIR}/ serves /challenges/${id}`);
+    }
+
+    (challenge.concepts || []).forEach((concept) => {
+      if (typeof concept === 'string' && !conceptGlossary[concept]) {
+        errors.push(`${label}: concept "${concept}" has no glossary entry in data/concepts`);
+      }
+    });
+  });
+
+  Object.entries(solutions).forEach(([id, solution]) => {
+    const label = `solutions["${id}"]`;
+    if (!seenIds.has(id)) errors.push(`${label} does not match any challenge id`);
+    errors.push(...validateFields(solution, solutionSchema, label));
+
+    const { filename, githubUrl } = solution || {};
+    if (typeof filename !== 'string') return;
+
+    if (!exists(`src/challenges/${filename}`)) errors.push(`${label}.filename: src/challenges/${filename} does not exist`);
+    if (!exists(`src/starters/${filename}`)) errors.push(`${label}.filename: src/starters/${filename} does not exist`);
+    if (typeof githubUrl === 'string' && !githubUrl.endsWith(`/src/challenges/${filename}`)) {
+      errors.push(`${label}.githubUrl points at a different file than filename "${filename}": ${githubUrl}`);
+    }
+  });
+
+  Object.keys(challengeComponents).forEach((id) => {
+    if (!seenIds.has(id)) errors.push(`challenges/registry: component "${id}" does not match any challenge id`);
+  });
+
+  errors.push(...validateTranslations(), ...validateMessages());
+
+  return errors;
+};
+
+/**
+ * Check that a translated list has no more items than the English one
+ */
+const checkListLength = (translated, english, path) => {
+  if (!translated) return [];
+  if (!english) return [`${path} has no English counterpart to translate`];
+  return translated.length > english.length
+    ? [`${path} has ${translated.length} items but the English content has ${english.length}`]
+    : [];
+};
+
+/**
+ * Check the content translations in src/content/translations/<locale>/
+ * against the English challenges
+ * @returns {string[]} Error messages
+ */
+const validateTranslations = () =>
+  Object.entries(translationModules).flatMap(([path, { locale, id, challenge, solution }]) => {
+    const label = path.replace('../', 'src/');
+    const english = challenges.find((c) => c.id === id);
+    const errors = [];
+
+    if (!localeConfig[locale] || locale === DEFAULT_LOCALE) {
+      errors.push(`${label}: "${locale}" is not a translated locale in data/i18n`);
+    }
+    if (!path.endsWith(`/${id}.md`)) errors.push(`${label}: file name does not match id "${id}"`);
+    if (!english) return [...errors, `${label}: id "${id}" does not match any challenge id`];
+
+    errors.push(
+      ...checkListLength(challenge.learningPoints, english.learningPoints, `${label} learning points`),
+      ...checkListLength(challenge.keyConcepts, english.keyConcepts, `${label} key concepts`),
+      ...checkListLength(solution.hints, solutions[id]?.hints, `${label} hints`),
+      ...checkListLength(solution.quiz, solutions[id]?.quiz, `${label} quiz`),
+      ...(solution.quiz || []).flatMap((question, index) =>
+        checkListLength(question.options, solutions[id]?.quiz?.[index]?.options, `${label} quiz question ${index + 1} options`),
+      ),
+    );
+    if (challenge.demoIntro && !english.demoIntro) errors.push(`${label} demo intro has no English counterpart`);
+
+    return errors;
+  });
+
+/**
+ * Check that every locale's UI messages translate known English messages
+ * and that plural messages have an `other` form
+ * @returns {string[]} Error messages
+ */
+const validateMessages = () =>
+  Object.entries(messages).flatMap(([locale, localeMessages]) =>
+    Object.entries(localeMessages).flatMap(([id, message]) => {
+      const label = `locales/${locale} "${id}"`;
+      if (!(id in messages[DEFAULT_LOCALE])) return [`${label} is not an English message ID`];
+      if (typeof message === 'object' && typeof message.other !== 'string') return [`${label} needs an "other" plural form`];
+      return [];
+    }),
+  );
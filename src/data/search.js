@@ -0,0 +1,147 @@
+/**
+ * Search Data
+ * 
+ * Flat search index over challenge titles, descriptions, concepts,
+ * learning points and hint titles, plus the ranking used by the
+ * command palette. The index can be built over translated content so
+ * the palette searches what the learner reads. Also suggests challenges
+ * for a mistyped URL on the not-found pages.
+ * 
+ * @module data/search
+ */
+
+import { challenges } from './challenges';
+import { solutions } from './solutions';
+import { fuzzyMatch, editDistance } from '../utils/fuzzy';
+
+/**
+ * Kinds of searchable content
+ */
+export const SEARCH_RESULT_TYPES = {
+  CHALLENGE: 'challenge',
+  CONCEPT: 'concept',
+  HINT: 'hint',
+  LEARNING_POINT: 'learning-point',
+  DESCRIPTION: 'description',
+};
+
+/**
+ * Labels and ranking weights per result type
+ */
+export const searchResultTypeConfig = {
+  [SEARCH_RESULT_TYPES.CHALLENGE]: { label: 'Challenge', weight: 1.5 },
+  [SEARCH_RESULT_TYPES.CONCEPT]: { label: 'Concept', weight: 1.2 },
+  [SEARCH_RESULT_TYPES.HINT]: { label: 'Hint', weight: 1.1 },
+  [SEARCH_RESULT_TYPES.LEARNING_POINT]: { label: 'Learning point', weight: 1 },
+  [SEARCH_RESULT_TYPES.DESCRIPTION]: { label: 'Description', weight: 0.8 },
+};
+
+/**
+ * Maximum number of results returned for a query
+ */
+const MAX_RESULTS = 20;
+
+/**
+ * Maximum number of challenges suggested for a mistyped URL
+ */
+const MAX_SUGGESTIONS = 3;
+
+/**
+ * Build the search index: every searchable piece of text, tagged with its challenge
+ * @param {Function} localizeChallenge - Maps a challenge to the text to index
+ * @param {Function} localizeSolution - Maps (id, solution) to the text to index
+ * @returns {Array<Object>} Search entries
+ */
+export const createSearchEntries = (
+  localizeChallenge = (challenge) => challenge,
+  localizeSolution = (id, solution) => solution,
+) => challenges.map(localizeChallenge).flatMap((challenge) => {
+  const entry = (type, text, index = 0, extra = {}) => ({
+    key: `${challenge.id}:${type}:${index}`,
+    type,
+    text,
+    challenge,
+    ...extra,
+  });
+
+  const solution = solutions[challenge.id] && localizeSolution(challenge.id, solutions[challenge.id]);
+
+  return [
+    entry(SEARCH_RESULT_TYPES.CHALLENGE, challenge.title),
+    entry(SEARCH_RESULT_TYPES.DESCRIPTION, challenge.description),
+    ...challenge.concepts.map((concept, i) => entry(SEARCH_RESULT_TYPES.CONCEPT, concept, i)),
+    ...challenge.learningPoints.map((point, i) => entry(SEARCH_RESULT_TYPES.LEARNING_POINT, point, i)),
+    ...(solution?.hints || []).map((hint, i) =>
+      entry(SEARCH_RESULT_TYPES.HINT, hint.title, i, { hintIndex: i }),
+    ),
+  ];
+});
+
+/**
+ * English search index, used unless another one is passed to searchContent
+ */
+const defaultSearchEntries = createSearchEntries();
+
+/**
+ * Search challenges and their content
+ * @param {string} query - Search text
+ * @param {Array<Object>} searchEntries - Index from createSearchEntries
+ * @returns {Array<Object>} Ranked entries with the matched character `indices`.
+ *   An empty query lists every challenge.
+ */
+export const searchContent = (query, searchEntries = defaultSearchEntries) => {
+  if (!query.trim()) {
+    return searchEntries
+      .filter((entry) => entry.type === SEARCH_RESULT_TYPES.CHALLENGE)
+      .map((entry) => ({ ...entry, indices: [] }));
+  }
+
+  return searchEntries
+    .map((entry) => {
+      const match = fuzzyMatch(query, entry.text);
+      if (!match) return null;
+      return {
+        ...entry,
+        indices: match.indices,
+        score: match.score * searchResultTypeConfig[entry.type].weight,
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_RESULTS);
+};
+
+/**
+ * Suggest the challenges a mistyped URL most likely meant, by fuzzy match
+ * of its last path segment against challenge IDs and titles, falling back
+ * to the fewest edits from an ID for typos fuzzy matching cannot see
+ * @param {string} path - URL path or challenge ID, e.g. '/challenges/countr'
+ * @returns {Array<Object>} Up to MAX_SUGGESTIONS challenges, best first
+ * 
+ * @example
+ * suggestChallenges('/challenge/todo-lst') // [{ id: 'todo-list', ... }]
+ */
+export const suggestChallenges = (path) => {
+  const segment = path.split('/').filter(Boolean).pop() || '';
+  let query;
+  try {
+    query = decodeURIComponent(segment);
+  } catch {
+    query = segment;
+  }
+  query = query.toLowerCase().replace(/[\s_]+/g, '-');
+  if (query.length < 2) return [];
+
+  const maxDistance = Math.max(2, Math.floor(query.length / 3));
+  return challenges
+    .map((challenge) => {
+      const match = fuzzyMatch(query, challenge.id) || fuzzyMatch(query.replace(/-/g, ' '), challenge.title);
+      const distance = editDistance(query, challenge.id);
+      if (!match && distance > maxDistance) return null;
+      return { challenge, score: match ? match.score : -distance };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_SUGGESTIONS)
+    .map(({ challenge }) => challenge);
+};
@@ -0,0 +1,132 @@
+/**
+ * Keyboard Shortcut Data
+ * 
+ * The app's keyboard shortcuts, their default keys and the learner's
+ * own bindings, saved in localStorage as the bindings that differ from
+ * the defaults:
+ * 
+ *   { "nextChallenge": "n", "goChallenges": "g l" }
+ * 
+ * A binding is one key, or a sequence of keys separated by spaces that
+ * are pressed one after the other (`g c`). Keys are KeyboardEvent.key
+ * values, so `?` is Shift+/ on a US keyboard and `J` is Shift+J.
+ * Shortcuts never fire while typing in a text field or with Ctrl, Alt
+ * or Meta held, so they leave inputs and browser shortcuts alone.
+ * 
+ * @module data/shortcuts
+ */
+
+/**
+ * localStorage key holding the learner's bindings
+ */
+export const SHORTCUTS_STORAGE_KEY = 'react-practice-shortcuts';
+
+/**
+ * Time allowed between the keys of a sequence, in milliseconds
+ */
+export const SEQUENCE_TIMEOUT = 1000;
+
+/**
+ * Most keys a binding may have
+ */
+export const MAX_SEQUENCE_LENGTH = 2;
+
+/**
+ * Shortcut actions, in cheatsheet order
+ */
+export const SHORTCUT_ACTIONS = {
+  HELP: 'help',
+  GO_CHALLENGES: 'goChallenges',
+  NEXT_CHALLENGE: 'nextChallenge',
+  PREVIOUS_CHALLENGE: 'previousChallenge',
+  NEXT_HINT: 'nextHint',
+  TOGGLE_SOLUTION: 'toggleSolution',
+};
+
+/**
+ * Default binding and cheatsheet section of each action. Global actions
+ * work on every page; the others only where the page registers them.
+ */
+export const shortcutConfig = {
+  [SHORTCUT_ACTIONS.HELP]: { binding: '?', scope: 'global' },
+  [SHORTCUT_ACTIONS.GO_CHALLENGES]: { binding: 'g c', scope: 'global' },
+  [SHORTCUT_ACTIONS.NEXT_CHALLENGE]: { binding: 'j', scope: 'challenge' },
+  [SHORTCUT_ACTIONS.PREVIOUS_CHALLENGE]: { binding: 'k', scope: 'challenge' },
+  [SHORTCUT_ACTIONS.NEXT_HINT]: { binding: 'h', scope: 'challenge' },
+  [SHORTCUT_ACTIONS.TOGGLE_SOLUTION]: { binding: 's', scope: 'challenge' },
+};
+
+/**
+ * Default binding of every action
+ */
+export const defaultBindings = Object.fromEntries(
+  Object.entries(shortcutConfig).map(([action, config]) => [action, config.binding]),
+);
+
+/**
+ * Split a binding into its keys
+ * @param {string} binding - e.g. 'g c'
+ * @returns {string[]} e.g. ['g', 'c']
+ */
+export const getBindingKeys = (binding) => binding.split(' ').filter(Boolean);
+
+/**
+ * Check whether a stored binding can be used
+ * @param {*} binding - Stored value
+ * @returns {boolean}
+ */
+const isValidBinding = (binding) =>
+  typeof binding === 'string' &&
+  getBindingKeys(binding).length > 0 &&
+  getBindingKeys(binding).length <= MAX_SEQUENCE_LENGTH;
+
+/**
+ * Every action's binding: the learner's where they set a valid one,
+ * the default otherwise
+ * @param {Object} stored - Stored bindings
+ * @returns {Object} Binding per action
+ */
+export const resolveBindings = (stored) =>
+  Object.fromEntries(
+    Object.keys(shortcutConfig).map((action) => [
+      action,
+      isValidBinding(stored?.[action]) ? stored[action] : defaultBindings[action],
+    ]),
+  );
+
+/**
+ * Find the action whose binding clashes with a new one: the same keys,
+ * or one starting with the other so the shorter would always win
+ * @param {Object} bindings - Current binding per action
+ * @param {string} action - Action being rebound
+ * @param {string} binding - New binding
+ * @returns {string|null} The clashing action
+ */
+export const findConflict = (bindings, action, binding) => {
+  const startsWith = (longer, shorter) => `${longer} `.startsWith(`${shorter} `);
+  return (
+    Object.keys(bindings).find(
+      (other) => other !== action && (startsWith(bindings[other], binding) || startsWith(binding, bindings[other])),
+    ) ?? null
+  );
+};
+
+/**
+ * Check whether a key press should be left to the page: typing in a
+ * field, or a key combination with a modifier other than Shift
+ * @param {KeyboardEvent} event - The key press
+ * @returns {boolean}
+ */
+export const isIgnoredKeyEvent = (event) => {
+  if (event.ctrlKey || event.metaKey || event.altKey || event.isComposing) return true;
+  const target = event.target;
+  if (!(target instanceof Element)) return false;
+  return Boolean(target.closest('input, textarea, select, [contenteditable]:not([contenteditable="false"])'));
+};
+
+/**
+ * Check whether a key can be part of a binding; modifier keys alone cannot
+ * @param {string} key - KeyboardEvent.key
+ * @returns {boolean}
+ */
+export const isBindableKey = (key) => !['Shift', 'Control', 'Alt', 'Meta', 'CapsLock', 'Tab', 'Escape', 'Enter', ' '].includes(key);
@@ -0,0 +1,21 @@
+/**
+ * Solution Sources
+ * 
+ * Raw source of the reference components in src/challenges, bundled with
+ * the app so solutions can be read offline and always match the running
+ * version. Each file is loaded on demand into its own chunk.
+ * 
+ * @module data/solution-sources
+ */
+
+const solutionSources = import.meta.glob('../challenges/*.jsx', { query: '?raw', import: 'default' });
+
+/**
+ * Load the reference source for a challenge component
+ * @param {string} filename - Component filename from data/solutions (e.g. 'Counter.jsx')
+ * @returns {Promise<string|null>} Source code or null if the file does not exist
+ */
+export const loadSolutionSource = async (filename) => {
+  const load = solutionSources[`../challenges/${filename}`];
+  return load ? load() : null;
+};
@@ -0,0 +1,73 @@
+/**
+ * Theme Data
+ * 
+ * Color theme modes and helpers shared by ThemeProvider and the
+ * playground editor, which passes the theme on to its preview frame. The
+ * chosen mode is stored in localStorage; the resolved theme is applied as
+ * data-theme on <html>, which switches the design tokens in index.css.
+ * 
+ * The inline script in index.html repeats readThemeMode/resolveTheme so
+ * the theme is set before first paint. Keep them in sync.
+ * 
+ * @module data/theme
+ */
+
+/**
+ * localStorage key holding the selected theme mode
+ */
+export const THEME_STORAGE_KEY = 'react-practice-theme';
+
+/**
+ * Selectable theme modes
+ */
+export const THEME_MODES = {
+  LIGHT: 'light',
+  DARK: 'dark',
+  SYSTEM: 'system',
+};
+
+/**
+ * Theme mode configuration with labels and icons, in switcher order
+ */
+export const themeModeConfig = {
+  [THEME_MODES.LIGHT]: { label: 'Light', icon: '☀️' },
+  [THEME_MODES.DARK]: { label: 'Dark', icon: '🌙' },
+  [THEME_MODES.SYSTEM]: { label: 'System', icon: '💻' },
+};
+
+/**
+ * Media query matching an OS-level dark color scheme
+ */
+export const DARK_SCHEME_QUERY = '(prefers-color-scheme: dark)';
+
+/**
+ * Read the stored theme mode, falling back to following the system
+ * @returns {string} One of THEME_MODES
+ */
+export const readThemeMode = () => {
+  try {
+    const mode = JSON.parse(localStorage.getItem(THEME_STORAGE_KEY));
+    return themeModeConfig[mode] ? mode : THEME_MODES.SYSTEM;
+  } catch {
+    return THEME_MODES.SYSTEM;
+  }
+};
+
+/**
+ * Resolve a theme mode to the theme that should be shown
+ * @param {string} mode - One of THEME_MODES
+ * @param {boolean} prefersDark - Whether the OS prefers a dark color scheme
+ * @returns {'light'|'dark'} Theme to apply
+ */
+export const resolveTheme = (mode, prefersDark) => {
+  if (mode === THEME_MODES.SYSTEM) return prefersDark ? THEME_MODES.DARK : THEME_MODES.LIGHT;
+  return mode === THEME_MODES.DARK ? THEME_MODES.DARK : THEME_MODES.LIGHT;
+};
+
+/**
+ * Apply a resolved theme to the document
+ * @param {'light'|'dark'} theme - Theme to apply
+ */
+export const applyTheme = (theme) => {
+  document.documentElement.dataset.theme = theme;
+};
@@ -0,0 +1,27 @@
+/**
+ * useAnnotations Hook
+ * 
+ * Reads and updates the learner's challenge annotations. Must be used
+ * inside AnnotationsProvider, which keeps a single copy so the notes
+ * panel, hint cards and the My Notes page all see the same data.
+ * 
+ * @returns {Object} Annotations keyed by challenge ID,
+ *   getAnnotations(challengeId) and the update actions
+ * 
+ * @example
+ * const { getAnnotations, addAnnotation } = useAnnotations();
+ * 
+ * addAnnotation('counter', { content: 'Use `prev => prev + 1`', hint: 0 });
+ */
+
+import { createContext, useContext } from 'react';
+
+export const AnnotationsContext = createContext(null);
+
+export const useAnnotations = () => {
+  const context = useContext(AnnotationsContext);
+  if (!context) {
+    throw new Error('useAnnotations must be used within an AnnotationsProvider');
+  }
+  return context;
+};
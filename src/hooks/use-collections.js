@@ -0,0 +1,28 @@
+/**
+ * useCollections Hook
+ * 
+ * Reads and updates the learner's starred challenges and collections.
+ * Must be used inside CollectionsProvider, which keeps a single copy so
+ * the star toggles on cards and challenge pages and the Collections page
+ * all see the same data.
+ * 
+ * @returns {Object} Starred IDs, collections, isStarred(id) and the update actions
+ * 
+ * @example
+ * const { isStarred, toggleStar, addCollection } = useCollections();
+ * 
+ * toggleStar('counter');
+ * addCollection('Interview prep', ['modal', 'counter']);
+ */
+
+import { createContext, useContext } from 'react';
+
+export const CollectionsContext = createContext(null);
+
+export const useCollections = () => {
+  const context = useContext(CollectionsContext);
+  if (!context) {
+    throw new Error('useCollections must be used within a CollectionsProvider');
+  }
+  return context;
+};
@@ -0,0 +1,34 @@
+/**
+ * useKataResults Hook
+ * 
+ * Saved kata attempts for a challenge, persisted with useLocalStorage
+ * (see data/katas).
+ * 
+ * @param {string} challengeId - Challenge ID
+ * @returns {{attempts: Array, personalBest: Object|null, recordAttempt: Function}}
+ *   Saved attempts (oldest first), the fastest of them, and
+ *   recordAttempt(elapsedMs, targetMs) to save a finished attempt
+ * 
+ * @example
+ * const { personalBest, recordAttempt } = useKataResults('counter');
+ * 
+ * recordAttempt(241300, 300000);
+ */
+
+import { useLocalStorage } from './use-local-storage';
+import { KATA_STORAGE_KEY, addKataAttempt, getPersonalBest } from '../data/katas';
+
+/**
+ * Initial (empty) results
+ */
+const initialResults = {};
+
+export const useKataResults = (challengeId) => {
+  const [results, setResults] = useLocalStorage(KATA_STORAGE_KEY, initialResults);
+  const attempts = results[challengeId] || [];
+
+  const recordAttempt = (elapsedMs, targetMs) =>
+    setResults((previous) => addKataAttempt(previous, challengeId, { elapsedMs, targetMs }));
+
+  return { attempts, personalBest: getPersonalBest(attempts), recordAttempt };
+};
@@ -1,4 +1,7 @@
-import { useEffect, useState } from "react";
+import { useCallback, useEffect, useRef, useState } from "react";
+
+// The storage event only reaches other tabs; this one syncs hooks in the same tab
+const SAME_TAB_EVENT = "react-practice-local-storage";
 
 export function useLocalStorage(key, initialValue = "") {
   const [value, setValue] = useState(() => {
@@ -12,25 +15,49 @@ export function useLocalStorage(key, initialValue = "") {
     }
   });
 
-  const updateValue = (newValue) => {
-    try {
-      setValue(newValue);
-      localStorage.setItem(key, JSON.stringify(newValue));
-    } catch {
-      // fail silently or log
-    }
-  };
+  // Latest value, so several updates in the same tick build on each other
+  const valueRef = useRef(value);
 
-  // Sync across tabs + key changes
+  // Stable setter; accepts a value or a function of the previous value
+  const updateValue = useCallback(
+    (newValue) => {
+      const nextValue = typeof newValue === "function" ? newValue(valueRef.current) : newValue;
+      valueRef.current = nextValue;
+      setValue(nextValue);
+      try {
+        localStorage.setItem(key, JSON.stringify(nextValue));
+      } catch {
+        // fail silently or log
+      }
+      window.dispatchEvent(
+        new window.CustomEvent(SAME_TAB_EVENT, { detail: { key, value: nextValue, source: valueRef } })
+      );
+    },
+    [key]
+  );
+
+  // Sync across tabs and other hooks for the same key + key changes
   useEffect(() => {
     const handleStorage = (e) => {
       if (e.key === key) {
-        setValue(e.newValue ? JSON.parse(e.newValue) : initialValue);
+        const nextValue = e.newValue ? JSON.parse(e.newValue) : initialValue;
+        valueRef.current = nextValue;
+        setValue(nextValue);
+      }
+    };
+    const handleSameTab = (e) => {
+      if (e.detail.key === key && e.detail.source !== valueRef) {
+        valueRef.current = e.detail.value;
+        setValue(e.detail.value);
       }
     };
 
     window.addEventListener("storage", handleStorage);
-    return () => window.removeEventListener("storage", handleStorage);
+    window.addEventListener(SAME_TAB_EVENT, handleSameTab);
+    return () => {
+      window.removeEventListener("storage", handleStorage);
+      window.removeEventListener(SAME_TAB_EVENT, handleSameTab);
+    };
   }, [key, initialValue]);
 
   return [value, updateValue];
@@ -0,0 +1,53 @@
+/**
+ * useLocale Hook
+ * 
+ * Reads and changes the UI language. LocaleProvider persists the
+ * selected locale, applies `lang`/`dir` to the document and loads the
+ * translated challenge content.
+ * 
+ * Unlike useTheme, this hook works outside the provider too: it then
+ * returns English. Challenge components format prices and dates with it,
+ * and they are also rendered on their own by the playground specs and
+ * the preview frame.
+ * 
+ * @returns {{
+ *   locale: string,
+ *   dir: 'ltr'|'rtl',
+ *   setLocale: Function,
+ *   t: Function,
+ *   formatNumber: Function,
+ *   formatCurrency: Function,
+ *   formatDate: Function,
+ *   formatDuration: Function,
+ *   localizeChallenge: Function,
+ *   localizeSolution: Function
+ * }} Active locale, its message lookup and Intl formatters, and helpers
+ *   that overlay translated content onto a challenge or solution
+ * 
+ * @example
+ * const { t, formatCurrency } = useLocale();
+ * 
+ * return <p>{t('cart.total')}: {formatCurrency(total)}</p>;
+ */
+
+import { createContext, useContext } from 'react';
+import { DEFAULT_LOCALE, localeConfig, createTranslator, createFormatters } from '../data/i18n';
+
+/**
+ * Fixed context value for a locale, without content translations or a
+ * working setLocale; used outside LocaleProvider
+ * @param {string} locale - A key of localeConfig
+ */
+export const createStaticLocale = (locale) => ({
+  locale,
+  dir: localeConfig[locale].dir,
+  setLocale: () => {},
+  t: createTranslator(locale),
+  ...createFormatters(locale),
+  localizeChallenge: (challenge) => challenge,
+  localizeSolution: (id, solution) => solution,
+});
+
+export const LocaleContext = createContext(createStaticLocale(DEFAULT_LOCALE));
+
+export const useLocale = () => useContext(LocaleContext);
@@ -0,0 +1,31 @@
+/**
+ * useOnlineStatus Hook
+ * 
+ * Tracks whether the browser has a network connection, following the
+ * window's `online` and `offline` events.
+ * 
+ * @returns {boolean} Whether the browser is online
+ * 
+ * @example
+ * const isOnline = useOnlineStatus();
+ * 
+ * return isOnline ? <a href={url}>Docs</a> : <span>Docs (offline)</span>;
+ */
+
+import { useSyncExternalStore } from 'react';
+
+/**
+ * Subscribe to connection changes
+ */
+const subscribe = (onChange) => {
+  window.addEventListener('online', onChange);
+  window.addEventListener('offline', onChange);
+  return () => {
+    window.removeEventListener('online', onChange);
+    window.removeEventListener('offline', onChange);
+  };
+};
+
+const getIsOnline = () => navigator.onLine;
+
+export const useOnlineStatus = () => useSyncExternalStore(subscribe, getIsOnline);
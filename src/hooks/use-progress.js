@@ -0,0 +1,27 @@
+/**
+ * useProgress Hook
+ * 
+ * Reads and updates the learner's per-challenge progress. Must be used
+ * inside ProgressProvider, which keeps a single copy of the progress map
+ * so every component sees the same data.
+ * 
+ * @returns {Object} Progress map, getProgress(id) and the update actions
+ * 
+ * @example
+ * const { getProgress, completeChallenge } = useProgress();
+ * const { status, hintsRevealed } = getProgress('counter');
+ * 
+ * return <button onClick={() => completeChallenge('counter')}>Done</button>;
+ */
+
+import { createContext, useContext } from 'react';
+
+export const ProgressContext = createContext(null);
+
+export const useProgress = () => {
+  const context = useContext(ProgressContext);
+  if (!context) {
+    throw new Error('useProgress must be used within a ProgressProvider');
+  }
+  return context;
+};
@@ -0,0 +1,34 @@
+/**
+ * useQuizResults Hook
+ * 
+ * Saved quiz attempts, persisted with useLocalStorage and keyed by quiz
+ * ID (see data/quizzes).
+ * 
+ * @param {string} quizId - Quiz ID: a challenge ID or a category quiz ID
+ * @returns {{attempts: Array, bestAttempt: Object|null, recordAttempt: Function}}
+ *   Saved attempts (oldest first), the best of them, and
+ *   recordAttempt(score, total) to save a finished attempt
+ * 
+ * @example
+ * const { bestAttempt, recordAttempt } = useQuizResults('counter');
+ * 
+ * recordAttempt(2, 3);
+ */
+
+import { useLocalStorage } from './use-local-storage';
+import { QUIZ_RESULTS_STORAGE_KEY, addQuizAttempt, getBestAttempt } from '../data/quizzes';
+
+/**
+ * Initial (empty) results
+ */
+const initialResults = {};
+
+export const useQuizResults = (quizId) => {
+  const [results, setResults] = useLocalStorage(QUIZ_RESULTS_STORAGE_KEY, initialResults);
+  const attempts = results[quizId] || [];
+
+  const recordAttempt = (score, total) =>
+    setResults((previous) => addQuizAttempt(previous, quizId, { score, total }));
+
+  return { attempts, bestAttempt: getBestAttempt(attempts), recordAttempt };
+};
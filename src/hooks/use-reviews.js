@@ -0,0 +1,41 @@
+/**
+ * useReviews Hook
+ * 
+ * Spaced-repetition review queue for the learner's completed challenges.
+ * Review cards are persisted with useLocalStorage; challenges completed
+ * since their last review get a new card on the fly. Must be used inside
+ * ProgressProvider.
+ * 
+ * @returns {{queue: Array, dueReviews: Array, rateReview: Function}}
+ *   Every completed challenge with its card (soonest due first), the ones
+ *   due today, and rateReview(id, rating) to schedule the next review
+ * 
+ * @example
+ * const { dueReviews, rateReview } = useReviews();
+ * 
+ * return <button onClick={() => rateReview('counter', 'good')}>Good</button>;
+ */
+
+import { useLocalStorage } from './use-local-storage';
+import { useProgress } from './use-progress';
+import { REVIEW_STORAGE_KEY, getReviewQueue, getDueReviews, scheduleReview } from '../data/review';
+
+/**
+ * Initial (empty) review cards
+ */
+const initialReviews = {};
+
+export const useReviews = () => {
+  const { progress } = useProgress();
+  const [reviews, setReviews] = useLocalStorage(REVIEW_STORAGE_KEY, initialReviews);
+  const queue = getReviewQueue(progress, reviews);
+
+  const rateReview = (id, rating) => {
+    const entry = queue.find(({ challenge }) => challenge.id === id);
+    if (!entry) return;
+    // Build on the latest cards, so ratings in the same tick all count
+    setReviews((previous) => ({ ...previous, [id]: scheduleReview(previous[id] || entry.card, rating) }));
+  };
+
+  return { queue, dueReviews: getDueReviews(queue), rateReview };
+};
@@ -0,0 +1,86 @@
+/**
+ * useServiceWorker Hook
+ * 
+ * State of the service worker that keeps the app usable offline (see
+ * src/service-worker.js): whether a new version of the app has been
+ * installed and is waiting, and whether offline support could not be set
+ * up at all (e.g. in a private window that blocks service workers).
+ * 
+ * A new worker does not take over by itself, so open tabs keep running
+ * the version they loaded; the learner applies the update from the
+ * prompt, which reloads the page once the new worker is active.
+ * 
+ * main.jsx hands the worker registration to `watchForUpdates`, or the
+ * registration error to `reportRegistrationFailure`.
+ * 
+ * @returns {{isUpdateReady: boolean, applyUpdate: Function, isOfflineUnavailable: boolean}}
+ *   Whether a new version is waiting, a function that switches to it, and
+ *   whether the app will not work offline
+ * 
+ * @example
+ * const { isUpdateReady, applyUpdate } = useServiceWorker();
+ * 
+ * return isUpdateReady && <button onClick={applyUpdate}>Reload</button>;
+ */
+
+import { useSyncExternalStore } from 'react';
+
+/**
+ * Registration being watched, the current state, and its listeners
+ */
+let watchedRegistration = null;
+let state = { isUpdateReady: false, isOfflineUnavailable: false };
+const listeners = new Set();
+
+const setState = (changes) => {
+  state = { ...state, ...changes };
+  listeners.forEach((listener) => listener());
+};
+
+/**
+ * Watch a service worker registration for a new version that has
+ * finished installing. The first install, when no worker controls the
+ * page yet, is not an update.
+ * @param {ServiceWorkerRegistration} registration - The app's registration
+ */
+export const watchForUpdates = (registration) => {
+  watchedRegistration = registration;
+  if (registration.waiting && navigator.serviceWorker.controller) setState({ isUpdateReady: true });
+
+  registration.addEventListener('updatefound', () => {
+    const worker = registration.installing;
+    worker?.addEventListener('statechange', () => {
+      if (worker.state === 'installed' && navigator.serviceWorker.controller) setState({ isUpdateReady: true });
+    });
+  });
+};
+
+/**
+ * Record that the service worker could not be registered, so the app
+ * can tell the learner it will not work offline
+ */
+export const reportRegistrationFailure = () => setState({ isOfflineUnavailable: true });
+
+/**
+ * Activate the waiting worker and reload this tab once it has taken
+ * over. Other tabs stay on their version until they reload.
+ */
+const applyUpdate = () => {
+  const waiting = watchedRegistration?.waiting;
+  if (!waiting) {
+    // Another tab already switched to the new version
+    window.location.reload();
+    return;
+  }
+  navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+  waiting.postMessage({ type: 'SKIP_WAITING' });
+};
+
+const subscribe = (onChange) => {
+  listeners.add(onChange);
+  return () => listeners.delete(onChange);
+};
+
+const getState = () => state;
+
+export const useServiceWorker = () => ({ ...useSyncExternalStore(subscribe, getState), applyUpdate });
@@ -0,0 +1,47 @@
+/**
+ * useShortcuts Hook
+ * 
+ * Reads the keyboard shortcut bindings, rebinds them and opens the
+ * cheatsheet. Must be used inside ShortcutsProvider, which listens for
+ * key presses once for the whole app.
+ * 
+ * useShortcut registers what an action does on the current page; the
+ * action only fires while the component that registered it is mounted,
+ * so `j`/`k` do nothing outside challenge pages.
+ * 
+ * @returns {Object} Bindings per action, setBinding, resetBindings and openHelp
+ * 
+ * @example
+ * const { bindings, setBinding } = useShortcuts();
+ * setBinding('nextChallenge', 'n'); // null, or the action it clashes with
+ * 
+ * useShortcut('toggleSolution', () => setIsOpen((open) => !open));
+ */
+
+import { createContext, useContext, useEffect, useRef } from 'react';
+
+export const ShortcutsContext = createContext(null);
+
+export const useShortcuts = () => {
+  const context = useContext(ShortcutsContext);
+  if (!context) {
+    throw new Error('useShortcuts must be used within a ShortcutsProvider');
+  }
+  return context;
+};
+
+/**
+ * Run a handler when an action's keys are pressed, while this component is mounted
+ * @param {string} action - One of SHORTCUT_ACTIONS
+ * @param {Function} handler - What the shortcut does; may change every render
+ */
+export const useShortcut = (action, handler) => {
+  const { registerShortcut } = useShortcuts();
+  const handlerRef = useRef(handler);
+
+  useEffect(() => {
+    handlerRef.current = handler;
+  });
+
+  useEffect(() => registerShortcut(action, () => handlerRef.current()), [action, registerShortcut]);
+};
@@ -0,0 +1,78 @@
+/**
+ * useStopwatch Hook
+ * 
+ * A pausable stopwatch for kata mode. It uses the Timer challenge's
+ * approach (an interval started in an effect, its ID kept in a ref and
+ * cleared on cleanup) but is drift-free: instead of adding one tick per
+ * interval, which falls behind whenever the browser delays or throttles
+ * timers, the elapsed time is worked out from performance.now() and the
+ * interval only triggers re-renders.
+ * 
+ * @param {number} [tickMs=250] - How often the displayed time updates while running
+ * @returns {{elapsed: number, isRunning: boolean, start: Function, pause: Function, stop: Function, reset: Function}}
+ *   Elapsed milliseconds, whether it is running, and controls. stop()
+ *   resets the stopwatch and returns the final elapsed time.
+ * 
+ * @example
+ * const { elapsed, isRunning, start, pause, stop } = useStopwatch();
+ * 
+ * const handleDone = () => saveTime(stop());
+ */
+
+import { useState, useEffect, useRef } from 'react';
+
+export const useStopwatch = (tickMs = 250) => {
+  // performance.now() when the current run started, null while paused
+  const [startedAt, setStartedAt] = useState(null);
+  // Time from the runs before the last pause
+  const [accumulated, setAccumulated] = useState(0);
+  // Latest tick, used to work out the running time
+  const [now, setNow] = useState(0);
+  // Interval ID (doesn't cause re-renders when changed)
+  const intervalRef = useRef(null);
+  const isRunning = startedAt !== null;
+
+  useEffect(() => {
+    if (isRunning) {
+      intervalRef.current = setInterval(() => setNow(performance.now()), tickMs);
+    }
+
+    return () => {
+      if (intervalRef.current) {
+        clearInterval(intervalRef.current);
+        intervalRef.current = null;
+      }
+    };
+  }, [isRunning, tickMs]);
+
+  /**
+   * Elapsed time up to a moment, counting the current run
+   */
+  const elapsedAt = (moment) => accumulated + (isRunning ? Math.max(0, moment - startedAt) : 0);
+
+  const start = () => {
+    if (isRunning) return;
+    const moment = performance.now();
+    setStartedAt(moment);
+    setNow(moment);
+  };
+
+  const pause = () => {
+    if (!isRunning) return;
+    setAccumulated(elapsedAt(performance.now()));
+    setStartedAt(null);
+  };
+
+  const reset = () => {
+    setStartedAt(null);
+    setAccumulated(0);
+  };
+
+  const stop = () => {
+    const elapsed = elapsedAt(performance.now());
+    reset();
+    return elapsed;
+  };
+
+  return { elapsed: elapsedAt(now), isRunning, start, pause, stop, reset };
+};
@@ -0,0 +1,28 @@
+/**
+ * useTheme Hook
+ * 
+ * Reads and changes the site color theme. Must be used inside
+ * ThemeProvider, which persists the selected mode and applies the
+ * resolved theme to the document.
+ * 
+ * @returns {{mode: string, theme: 'light'|'dark', setMode: Function}}
+ *   Selected mode (light, dark or system), the theme actually shown and
+ *   a setter for the mode
+ * 
+ * @example
+ * const { mode, setMode } = useTheme();
+ * 
+ * return <button onClick={() => setMode('dark')}>Dark ({mode})</button>;
+ */
+
+import { createContext, useContext } from 'react';
+
+export const ThemeContext = createContext(null);
+
+export const useTheme = () => {
+  const context = useContext(ThemeContext);
+  if (!context) {
+    throw new Error('useTheme must be used within a ThemeProvider');
+  }
+  return context;
+};
@@ -0,0 +1,565 @@
+/**
+ * Arabic Messages
+ * 
+ * Translations of locales/en. Missing IDs fall back to English. Arabic
+ * has six plural categories (zero, one, two, few, many, other), so plural
+ * messages list each of them. Arrows point left because the layout is RTL.
+ * 
+ * @module locales/ar
+ */
+
+export default {
+  // Header and footer
+  'nav.home': 'الرئيسية',
+  'nav.challenges': 'التحديات',
+  'nav.paths': 'المسارات',
+  'nav.concepts': 'المفاهيم',
+  'nav.review': 'المراجعة',
+  'nav.quizzes': 'الاختبارات',
+  'nav.myNotes': 'ملاحظاتي',
+  'nav.collections': 'المجموعات',
+  'nav.settings': 'الإعدادات',
+  'header.search': 'بحث',
+  'header.searchLabel': 'البحث في التحديات',
+  'header.language': 'اللغة',
+  'theme.label': 'سمة الألوان',
+  'theme.option': 'السمة: {theme}',
+  'theme.light': 'فاتحة',
+  'theme.dark': 'داكنة',
+  'theme.system': 'النظام',
+  'footer.copyright': '© {year} React Practice. أُنشئ لأغراض التعلّم.',
+  'footer.reactDocs': 'توثيق React',
+  'footer.shortcuts': 'اختصارات لوحة المفاتيح {key}',
+  'offline.title': 'أنت غير متصل.',
+  'offline.body': 'تبقى التحديات وساحة التجربة وبياناتك المحفوظة تعمل؛ أما الروابط الخارجية فتحتاج إلى اتصال.',
+  'offline.unavailable.title': 'وضع عدم الاتصال متوقف.',
+  'offline.unavailable.body': 'منع هذا المتصفح عامل الخدمة، لذا يحتاج التطبيق إلى اتصال؛ ولا تتأثر بياناتك المحفوظة.',
+  'update.title': 'يتوفر إصدار جديد.',
+  'update.body': 'أعد التحميل لاستخدامه؛ تبقى بياناتك المحفوظة كما هي.',
+  'update.reload': 'إعادة التحميل',
+
+  // Challenge data labels
+  'difficulty.All': 'الكل',
+  'difficulty.Beginner': 'مبتدئ',
+  'difficulty.Intermediate': 'متوسط',
+  'difficulty.Advanced': 'متقدم',
+  'category.All': 'الكل',
+  'category.State Management': 'إدارة الحالة',
+  'category.Custom Hooks': 'خطافات مخصصة',
+  'category.Side Effects': 'التأثيرات الجانبية',
+  'category.Data Fetching': 'جلب البيانات',
+  'category.Performance': 'الأداء',
+
+  // Progress
+  'progress.status.not-started': 'لم يبدأ',
+  'progress.status.in-progress': 'قيد التقدم',
+  'progress.status.completed': 'مكتمل',
+  'progress.completedOn': 'اكتمل في {date}',
+  'progress.completedOf': 'اكتمل {completed} من {total}',
+  'progress.inProgress': '{count} قيد التقدم',
+  'progress.hintsUsed': {
+    zero: 'لم تُستخدم أي تلميحات',
+    one: 'تلميح واحد مستخدم',
+    two: 'تلميحان مستخدمان',
+    few: '{count} تلميحات مستخدمة',
+    many: '{count} تلميحًا مستخدمًا',
+    other: '{count} تلميح مستخدم',
+  },
+
+  // Shared
+  'common.whatYoullLearn': 'ما ستتعلمه',
+
+  // Home page
+  'home.hero.title': 'أتقن React من خلال',
+  'home.hero.titleHighlight': 'تحديات عملية',
+  'home.hero.intro': 'مجموعة من تمارين React العملية المصممة لتعزيز فهمك للخطافات وإدارة الحالة وأنماط المكونات.',
+  'home.hero.viewAll': 'عرض كل التحديات',
+  'home.hero.docs': 'توثيق React',
+  'home.progress.title': 'تقدّمك',
+  'home.progress.barLabel': 'التحديات المكتملة',
+  'home.review.start': 'ابدأ المراجعة ←',
+  'home.review.schedule': 'اعرض جدول المراجعة ←',
+  'home.stats.challenges': 'التحديات',
+  'home.stats.hooks': 'خطافات React',
+  'home.stats.difficulties': 'مستويات الصعوبة',
+  'home.featured.title': 'تحديات مميزة',
+  'home.featured.viewAll': 'عرض الكل ({count}) ←',
+
+  // Challenges page
+  'challenges.title': 'تحديات React',
+  'challenges.intro': 'استكشف مجموعتنا من تحديات React المصممة لمساعدتك على إتقان الخطافات وإدارة الحالة وأنماط React الحديثة. يتضمن كل تحدٍّ أمثلة عملية وأهدافًا تعليمية.',
+  'challenges.searchPlaceholder': 'ابحث بالعنوان أو الوصف أو المفهوم...',
+  'challenges.searchLabel': 'تصفية التحديات بالنص',
+  'challenges.sortBy': 'ترتيب حسب',
+  'challenges.sort.difficulty': 'الصعوبة',
+  'challenges.sort.title': 'العنوان',
+  'challenges.sort.progress': 'التقدّم',
+  'challenges.category': 'الفئة',
+  'challenges.difficulty': 'الصعوبة',
+  'challenges.showing': 'عرض {shown} من {total} تحديًا',
+  'challenges.clearFilters': 'مسح عوامل التصفية',
+  'challenges.empty': 'لا توجد تحديات لعامل التصفية هذا.',
+  'challenges.moreConcepts': '+{count} أخرى',
+
+  // Challenge page
+  'challenge.heading': 'تحدي {title}',
+  'challenge.markComplete': 'وضع علامة مكتمل',
+  'challenge.markNotDone': 'وضع علامة غير مكتمل',
+  'challenge.recommendedBefore': 'يُنصح به قبل هذا',
+  'challenge.unlocksNext': 'يفتح التالي',
+  'challenge.relatedCompleted': '(مكتمل)',
+  'challenge.viewSource': 'عرض الشيفرة على GitHub',
+  'challenge.noDemo': 'لا يحتوي هذا التحدي على عرض تفاعلي بعد.',
+  'challenge.loading': 'جارٍ تحميل التحدي...',
+  'challenge.demo': 'عرض تفاعلي',
+  'challenge.keyConcepts': 'المفاهيم الأساسية المكتسبة',
+  'challenge.notFound.title': 'التحدي غير موجود',
+  'challenge.notFound.body': 'لا يوجد تحدٍّ بالمعرّف {id}.',
+  'challenge.notFound.browse': 'تصفح كل التحديات',
+  'challenge.error.title': 'تعطّل هذا التحدي',
+  'challenge.error.body': 'حدث خطأ أثناء عرض {title}. بقية التطبيق ما زالت تعمل، ويمكنك تحميل هذا التحدي من جديد.',
+  'challenge.error.details': 'تتبّع المكدّس',
+  'challenge.error.retry': 'أعد المحاولة',
+  'challenge.error.report': 'أبلغ عن المشكلة',
+  'notFound.title': 'الصفحة غير موجودة',
+  'notFound.body': 'لا توجد صفحة في {path}.',
+  'notFound.home': 'اذهب إلى الصفحة الرئيسية',
+  'notFound.suggestions': 'هل تقصد',
+
+  // Solution panel
+  'solution.hide': 'إخفاء الحل',
+  'solution.needHelp': 'تحتاج إلى مساعدة؟',
+  'solution.collapse': 'انقر للطي',
+  'solution.expand': 'عرض التلميحات وشيفرة الحل',
+  'solution.approach': 'النهج',
+  'solution.hints': 'التلميحات ({revealed}/{total})',
+  'solution.hintNumber': 'التلميح {number}',
+  'solution.reveal': 'انقر للكشف',
+  'solution.revealCode': 'كشف الحل',
+  'solution.code': 'شيفرة الحل',
+  'solution.locked': '💡 اكشف كل التلميحات لفتح شيفرة الحل',
+  'solution.github': 'عرض على GitHub',
+  'solution.githubOffline': 'GitHub غير متاح دون اتصال؛ الشيفرة الكاملة معروضة في الأعلى.',
+
+  // Source viewer
+  'source.copy': 'نسخ',
+  'source.copied': 'تم النسخ!',
+  'source.copyFailed': 'تعذّر النسخ',
+  'source.expand': 'توسيع',
+  'source.collapse': 'طي',
+  'source.lines': {
+    zero: 'لا أسطر',
+    one: 'سطر واحد',
+    two: 'سطران',
+    few: '{count} أسطر',
+    many: '{count} سطرًا',
+    other: '{count} سطر',
+  },
+  'source.showAll': 'عرض كل الأسطر ({count})',
+
+  // Code diff
+  'diff.compare': 'قارن مع شيفرتي',
+  'diff.yours': 'شيفرتك',
+  'diff.reference': 'الحل المرجعي',
+  'diff.layout': 'طريقة عرض المقارنة',
+  'diff.split': 'جنبًا إلى جنب',
+  'diff.unified': 'موحّد',
+  'diff.ignoreWhitespace': 'تجاهل المسافات البيضاء',
+  'diff.ignoreComments': 'تجاهل التعليقات',
+  'diff.previous': 'التغيير السابق',
+  'diff.next': 'التغيير التالي',
+  'diff.changes': {
+    zero: 'لا تغييرات',
+    one: 'تغيير واحد',
+    two: 'تغييران',
+    few: '{count} تغييرات',
+    many: '{count} تغييرًا',
+    other: '{count} تغيير',
+  },
+  'diff.position': 'التغيير {current} من {total}',
+  'diff.noChanges': 'شيفرتك مطابقة للحل المرجعي.',
+  'diff.starterNote': 'لم تعدّل ساحة التجربة بعد، لذا تُقارَن الشيفرة الابتدائية.',
+  'diff.refresh': 'قارن مجددًا',
+  'diff.close': 'إغلاق',
+
+  // Playground
+  'playground.title': 'ساحة التجربة',
+  'playground.intro': 'ابنِ التحدي بنفسك في {filename}',
+  'playground.reset': 'إعادة إلى البداية',
+  'playground.runSpecs': 'تشغيل الاختبارات',
+  'playground.editorLabel': 'شيفرة {filename}',
+  'playground.previewTitle': 'معاينة {filename}',
+  'playground.error.compile': 'خطأ في الترجمة',
+  'playground.error.runtime': 'خطأ في التشغيل',
+  'playground.error.other': 'خطأ',
+  'playground.specs': 'الاختبارات',
+  'playground.passing': 'نجح {passed}/{total}',
+  'playground.running': 'جارٍ تشغيل الاختبارات...',
+  'playground.noSpecs': 'لا يحتوي هذا التحدي على اختبارات بعد.',
+
+  // Command palette
+  'search.dialogLabel': 'البحث في التحديات',
+  'search.placeholder': 'ابحث في التحديات والمفاهيم والتلميحات...',
+  'search.inputLabel': 'البحث في التحديات والمفاهيم والتلميحات',
+  'search.noResults': 'لا نتائج لـ "{query}"',
+  'search.navigate': '{keys} للتنقل',
+  'search.open': '{key} للفتح',
+  'search.close': '{key} للإغلاق',
+  'search.type.challenge': 'تحدٍّ',
+  'search.type.concept': 'مفهوم',
+  'search.type.hint': 'تلميح',
+  'search.type.learning-point': 'نقطة تعلّم',
+  'search.type.description': 'وصف',
+
+  // Learning paths
+  'paths.title': 'مسارات التعلّم',
+  'paths.intro': 'لا تعرف من أين تبدأ؟ كل مسار سلسلة مرتبة من التحديات تبني كل خطوة فيها على ما قبلها.',
+
+  // Concepts
+  'concepts.title': 'المفاهيم',
+  'concepts.intro': 'كل الخطافات والأنماط والتقنيات التي تغطيها التحديات. اختر مفهومًا لترى تعريفًا موجزًا والتحديات ونقاط التعلّم والتلميحات التي تشرحه.',
+  'concepts.challengeCount': {
+    zero: 'لا تحديات',
+    one: 'تحدٍّ واحد',
+    two: 'تحديان',
+    few: '{count} تحديات',
+    many: '{count} تحديًا',
+    other: '{count} تحدٍّ',
+  },
+  'concept.docs': 'اقرأ المزيد في توثيق React ←',
+  'concept.taughtIn': {
+    zero: 'لا يُدرَّس في أي تحدٍّ',
+    one: 'يُدرَّس في تحدٍّ واحد',
+    two: 'يُدرَّس في تحديين',
+    few: 'يُدرَّس في {count} تحديات',
+    many: 'يُدرَّس في {count} تحديًا',
+    other: 'يُدرَّس في {count} تحدٍّ',
+  },
+  'concept.relatedHints': 'تلميحات ذات صلة',
+  'concept.hint': 'التلميح {number}: {title}',
+  'concept.notFound.title': 'المفهوم غير موجود',
+  'concept.notFound.body': 'لا يوجد تحدٍّ يشرح مفهومًا باسم {concept}.',
+  'concept.notFound.browse': 'تصفح كل المفاهيم',
+
+  // Review
+  'review.title': 'المراجعة',
+  'review.intro': 'تعود التحديات المكتملة للمراجعة قبل أن تنساها بقليل. حاول تذكّر كل تلميح ثم قيّم مدى تذكّرك: كلما تذكّرت التحدي أفضل طالت المدة قبل أن تراه مجددًا.',
+  'review.dueCount': {
+    zero: 'لا مراجعات مستحقة اليوم',
+    one: 'مراجعة واحدة مستحقة اليوم',
+    two: 'مراجعتان مستحقتان اليوم',
+    few: '{count} مراجعات مستحقة اليوم',
+    many: '{count} مراجعة مستحقة اليوم',
+    other: '{count} مراجعة مستحقة اليوم',
+  },
+  'review.prompt': 'كيف حللت هذا التحدي؟ حاول الإجابة عن كل تلميح من ذاكرتك قبل عرض الإجابات.',
+  'review.noHints': 'لا تلميحات لهذا التحدي. فكّر في طريقة بنائك له ثم افتح التحدي للتحقق.',
+  'review.reveal': 'اعرض الإجابات',
+  'review.rate': 'إلى أي حد تذكّرته؟',
+  'review.rating.again': 'مجددًا',
+  'review.rating.hard': 'صعب',
+  'review.rating.good': 'جيد',
+  'review.rating.easy': 'سهل',
+  'review.interval': {
+    zero: 'اليوم',
+    one: 'بعد يوم واحد',
+    two: 'بعد يومين',
+    few: 'بعد {count} أيام',
+    many: 'بعد {count} يومًا',
+    other: 'بعد {count} يوم',
+  },
+  'review.openChallenge': 'افتح التحدي ←',
+  'review.empty.title': 'لا شيء للمراجعة بعد',
+  'review.empty.body': 'أكمل تحديًا وستُجدوَل مراجعته هنا.',
+  'review.empty.browse': 'تصفح التحديات',
+  'review.done.title': 'أنهيت مراجعات اليوم',
+  'review.done.next': 'المراجعة التالية في {date}.',
+  'review.schedule.title': 'الجدول',
+  'review.schedule.today': 'مستحقة اليوم',
+  'review.schedule.due': 'مستحقة في {date}',
+
+  // Quizzes
+  'quiz.title': 'اختبار',
+  'quiz.intro': 'تحقّق مما تعلّمته ببضعة أسئلة سريعة.',
+  'quiz.categoryLink': 'خذ اختبار {category} ←',
+  'quiz.type.choice': 'اختيار من متعدد',
+  'quiz.type.output': 'ماذا يُعرَض؟',
+  'quiz.type.bug': 'اعثر على الخطأ',
+  'quiz.from': 'من {title}',
+  'quiz.correctAnswer': 'إجابة صحيحة',
+  'quiz.wrongAnswer': 'إجابة خاطئة',
+  'quiz.progress': 'السؤال {number} من {total}',
+  'quiz.next': 'السؤال التالي',
+  'quiz.finish': 'اعرض النتيجة',
+  'quiz.score': '{score} من {total} صحيحة',
+  'quiz.best': 'أفضل نتيجة: {score}/{total}',
+  'quiz.history': 'المحاولات الأخيرة',
+  'quiz.retry': 'حاول مجددًا',
+  'quiz.empty': 'لا أسئلة في هذا الاختبار بعد.',
+  'quizzes.title': 'الاختبارات',
+  'quizzes.intro': 'اختبر نفسك في موضوع كامل. يجمع كل اختبار أسئلة كل تحديات الفئة.',
+  'quizzes.questionCount': {
+    zero: 'لا أسئلة',
+    one: 'سؤال واحد',
+    two: 'سؤالان',
+    few: '{count} أسئلة',
+    many: '{count} سؤالًا',
+    other: '{count} سؤال',
+  },
+  'quizzes.notTaken': 'لم يُؤخذ بعد',
+  'quizzes.categoryTitle': 'اختبار {category}',
+  'quizzes.categoryIntro': {
+    zero: 'لا أسئلة من تحديات هذه الفئة.',
+    one: 'سؤال واحد من تحديات هذه الفئة.',
+    two: 'سؤالان من تحديات هذه الفئة.',
+    few: '{count} أسئلة من تحديات هذه الفئة.',
+    many: '{count} سؤالًا من تحديات هذه الفئة.',
+    other: '{count} سؤال من تحديات هذه الفئة.',
+  },
+  'quizzes.back': '→ كل الاختبارات',
+  'quizzes.notFound.title': 'الاختبار غير موجود',
+  'quizzes.notFound.body': 'لا توجد فئة باسم {category}.',
+  'quizzes.notFound.browse': 'تصفح كل الاختبارات',
+
+  // Challenge notes
+  'annotations.title': 'ملاحظاتي',
+  'annotations.intro': 'ملاحظاتك الخاصة على هذا التحدي، محفوظة في هذا المتصفح. يمكنك استخدام Markdown.',
+  'annotations.all': 'كل ملاحظاتي ←',
+  'annotations.empty': 'لا ملاحظات بعد. دوّن ما تريد تذكّره.',
+  'annotations.label': 'ملاحظة',
+  'annotations.placeholder': 'تذكّر: استخدم التحديث الدالّي هنا…',
+  'annotations.mode': 'وضع المحرر',
+  'annotations.write': 'كتابة',
+  'annotations.preview': 'معاينة',
+  'annotations.previewEmpty': 'لا شيء للمعاينة بعد.',
+  'annotations.anchor': 'إرفاق بـ',
+  'annotations.anchor.none': 'التحدي كله',
+  'annotations.hintBadge': 'التلميح {number}',
+  'annotations.add': 'أضف ملاحظة',
+  'annotations.addToHint': 'أضف ملاحظة إلى هذا التلميح',
+  'annotations.save': 'حفظ',
+  'annotations.cancel': 'إلغاء',
+  'annotations.edit': 'تعديل',
+  'annotations.delete': 'حذف',
+  'annotations.edited': 'عُدّلت في {date}',
+  'annotations.count': {
+    zero: 'لا ملاحظات',
+    one: 'ملاحظة واحدة',
+    two: 'ملاحظتان',
+    few: '{count} ملاحظات',
+    many: '{count} ملاحظة',
+    other: '{count} ملاحظة',
+  },
+  'myNotes.title': 'ملاحظاتي',
+  'myNotes.intro': 'كل الملاحظات التي تركتها على التحديات، مجمّعة حسب التحدي.',
+  'myNotes.search': 'ابحث في الملاحظات',
+  'myNotes.searchPlaceholder': 'ابحث في الملاحظات والتحديات والتلميحات…',
+  'myNotes.results': {
+    zero: 'لا ملاحظات',
+    one: 'ملاحظة واحدة',
+    two: 'ملاحظتان',
+    few: '{count} ملاحظات',
+    many: '{count} ملاحظة',
+    other: '{count} ملاحظة',
+  },
+  'myNotes.noMatches': 'لا ملاحظات تطابق "{query}".',
+  'myNotes.empty.title': 'لا ملاحظات بعد',
+  'myNotes.empty.body': 'أضف ملاحظات من لوحة ملاحظاتي في صفحة أي تحدٍّ، أو إلى تلميح في لوحة الحل.',
+  'myNotes.empty.browse': 'تصفح التحديات',
+
+  'shortcuts.title': 'اختصارات لوحة المفاتيح',
+  'shortcuts.close': 'إغلاق',
+  'shortcuts.scope.global': 'في أي صفحة',
+  'shortcuts.scope.challenge': 'في صفحة التحدي',
+  'shortcuts.action.help': 'عرض هذه القائمة',
+  'shortcuts.action.goChallenges': 'الانتقال إلى التحديات',
+  'shortcuts.action.nextChallenge': 'التحدي التالي',
+  'shortcuts.action.previousChallenge': 'التحدي السابق',
+  'shortcuts.action.nextHint': 'كشف التلميح التالي',
+  'shortcuts.action.toggleSolution': 'إظهار الحل أو إخفاؤه',
+  'shortcuts.then': 'ثم',
+  'shortcuts.change': 'تغيير',
+  'shortcuts.changeLabel': 'تغيير مفاتيح {action}',
+  'shortcuts.cancel': 'إلغاء',
+  'shortcuts.recording': 'اضغط المفاتيح الجديدة…',
+  'shortcuts.conflict': 'هذه المفاتيح مستخدمة بالفعل في «{action}».',
+  'shortcuts.typingNote': 'تتوقف الاختصارات أثناء الكتابة في حقل.',
+  'shortcuts.reset': 'استعادة الإعدادات الافتراضية',
+
+  'mockApi.title': 'واجهة API',
+  'mockApi.intro': 'تجيب واجهة API محاكاة في متصفحك على طلبات {base}/… من العرض التوضيحي وساحة التجربة. أبطئها أو اجعلها تفشل لتجربة حالات التحميل والخطأ.',
+  'mockApi.reset': 'إعادة الضبط',
+  'mockApi.source': 'مصدر الإجابة',
+  'mockApi.source.mock': 'واجهة API محاكاة (تعمل دون اتصال)',
+  'mockApi.source.live': 'واجهة API حقيقية (dummyjson.com)',
+  'mockApi.status': 'الاستجابة',
+  'mockApi.status.normal': 'عادية',
+  'mockApi.status.network': 'خطأ في الشبكة',
+  'mockApi.latency': 'زمن الاستجابة: {ms} ملّي ثانية',
+  'mockApi.errorRate': 'أخطاء خادم عشوائية: {percent}٪',
+  'mockApi.liveNote': 'ينطبق زمن الاستجابة والأخطاء على الواجهة المحاكاة فقط.',
+  'mockApi.endpoints': 'نقاط النهاية',
+  'mockApi.endpoint.list': 'المستخدمون، مقسّمون إلى صفحات بواسطة limit وskip',
+  'mockApi.endpoint.search': 'المستخدمون الذين يحتوي اسمهم أو بريدهم أو اسم مستخدمهم على q',
+  'mockApi.endpoint.detail': 'مستخدم واحد حسب المعرّف',
+
+  // Kata mode
+  'kata.title': 'وضع الكاتا',
+  'kata.intro': 'أعد بناء {title} من الصفر في ساحة التجربة، في سباق مع الوقت.',
+  'kata.target': {
+    zero: 'الهدف: {count} دقيقة',
+    one: 'الهدف: دقيقة واحدة',
+    two: 'الهدف: دقيقتان',
+    few: 'الهدف: {count} دقائق',
+    many: 'الهدف: {count} دقيقة',
+    other: 'الهدف: {count} دقيقة',
+  },
+  'kata.best': 'أفضل وقت: {time}',
+  'kata.remaining': 'الوقت المتبقي',
+  'kata.overtime': 'تجاوز الهدف',
+  'kata.start': 'ابدأ',
+  'kata.pause': 'إيقاف مؤقت',
+  'kata.resume': 'استئناف',
+  'kata.done': 'انتهيت',
+  'kata.reset': 'إعادة ضبط',
+  'kata.result.underTarget': 'انتهيت في {time}، أقل من الهدف بـ {margin}.',
+  'kata.result.overTarget': 'انتهيت في {time}، أكثر من الهدف بـ {margin}.',
+  'kata.result.newBest': 'أفضل وقت جديد!',
+  'kata.history': 'أوقاتك',
+  'kata.noAttempts': 'لا محاولات بعد. اضغط ابدأ، وأعد بناء التحدي، ثم اضغط انتهيت لحفظ وقتك.',
+  'kata.chart.label': {
+    zero: 'مخطط بلا محاولات',
+    one: 'مخطط لمحاولة واحدة، أفضل وقت {time}',
+    two: 'مخطط لآخر محاولتين، أفضل وقت {time}',
+    few: 'مخطط لآخر {count} محاولات، أفضل وقت {time}',
+    many: 'مخطط لآخر {count} محاولة، أفضل وقت {time}',
+    other: 'مخطط لآخر {count} محاولة، أفضل وقت {time}',
+  },
+  'kata.chart.attempt': '{date}: {time}',
+  'kata.chart.best': 'أفضل وقت',
+  'kata.chart.target': 'الهدف',
+  'kata.chart.over': 'تجاوز الهدف',
+
+  // Collections
+  'collections.title': 'المجموعات',
+  'collections.intro': 'ميّز التحديات بنجمة لتجدها لاحقًا، واجمعها في مجموعاتك الخاصة، وشارك أي مجموعة كرابط.',
+  'collections.star': 'تمييز {title} بنجمة',
+  'collections.unstar': 'إزالة النجمة عن {title}',
+  'collections.menu': 'إضافة إلى مجموعة',
+  'collections.menu.count': {
+    zero: 'ليس في أي مجموعة',
+    one: 'في مجموعة واحدة',
+    two: 'في مجموعتين',
+    few: 'في {count} مجموعات',
+    many: 'في {count} مجموعة',
+    other: 'في {count} مجموعة',
+  },
+  'collections.menu.empty': 'لا مجموعات بعد. أنشئ واحدة للبدء.',
+  'collections.all': 'كل المجموعات',
+  'collections.name': 'اسم المجموعة',
+  'collections.namePlaceholder': 'مثلًا: التحضير للمقابلات',
+  'collections.create': 'إنشاء',
+  'collections.save': 'حفظ',
+  'collections.cancel': 'إلغاء',
+  'collections.rename': 'إعادة التسمية',
+  'collections.delete': 'حذف',
+  'collections.share': 'نسخ رابط المشاركة',
+  'collections.share.copied': 'نُسخ الرابط',
+  'collections.share.failed': 'تعذّر النسخ',
+  'collections.moveUp': 'نقل {name} إلى الأعلى',
+  'collections.moveDown': 'نقل {name} إلى الأسفل',
+  'collections.removeChallenge': 'إزالة {title} من هذه المجموعة',
+  'collections.challengeCount': {
+    zero: 'لا تحديات',
+    one: 'تحدٍّ واحد',
+    two: 'تحديان',
+    few: '{count} تحديات',
+    many: '{count} تحديًا',
+    other: '{count} تحدٍّ',
+  },
+  'collections.emptyCollection': 'لا تحديات في هذه المجموعة بعد.',
+  'collections.addChallenge': 'إضافة تحدٍّ',
+  'collections.addChallenge.choose': 'اختر…',
+  'collections.starred': 'المميّزة',
+  'collections.starred.empty': 'ميّز تحديًا بنجمة من بطاقته أو صفحته ليظهر هنا.',
+  'collections.empty.title': 'لا مجموعات بعد',
+  'collections.empty.body': 'سمِّ مجموعة في الأعلى، ثم أضف إليها تحديات هنا أو من صفحة أي تحدٍّ.',
+  'collections.shared.label': 'شاركها أحدهم معك',
+  'collections.shared.untitled': 'مجموعة مشتركة',
+  'collections.shared.save': 'حفظ في مجموعاتي',
+  'collections.shared.dismiss': 'تجاهل',
+
+  // Settings
+  'settings.title': 'الإعدادات',
+  'settings.intro': 'يُحفَظ تقدّمك وملاحظاتك وشيفرة ساحة التجربة في هذا المتصفح فقط. نزّل نسخة احتياطية للحفاظ عليها أو نقلها إلى متصفح آخر.',
+  'settings.export.title': 'تصدير',
+  'settings.export.intro': 'احفظ كل ما يحتفظ به التطبيق في هذا المتصفح في ملف JSON واحد.',
+  'settings.export.download': 'تنزيل نسخة احتياطية',
+  'settings.import.title': 'استيراد',
+  'settings.import.intro': 'استعد ملف نسخة احتياطية. سترى محتواه قبل أن يتغيّر أي شيء.',
+  'settings.import.fileLabel': 'ملف النسخة الاحتياطية',
+  'settings.import.invalid': 'لا يمكن استيراد هذا الملف:',
+  'settings.import.exportedAt': 'صُدِّر في {date}',
+  'settings.import.migrated': 'أُنشئ هذا الملف بإصدار أقدم من التطبيق (صيغة النسخة {version}) وقد جرى تحديثه.',
+  'settings.import.mode': 'طريقة الاستيراد',
+  'settings.import.merge': 'دمج',
+  'settings.import.mergeHint': 'احتفظ بأبعد تقدّم وأحدث الملاحظات من الاثنين؛ تبقى الإعدادات والشيفرة الموجودة في هذا المتصفح.',
+  'settings.import.replace': 'استبدال',
+  'settings.import.replaceHint': 'احذف كل ما في هذا المتصفح واستخدم النسخة الاحتياطية فقط.',
+  'settings.import.confirm': 'استيراد',
+  'settings.import.cancel': 'إلغاء',
+  'settings.import.done': 'استُوردت النسخة الاحتياطية.',
+  'settings.column.item': 'البيانات',
+  'settings.column.file': 'في الملف',
+  'settings.column.device': 'في هذا المتصفح',
+  'settings.data.progress': 'التقدّم',
+  'settings.data.notes': 'ملاحظات تطبيق الملاحظات',
+  'settings.data.annotations': 'ملاحظات التحديات',
+  'settings.data.playground': 'شيفرة ساحة التجربة',
+  'settings.data.review': 'جدول المراجعة',
+  'settings.data.quizzes': 'نتائج الاختبارات',
+  'settings.data.katas': 'أوقات الكاتا',
+  'settings.data.collections': 'التحديات المميّزة والمجموعات',
+  'settings.data.theme': 'سمة الألوان',
+  'settings.data.locale': 'اللغة',
+  'settings.data.mockApi': 'إعدادات واجهة API المحاكاة',
+  'settings.data.shortcuts': 'اختصارات لوحة المفاتيح',
+  'settings.data.other': 'بيانات محفوظة أخرى',
+  'settings.count.notes': {
+    zero: 'لا ملاحظات',
+    one: 'ملاحظة واحدة',
+    two: 'ملاحظتان',
+    few: '{count} ملاحظات',
+    many: '{count} ملاحظة',
+    other: '{count} ملاحظة',
+  },
+  'settings.count.other': {
+    zero: 'لا عناصر',
+    one: 'عنصر واحد',
+    two: 'عنصران',
+    few: '{count} عناصر',
+    many: '{count} عنصرًا',
+    other: '{count} عنصر',
+  },
+  'settings.count.quizzes': {
+    zero: 'لا اختبارات',
+    one: 'اختبار واحد',
+    two: 'اختباران',
+    few: '{count} اختبارات',
+    many: '{count} اختبارًا',
+    other: '{count} اختبار',
+  },
+  'settings.count.shortcuts': {
+    zero: 'لا اختصارات مخصّصة',
+    one: 'اختصار مخصّص واحد',
+    two: 'اختصاران مخصّصان',
+    few: '{count} اختصارات مخصّصة',
+    many: '{count} اختصارًا مخصّصًا',
+    other: '{count} اختصار مخصّص',
+  },
+  'backup.error.json': 'ليس JSON صالحًا.',
+  'backup.error.format': 'ليس نسخة احتياطية من React Practice.',
+  'backup.error.version': 'صيغة النسخة غير معروفة ({version}).',
+  'backup.error.newer': 'أُنشئ بإصدار أحدث من التطبيق (صيغة النسخة {version}). حدّث التطبيق وحاول مجددًا.',
+  'backup.error.value': 'البيانات المحفوظة في {key} ليست بالشكل المتوقع.',
+};
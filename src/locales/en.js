@@ -0,0 +1,433 @@
+/**
+ * English Messages
+ * 
+ * UI strings keyed by message ID. English is the source language: every
+ * ID used in the app must be defined here, and other locales fall back to
+ * these messages one ID at a time. `{name}` placeholders are filled by
+ * t(); objects hold plural forms picked by `count` (see data/i18n).
+ * 
+ * @module locales/en
+ */
+
+export default {
+  // Header and footer
+  'nav.home': 'Home',
+  'nav.challenges': 'Challenges',
+  'nav.paths': 'Paths',
+  'nav.concepts': 'Concepts',
+  'nav.review': 'Review',
+  'nav.quizzes': 'Quizzes',
+  'nav.myNotes': 'My notes',
+  'nav.collections': 'Collections',
+  'nav.settings': 'Settings',
+  'header.search': 'Search',
+  'header.searchLabel': 'Search challenges',
+  'header.language': 'Language',
+  'theme.label': 'Color theme',
+  'theme.option': '{theme} theme',
+  'theme.light': 'Light',
+  'theme.dark': 'Dark',
+  'theme.system': 'System',
+  'footer.copyright': '© {year} React Practice. Built for learning purposes.',
+  'footer.reactDocs': 'React Docs',
+  'footer.shortcuts': 'Keyboard shortcuts {key}',
+  'offline.title': 'You are offline.',
+  'offline.body': 'Challenges, the playground and your saved data keep working; outside links need a connection.',
+  'offline.unavailable.title': 'Offline mode is off.',
+  'offline.unavailable.body': 'This browser blocked the service worker, so the app needs a connection; your saved data is not affected.',
+  'update.title': 'A new version is available.',
+  'update.body': 'Reload to use it; your saved data stays as it is.',
+  'update.reload': 'Reload',
+
+  // Challenge data labels
+  'difficulty.All': 'All',
+  'difficulty.Beginner': 'Beginner',
+  'difficulty.Intermediate': 'Intermediate',
+  'difficulty.Advanced': 'Advanced',
+  'category.All': 'All',
+  'category.State Management': 'State Management',
+  'category.Custom Hooks': 'Custom Hooks',
+  'category.Side Effects': 'Side Effects',
+  'category.Data Fetching': 'Data Fetching',
+  'category.Performance': 'Performance',
+
+  // Progress
+  'progress.status.not-started': 'Not started',
+  'progress.status.in-progress': 'In progress',
+  'progress.status.completed': 'Completed',
+  'progress.completedOn': 'Completed on {date}',
+  'progress.completedOf': '{completed} of {total} completed',
+  'progress.inProgress': '{count} in progress',
+  'progress.hintsUsed': { one: '{count} hint used', other: '{count} hints used' },
+
+  // Shared
+  'common.whatYoullLearn': "What you'll learn",
+
+  // Home page
+  'home.hero.title': 'Master React Through',
+  'home.hero.titleHighlight': 'Practical Challenges',
+  'home.hero.intro': 'A collection of hands-on React exercises designed to strengthen your understanding of hooks, state management, and component patterns.',
+  'home.hero.viewAll': 'View All Challenges',
+  'home.hero.docs': 'React Documentation',
+  'home.progress.title': 'Your Progress',
+  'home.progress.barLabel': 'Challenges completed',
+  'home.review.start': 'Start reviewing →',
+  'home.review.schedule': 'See review schedule →',
+  'home.stats.challenges': 'Challenges',
+  'home.stats.hooks': 'React Hooks',
+  'home.stats.difficulties': 'Difficulty Levels',
+  'home.featured.title': 'Featured Challenges',
+  'home.featured.viewAll': 'View all {count} →',
+
+  // Challenges page
+  'challenges.title': 'React Challenges',
+  'challenges.intro': 'Explore our collection of React challenges designed to help you master hooks, state management, and modern React patterns. Each challenge includes practical examples and learning objectives.',
+  'challenges.searchPlaceholder': 'Search by title, description or concept...',
+  'challenges.searchLabel': 'Filter challenges by text',
+  'challenges.sortBy': 'Sort by',
+  'challenges.sort.difficulty': 'Difficulty',
+  'challenges.sort.title': 'Title',
+  'challenges.sort.progress': 'Progress',
+  'challenges.category': 'Category',
+  'challenges.difficulty': 'Difficulty',
+  'challenges.showing': 'Showing {shown} of {total} challenges',
+  'challenges.clearFilters': 'Clear filters',
+  'challenges.empty': 'No challenges found for this filter.',
+  'challenges.moreConcepts': '+{count} more',
+
+  // Challenge page
+  'challenge.heading': '{title} Challenge',
+  'challenge.markComplete': 'Mark as complete',
+  'challenge.markNotDone': 'Mark as not done',
+  'challenge.recommendedBefore': 'Recommended before this',
+  'challenge.unlocksNext': 'Unlocks next',
+  'challenge.relatedCompleted': '(completed)',
+  'challenge.viewSource': 'View Source on GitHub',
+  'challenge.noDemo': 'This challenge does not have an interactive demo yet.',
+  'challenge.loading': 'Loading challenge...',
+  'challenge.demo': 'Interactive Demo',
+  'challenge.keyConcepts': 'Key Concepts Learned',
+  'challenge.notFound.title': 'Challenge not found',
+  'challenge.notFound.body': 'There is no challenge with the ID {id}.',
+  'challenge.notFound.browse': 'Browse all challenges',
+  'challenge.error.title': 'This challenge crashed',
+  'challenge.error.body': 'Something went wrong while showing {title}. The rest of the app still works, and you can load this challenge again.',
+  'challenge.error.details': 'Stack trace',
+  'challenge.error.retry': 'Try again',
+  'challenge.error.report': 'Report this problem',
+  'notFound.title': 'Page not found',
+  'notFound.body': 'There is no page at {path}.',
+  'notFound.home': 'Go to the home page',
+  'notFound.suggestions': 'Did you mean',
+
+  // Solution panel
+  'solution.hide': 'Hide Solution',
+  'solution.needHelp': 'Need Help?',
+  'solution.collapse': 'Click to collapse',
+  'solution.expand': 'View hints and solution code',
+  'solution.approach': 'Approach',
+  'solution.hints': 'Hints ({revealed}/{total})',
+  'solution.hintNumber': 'Hint {number}',
+  'solution.reveal': 'Click to reveal',
+  'solution.revealCode': 'Reveal Solution',
+  'solution.code': 'Solution Code',
+  'solution.locked': '💡 Reveal all hints to unlock the solution code',
+  'solution.github': 'View on GitHub',
+  'solution.githubOffline': 'GitHub is not available offline; the full source is shown above.',
+
+  // Source viewer
+  'source.copy': 'Copy',
+  'source.copied': 'Copied!',
+  'source.copyFailed': 'Copy failed',
+  'source.expand': 'Expand',
+  'source.collapse': 'Collapse',
+  'source.lines': { one: '{count} line', other: '{count} lines' },
+  'source.showAll': 'Show all {count} lines',
+
+  // Code diff
+  'diff.compare': 'Compare with my code',
+  'diff.yours': 'Your code',
+  'diff.reference': 'Reference solution',
+  'diff.layout': 'Diff layout',
+  'diff.split': 'Side by side',
+  'diff.unified': 'Unified',
+  'diff.ignoreWhitespace': 'Ignore whitespace',
+  'diff.ignoreComments': 'Ignore comments',
+  'diff.previous': 'Previous change',
+  'diff.next': 'Next change',
+  'diff.changes': { one: '{count} change', other: '{count} changes' },
+  'diff.position': 'Change {current} of {total}',
+  'diff.noChanges': 'Your code matches the reference solution.',
+  'diff.starterNote': 'You have not edited the playground yet, so this compares the starter code.',
+  'diff.refresh': 'Compare again',
+  'diff.close': 'Close',
+
+  // Playground
+  'playground.title': 'Playground',
+  'playground.intro': 'Build the challenge yourself in {filename}',
+  'playground.reset': 'Reset to starter',
+  'playground.runSpecs': 'Run specs',
+  'playground.editorLabel': '{filename} source',
+  'playground.previewTitle': '{filename} preview',
+  'playground.error.compile': 'Compile error',
+  'playground.error.runtime': 'Runtime error',
+  'playground.error.other': 'Error',
+  'playground.specs': 'Specs',
+  'playground.passing': '{passed}/{total} passing',
+  'playground.running': 'Running specs...',
+  'playground.noSpecs': 'This challenge has no specs yet.',
+
+  // Command palette
+  'search.dialogLabel': 'Search challenges',
+  'search.placeholder': 'Search challenges, concepts and hints...',
+  'search.inputLabel': 'Search challenges, concepts and hints',
+  'search.noResults': 'No results for "{query}"',
+  'search.navigate': '{keys} to navigate',
+  'search.open': '{key} to open',
+  'search.close': '{key} to close',
+  'search.type.challenge': 'Challenge',
+  'search.type.concept': 'Concept',
+  'search.type.hint': 'Hint',
+  'search.type.learning-point': 'Learning point',
+  'search.type.description': 'Description',
+
+  // Learning paths
+  'paths.title': 'Learning Paths',
+  'paths.intro': 'Not sure where to start? Each path is an ordered track of challenges where every step builds on the ones before it.',
+
+  // Concepts
+  'concepts.title': 'Concepts',
+  'concepts.intro': 'Every hook, pattern and technique the challenges cover. Pick a concept to see a short definition and the challenges, learning points and hints that teach it.',
+  'concepts.challengeCount': { one: '{count} challenge', other: '{count} challenges' },
+  'concept.docs': 'Read more in the React docs →',
+  'concept.taughtIn': { one: 'Taught in {count} challenge', other: 'Taught in {count} challenges' },
+  'concept.relatedHints': 'Related hints',
+  'concept.hint': 'Hint {number}: {title}',
+  'concept.notFound.title': 'Concept not found',
+  'concept.notFound.body': 'No challenge teaches a concept called {concept}.',
+  'concept.notFound.browse': 'Browse all concepts',
+
+  // Review
+  'review.title': 'Review',
+  'review.intro': 'Completed challenges come back for review just before you would forget them. Try to recall each hint, then rate how well you remembered: the better you recall a challenge, the longer until you see it again.',
+  'review.dueCount': { one: '{count} review due today', other: '{count} reviews due today' },
+  'review.prompt': 'How did you solve this challenge? Try to answer each hint from memory before showing the answers.',
+  'review.noHints': 'This challenge has no hints. Think through how you built it, then open the challenge to check.',
+  'review.reveal': 'Show answers',
+  'review.rate': 'How well did you remember it?',
+  'review.rating.again': 'Again',
+  'review.rating.hard': 'Hard',
+  'review.rating.good': 'Good',
+  'review.rating.easy': 'Easy',
+  'review.interval': { one: 'in {count} day', other: 'in {count} days' },
+  'review.openChallenge': 'Open challenge →',
+  'review.empty.title': 'Nothing to review yet',
+  'review.empty.body': 'Complete a challenge and it will be scheduled for review here.',
+  'review.empty.browse': 'Browse challenges',
+  'review.done.title': 'All caught up for today',
+  'review.done.next': 'Next review on {date}.',
+  'review.schedule.title': 'Schedule',
+  'review.schedule.today': 'Due today',
+  'review.schedule.due': 'Due {date}',
+
+  // Quizzes
+  'quiz.title': 'Quiz',
+  'quiz.intro': 'Check what you learned with a few quick questions.',
+  'quiz.categoryLink': 'Take the {category} quiz →',
+  'quiz.type.choice': 'Multiple choice',
+  'quiz.type.output': 'What does it render?',
+  'quiz.type.bug': 'Spot the bug',
+  'quiz.from': 'From {title}',
+  'quiz.correctAnswer': 'right answer',
+  'quiz.wrongAnswer': 'wrong answer',
+  'quiz.progress': 'Question {number} of {total}',
+  'quiz.next': 'Next question',
+  'quiz.finish': 'See results',
+  'quiz.score': '{score} of {total} correct',
+  'quiz.best': 'Best score: {score}/{total}',
+  'quiz.history': 'Recent attempts',
+  'quiz.retry': 'Try again',
+  'quiz.empty': 'This quiz has no questions yet.',
+  'quizzes.title': 'Quizzes',
+  'quizzes.intro': 'Test yourself on a whole topic. Each quiz draws the questions of every challenge in a category.',
+  'quizzes.questionCount': { one: '{count} question', other: '{count} questions' },
+  'quizzes.notTaken': 'Not taken yet',
+  'quizzes.categoryTitle': '{category} quiz',
+  'quizzes.categoryIntro': { one: '{count} question from the challenges in this category.', other: '{count} questions from the challenges in this category.' },
+  'quizzes.back': '← All quizzes',
+  'quizzes.notFound.title': 'Quiz not found',
+  'quizzes.notFound.body': 'There is no category called {category}.',
+  'quizzes.notFound.browse': 'Browse all quizzes',
+
+  // Challenge notes
+  'annotations.title': 'My notes',
+  'annotations.intro': 'Your own notes on this challenge, saved in this browser. Markdown works.',
+  'annotations.all': 'All my notes →',
+  'annotations.empty': 'No notes yet. Write down what you want to remember.',
+  'annotations.label': 'Note',
+  'annotations.placeholder': 'Remember: functional update here…',
+  'annotations.mode': 'Editor mode',
+  'annotations.write': 'Write',
+  'annotations.preview': 'Preview',
+  'annotations.previewEmpty': 'Nothing to preview yet.',
+  'annotations.anchor': 'Attach to',
+  'annotations.anchor.none': 'Whole challenge',
+  'annotations.hintBadge': 'Hint {number}',
+  'annotations.add': 'Add note',
+  'annotations.addToHint': 'Add a note to this hint',
+  'annotations.save': 'Save',
+  'annotations.cancel': 'Cancel',
+  'annotations.edit': 'Edit',
+  'annotations.delete': 'Delete',
+  'annotations.edited': 'Edited {date}',
+  'annotations.count': { one: '{count} note', other: '{count} notes' },
+  'myNotes.title': 'My notes',
+  'myNotes.intro': 'Every note you have left on a challenge, grouped by challenge.',
+  'myNotes.search': 'Search notes',
+  'myNotes.searchPlaceholder': 'Search notes, challenges and hints…',
+  'myNotes.results': { one: '{count} note', other: '{count} notes' },
+  'myNotes.noMatches': 'No notes match "{query}".',
+  'myNotes.empty.title': 'No notes yet',
+  'myNotes.empty.body': 'Add notes from the My notes panel on any challenge page, or to a hint in the solution panel.',
+  'myNotes.empty.browse': 'Browse challenges',
+
+  'shortcuts.title': 'Keyboard shortcuts',
+  'shortcuts.close': 'Close',
+  'shortcuts.scope.global': 'Anywhere',
+  'shortcuts.scope.challenge': 'On a challenge page',
+  'shortcuts.action.help': 'Show this cheatsheet',
+  'shortcuts.action.goChallenges': 'Go to challenges',
+  'shortcuts.action.nextChallenge': 'Next challenge',
+  'shortcuts.action.previousChallenge': 'Previous challenge',
+  'shortcuts.action.nextHint': 'Reveal the next hint',
+  'shortcuts.action.toggleSolution': 'Show or hide the solution',
+  'shortcuts.then': 'then',
+  'shortcuts.change': 'Change',
+  'shortcuts.changeLabel': 'Change the keys for {action}',
+  'shortcuts.cancel': 'Cancel',
+  'shortcuts.recording': 'Press the new keys…',
+  'shortcuts.conflict': 'Those keys are already used by “{action}”.',
+  'shortcuts.typingNote': 'Shortcuts are off while typing in a field.',
+  'shortcuts.reset': 'Reset to defaults',
+
+  'mockApi.title': 'API',
+  'mockApi.intro': 'Requests to {base}/… from the demo and the playground are answered by a mock API in your browser. Slow it down or make it fail to try the loading and error states.',
+  'mockApi.reset': 'Reset',
+  'mockApi.source': 'Answered by',
+  'mockApi.source.mock': 'Mock API (works offline)',
+  'mockApi.source.live': 'Live API (dummyjson.com)',
+  'mockApi.status': 'Response',
+  'mockApi.status.normal': 'Normal',
+  'mockApi.status.network': 'Network error',
+  'mockApi.latency': 'Latency: {ms} ms',
+  'mockApi.errorRate': 'Random server errors: {percent}%',
+  'mockApi.liveNote': 'Latency and errors only apply to the mock API.',
+  'mockApi.endpoints': 'Endpoints',
+  'mockApi.endpoint.list': 'Users, paged with limit and skip',
+  'mockApi.endpoint.search': 'Users whose name, email or username contains q',
+  'mockApi.endpoint.detail': 'One user by ID',
+
+  // Kata mode
+  'kata.title': 'Kata mode',
+  'kata.intro': 'Rebuild {title} from scratch in the playground, against the clock.',
+  'kata.target': { one: 'Target: {count} minute', other: 'Target: {count} minutes' },
+  'kata.best': 'Personal best: {time}',
+  'kata.remaining': 'Time left',
+  'kata.overtime': 'Over target',
+  'kata.start': 'Start',
+  'kata.pause': 'Pause',
+  'kata.resume': 'Resume',
+  'kata.done': 'Done',
+  'kata.reset': 'Reset',
+  'kata.result.underTarget': 'Finished in {time}, {margin} under the target.',
+  'kata.result.overTarget': 'Finished in {time}, {margin} over the target.',
+  'kata.result.newBest': 'New personal best!',
+  'kata.history': 'Your times',
+  'kata.noAttempts': 'No attempts yet. Press Start, rebuild the challenge, then press Done to save your time.',
+  'kata.chart.label': { one: 'Chart of {count} attempt, personal best {time}', other: 'Chart of the last {count} attempts, personal best {time}' },
+  'kata.chart.attempt': '{date}: {time}',
+  'kata.chart.best': 'Personal best',
+  'kata.chart.target': 'Target',
+  'kata.chart.over': 'Over target',
+
+  // Collections
+  'collections.title': 'Collections',
+  'collections.intro': 'Star challenges to find them again, group them into your own collections, and share a collection as a link.',
+  'collections.star': 'Star {title}',
+  'collections.unstar': 'Unstar {title}',
+  'collections.menu': 'Add to collection',
+  'collections.menu.count': { one: 'In {count} collection', other: 'In {count} collections' },
+  'collections.menu.empty': 'No collections yet. Create one to start.',
+  'collections.all': 'All collections',
+  'collections.name': 'Collection name',
+  'collections.namePlaceholder': 'e.g. Interview prep',
+  'collections.create': 'Create',
+  'collections.save': 'Save',
+  'collections.cancel': 'Cancel',
+  'collections.rename': 'Rename',
+  'collections.delete': 'Delete',
+  'collections.share': 'Copy share link',
+  'collections.share.copied': 'Link copied',
+  'collections.share.failed': 'Copy failed',
+  'collections.moveUp': 'Move {name} up',
+  'collections.moveDown': 'Move {name} down',
+  'collections.removeChallenge': 'Remove {title} from this collection',
+  'collections.challengeCount': { one: '{count} challenge', other: '{count} challenges' },
+  'collections.emptyCollection': 'No challenges in this collection yet.',
+  'collections.addChallenge': 'Add a challenge',
+  'collections.addChallenge.choose': 'Choose…',
+  'collections.starred': 'Starred',
+  'collections.starred.empty': 'Star a challenge from its card or page to keep it here.',
+  'collections.empty.title': 'No collections yet',
+  'collections.empty.body': 'Name a collection above, then add challenges to it here or from a challenge page.',
+  'collections.shared.label': 'Shared with you',
+  'collections.shared.untitled': 'Shared collection',
+  'collections.shared.save': 'Save to my collections',
+  'collections.shared.dismiss': 'Dismiss',
+
+  // Settings
+  'settings.title': 'Settings',
+  'settings.intro': 'Your progress, notes and playground code are saved in this browser only. Download a backup to keep them safe or move them to another browser.',
+  'settings.export.title': 'Export',
+  'settings.export.intro': 'Save everything the app keeps in this browser to one JSON file.',
+  'settings.export.download': 'Download backup',
+  'settings.import.title': 'Import',
+  'settings.import.intro': 'Restore a backup file. You will see what it holds before anything changes.',
+  'settings.import.fileLabel': 'Backup file',
+  'settings.import.invalid': 'This file can\'t be imported:',
+  'settings.import.exportedAt': 'Exported on {date}',
+  'settings.import.migrated': 'This file was made by an older version of the app (backup format {version}) and has been upgraded.',
+  'settings.import.mode': 'How to import',
+  'settings.import.merge': 'Merge',
+  'settings.import.mergeHint': 'Keep the furthest progress and the latest notes from both; settings and code already in this browser stay.',
+  'settings.import.replace': 'Replace',
+  'settings.import.replaceHint': 'Delete everything in this browser and use only the backup.',
+  'settings.import.confirm': 'Import',
+  'settings.import.cancel': 'Cancel',
+  'settings.import.done': 'Backup imported.',
+  'settings.column.item': 'Data',
+  'settings.column.file': 'In file',
+  'settings.column.device': 'In this browser',
+  'settings.data.progress': 'Progress',
+  'settings.data.notes': 'Notes App notes',
+  'settings.data.annotations': 'Challenge notes',
+  'settings.data.playground': 'Playground code',
+  'settings.data.review': 'Review schedule',
+  'settings.data.quizzes': 'Quiz scores',
+  'settings.data.katas': 'Kata times',
+  'settings.data.collections': 'Starred challenges and collections',
+  'settings.data.theme': 'Color theme',
+  'settings.data.locale': 'Language',
+  'settings.data.mockApi': 'Mock API settings',
+  'settings.data.shortcuts': 'Keyboard shortcuts',
+  'settings.data.other': 'Other saved data',
+  'settings.count.notes': { one: '{count} note', other: '{count} notes' },
+  'settings.count.other': { one: '{count} item', other: '{count} items' },
+  'settings.count.quizzes': { one: '{count} quiz', other: '{count} quizzes' },
+  'settings.count.shortcuts': { one: '{count} custom shortcut', other: '{count} custom shortcuts' },
+  'backup.error.json': 'It is not valid JSON.',
+  'backup.error.format': 'It is not a React Practice backup.',
+  'backup.error.version': 'It has an unknown backup format ({version}).',
+  'backup.error.newer': 'It was made by a newer version of the app (backup format {version}). Update the app and try again.',
+  'backup.error.value': 'The data saved under {key} is not in the expected shape.',
+};
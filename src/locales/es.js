@@ -0,0 +1,430 @@
+/**
+ * Spanish Messages
+ * 
+ * Translations of locales/en. Missing IDs fall back to English.
+ * 
+ * @module locales/es
+ */
+
+export default {
+  // Header and footer
+  'nav.home': 'Inicio',
+  'nav.challenges': 'Retos',
+  'nav.paths': 'Rutas',
+  'nav.concepts': 'Conceptos',
+  'nav.review': 'Repaso',
+  'nav.quizzes': 'Cuestionarios',
+  'nav.myNotes': 'Mis notas',
+  'nav.collections': 'Colecciones',
+  'nav.settings': 'Ajustes',
+  'header.search': 'Buscar',
+  'header.searchLabel': 'Buscar retos',
+  'header.language': 'Idioma',
+  'theme.label': 'Tema de color',
+  'theme.option': 'Tema {theme}',
+  'theme.light': 'Claro',
+  'theme.dark': 'Oscuro',
+  'theme.system': 'Sistema',
+  'footer.copyright': '© {year} React Practice. Creado con fines de aprendizaje.',
+  'footer.reactDocs': 'Documentación de React',
+  'footer.shortcuts': 'Atajos de teclado {key}',
+  'offline.title': 'Estás sin conexión.',
+  'offline.body': 'Los retos, la zona de pruebas y tus datos guardados siguen funcionando; los enlaces externos necesitan conexión.',
+  'offline.unavailable.title': 'El modo sin conexión está desactivado.',
+  'offline.unavailable.body': 'Este navegador bloqueó el service worker, así que la aplicación necesita conexión; tus datos guardados no se ven afectados.',
+  'update.title': 'Hay una nueva versión disponible.',
+  'update.body': 'Recarga para usarla; tus datos guardados se mantienen.',
+  'update.reload': 'Recargar',
+
+  // Challenge data labels
+  'difficulty.All': 'Todas',
+  'difficulty.Beginner': 'Principiante',
+  'difficulty.Intermediate': 'Intermedio',
+  'difficulty.Advanced': 'Avanzado',
+  'category.All': 'Todas',
+  'category.State Management': 'Gestión de estado',
+  'category.Custom Hooks': 'Hooks personalizados',
+  'category.Side Effects': 'Efectos secundarios',
+  'category.Data Fetching': 'Obtención de datos',
+  'category.Performance': 'Rendimiento',
+
+  // Progress
+  'progress.status.not-started': 'Sin empezar',
+  'progress.status.in-progress': 'En curso',
+  'progress.status.completed': 'Completado',
+  'progress.completedOn': 'Completado el {date}',
+  'progress.completedOf': '{completed} de {total} completados',
+  'progress.inProgress': '{count} en curso',
+  'progress.hintsUsed': { one: '{count} pista usada', other: '{count} pistas usadas' },
+
+  // Shared
+  'common.whatYoullLearn': 'Lo que aprenderás',
+
+  // Home page
+  'home.hero.title': 'Domina React con',
+  'home.hero.titleHighlight': 'retos prácticos',
+  'home.hero.intro': 'Una colección de ejercicios prácticos de React pensados para reforzar tu comprensión de los hooks, la gestión de estado y los patrones de componentes.',
+  'home.hero.viewAll': 'Ver todos los retos',
+  'home.hero.docs': 'Documentación de React',
+  'home.progress.title': 'Tu progreso',
+  'home.progress.barLabel': 'Retos completados',
+  'home.review.start': 'Empezar a repasar →',
+  'home.review.schedule': 'Ver calendario de repaso →',
+  'home.stats.challenges': 'Retos',
+  'home.stats.hooks': 'Hooks de React',
+  'home.stats.difficulties': 'Niveles de dificultad',
+  'home.featured.title': 'Retos destacados',
+  'home.featured.viewAll': 'Ver los {count} →',
+
+  // Challenges page
+  'challenges.title': 'Retos de React',
+  'challenges.intro': 'Explora nuestra colección de retos de React pensados para ayudarte a dominar los hooks, la gestión de estado y los patrones modernos de React. Cada reto incluye ejemplos prácticos y objetivos de aprendizaje.',
+  'challenges.searchPlaceholder': 'Busca por título, descripción o concepto...',
+  'challenges.searchLabel': 'Filtrar retos por texto',
+  'challenges.sortBy': 'Ordenar por',
+  'challenges.sort.difficulty': 'Dificultad',
+  'challenges.sort.title': 'Título',
+  'challenges.sort.progress': 'Progreso',
+  'challenges.category': 'Categoría',
+  'challenges.difficulty': 'Dificultad',
+  'challenges.showing': 'Mostrando {shown} de {total} retos',
+  'challenges.clearFilters': 'Quitar filtros',
+  'challenges.empty': 'No hay retos para este filtro.',
+  'challenges.moreConcepts': '+{count} más',
+
+  // Challenge page
+  'challenge.heading': 'Reto: {title}',
+  'challenge.markComplete': 'Marcar como completado',
+  'challenge.markNotDone': 'Marcar como pendiente',
+  'challenge.recommendedBefore': 'Recomendado antes',
+  'challenge.unlocksNext': 'Desbloquea',
+  'challenge.relatedCompleted': '(completado)',
+  'challenge.viewSource': 'Ver código en GitHub',
+  'challenge.noDemo': 'Este reto todavía no tiene una demo interactiva.',
+  'challenge.loading': 'Cargando reto...',
+  'challenge.demo': 'Demo interactiva',
+  'challenge.keyConcepts': 'Conceptos clave aprendidos',
+  'challenge.notFound.title': 'Reto no encontrado',
+  'challenge.notFound.body': 'No hay ningún reto con el ID {id}.',
+  'challenge.notFound.browse': 'Ver todos los retos',
+  'challenge.error.title': 'Este reto ha fallado',
+  'challenge.error.body': 'Algo salió mal al mostrar {title}. El resto de la aplicación sigue funcionando y puedes volver a cargar este reto.',
+  'challenge.error.details': 'Traza de la pila',
+  'challenge.error.retry': 'Reintentar',
+  'challenge.error.report': 'Informar del problema',
+  'notFound.title': 'Página no encontrada',
+  'notFound.body': 'No hay ninguna página en {path}.',
+  'notFound.home': 'Ir a la página de inicio',
+  'notFound.suggestions': '¿Quisiste decir?',
+
+  // Solution panel
+  'solution.hide': 'Ocultar solución',
+  'solution.needHelp': '¿Necesitas ayuda?',
+  'solution.collapse': 'Haz clic para contraer',
+  'solution.expand': 'Ver pistas y código de la solución',
+  'solution.approach': 'Enfoque',
+  'solution.hints': 'Pistas ({revealed}/{total})',
+  'solution.hintNumber': 'Pista {number}',
+  'solution.reveal': 'Haz clic para ver',
+  'solution.revealCode': 'Ver solución',
+  'solution.code': 'Código de la solución',
+  'solution.locked': '💡 Descubre todas las pistas para desbloquear el código de la solución',
+  'solution.github': 'Ver en GitHub',
+  'solution.githubOffline': 'GitHub no está disponible sin conexión; el código completo se muestra arriba.',
+
+  // Source viewer
+  'source.copy': 'Copiar',
+  'source.copied': '¡Copiado!',
+  'source.copyFailed': 'No se pudo copiar',
+  'source.expand': 'Expandir',
+  'source.collapse': 'Contraer',
+  'source.lines': { one: '{count} línea', other: '{count} líneas' },
+  'source.showAll': 'Mostrar las {count} líneas',
+
+  // Code diff
+  'diff.compare': 'Comparar con mi código',
+  'diff.yours': 'Tu código',
+  'diff.reference': 'Solución de referencia',
+  'diff.layout': 'Vista de la comparación',
+  'diff.split': 'En paralelo',
+  'diff.unified': 'Unificada',
+  'diff.ignoreWhitespace': 'Ignorar espacios en blanco',
+  'diff.ignoreComments': 'Ignorar comentarios',
+  'diff.previous': 'Cambio anterior',
+  'diff.next': 'Cambio siguiente',
+  'diff.changes': { one: '{count} cambio', other: '{count} cambios' },
+  'diff.position': 'Cambio {current} de {total}',
+  'diff.noChanges': 'Tu código coincide con la solución de referencia.',
+  'diff.starterNote': 'Aún no has editado la zona de pruebas, así que se compara el código inicial.',
+  'diff.refresh': 'Comparar de nuevo',
+  'diff.close': 'Cerrar',
+
+  // Playground
+  'playground.title': 'Zona de pruebas',
+  'playground.intro': 'Construye el reto tú mismo en {filename}',
+  'playground.reset': 'Restablecer el inicial',
+  'playground.runSpecs': 'Ejecutar specs',
+  'playground.editorLabel': 'Código de {filename}',
+  'playground.previewTitle': 'Vista previa de {filename}',
+  'playground.error.compile': 'Error de compilación',
+  'playground.error.runtime': 'Error de ejecución',
+  'playground.error.other': 'Error',
+  'playground.specs': 'Specs',
+  'playground.passing': '{passed}/{total} superadas',
+  'playground.running': 'Ejecutando specs...',
+  'playground.noSpecs': 'Este reto todavía no tiene specs.',
+
+  // Command palette
+  'search.dialogLabel': 'Buscar retos',
+  'search.placeholder': 'Busca retos, conceptos y pistas...',
+  'search.inputLabel': 'Buscar retos, conceptos y pistas',
+  'search.noResults': 'Sin resultados para "{query}"',
+  'search.navigate': '{keys} para moverte',
+  'search.open': '{key} para abrir',
+  'search.close': '{key} para cerrar',
+  'search.type.challenge': 'Reto',
+  'search.type.concept': 'Concepto',
+  'search.type.hint': 'Pista',
+  'search.type.learning-point': 'Punto de aprendizaje',
+  'search.type.description': 'Descripción',
+
+  // Learning paths
+  'paths.title': 'Rutas de aprendizaje',
+  'paths.intro': '¿No sabes por dónde empezar? Cada ruta es una serie ordenada de retos en la que cada paso se apoya en los anteriores.',
+
+  // Concepts
+  'concepts.title': 'Conceptos',
+  'concepts.intro': 'Todos los hooks, patrones y técnicas que cubren los retos. Elige un concepto para ver una definición breve y los retos, puntos de aprendizaje y pistas que lo enseñan.',
+  'concepts.challengeCount': { one: '{count} reto', other: '{count} retos' },
+  'concept.docs': 'Más información en la documentación de React →',
+  'concept.taughtIn': { one: 'Se enseña en {count} reto', other: 'Se enseña en {count} retos' },
+  'concept.relatedHints': 'Pistas relacionadas',
+  'concept.hint': 'Pista {number}: {title}',
+  'concept.notFound.title': 'Concepto no encontrado',
+  'concept.notFound.body': 'Ningún reto enseña un concepto llamado {concept}.',
+  'concept.notFound.browse': 'Ver todos los conceptos',
+
+  // Review
+  'review.title': 'Repaso',
+  'review.intro': 'Los retos completados vuelven para repasarlos justo antes de que los olvides. Intenta recordar cada pista y valora lo bien que la recordabas: cuanto mejor recuerdes un reto, más tardará en volver.',
+  'review.dueCount': { one: '{count} repaso para hoy', other: '{count} repasos para hoy' },
+  'review.prompt': '¿Cómo resolviste este reto? Intenta responder cada pista de memoria antes de ver las respuestas.',
+  'review.noHints': 'Este reto no tiene pistas. Piensa en cómo lo construiste y abre el reto para comprobarlo.',
+  'review.reveal': 'Ver respuestas',
+  'review.rate': '¿Cuánto lo recordabas?',
+  'review.rating.again': 'Otra vez',
+  'review.rating.hard': 'Difícil',
+  'review.rating.good': 'Bien',
+  'review.rating.easy': 'Fácil',
+  'review.interval': { one: 'en {count} día', other: 'en {count} días' },
+  'review.openChallenge': 'Abrir reto →',
+  'review.empty.title': 'Aún no hay nada que repasar',
+  'review.empty.body': 'Completa un reto y se programará aquí para repasarlo.',
+  'review.empty.browse': 'Ver retos',
+  'review.done.title': 'Has terminado los repasos de hoy',
+  'review.done.next': 'Próximo repaso el {date}.',
+  'review.schedule.title': 'Calendario',
+  'review.schedule.today': 'Para hoy',
+  'review.schedule.due': 'Para el {date}',
+
+  // Quizzes
+  'quiz.title': 'Cuestionario',
+  'quiz.intro': 'Comprueba lo que has aprendido con unas preguntas rápidas.',
+  'quiz.categoryLink': 'Hacer el cuestionario de {category} →',
+  'quiz.type.choice': 'Opción múltiple',
+  'quiz.type.output': '¿Qué se renderiza?',
+  'quiz.type.bug': 'Encuentra el error',
+  'quiz.from': 'De {title}',
+  'quiz.correctAnswer': 'respuesta correcta',
+  'quiz.wrongAnswer': 'respuesta incorrecta',
+  'quiz.progress': 'Pregunta {number} de {total}',
+  'quiz.next': 'Siguiente pregunta',
+  'quiz.finish': 'Ver resultados',
+  'quiz.score': '{score} de {total} correctas',
+  'quiz.best': 'Mejor puntuación: {score}/{total}',
+  'quiz.history': 'Intentos recientes',
+  'quiz.retry': 'Intentar de nuevo',
+  'quiz.empty': 'Este cuestionario aún no tiene preguntas.',
+  'quizzes.title': 'Cuestionarios',
+  'quizzes.intro': 'Ponte a prueba en un tema completo. Cada cuestionario reúne las preguntas de todos los retos de una categoría.',
+  'quizzes.questionCount': { one: '{count} pregunta', other: '{count} preguntas' },
+  'quizzes.notTaken': 'Aún sin hacer',
+  'quizzes.categoryTitle': 'Cuestionario de {category}',
+  'quizzes.categoryIntro': { one: '{count} pregunta de los retos de esta categoría.', other: '{count} preguntas de los retos de esta categoría.' },
+  'quizzes.back': '← Todos los cuestionarios',
+  'quizzes.notFound.title': 'Cuestionario no encontrado',
+  'quizzes.notFound.body': 'No hay ninguna categoría llamada {category}.',
+  'quizzes.notFound.browse': 'Ver todos los cuestionarios',
+
+  // Challenge notes
+  'annotations.title': 'Mis notas',
+  'annotations.intro': 'Tus propias notas sobre este reto, guardadas en este navegador. Admite Markdown.',
+  'annotations.all': 'Todas mis notas →',
+  'annotations.empty': 'Aún no hay notas. Apunta lo que quieras recordar.',
+  'annotations.label': 'Nota',
+  'annotations.placeholder': 'Recuerda: aquí va una actualización funcional…',
+  'annotations.mode': 'Modo del editor',
+  'annotations.write': 'Escribir',
+  'annotations.preview': 'Vista previa',
+  'annotations.previewEmpty': 'Aún no hay nada que mostrar.',
+  'annotations.anchor': 'Asociar a',
+  'annotations.anchor.none': 'Todo el reto',
+  'annotations.hintBadge': 'Pista {number}',
+  'annotations.add': 'Añadir nota',
+  'annotations.addToHint': 'Añadir una nota a esta pista',
+  'annotations.save': 'Guardar',
+  'annotations.cancel': 'Cancelar',
+  'annotations.edit': 'Editar',
+  'annotations.delete': 'Eliminar',
+  'annotations.edited': 'Editada el {date}',
+  'annotations.count': { one: '{count} nota', other: '{count} notas' },
+  'myNotes.title': 'Mis notas',
+  'myNotes.intro': 'Todas las notas que has dejado en los retos, agrupadas por reto.',
+  'myNotes.search': 'Buscar notas',
+  'myNotes.searchPlaceholder': 'Busca en notas, retos y pistas…',
+  'myNotes.results': { one: '{count} nota', other: '{count} notas' },
+  'myNotes.noMatches': 'Ninguna nota coincide con "{query}".',
+  'myNotes.empty.title': 'Aún no hay notas',
+  'myNotes.empty.body': 'Añade notas desde el panel Mis notas de cualquier reto, o a una pista en el panel de la solución.',
+  'myNotes.empty.browse': 'Ver los retos',
+
+  'shortcuts.title': 'Atajos de teclado',
+  'shortcuts.close': 'Cerrar',
+  'shortcuts.scope.global': 'En cualquier página',
+  'shortcuts.scope.challenge': 'En la página de un reto',
+  'shortcuts.action.help': 'Mostrar esta chuleta',
+  'shortcuts.action.goChallenges': 'Ir a los retos',
+  'shortcuts.action.nextChallenge': 'Reto siguiente',
+  'shortcuts.action.previousChallenge': 'Reto anterior',
+  'shortcuts.action.nextHint': 'Mostrar la siguiente pista',
+  'shortcuts.action.toggleSolution': 'Mostrar u ocultar la solución',
+  'shortcuts.then': 'y luego',
+  'shortcuts.change': 'Cambiar',
+  'shortcuts.changeLabel': 'Cambiar las teclas de {action}',
+  'shortcuts.cancel': 'Cancelar',
+  'shortcuts.recording': 'Pulsa las nuevas teclas…',
+  'shortcuts.conflict': 'Esas teclas ya las usa «{action}».',
+  'shortcuts.typingNote': 'Los atajos no funcionan mientras escribes en un campo.',
+  'shortcuts.reset': 'Restablecer valores predeterminados',
+
+  'mockApi.title': 'API',
+  'mockApi.intro': 'Las peticiones a {base}/… de la demo y la zona de pruebas las responde una API simulada en tu navegador. Hazla más lenta o haz que falle para probar los estados de carga y de error.',
+  'mockApi.reset': 'Restablecer',
+  'mockApi.source': 'Responde',
+  'mockApi.source.mock': 'API simulada (funciona sin conexión)',
+  'mockApi.source.live': 'API real (dummyjson.com)',
+  'mockApi.status': 'Respuesta',
+  'mockApi.status.normal': 'Normal',
+  'mockApi.status.network': 'Error de red',
+  'mockApi.latency': 'Latencia: {ms} ms',
+  'mockApi.errorRate': 'Errores de servidor aleatorios: {percent} %',
+  'mockApi.liveNote': 'La latencia y los errores solo se aplican a la API simulada.',
+  'mockApi.endpoints': 'Endpoints',
+  'mockApi.endpoint.list': 'Usuarios, paginados con limit y skip',
+  'mockApi.endpoint.search': 'Usuarios cuyo nombre, correo o usuario contiene q',
+  'mockApi.endpoint.detail': 'Un usuario por ID',
+
+  // Kata mode
+  'kata.title': 'Modo kata',
+  'kata.intro': 'Reconstruye {title} desde cero en la zona de pruebas, contra el reloj.',
+  'kata.target': { one: 'Objetivo: {count} minuto', other: 'Objetivo: {count} minutos' },
+  'kata.best': 'Mejor marca: {time}',
+  'kata.remaining': 'Tiempo restante',
+  'kata.overtime': 'Por encima del objetivo',
+  'kata.start': 'Empezar',
+  'kata.pause': 'Pausar',
+  'kata.resume': 'Reanudar',
+  'kata.done': 'Terminado',
+  'kata.reset': 'Reiniciar',
+  'kata.result.underTarget': 'Terminado en {time}, {margin} por debajo del objetivo.',
+  'kata.result.overTarget': 'Terminado en {time}, {margin} por encima del objetivo.',
+  'kata.result.newBest': '¡Nueva mejor marca!',
+  'kata.history': 'Tus tiempos',
+  'kata.noAttempts': 'Aún no hay intentos. Pulsa Empezar, reconstruye el reto y pulsa Terminado para guardar tu tiempo.',
+  'kata.chart.label': { one: 'Gráfico de {count} intento, mejor marca {time}', other: 'Gráfico de los últimos {count} intentos, mejor marca {time}' },
+  'kata.chart.attempt': '{date}: {time}',
+  'kata.chart.best': 'Mejor marca',
+  'kata.chart.target': 'Objetivo',
+  'kata.chart.over': 'Por encima del objetivo',
+
+  // Collections
+  'collections.title': 'Colecciones',
+  'collections.intro': 'Destaca retos para encontrarlos de nuevo, agrúpalos en tus propias colecciones y comparte una colección como enlace.',
+  'collections.star': 'Destacar {title}',
+  'collections.unstar': 'Quitar {title} de destacados',
+  'collections.menu': 'Añadir a una colección',
+  'collections.menu.count': { one: 'En {count} colección', other: 'En {count} colecciones' },
+  'collections.menu.empty': 'Aún no hay colecciones. Crea una para empezar.',
+  'collections.all': 'Todas las colecciones',
+  'collections.name': 'Nombre de la colección',
+  'collections.namePlaceholder': 'p. ej. Preparar entrevistas',
+  'collections.create': 'Crear',
+  'collections.save': 'Guardar',
+  'collections.cancel': 'Cancelar',
+  'collections.rename': 'Renombrar',
+  'collections.delete': 'Eliminar',
+  'collections.share': 'Copiar enlace para compartir',
+  'collections.share.copied': 'Enlace copiado',
+  'collections.share.failed': 'No se pudo copiar',
+  'collections.moveUp': 'Subir {name}',
+  'collections.moveDown': 'Bajar {name}',
+  'collections.removeChallenge': 'Quitar {title} de esta colección',
+  'collections.challengeCount': { one: '{count} reto', other: '{count} retos' },
+  'collections.emptyCollection': 'Aún no hay retos en esta colección.',
+  'collections.addChallenge': 'Añadir un reto',
+  'collections.addChallenge.choose': 'Elige…',
+  'collections.starred': 'Destacados',
+  'collections.starred.empty': 'Destaca un reto desde su tarjeta o su página para tenerlo aquí.',
+  'collections.empty.title': 'Aún no hay colecciones',
+  'collections.empty.body': 'Ponle nombre a una colección arriba y añade retos aquí o desde la página de un reto.',
+  'collections.shared.label': 'Compartida contigo',
+  'collections.shared.untitled': 'Colección compartida',
+  'collections.shared.save': 'Guardar en mis colecciones',
+  'collections.shared.dismiss': 'Descartar',
+
+  // Settings
+  'settings.title': 'Ajustes',
+  'settings.intro': 'Tu progreso, tus notas y tu código del playground se guardan solo en este navegador. Descarga una copia de seguridad para conservarlos o llevarlos a otro navegador.',
+  'settings.export.title': 'Exportar',
+  'settings.export.intro': 'Guarda en un archivo JSON todo lo que la app conserva en este navegador.',
+  'settings.export.download': 'Descargar copia de seguridad',
+  'settings.import.title': 'Importar',
+  'settings.import.intro': 'Restaura una copia de seguridad. Verás lo que contiene antes de que cambie nada.',
+  'settings.import.fileLabel': 'Archivo de copia de seguridad',
+  'settings.import.invalid': 'No se puede importar este archivo:',
+  'settings.import.exportedAt': 'Exportado el {date}',
+  'settings.import.migrated': 'Este archivo se creó con una versión anterior de la app (formato {version}) y se ha actualizado.',
+  'settings.import.mode': 'Cómo importar',
+  'settings.import.merge': 'Combinar',
+  'settings.import.mergeHint': 'Conserva el mayor progreso y las notas más recientes de ambos; los ajustes y el código de este navegador se mantienen.',
+  'settings.import.replace': 'Reemplazar',
+  'settings.import.replaceHint': 'Borra todo lo de este navegador y usa solo la copia de seguridad.',
+  'settings.import.confirm': 'Importar',
+  'settings.import.cancel': 'Cancelar',
+  'settings.import.done': 'Copia de seguridad importada.',
+  'settings.column.item': 'Datos',
+  'settings.column.file': 'En el archivo',
+  'settings.column.device': 'En este navegador',
+  'settings.data.progress': 'Progreso',
+  'settings.data.notes': 'Notas de la app de notas',
+  'settings.data.annotations': 'Notas de los retos',
+  'settings.data.playground': 'Código del playground',
+  'settings.data.review': 'Calendario de repaso',
+  'settings.data.quizzes': 'Puntuaciones de cuestionarios',
+  'settings.data.katas': 'Tiempos de kata',
+  'settings.data.collections': 'Retos destacados y colecciones',
+  'settings.data.theme': 'Tema de color',
+  'settings.data.locale': 'Idioma',
+  'settings.data.mockApi': 'Ajustes de la API simulada',
+  'settings.data.shortcuts': 'Atajos de teclado',
+  'settings.data.other': 'Otros datos guardados',
+  'settings.count.notes': { one: '{count} nota', other: '{count} notas' },
+  'settings.count.other': { one: '{count} elemento', other: '{count} elementos' },
+  'settings.count.quizzes': { one: '{count} cuestionario', other: '{count} cuestionarios' },
+  'settings.count.shortcuts': { one: '{count} atajo personalizado', other: '{count} atajos personalizados' },
+  'backup.error.json': 'No es JSON válido.',
+  'backup.error.format': 'No es una copia de seguridad de React Practice.',
+  'backup.error.version': 'Tiene un formato de copia desconocido ({version}).',
+  'backup.error.newer': 'Se creó con una versión más reciente de la app (formato {version}). Actualiza la app y vuelve a intentarlo.',
+  'backup.error.value': 'Los datos guardados en {key} no tienen la forma esperada.',
+};
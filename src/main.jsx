@@ -11,12 +11,21 @@ import { StrictMode } from 'react';
 import { createRoot } from 'react-dom/client';
 import { RouterProvider, createRouter } from '@tanstack/react-router';
 
+import { installMockApi } from './mock-api/install';
+import { watchForUpdates, reportRegistrationFailure } from './hooks/use-service-worker';
+
 // Import global styles with Tailwind CSS
 import './index.css';
 
 // Import the generated route tree from TanStack Router
 import { routeTree } from './routeTree.gen';
 
+/**
+ * Answer `/api/...` requests of the Data Fetching challenges in the
+ * browser (see src/mock-api), so they work without a live service
+ */
+installMockApi(window);
+
 /**
  * Create the router instance
  * 
@@ -42,3 +51,20 @@ createRoot(document.getElementById('root')).render(
     <RouterProvider router={router} />
   </StrictMode>,
 );
+
+/**
+ * Register the service worker in production builds, so the app and every
+ * challenge keep working offline (see src/service-worker.js), and watch
+ * it for new versions to offer. The dev server has no worker, so changes
+ * always show up straight away. Without the worker (e.g. in a private
+ * window that blocks it) the app still works, just not offline, and the
+ * banner under the header says so.
+ */
+if (import.meta.env.PROD && 'serviceWorker' in navigator) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${import.meta.env.BASE_URL}sw.js`)
+      .then(watchForUpdates)
+      .catch(reportRegistrationFailure);
+  });
+}
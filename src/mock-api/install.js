@@ -0,0 +1,114 @@
+/**
+ * Mock API Installer
+ * 
+ * Puts the mock backend in front of a window's `fetch`. Requests for
+ * same-origin `/api/...` URLs are answered by mock-api/server after the
+ * configured latency, or fail at the configured error rate or with the
+ * forced status (see data/mock-api). With the live source they are sent
+ * to the real API instead. Every other request goes to the network as
+ * usual.
+ * 
+ * Installed by main.jsx for the app and by the playground preview frame,
+ * so challenge demos and learner code can both call `fetch('/api/users')`.
+ * URLs are resolved against the document's base URL, which for the
+ * preview's `srcdoc` document is the app page's.
+ * 
+ * @module mock-api/install
+ */
+
+import {
+  MOCK_API_BASE,
+  LIVE_API_ORIGIN,
+  API_SOURCES,
+  NETWORK_ERROR,
+  FORCED_STATUSES,
+  readMockApiSettings,
+} from '../data/mock-api';
+import { handleMockRequest } from './server';
+
+/**
+ * Create a DOMException matching what fetch throws on abort
+ */
+const createAbortError = () => new DOMException('The operation was aborted.', 'AbortError');
+
+/**
+ * Wait for the latency; rejects like fetch when the request is aborted meanwhile
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - The request's abort signal
+ * @returns {Promise<void>}
+ */
+const wait = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timeoutId);
+      reject(createAbortError());
+    };
+    const timeoutId = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+
+/**
+ * Create a JSON response
+ * @param {number} status - HTTP status
+ * @param {Object} body - JSON body
+ * @returns {Response}
+ */
+const jsonResponse = (status, body) =>
+  new Response(JSON.stringify(body), {
+    status,
+    statusText: FORCED_STATUSES[status] || '',
+    headers: { 'Content-Type': 'application/json' },
+  });
+
+/**
+ * Answer a request from the mock backend, applying the settings
+ * @param {string} method - HTTP method
+ * @param {URL} url - Request URL
+ * @param {AbortSignal} [signal] - The request's abort signal
+ * @param {Object} settings - Mock API settings
+ * @returns {Promise<Response>}
+ */
+const respond = async (method, url, signal, settings) => {
+  const { latency, errorRate, status } = settings;
+  await wait(latency, signal);
+
+  if (status === NETWORK_ERROR) throw new TypeError('Failed to fetch');
+  if (status) return jsonResponse(status, { message: FORCED_STATUSES[status] });
+  if (Math.random() * 100 < errorRate) return jsonResponse(500, { message: 'Simulated server error' });
+
+  const result = handleMockRequest(method, url);
+  return jsonResponse(result.status, result.body);
+};
+
+/**
+ * Install the mock backend in a window
+ * @param {Window} target - Window whose fetch to wrap
+ * @param {Function} [readSettings] - Returns the current settings; reads localStorage by default
+ */
+export const installMockApi = (target, readSettings = readMockApiSettings) => {
+  const networkFetch = target.fetch.bind(target);
+
+  target.fetch = (input, init = {}) => {
+    const request = input instanceof Request ? input : null;
+    const baseUrl = new URL(target.document.baseURI);
+    const url = new URL(request ? request.url : String(input), baseUrl);
+    const isApiRequest =
+      url.origin === baseUrl.origin &&
+      (url.pathname === MOCK_API_BASE || url.pathname.startsWith(`${MOCK_API_BASE}/`));
+    if (!isApiRequest) return networkFetch(input, init);
+
+    const settings = readSettings();
+    if (settings.source === API_SOURCES.LIVE) {
+      return networkFetch(`${LIVE_API_ORIGIN}${url.pathname.slice(MOCK_API_BASE.length)}${url.search}`, init);
+    }
+    const method = (init.method || request?.method || 'GET').toUpperCase();
+    return respond(method, url, init.signal || request?.signal, settings);
+  };
+};
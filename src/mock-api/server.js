@@ -0,0 +1,105 @@
+/**
+ * Mock API Server
+ * 
+ * Routes of the mock backend, as plain functions from a request to a
+ * status and a JSON body. They follow the live API (dummyjson.com), so
+ * code written against one works against the other:
+ * 
+ *   GET /api/users?limit=12&skip=24    a page of users: { users, total, skip, limit }
+ *   GET /api/users/search?q=emma       users whose name, email or username contains q, paged the same way
+ *   GET /api/users/3                   one user, or a 404
+ * 
+ * `limit` defaults to 30, and 0 means all users; `skip` defaults to 0.
+ * Latency, simulated errors and the live API switch are handled by
+ * mock-api/install before a request gets here.
+ * 
+ * @module mock-api/server
+ */
+
+import { MOCK_API_BASE } from '../data/mock-api';
+import { mockUsers } from './users';
+
+/**
+ * Page size when a request has no `limit`
+ */
+const DEFAULT_LIMIT = 30;
+
+/**
+ * Read a non-negative integer search param
+ * @param {URLSearchParams} params - Search params
+ * @param {string} name - Param name
+ * @param {number} fallback - Value when missing or invalid
+ * @returns {number}
+ */
+const readCount = (params, name, fallback) => {
+  const value = Number(params.get(name) ?? NaN);
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+};
+
+/**
+ * Cut one page out of a list of users
+ * @param {Object[]} users - Matching users
+ * @param {URLSearchParams} params - Search params with `limit` and `skip`
+ * @returns {{users: Object[], total: number, skip: number, limit: number}}
+ */
+const paginate = (users, params) => {
+  const skip = readCount(params, 'skip', 0);
+  const limit = readCount(params, 'limit', DEFAULT_LIMIT) || users.length;
+  const page = users.slice(skip, skip + limit);
+  return { users: page, total: users.length, skip, limit: page.length };
+};
+
+/**
+ * Routes, matched in order against the path after MOCK_API_BASE
+ */
+const routes = [
+  {
+    pattern: /^\/users\/?$/,
+    handle: (params) => ({ status: 200, body: paginate(mockUsers, params) }),
+  },
+  {
+    pattern: /^\/users\/search\/?$/,
+    handle: (params) => {
+      const query = (params.get('q') || '').trim().toLowerCase();
+      const matches = mockUsers.filter((user) =>
+        [`${user.firstName} ${user.lastName}`, user.email, user.username].some((text) => text.toLowerCase().includes(query)),
+      );
+      return { status: 200, body: paginate(matches, params) };
+    },
+  },
+  {
+    pattern: /^\/users\/([^/]+)\/?$/,
+    handle: (params, [id]) => {
+      const user = mockUsers.find((u) => String(u.id) === id);
+      return user
+        ? { status: 200, body: user }
+        : { status: 404, body: { message: `User with id '${id}' not found` } };
+    },
+  },
+];
+
+/**
+ * Answer a request to the mock backend
+ * @param {string} method - HTTP method
+ * @param {URL} url - Full request URL; its path starts with MOCK_API_BASE
+ * @returns {{status: number, body: Object}} Response status and JSON body
+ */
+export const handleMockRequest = (method, url) => {
+  const path = url.pathname.slice(MOCK_API_BASE.length);
+
+  for (const route of routes) {
+    const match = path.match(route.pattern);
+    if (!match) continue;
+    if (method !== 'GET') {
+      return { status: 405, body: { message: `${method} is not supported by the mock API; it only answers GET requests` } };
+    }
+    let params;
+    try {
+      params = match.slice(1).map(decodeURIComponent);
+    } catch {
+      return { status: 400, body: { message: `Path ${url.pathname} is not validly percent-encoded` } };
+    }
+    return route.handle(url.searchParams, params);
+  }
+  return { status: 404, body: { message: `Route ${method} ${url.pathname} not found` } };
+};
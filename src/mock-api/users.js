@@ -0,0 +1,75 @@
+/**
+ * Mock Users
+ * 
+ * Seeded users served by the mock backend, in the same shape as the
+ * live API's users (the fields the challenges use, at least). They are
+ * built from fixed lists, so every reload, learner and test sees the
+ * same people in the same order.
+ * 
+ * @module mock-api/users
+ */
+
+const FIRST_NAMES = [
+  'Emily', 'Michael', 'Sophia', 'James', 'Emma', 'Olivia', 'Alexander', 'Ava', 'Ethan', 'Isabella',
+  'Liam', 'Mia', 'Noah', 'Charlotte', 'William', 'Amelia', 'Benjamin', 'Harper', 'Lucas', 'Evelyn',
+  'Mason', 'Abigail', 'Elijah', 'Ella', 'Oliver', 'Scarlett', 'Jacob', 'Grace', 'Daniel', 'Chloe',
+];
+
+const LAST_NAMES = [
+  'Johnson', 'Williams', 'Brown', 'Davis', 'Miller', 'Wilson', 'Jones', 'Taylor', 'Martinez', 'Anderson',
+  'Garcia', 'Rodriguez', 'Thomas', 'Moore', 'Jackson', 'White', 'Harris', 'Martin', 'Thompson', 'Lee',
+];
+
+const DEPARTMENTS = [
+  'Engineering', 'Support', 'Research and Development', 'Human Resources', 'Product Management',
+  'Marketing', 'Services', 'Accounting', 'Legal', 'Training', 'Sales', 'Business Development',
+];
+
+const TITLES = ['Developer', 'Manager', 'Analyst', 'Designer', 'Consultant', 'Specialist'];
+
+const CITIES = [
+  ['Phoenix', 'United States'], ['Lisbon', 'Portugal'], ['Toronto', 'Canada'], ['Madrid', 'Spain'],
+  ['Cairo', 'Egypt'], ['Berlin', 'Germany'], ['Melbourne', 'Australia'], ['Seoul', 'South Korea'],
+];
+
+const AVATAR_COLORS = ['#2563eb', '#16a34a', '#d97706', '#dc2626', '#7c3aed', '#0891b2'];
+
+/**
+ * Initials avatar as an SVG data URL, so users show pictures offline
+ * @param {string} initials - Two letters
+ * @param {string} color - Background color
+ * @returns {string} Data URL
+ */
+const createAvatar = (initials, color) =>
+  `data:image/svg+xml,${encodeURIComponent(
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 128 128"><rect width="128" height="128" fill="${color}"/>` +
+      `<text x="64" y="78" font-family="Arial, sans-serif" font-size="44" font-weight="700" fill="#fff" text-anchor="middle">${initials}</text></svg>`,
+  )}`;
+
+/**
+ * Every mock user, ordered by ID
+ */
+export const mockUsers = FIRST_NAMES.map((firstName, index) => {
+  const id = index + 1;
+  const lastName = LAST_NAMES[(index * 7) % LAST_NAMES.length];
+  const [city, country] = CITIES[index % CITIES.length];
+  const department = DEPARTMENTS[index % DEPARTMENTS.length];
+  const username = `${firstName.toLowerCase()}${lastName[0].toLowerCase()}`;
+
+  return {
+    id,
+    firstName,
+    lastName,
+    age: 22 + ((index * 13) % 36),
+    email: `${firstName.toLowerCase()}.${lastName.toLowerCase()}@example.com`,
+    phone: `+1 555-01${String(id).padStart(2, '0')}`,
+    username,
+    image: createAvatar(`${firstName[0]}${lastName[0]}`, AVATAR_COLORS[index % AVATAR_COLORS.length]),
+    address: { city, country },
+    company: {
+      name: `${LAST_NAMES[(index * 3) % LAST_NAMES.length]} & Co`,
+      department,
+      title: TITLES[index % TITLES.length],
+    },
+  };
+});
@@ -0,0 +1,47 @@
+/**
+ * Playground Preview Document
+ * 
+ * Builds the HTML loaded into the preview frame with `srcdoc`: the
+ * bundled preview script and styles from `virtual:playground-preview`
+ * (see scripts/vite-plugin-playground-preview.js), inlined so the frame
+ * never fetches anything. The language, text direction and color theme
+ * are set up front so the first paint already matches the app.
+ * 
+ * The script is embedded as JSON with every `<` escaped and run from a
+ * script element created at load, so nothing in the bundle can end the
+ * tag early.
+ * 
+ * @module playground/document
+ */
+
+/**
+ * Build the preview document
+ * @param {Object} options
+ * @param {string} options.script - Bundled preview script
+ * @param {string} options.css - Preview styles
+ * @param {string} options.locale - App language, a key of localeConfig
+ * @param {'ltr'|'rtl'} options.dir - Text direction of the language
+ * @param {'light'|'dark'} options.theme - Resolved color theme
+ * @returns {string} HTML for the frame's srcdoc
+ */
+export const createPreviewDocument = ({ script, css, locale, dir, theme }) => `<!doctype html>
+<html lang="${locale}" dir="${dir}" data-theme="${theme}">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>react-practice playground preview</title>
+    <style>${css.replace(/<\/style/gi, '<\\/style')}</style>
+  </head>
+  <body class="p-4">
+    <div id="preview-root"></div>
+    <script type="application/json" id="preview-script">${JSON.stringify(script).replace(/</g, '\\u003c')}</script>
+    <script>
+      (function () {
+        var script = document.createElement('script');
+        script.textContent = JSON.parse(document.getElementById('preview-script').textContent);
+        document.body.appendChild(script);
+      })();
+    </script>
+  </body>
+</html>
+`;
@@ -0,0 +1,62 @@
+/**
+ * Playground Preview Messages
+ * 
+ * Message protocol shared by the Playground component and the sandboxed
+ * preview frame. Kept separate from the runtime so the editor page does
+ * not pull the JSX compiler into its bundle.
+ * 
+ * The frame has an opaque origin, so messages to it are posted to any
+ * origin (`*`) and both sides instead check that an incoming message
+ * comes from the expected window. The frame cannot read the app's
+ * localStorage: the editor sends it the color theme, language and mock
+ * API settings with SETTINGS, on load and whenever they change.
+ * 
+ * @module playground/messages
+ */
+
+/**
+ * Tag attached to every message so unrelated postMessage traffic is ignored
+ */
+export const PREVIEW_SOURCE = 'react-practice-preview';
+
+/**
+ * Message types exchanged with the preview frame
+ */
+export const PREVIEW_MESSAGES = {
+  // preview -> editor
+  READY: 'READY',
+  RENDERED: 'RENDERED',
+  ERROR: 'ERROR',
+  SPEC_RESULTS: 'SPEC_RESULTS',
+  // editor -> preview
+  RENDER: 'RENDER',
+  RUN_SPECS: 'RUN_SPECS',
+  SETTINGS: 'SETTINGS',
+};
+
+/**
+ * Phases in which learner code can fail
+ */
+export const ERROR_PHASES = {
+  COMPILE: 'compile',
+  RUNTIME: 'runtime',
+};
+
+/**
+ * Build a tagged preview message
+ * @param {string} type - One of PREVIEW_MESSAGES
+ * @param {Object} payload - Extra message fields
+ * @returns {Object} Message ready for postMessage
+ */
+export const createPreviewMessage = (type, payload = {}) => ({
+  source: PREVIEW_SOURCE,
+  type,
+  ...payload,
+});
+
+/**
+ * Check whether a message event belongs to the preview protocol
+ * @param {MessageEvent} event - Incoming message event
+ * @returns {boolean} True if the event carries a preview message
+ */
+export const isPreviewMessage = (event) => event.data?.source === PREVIEW_SOURCE;
@@ -0,0 +1,217 @@
+/**
+ * Playground Preview Entry Point
+ * 
+ * Runs inside the sandboxed preview frame, bundled into one document by
+ * scripts/vite-plugin-playground-preview.js. Receives learner code from
+ * the Playground component, compiles and renders it, and reports compile
+ * and runtime errors back to the editor. On request it also runs the
+ * challenge's acceptance specs against the learner code. The preview
+ * follows the app's color theme, language and mock API settings, which
+ * the editor sends as they change.
+ * 
+ * @module playground/preview
+ */
+
+import { Component } from 'react';
+import { createRoot } from 'react-dom/client';
+import '../index.css';
+import { compileCode, evaluateModule, getExportedComponent } from './runtime';
+import { getSpecsById, runSpecs } from '../specs';
+import {
+  PREVIEW_MESSAGES,
+  ERROR_PHASES,
+  createPreviewMessage,
+  isPreviewMessage,
+} from './messages';
+import { THEME_MODES, applyTheme } from '../data/theme';
+import { DEFAULT_LOCALE, localeConfig, applyLocale } from '../data/i18n';
+import { defaultMockApiSettings, normalizeMockApiSettings } from '../data/mock-api';
+import { LocaleContext, createStaticLocale } from '../hooks/use-locale';
+import { installMockApi } from '../mock-api/install';
+import { installMemoryStorage } from './storage';
+
+/**
+ * The frame's origin is opaque, so the real localStorage is off limits
+ */
+installMemoryStorage(window);
+
+/**
+ * Mock API settings last sent by the editor
+ */
+let mockApiSettings = defaultMockApiSettings;
+
+/**
+ * Answer learner `fetch('/api/...')` calls like the app does
+ */
+installMockApi(window, () => mockApiSettings);
+
+/**
+ * Locale the learner component is rendered in; specs always run in English.
+ * The editor sets `lang` on the preview document before it loads.
+ */
+const initialLocale = document.documentElement.lang;
+let previewLocale = createStaticLocale(localeConfig[initialLocale] ? initialLocale : DEFAULT_LOCALE);
+
+/**
+ * Last code rendered, so a language change can render it again
+ */
+let lastCode = null;
+
+/**
+ * Send a message to the editor that embeds this frame
+ */
+const postToEditor = (type, payload) => {
+  window.parent.postMessage(createPreviewMessage(type, payload), '*');
+};
+
+/**
+ * Report an error to the editor
+ * @param {string} phase - One of ERROR_PHASES
+ * @param {Error|string} error - The error that occurred
+ */
+const reportError = (phase, error) => {
+  postToEditor(PREVIEW_MESSAGES.ERROR, {
+    phase,
+    message: error instanceof Error ? error.message : String(error),
+  });
+};
+
+/**
+ * PreviewErrorBoundary Component
+ * 
+ * Catches render errors thrown by learner components so the preview can
+ * show them instead of unmounting.
+ */
+class PreviewErrorBoundary extends Component {
+  state = { error: null };
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  componentDidCatch(error) {
+    reportError(ERROR_PHASES.RUNTIME, error);
+  }
+
+  render() {
+    if (this.state.error) {
+      return (
+        <div className="p-4 rounded-lg bg-danger-light text-danger text-sm font-mono whitespace-pre-wrap">
+          {this.state.error.message}
+        </div>
+      );
+    }
+    return this.props.children;
+  }
+}
+
+const root = createRoot(document.getElementById('preview-root'));
+let renderCount = 0;
+
+/**
+ * Compile and evaluate learner code, reporting any errors to the editor
+ * @param {string} code - Learner source code
+ * @returns {Function|null} The exported component, or null on error
+ */
+const loadLearnerComponent = (code) => {
+  let compiledCode;
+  try {
+    compiledCode = compileCode(code);
+  } catch (error) {
+    reportError(ERROR_PHASES.COMPILE, error);
+    return null;
+  }
+
+  try {
+    return getExportedComponent(evaluateModule(compiledCode));
+  } catch (error) {
+    reportError(ERROR_PHASES.RUNTIME, error);
+    return null;
+  }
+};
+
+/**
+ * Compile, evaluate and render a piece of learner code
+ * @param {string} code - Learner source code
+ */
+const renderCode = (code) => {
+  lastCode = code;
+  const LearnerComponent = loadLearnerComponent(code);
+  if (!LearnerComponent) return;
+
+  // A fresh key remounts the tree so state from the previous version is dropped
+  renderCount += 1;
+  root.render(
+    <LocaleContext.Provider value={previewLocale}>
+      <PreviewErrorBoundary key={renderCount}>
+        <LearnerComponent />
+      </PreviewErrorBoundary>
+    </LocaleContext.Provider>,
+  );
+  postToEditor(PREVIEW_MESSAGES.RENDERED);
+};
+
+/**
+ * Run a challenge's specs against learner code and report the results
+ * @param {string} code - Learner source code
+ * @param {string} challengeId - Challenge whose specs to run
+ */
+const runLearnerSpecs = async (code, challengeId) => {
+  const LearnerComponent = loadLearnerComponent(code);
+  if (!LearnerComponent) {
+    postToEditor(PREVIEW_MESSAGES.SPEC_RESULTS, {
+      results: [],
+      error: 'Fix the errors in your code before running the specs.',
+    });
+    return;
+  }
+
+  // Always answer, so the editor never waits on a run that failed to start
+  try {
+    const results = await runSpecs(LearnerComponent, getSpecsById(challengeId));
+    postToEditor(PREVIEW_MESSAGES.SPEC_RESULTS, { results, error: null });
+  } catch (error) {
+    postToEditor(PREVIEW_MESSAGES.SPEC_RESULTS, {
+      results: [],
+      error: error instanceof Error ? error.message : String(error),
+    });
+  }
+};
+
+/**
+ * Follow the app's color theme, language and mock API settings
+ * @param {Object} settings - { theme, locale, mockApi } from the editor
+ */
+const applySettings = ({ theme, locale, mockApi }) => {
+  applyTheme(theme === THEME_MODES.DARK ? THEME_MODES.DARK : THEME_MODES.LIGHT);
+  mockApiSettings = normalizeMockApiSettings(mockApi);
+
+  if (!localeConfig[locale] || locale === previewLocale.locale) return;
+  previewLocale = createStaticLocale(locale);
+  applyLocale(locale);
+  if (lastCode !== null) renderCode(lastCode);
+};
+
+window.addEventListener('message', (event) => {
+  if (event.source !== window.parent || !isPreviewMessage(event)) return;
+
+  switch (event.data.type) {
+    case PREVIEW_MESSAGES.RENDER:
+      renderCode(event.data.code);
+      break;
+    case PREVIEW_MESSAGES.RUN_SPECS:
+      runLearnerSpecs(event.data.code, event.data.challengeId);
+      break;
+    case PREVIEW_MESSAGES.SETTINGS:
+      applySettings(event.data);
+      break;
+    default:
+      break;
+  }
+});
+
+// Errors thrown from event handlers, timers and promises never reach the boundary
+window.addEventListener('error', (event) => reportError(ERROR_PHASES.RUNTIME, event.error || event.message));
+window.addEventListener('unhandledrejection', (event) => reportError(ERROR_PHASES.RUNTIME, event.reason));
+
+postToEditor(PREVIEW_MESSAGES.READY);
@@ -0,0 +1,101 @@
+/**
+ * Playground Runtime
+ * 
+ * Compiles learner JSX in the browser with Sucrase and evaluates it as a
+ * CommonJS module. Imports are resolved against a fixed module map, so
+ * the playground works fully offline with no CDN.
+ * 
+ * @module playground/runtime
+ */
+
+import * as React from 'react';
+import * as ReactDOM from 'react-dom';
+import * as ReactJsxRuntime from 'react/jsx-runtime';
+import { transform } from 'sucrase';
+
+/**
+ * App hooks exposed to learner code, keyed by the path a component in
+ * src/challenges would use to import them (e.g. '../hooks/use-toggle').
+ */
+const hookModules = Object.fromEntries(
+  Object.entries(import.meta.glob('../hooks/*.js', { eager: true })).map(([path, mod]) => [
+    path.replace(/\.js$/, ''),
+    mod,
+  ]),
+);
+
+/**
+ * Modules learner code may import
+ */
+export const playgroundModules = {
+  react: React,
+  'react-dom': ReactDOM,
+  'react/jsx-runtime': ReactJsxRuntime,
+  ...hookModules,
+};
+
+/**
+ * Strip a trailing .js / .jsx extension from an import specifier
+ * @param {string} specifier - Import specifier as written by the learner
+ * @returns {string} Specifier used for module map lookups
+ */
+const normalizeSpecifier = (specifier) => specifier.replace(/\.jsx?$/, '');
+
+/**
+ * Compile learner JSX into CommonJS code
+ * @param {string} code - Learner source code
+ * @returns {string} Compiled code
+ * @throws {SyntaxError} When the code cannot be parsed
+ */
+export const compileCode = (code) => {
+  return transform(code, {
+    transforms: ['jsx', 'imports'],
+    jsxRuntime: 'automatic',
+    production: true,
+  }).code;
+};
+
+/**
+ * Evaluate compiled code as a module
+ * @param {string} compiledCode - Output of compileCode
+ * @param {Object} modules - Module map used to resolve require() calls
+ * @returns {Object} The module's exports
+ * @throws {Error} When an import cannot be resolved or the module throws
+ */
+export const evaluateModule = (compiledCode, modules = playgroundModules) => {
+  const module = { exports: {} };
+  const require = (specifier) => {
+    const resolved = modules[normalizeSpecifier(specifier)];
+    if (!resolved) {
+      throw new Error(`Cannot import "${specifier}" in the playground`);
+    }
+    return resolved;
+  };
+
+  new Function('require', 'module', 'exports', compiledCode)(require, module, module.exports);
+  return module.exports;
+};
+
+/**
+ * Pick the component a module exports
+ * Prefers the default export, falling back to the first exported function.
+ * @param {Object} moduleExports - Exports returned by evaluateModule
+ * @returns {Function} The exported component
+ * @throws {Error} When the module does not export a component
+ */
+export const getExportedComponent = (moduleExports) => {
+  if (typeof moduleExports.default === 'function') return moduleExports.default;
+
+  const component = Object.values(moduleExports).find((value) => typeof value === 'function');
+  if (!component) {
+    throw new Error('Your code must export a component, e.g. `export default Counter;`');
+  }
+  return component;
+};
+
+/**
+ * Compile and evaluate learner code in one step
+ * @param {string} code - Learner source code
+ * @returns {Function} The exported component
+ */
+export const loadComponent = (code) => getExportedComponent(evaluateModule(compileCode(code)));
@@ -0,0 +1,49 @@
+/**
+ * Playground Starters
+ * 
+ * Starter versions of each challenge component live in src/starters and
+ * share the filename of the reference solution (e.g. Counter.jsx). They are
+ * loaded as raw source on demand so each starter ships in its own chunk.
+ * The learner's edited version is saved in localStorage under
+ * getPlaygroundStorageKey.
+ * 
+ * @module playground/starters
+ */
+
+const starterSources = import.meta.glob('../starters/*.jsx', { query: '?raw', import: 'default' });
+
+/**
+ * Load the starter source for a challenge component
+ * @param {string} filename - Component filename from data/solutions (e.g. 'Counter.jsx')
+ * @returns {Promise<string|null>} Starter source or null if none exists
+ */
+export const loadStarterCode = async (filename) => {
+  const load = starterSources[`../starters/${filename}`];
+  return load ? load() : null;
+};
+
+/**
+ * Prefix of the localStorage keys holding each challenge's playground code
+ */
+export const PLAYGROUND_STORAGE_PREFIX = 'react-practice-playground-';
+
+/**
+ * Get the localStorage key holding a challenge's playground code
+ * @param {string} challengeId - Challenge ID
+ * @returns {string} Storage key
+ */
+export const getPlaygroundStorageKey = (challengeId) => `${PLAYGROUND_STORAGE_PREFIX}${challengeId}`;
+
+/**
+ * Read a challenge's saved playground code
+ * @param {string} challengeId - Challenge ID
+ * @returns {string|null} The learner's code, or null if they have not edited it
+ */
+export const readPlaygroundCode = (challengeId) => {
+  try {
+    const code = JSON.parse(localStorage.getItem(getPlaygroundStorageKey(challengeId)));
+    return typeof code === 'string' ? code : null;
+  } catch {
+    return null;
+  }
+};
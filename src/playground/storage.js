@@ -0,0 +1,51 @@
+/**
+ * Playground Storage
+ * 
+ * In-memory stand-in for localStorage inside the preview frame. The frame
+ * runs in an opaque origin, where reading localStorage throws, so learner
+ * code and the specs get this instead. It behaves like localStorage
+ * (`Object.keys` lists the stored keys) but starts empty with every
+ * preview and never touches the app's data.
+ * 
+ * @module playground/storage
+ */
+
+/**
+ * Storage implementation; items are the instance's own properties
+ */
+class MemoryStorage {
+  get length() {
+    return Object.keys(this).length;
+  }
+
+  key(index) {
+    return Object.keys(this)[index] ?? null;
+  }
+
+  getItem(key) {
+    return Object.hasOwn(this, key) ? this[key] : null;
+  }
+
+  setItem(key, value) {
+    this[key] = String(value);
+  }
+
+  removeItem(key) {
+    delete this[key];
+  }
+
+  clear() {
+    Object.keys(this).forEach((key) => delete this[key]);
+  }
+}
+
+/**
+ * Give a window an empty in-memory localStorage
+ * @param {Window} target - Window whose localStorage to replace
+ */
+export const installMemoryStorage = (target) => {
+  Object.defineProperty(target, 'localStorage', {
+    value: new MemoryStorage(),
+    configurable: true,
+  });
+};
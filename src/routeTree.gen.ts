@@ -10,248 +10,180 @@
 
 import { Route as rootRouteImport } from './routes/__root'
 import { Route as IndexRouteImport } from './routes/index'
+import { Route as CollectionsRouteImport } from './routes/collections'
+import { Route as MyNotesRouteImport } from './routes/my-notes'
+import { Route as PathsRouteImport } from './routes/paths'
+import { Route as ReviewRouteImport } from './routes/review'
+import { Route as SettingsRouteImport } from './routes/settings'
 import { Route as ChallengesIndexRouteImport } from './routes/challenges/index'
-import { Route as ChallengesWindowResizerRouteImport } from './routes/challenges/window-resizer'
-import { Route as ChallengesToggleThemeRouteImport } from './routes/challenges/toggle-theme'
-import { Route as ChallengesTodoListRouteImport } from './routes/challenges/todo-list'
-import { Route as ChallengesTimerRouteImport } from './routes/challenges/timer'
-import { Route as ChallengesTableRouteImport } from './routes/challenges/table'
-import { Route as ChallengesShoppingCartRouteImport } from './routes/challenges/shopping-cart'
-import { Route as ChallengesSearchRouteImport } from './routes/challenges/search'
-import { Route as ChallengesProductFiltersRouteImport } from './routes/challenges/product-filters'
-import { Route as ChallengesPaginationRouteImport } from './routes/challenges/pagination'
-import { Route as ChallengesNotesAppRouteImport } from './routes/challenges/notes-app'
-import { Route as ChallengesModalRouteImport } from './routes/challenges/modal'
-import { Route as ChallengesFormValidationRouteImport } from './routes/challenges/form-validation'
-import { Route as ChallengesFetchUsersRouteImport } from './routes/challenges/fetch-users'
-import { Route as ChallengesCounterRouteImport } from './routes/challenges/counter'
-import { Route as ChallengesControlledInputRouteImport } from './routes/challenges/controlled-input'
+import { Route as ChallengesChallengeIdRouteImport } from './routes/challenges/$challengeId'
+import { Route as ConceptsIndexRouteImport } from './routes/concepts/index'
+import { Route as ConceptsConceptRouteImport } from './routes/concepts/$concept'
+import { Route as QuizzesIndexRouteImport } from './routes/quizzes/index'
+import { Route as QuizzesCategoryRouteImport } from './routes/quizzes/$category'
 
 const IndexRoute = IndexRouteImport.update({
   id: '/',
   path: '/',
   getParentRoute: () => rootRouteImport,
 } as any)
-const ChallengesIndexRoute = ChallengesIndexRouteImport.update({
-  id: '/challenges/',
-  path: '/challenges/',
-  getParentRoute: () => rootRouteImport,
-} as any)
-const ChallengesWindowResizerRoute = ChallengesWindowResizerRouteImport.update({
-  id: '/challenges/window-resizer',
-  path: '/challenges/window-resizer',
-  getParentRoute: () => rootRouteImport,
-} as any)
-const ChallengesToggleThemeRoute = ChallengesToggleThemeRouteImport.update({
-  id: '/challenges/toggle-theme',
-  path: '/challenges/toggle-theme',
+const CollectionsRoute = CollectionsRouteImport.update({
+  id: '/collections',
+  path: '/collections',
   getParentRoute: () => rootRouteImport,
 } as any)
-const ChallengesTodoListRoute = ChallengesTodoListRouteImport.update({
-  id: '/challenges/todo-list',
-  path: '/challenges/todo-list',
+const MyNotesRoute = MyNotesRouteImport.update({
+  id: '/my-notes',
+  path: '/my-notes',
   getParentRoute: () => rootRouteImport,
 } as any)
-const ChallengesTimerRoute = ChallengesTimerRouteImport.update({
-  id: '/challenges/timer',
-  path: '/challenges/timer',
+const PathsRoute = PathsRouteImport.update({
+  id: '/paths',
+  path: '/paths',
   getParentRoute: () => rootRouteImport,
 } as any)
-const ChallengesTableRoute = ChallengesTableRouteImport.update({
-  id: '/challenges/table',
-  path: '/challenges/table',
+const ReviewRoute = ReviewRouteImport.update({
+  id: '/review',
+  path: '/review',
   getParentRoute: () => rootRouteImport,
 } as any)
-const ChallengesShoppingCartRoute = ChallengesShoppingCartRouteImport.update({
-  id: '/challenges/shopping-cart',
-  path: '/challenges/shopping-cart',
+const SettingsRoute = SettingsRouteImport.update({
+  id: '/settings',
+  path: '/settings',
   getParentRoute: () => rootRouteImport,
 } as any)
-const ChallengesSearchRoute = ChallengesSearchRouteImport.update({
-  id: '/challenges/search',
-  path: '/challenges/search',
+const ChallengesIndexRoute = ChallengesIndexRouteImport.update({
+  id: '/challenges/',
+  path: '/challenges/',
   getParentRoute: () => rootRouteImport,
 } as any)
-const ChallengesProductFiltersRoute =
-  ChallengesProductFiltersRouteImport.update({
-    id: '/challenges/product-filters',
-    path: '/challenges/product-filters',
-    getParentRoute: () => rootRouteImport,
-  } as any)
-const ChallengesPaginationRoute = ChallengesPaginationRouteImport.update({
-  id: '/challenges/pagination',
-  path: '/challenges/pagination',
+const ChallengesChallengeIdRoute = ChallengesChallengeIdRouteImport.update({
+  id: '/challenges/$challengeId',
+  path: '/challenges/$challengeId',
   getParentRoute: () => rootRouteImport,
 } as any)
-const ChallengesNotesAppRoute = ChallengesNotesAppRouteImport.update({
-  id: '/challenges/notes-app',
-  path: '/challenges/notes-app',
+const ConceptsIndexRoute = ConceptsIndexRouteImport.update({
+  id: '/concepts/',
+  path: '/concepts/',
   getParentRoute: () => rootRouteImport,
 } as any)
-const ChallengesModalRoute = ChallengesModalRouteImport.update({
-  id: '/challenges/modal',
-  path: '/challenges/modal',
+const ConceptsConceptRoute = ConceptsConceptRouteImport.update({
+  id: '/concepts/$concept',
+  path: '/concepts/$concept',
   getParentRoute: () => rootRouteImport,
 } as any)
-const ChallengesFormValidationRoute =
-  ChallengesFormValidationRouteImport.update({
-    id: '/challenges/form-validation',
-    path: '/challenges/form-validation',
-    getParentRoute: () => rootRouteImport,
-  } as any)
-const ChallengesFetchUsersRoute = ChallengesFetchUsersRouteImport.update({
-  id: '/challenges/fetch-users',
-  path: '/challenges/fetch-users',
+const QuizzesIndexRoute = QuizzesIndexRouteImport.update({
+  id: '/quizzes/',
+  path: '/quizzes/',
   getParentRoute: () => rootRouteImport,
 } as any)
-const ChallengesCounterRoute = ChallengesCounterRouteImport.update({
-  id: '/challenges/counter',
-  path: '/challenges/counter',
+const QuizzesCategoryRoute = QuizzesCategoryRouteImport.update({
+  id: '/quizzes/$category',
+  path: '/quizzes/$category',
   getParentRoute: () => rootRouteImport,
 } as any)
-const ChallengesControlledInputRoute =
-  ChallengesControlledInputRouteImport.update({
-    id: '/challenges/controlled-input',
-    path: '/challenges/controlled-input',
-    getParentRoute: () => rootRouteImport,
-  } as any)
 
 export interface FileRoutesByFullPath {
   '/': typeof IndexRoute
-  '/challenges/controlled-input': typeof ChallengesControlledInputRoute
-  '/challenges/counter': typeof ChallengesCounterRoute
-  '/challenges/fetch-users': typeof ChallengesFetchUsersRoute
-  '/challenges/form-validation': typeof ChallengesFormValidationRoute
-  '/challenges/modal': typeof ChallengesModalRoute
-  '/challenges/notes-app': typeof ChallengesNotesAppRoute
-  '/challenges/pagination': typeof ChallengesPaginationRoute
-  '/challenges/product-filters': typeof ChallengesProductFiltersRoute
-  '/challenges/search': typeof ChallengesSearchRoute
-  '/challenges/shopping-cart': typeof ChallengesShoppingCartRoute
-  '/challenges/table': typeof ChallengesTableRoute
-  '/challenges/timer': typeof ChallengesTimerRoute
-  '/challenges/todo-list': typeof ChallengesTodoListRoute
-  '/challenges/toggle-theme': typeof ChallengesToggleThemeRoute
-  '/challenges/window-resizer': typeof ChallengesWindowResizerRoute
-  '/challenges': typeof ChallengesIndexRoute
+  '/collections': typeof CollectionsRoute
+  '/my-notes': typeof MyNotesRoute
+  '/paths': typeof PathsRoute
+  '/review': typeof ReviewRoute
+  '/settings': typeof SettingsRoute
+  '/challenges/$challengeId': typeof ChallengesChallengeIdRoute
+  '/concepts/$concept': typeof ConceptsConceptRoute
+  '/quizzes/$category': typeof QuizzesCategoryRoute
+  '/challenges/': typeof ChallengesIndexRoute
+  '/concepts/': typeof ConceptsIndexRoute
+  '/quizzes/': typeof QuizzesIndexRoute
 }
 export interface FileRoutesByTo {
   '/': typeof IndexRoute
-  '/challenges/controlled-input': typeof ChallengesControlledInputRoute
-  '/challenges/counter': typeof ChallengesCounterRoute
-  '/challenges/fetch-users': typeof ChallengesFetchUsersRoute
-  '/challenges/form-validation': typeof ChallengesFormValidationRoute
-  '/challenges/modal': typeof ChallengesModalRoute
-  '/challenges/notes-app': typeof ChallengesNotesAppRoute
-  '/challenges/pagination': typeof ChallengesPaginationRoute
-  '/challenges/product-filters': typeof ChallengesProductFiltersRoute
-  '/challenges/search': typeof ChallengesSearchRoute
-  '/challenges/shopping-cart': typeof ChallengesShoppingCartRoute
-  '/challenges/table': typeof ChallengesTableRoute
-  '/challenges/timer': typeof ChallengesTimerRoute
-  '/challenges/todo-list': typeof ChallengesTodoListRoute
-  '/challenges/toggle-theme': typeof ChallengesToggleThemeRoute
-  '/challenges/window-resizer': typeof ChallengesWindowResizerRoute
+  '/collections': typeof CollectionsRoute
+  '/my-notes': typeof MyNotesRoute
+  '/paths': typeof PathsRoute
+  '/review': typeof ReviewRoute
+  '/settings': typeof SettingsRoute
+  '/challenges/$challengeId': typeof ChallengesChallengeIdRoute
+  '/concepts/$concept': typeof ConceptsConceptRoute
+  '/quizzes/$category': typeof QuizzesCategoryRoute
   '/challenges': typeof ChallengesIndexRoute
+  '/concepts': typeof ConceptsIndexRoute
+  '/quizzes': typeof QuizzesIndexRoute
 }
 export interface FileRoutesById {
   __root__: typeof rootRouteImport
   '/': typeof IndexRoute
-  '/challenges/controlled-input': typeof ChallengesControlledInputRoute
-  '/challenges/counter': typeof ChallengesCounterRoute
-  '/challenges/fetch-users': typeof ChallengesFetchUsersRoute
-  '/challenges/form-validation': typeof ChallengesFormValidationRoute
-  '/challenges/modal': typeof ChallengesModalRoute
-  '/challenges/notes-app': typeof ChallengesNotesAppRoute
-  '/challenges/pagination': typeof ChallengesPaginationRoute
-  '/challenges/product-filters': typeof ChallengesProductFiltersRoute
-  '/challenges/search': typeof ChallengesSearchRoute
-  '/challenges/shopping-cart': typeof ChallengesShoppingCartRoute
-  '/challenges/table': typeof ChallengesTableRoute
-  '/challenges/timer': typeof ChallengesTimerRoute
-  '/challenges/todo-list': typeof ChallengesTodoListRoute
-  '/challenges/toggle-theme': typeof ChallengesToggleThemeRoute
-  '/challenges/window-resizer': typeof ChallengesWindowResizerRoute
+  '/collections': typeof CollectionsRoute
+  '/my-notes': typeof MyNotesRoute
+  '/paths': typeof PathsRoute
+  '/review': typeof ReviewRoute
+  '/settings': typeof SettingsRoute
+  '/challenges/$challengeId': typeof ChallengesChallengeIdRoute
+  '/concepts/$concept': typeof ConceptsConceptRoute
+  '/quizzes/$category': typeof QuizzesCategoryRoute
   '/challenges/': typeof ChallengesIndexRoute
+  '/concepts/': typeof ConceptsIndexRoute
+  '/quizzes/': typeof QuizzesIndexRoute
 }
 export interface FileRouteTypes {
   fileRoutesByFullPath: FileRoutesByFullPath
   fullPaths:
     | '/'
-    | '/challenges/controlled-input'
-    | '/challenges/counter'
-    | '/challenges/fetch-users'
-    | '/challenges/form-validation'
-    | '/challenges/modal'
-    | '/challenges/notes-app'
-    | '/challenges/pagination'
-    | '/challenges/product-filters'
-    | '/challenges/search'
-    | '/challenges/shopping-cart'
-    | '/challenges/table'
-    | '/challenges/timer'
-    | '/challenges/todo-list'
-    | '/challenges/toggle-theme'
-    | '/challenges/window-resizer'
-    | '/challenges'
+    | '/collections'
+    | '/my-notes'
+    | '/paths'
+    | '/review'
+    | '/settings'
+    | '/challenges/$challengeId'
+    | '/concepts/$concept'
+    | '/quizzes/$category'
+    | '/challenges/'
+    | '/concepts/'
+    | '/quizzes/'
   fileRoutesByTo: FileRoutesByTo
   to:
     | '/'
-    | '/challenges/controlled-input'
-    | '/challenges/counter'
-    | '/challenges/fetch-users'
-    | '/challenges/form-validation'
-    | '/challenges/modal'
-    | '/challenges/notes-app'
-    | '/challenges/pagination'
-    | '/challenges/product-filters'
-    | '/challenges/search'
-    | '/challenges/shopping-cart'
-    | '/challenges/table'
-    | '/challenges/timer'
-    | '/challenges/todo-list'
-    | '/challenges/toggle-theme'
-    | '/challenges/window-resizer'
+    | '/collections'
+    | '/my-notes'
+    | '/paths'
+    | '/review'
+    | '/settings'
+    | '/challenges/$challengeId'
+    | '/concepts/$concept'
+    | '/quizzes/$category'
     | '/challenges'
+    | '/concepts'
+    | '/quizzes'
   id:
     | '__root__'
     | '/'
-    | '/challenges/controlled-input'
-    | '/challenges/counter'
-    | '/challenges/fetch-users'
-    | '/challenges/form-validation'
-    | '/challenges/modal'
-    | '/challenges/notes-app'
-    | '/challenges/pagination'
-    | '/challenges/product-filters'
-    | '/challenges/search'
-    | '/challenges/shopping-cart'
-    | '/challenges/table'
-    | '/challenges/timer'
-    | '/challenges/todo-list'
-    | '/challenges/toggle-theme'
-    | '/challenges/window-resizer'
+    | '/collections'
+    | '/my-notes'
+    | '/paths'
+    | '/review'
+    | '/settings'
+    | '/challenges/$challengeId'
+    | '/concepts/$concept'
+    | '/quizzes/$category'
     | '/challenges/'
+    | '/concepts/'
+    | '/quizzes/'
   fileRoutesById: FileRoutesById
 }
 export interface RootRouteChildren {
   IndexRoute: typeof IndexRoute
-  ChallengesControlledInputRoute: typeof ChallengesControlledInputRoute
-  ChallengesCounterRoute: typeof ChallengesCounterRoute
-  ChallengesFetchUsersRoute: typeof ChallengesFetchUsersRoute
-  ChallengesFormValidationRoute: typeof ChallengesFormValidationRoute
-  ChallengesModalRoute: typeof ChallengesModalRoute
-  ChallengesNotesAppRoute: typeof ChallengesNotesAppRoute
-  ChallengesPaginationRoute: typeof ChallengesPaginationRoute
-  ChallengesProductFiltersRoute: typeof ChallengesProductFiltersRoute
-  ChallengesSearchRoute: typeof ChallengesSearchRoute
-  ChallengesShoppingCartRoute: typeof ChallengesShoppingCartRoute
-  ChallengesTableRoute: typeof ChallengesTableRoute
-  ChallengesTimerRoute: typeof ChallengesTimerRoute
-  ChallengesTodoListRoute: typeof ChallengesTodoListRoute
-  ChallengesToggleThemeRoute: typeof ChallengesToggleThemeRoute
-  ChallengesWindowResizerRoute: typeof ChallengesWindowResizerRoute
+  CollectionsRoute: typeof CollectionsRoute
+  MyNotesRoute: typeof MyNotesRoute
+  PathsRoute: typeof PathsRoute
+  ReviewRoute: typeof ReviewRoute
+  SettingsRoute: typeof SettingsRoute
+  ChallengesChallengeIdRoute: typeof ChallengesChallengeIdRoute
+  ConceptsConceptRoute: typeof ConceptsConceptRoute
+  QuizzesCategoryRoute: typeof QuizzesCategoryRoute
   ChallengesIndexRoute: typeof ChallengesIndexRoute
+  ConceptsIndexRoute: typeof ConceptsIndexRoute
+  QuizzesIndexRoute: typeof QuizzesIndexRoute
 }
 
 declare module '@tanstack/react-router' {
@@ -263,116 +195,81 @@ declare module '@tanstack/react-router' {
       preLoaderRoute: typeof IndexRouteImport
       parentRoute: typeof rootRouteImport
     }
-    '/challenges/': {
-      id: '/challenges/'
-      path: '/challenges'
-      fullPath: '/challenges'
-      preLoaderRoute: typeof ChallengesIndexRouteImport
-      parentRoute: typeof rootRouteImport
-    }
-    '/challenges/window-resizer': {
-      id: '/challenges/window-resizer'
-      path: '/challenges/window-resizer'
-      fullPath: '/challenges/window-resizer'
-      preLoaderRoute: typeof ChallengesWindowResizerRouteImport
-      parentRoute: typeof rootRouteImport
-    }
-    '/challenges/toggle-theme': {
-      id: '/challenges/toggle-theme'
-      path: '/challenges/toggle-theme'
-      fullPath: '/challenges/toggle-theme'
-      preLoaderRoute: typeof ChallengesToggleThemeRouteImport
-      parentRoute: typeof rootRouteImport
-    }
-    '/challenges/todo-list': {
-      id: '/challenges/todo-list'
-      path: '/challenges/todo-list'
-      fullPath: '/challenges/todo-list'
-      preLoaderRoute: typeof ChallengesTodoListRouteImport
+    '/collections': {
+      id: '/collections'
+      path: '/collections'
+      fullPath: '/collections'
+      preLoaderRoute: typeof CollectionsRouteImport
       parentRoute: typeof rootRouteImport
     }
-    '/challenges/timer': {
-      id: '/challenges/timer'
-      path: '/challenges/timer'
-      fullPath: '/challenges/timer'
-      preLoaderRoute: typeof ChallengesTimerRouteImport
+    '/my-notes': {
+      id: '/my-notes'
+      path: '/my-notes'
+      fullPath: '/my-notes'
+      preLoaderRoute: typeof MyNotesRouteImport
       parentRoute: typeof rootRouteImport
     }
-    '/challenges/table': {
-      id: '/challenges/table'
-      path: '/challenges/table'
-      fullPath: '/challenges/table'
-      preLoaderRoute: typeof ChallengesTableRouteImport
+    '/paths': {
+      id: '/paths'
+      path: '/paths'
+      fullPath: '/paths'
+      preLoaderRoute: typeof PathsRouteImport
       parentRoute: typeof rootRouteImport
     }
-    '/challenges/shopping-cart': {
-      id: '/challenges/shopping-cart'
-      path: '/challenges/shopping-cart'
-      fullPath: '/challenges/shopping-cart'
-      preLoaderRoute: typeof ChallengesShoppingCartRouteImport
+    '/review': {
+      id: '/review'
+      path: '/review'
+      fullPath: '/review'
+      preLoaderRoute: typeof ReviewRouteImport
       parentRoute: typeof rootRouteImport
     }
-    '/challenges/search': {
-      id: '/challenges/search'
-      path: '/challenges/search'
-      fullPath: '/challenges/search'
-      preLoaderRoute: typeof ChallengesSearchRouteImport
+    '/settings': {
+      id: '/settings'
+      path: '/settings'
+      fullPath: '/settings'
+      preLoaderRoute: typeof SettingsRouteImport
       parentRoute: typeof rootRouteImport
     }
-    '/challenges/product-filters': {
-      id: '/challenges/product-filters'
-      path: '/challenges/product-filters'
-      fullPath: '/challenges/product-filters'
-      preLoaderRoute: typeof ChallengesProductFiltersRouteImport
-      parentRoute: typeof rootRouteImport
-    }
-    '/challenges/pagination': {
-      id: '/challenges/pagination'
-      path: '/challenges/pagination'
-      fullPath: '/challenges/pagination'
-      preLoaderRoute: typeof ChallengesPaginationRouteImport
-      parentRoute: typeof rootRouteImport
-    }
-    '/challenges/notes-app': {
-      id: '/challenges/notes-app'
-      path: '/challenges/notes-app'
-      fullPath: '/challenges/notes-app'
-      preLoaderRoute: typeof ChallengesNotesAppRouteImport
+    '/challenges/': {
+      id: '/challenges/'
+      path: '/challenges'
+      fullPath: '/challenges/'
+      preLoaderRoute: typeof ChallengesIndexRouteImport
       parentRoute: typeof rootRouteImport
     }
-    '/challenges/modal': {
-      id: '/challenges/modal'
-      path: '/challenges/modal'
-      fullPath: '/challenges/modal'
-      preLoaderRoute: typeof ChallengesModalRouteImport
+    '/challenges/$challengeId': {
+      id: '/challenges/$challengeId'
+      path: '/challenges/$challengeId'
+      fullPath: '/challenges/$challengeId'
+      preLoaderRoute: typeof ChallengesChallengeIdRouteImport
       parentRoute: typeof rootRouteImport
     }
-    '/challenges/form-validation': {
-      id: '/challenges/form-validation'
-      path: '/challenges/form-validation'
-      fullPath: '/challenges/form-validation'
-      preLoaderRoute: typeof ChallengesFormValidationRouteImport
+    '/concepts/': {
+      id: '/concepts/'
+      path: '/concepts'
+      fullPath: '/concepts/'
+      preLoaderRoute: typeof ConceptsIndexRouteImport
       parentRoute: typeof rootRouteImport
     }
-    '/challenges/fetch-users': {
-      id: '/challenges/fetch-users'
-      path: '/challenges/fetch-users'
-      fullPath: '/challenges/fetch-users'
-      preLoaderRoute: typeof ChallengesFetchUsersRouteImport
+    '/concepts/$concept': {
+      id: '/concepts/$concept'
+      path: '/concepts/$concept'
+      fullPath: '/concepts/$concept'
+      preLoaderRoute: typeof ConceptsConceptRouteImport
       parentRoute: typeof rootRouteImport
     }
-    '/challenges/counter': {
-      id: '/challenges/counter'
-      path: '/challenges/counter'
-      fullPath: '/challenges/counter'
-      preLoaderRoute: typeof ChallengesCounterRouteImport
+    '/quizzes/': {
+      id: '/quizzes/'
+      path: '/quizzes'
+      fullPath: '/quizzes/'
+      preLoaderRoute: typeof QuizzesIndexRouteImport
       parentRoute: typeof rootRouteImport
     }
-    '/challenges/controlled-input': {
-      id: '/challenges/controlled-input'
-      path: '/challenges/controlled-input'
-      fullPath: '/challenges/controlled-input'
-      preLoaderRoute: typeof ChallengesControlledInputRouteImport
+    '/quizzes/$category': {
+      id: '/quizzes/$category'
+      path: '/quizzes/$category'
+      fullPath: '/quizzes/$category'
+      preLoaderRoute: typeof QuizzesCategoryRouteImport
       parentRoute: typeof rootRouteImport
     }
   }
@@ -380,22 +277,17 @@ declare module '@tanstack/react-router' {
 
 const rootRouteChildren: RootRouteChildren = {
   IndexRoute: IndexRoute,
-  ChallengesControlledInputRoute: ChallengesControlledInputRoute,
-  ChallengesCounterRoute: ChallengesCounterRoute,
-  ChallengesFetchUsersRoute: ChallengesFetchUsersRoute,
-  ChallengesFormValidationRoute: ChallengesFormValidationRoute,
-  ChallengesModalRoute: ChallengesModalRoute,
-  ChallengesNotesAppRoute: ChallengesNotesAppRoute,
-  ChallengesPaginationRoute: ChallengesPaginationRoute,
-  ChallengesProductFiltersRoute: ChallengesProductFiltersRoute,
-  ChallengesSearchRoute: ChallengesSearchRoute,
-  ChallengesShoppingCartRoute: ChallengesShoppingCartRoute,
-  ChallengesTableRoute: ChallengesTableRoute,
-  ChallengesTimerRoute: ChallengesTimerRoute,
-  ChallengesTodoListRoute: ChallengesTodoListRoute,
-  ChallengesToggleThemeRoute: ChallengesToggleThemeRoute,
-  ChallengesWindowResizerRoute: ChallengesWindowResizerRoute,
+  CollectionsRoute: CollectionsRoute,
+  MyNotesRoute: MyNotesRoute,
+  PathsRoute: PathsRoute,
+  ReviewRoute: ReviewRoute,
+  SettingsRoute: SettingsRoute,
+  ChallengesChallengeIdRoute: ChallengesChallengeIdRoute,
+  ConceptsConceptRoute: ConceptsConceptRoute,
+  QuizzesCategoryRoute: QuizzesCategoryRoute,
   ChallengesIndexRoute: ChallengesIndexRoute,
+  ConceptsIndexRoute: ConceptsIndexRoute,
+  QuizzesIndexRoute: QuizzesIndexRoute,
 }
 export const routeTree = rootRouteImport
   ._addFileChildren(rootRouteChildren)
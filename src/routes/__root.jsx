@@ -8,28 +8,195 @@
  * @module routes/__root
  */
 
-import { createRootRoute, Outlet, Link } from '@tanstack/react-router';
+import { useState, useEffect } from 'react';
+import { createRootRoute, Outlet, Link, useLocation } from '@tanstack/react-router';
+import ProgressProvider from '../components/ProgressProvider';
+import AnnotationsProvider from '../components/AnnotationsProvider';
+import CollectionsProvider from '../components/CollectionsProvider';
+import ShortcutsProvider from '../components/ShortcutsProvider';
+import ThemeProvider from '../components/ThemeProvider';
+import LocaleProvider from '../components/LocaleProvider';
+import CommandPalette from '../components/CommandPalette';
+import ChallengeSuggestions from '../components/ChallengeSuggestions';
+import { useTheme } from '../hooks/use-theme';
+import { useLocale } from '../hooks/use-locale';
+import { useOnlineStatus } from '../hooks/use-online-status';
+import { useServiceWorker } from '../hooks/use-service-worker';
+import { useShortcuts } from '../hooks/use-shortcuts';
+import { themeModeConfig } from '../data/theme';
+import { localeConfig } from '../data/i18n';
 
 /**
  * Navigation items configuration
- * Centralized array of navigation links for easy maintenance
+ * Centralized array of navigation links for easy maintenance; labels are
+ * message IDs (see locales/en)
  */
 const navigationItems = [
-  { path: '/', label: 'Home' },
-  { path: '/challenges', label: 'Challenges' },
+  { path: '/', label: 'nav.home' },
+  { path: '/challenges', label: 'nav.challenges' },
+  { path: '/paths', label: 'nav.paths' },
+  { path: '/concepts', label: 'nav.concepts' },
+  { path: '/review', label: 'nav.review' },
+  { path: '/quizzes', label: 'nav.quizzes' },
+  { path: '/my-notes', label: 'nav.myNotes' },
+  { path: '/collections', label: 'nav.collections' },
+  { path: '/settings', label: 'nav.settings' },
 ];
 
+/**
+ * Shortcut label for opening the command palette on this platform
+ */
+const paletteShortcutLabel = /Mac|iPhone|iPad/.test(navigator.userAgent) ? '⌘K' : 'Ctrl K';
+
+/**
+ * ThemeSwitch Component
+ * 
+ * Segmented light / dark / system switch for the site color theme.
+ */
+const ThemeSwitch = () => {
+  const { mode, setMode } = useTheme();
+  const { t } = useLocale();
+
+  return (
+    <div
+      role="radiogroup"
+      aria-label={t('theme.label')}
+      className="flex items-center p-0.5 rounded-lg border border-border"
+    >
+      {Object.entries(themeModeConfig).map(([value, config]) => (
+        <button
+          key={value}
+          role="radio"
+          aria-checked={mode === value}
+          aria-label={t('theme.option', { theme: t(`theme.${value}`) })}
+          title={t('theme.option', { theme: t(`theme.${value}`) })}
+          onClick={() => setMode(value)}
+          className={`w-8 h-8 rounded-md text-sm transition-colors ${
+            mode === value ? 'bg-primary-light' : 'opacity-60 hover:opacity-100 hover:bg-bg-tertiary'
+          }`}
+        >
+          {config.icon}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+/**
+ * LanguageSwitch Component
+ * 
+ * Select for the UI language; each option is named in its own language.
+ */
+const LanguageSwitch = () => {
+  const { locale, setLocale, t } = useLocale();
+
+  return (
+    <select
+      value={locale}
+      onChange={(e) => setLocale(e.target.value)}
+      aria-label={t('header.language')}
+      title={t('header.language')}
+      className="me-2 h-9 px-2 rounded-lg border border-border bg-bg-primary text-sm text-text-secondary hover:border-primary focus:outline-none focus:ring-2 focus:ring-primary"
+    >
+      {Object.entries(localeConfig).map(([value, config]) => (
+        <option key={value} value={value} lang={value}>
+          {config.label}
+        </option>
+      ))}
+    </select>
+  );
+};
+
+/**
+ * OfflineBanner Component
+ * 
+ * Strip under the header while the browser is offline. Everything but
+ * outside links keeps working from the service worker's cache. When the
+ * worker could not be registered there is no such cache, so the strip
+ * says the app will not work offline instead, online or not.
+ */
+const OfflineBanner = () => {
+  const isOnline = useOnlineStatus();
+  const { isOfflineUnavailable } = useServiceWorker();
+  const { t } = useLocale();
+  const messages = isOfflineUnavailable ? 'offline.unavailable' : 'offline';
+
+  return (
+    <div role="status" aria-live="polite">
+      {(!isOnline || isOfflineUnavailable) && (
+        <div className="bg-warning-light text-warning border-t border-border">
+          <p className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-2 text-sm">
+            <span className="font-semibold">{t(`${messages}.title`)}</span> {t(`${messages}.body`)}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * UpdateBanner Component
+ * 
+ * Strip under the header once a new version of the app is installed and
+ * waiting. Reloading switches this tab to it; until then the tab keeps
+ * running the version it loaded.
+ */
+const UpdateBanner = () => {
+  const { isUpdateReady, applyUpdate } = useServiceWorker();
+  const { t } = useLocale();
+
+  return (
+    <div role="status" aria-live="polite">
+      {isUpdateReady && (
+        <div className="bg-primary-light text-text-primary border-t border-border">
+          <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-2 flex flex-wrap items-center justify-between gap-2 text-sm">
+            <p>
+              <span className="font-semibold">{t('update.title')}</span> {t('update.body')}
+            </p>
+            <button
+              onClick={applyUpdate}
+              className="px-3 py-1 text-xs font-medium rounded-md bg-primary text-white hover:bg-primary-hover transition-colors"
+            >
+              {t('update.reload')}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
 /**
  * Header Component
  * 
  * Renders the main navigation header with responsive design.
  * Uses Tailwind CSS for styling with a clean, professional look.
+ * Also owns the command palette, opened with Ctrl/Cmd+K from any page,
+ * and shows the offline banner.
  */
 const Header = () => {
+  const [isPaletteOpen, setIsPaletteOpen] = useState(false);
+  const { t } = useLocale();
+
+  /**
+   * Toggle the command palette with Ctrl/Cmd+K
+   */
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if ((event.metaKey || event.ctrlKey) && event.key.toLowerCase() === 'k') {
+        event.preventDefault();
+        setIsPaletteOpen((isOpen) => !isOpen);
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
   return (
     <header className="bg-bg-primary border-b border-border sticky top-0 z-50">
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
-        <div className="flex items-center justify-between h-16">
+        <div className="flex flex-wrap lg:flex-nowrap items-center justify-between gap-x-4 pt-3 lg:py-0 lg:h-16">
           {/* Logo and brand */}
           <Link 
             to="/" 
@@ -41,23 +208,48 @@ const Header = () => {
             <span className="font-semibold text-xl hidden sm:block">React Practice</span>
           </Link>
 
-          {/* Navigation links */}
-          <nav className="flex items-center gap-1">
+          {/* Search, language and theme; after the links on wide screens */}
+          <div className="flex items-center lg:order-last">
+            <button
+              onClick={() => setIsPaletteOpen(true)}
+              className="me-2 flex items-center gap-2 px-3 py-2 rounded-lg border border-border text-sm text-text-muted hover:border-primary hover:text-primary transition-colors"
+              aria-label={t('header.searchLabel')}
+              aria-keyshortcuts="Control+K Meta+K"
+            >
+              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
+              </svg>
+              <span className="hidden md:inline">{t('header.search')}</span>
+              <kbd className="hidden md:inline px-1.5 py-0.5 text-xs font-mono bg-bg-tertiary rounded">
+                {paletteShortcutLabel}
+              </kbd>
+            </button>
+            <LanguageSwitch />
+            <ThemeSwitch />
+          </div>
+
+          {/* Navigation links; a scrollable second row on narrow screens */}
+          <nav className="w-full lg:w-auto lg:ms-auto flex items-center gap-1 overflow-x-auto py-2 lg:py-0">
             {navigationItems.map((item) => (
               <Link
                 key={item.path}
                 to={item.path}
-                className="px-4 py-2 rounded-lg text-text-secondary hover:text-text-primary hover:bg-bg-tertiary transition-all duration-200 font-medium"
+                className="px-4 py-2 rounded-lg text-text-secondary hover:text-text-primary hover:bg-bg-tertiary transition-all duration-200 font-medium whitespace-nowrap"
                 activeProps={{
-                  className: 'px-4 py-2 rounded-lg bg-primary-light text-primary font-medium',
+                  className: 'px-4 py-2 rounded-lg bg-primary-light text-primary font-medium whitespace-nowrap',
                 }}
               >
-                {item.label}
+                {t(item.label)}
               </Link>
             ))}
           </nav>
         </div>
       </div>
+
+      <OfflineBanner />
+      <UpdateBanner />
+
+      {isPaletteOpen && <CommandPalette onClose={() => setIsPaletteOpen(false)} />}
     </header>
   );
 };
@@ -65,26 +257,36 @@ const Header = () => {
 /**
  * Footer Component
  * 
- * Renders the site footer with copyright information.
+ * Renders the site footer with copyright information and a button for
+ * the keyboard shortcut cheatsheet.
  */
 const Footer = () => {
-  const currentYear = new Date().getFullYear();
+  const { t } = useLocale();
+  const { bindings, openHelp } = useShortcuts();
+  // Passed as a string so the year is not formatted with a group separator
+  const currentYear = String(new Date().getFullYear());
 
   return (
     <footer className="bg-bg-primary border-t border-border mt-auto">
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6">
         <div className="flex flex-col sm:flex-row items-center justify-between gap-4">
           <p className="text-text-muted text-sm">
-            © {currentYear} React Practice. Built for learning purposes.
+            {t('footer.copyright', { year: currentYear })}
           </p>
           <div className="flex items-center gap-4">
+            <button
+              onClick={openHelp}
+              className="text-text-muted hover:text-primary transition-colors text-sm"
+            >
+              {t('footer.shortcuts', { key: <kbd key="key" className="font-mono">{bindings.help}</kbd> })}
+            </button>
             <a
               href="https://react.dev"
               target="_blank"
               rel="noopener noreferrer"
               className="text-text-muted hover:text-primary transition-colors text-sm"
             >
-              React Docs
+              {t('footer.reactDocs')}
             </a>
             <a
               href="https://tanstack.com/router"
@@ -101,21 +303,68 @@ const Footer = () => {
   );
 };
 
+/**
+ * NotFoundPage Component
+ * 
+ * Shown inside the layout for any URL no route matches, suggesting the
+ * challenges the URL most likely meant.
+ */
+const NotFoundPage = () => {
+  const { t } = useLocale();
+  const { pathname } = useLocation();
+  const path = (
+    <code key="path" dir="ltr" className="font-mono text-text-primary">
+      {pathname}
+    </code>
+  );
+
+  return (
+    <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-24 text-center">
+      <span className="text-5xl">🧭</span>
+      <h1 className="mt-6 text-2xl font-bold text-text-primary">{t('notFound.title')}</h1>
+      <p className="mt-2 text-text-secondary">{t('notFound.body', { path })}</p>
+      <Link
+        to="/"
+        className="inline-block mt-8 px-6 py-3 bg-primary text-white font-medium rounded-lg hover:bg-primary-hover transition-colors"
+      >
+        {t('notFound.home')}
+      </Link>
+      <ChallengeSuggestions path={pathname} />
+    </div>
+  );
+};
+
 /**
  * Root Layout Component
  * 
  * Provides the main layout structure for all pages.
  * Uses flexbox to ensure footer stays at the bottom.
+ * Wrapped in ThemeProvider for the site color theme, LocaleProvider for
+ * the UI language, and ProgressProvider, AnnotationsProvider and
+ * CollectionsProvider so every page shares the learner's progress, notes
+ * and collections. ShortcutsProvider handles the keyboard shortcuts.
  */
 const RootLayout = () => {
   return (
-    <div className="min-h-screen flex flex-col bg-bg-secondary">
-      <Header />
-      <main className="flex-1">
-        <Outlet />
-      </main>
-      <Footer />
-    </div>
+    <ThemeProvider>
+      <LocaleProvider>
+        <ProgressProvider>
+          <AnnotationsProvider>
+            <CollectionsProvider>
+              <ShortcutsProvider>
+                <div className="min-h-screen flex flex-col bg-bg-secondary">
+                  <Header />
+                  <main className="flex-1">
+                    <Outlet />
+                  </main>
+                  <Footer />
+                </div>
+              </ShortcutsProvider>
+            </CollectionsProvider>
+          </AnnotationsProvider>
+        </ProgressProvider>
+      </LocaleProvider>
+    </ThemeProvider>
   );
 };
 
@@ -123,8 +372,10 @@ const RootLayout = () => {
  * Root Route Definition
  * 
  * Creates the root route with the layout component.
- * All child routes will be rendered within the Outlet.
+ * All child routes will be rendered within the Outlet, and
+ * NotFoundPage for URLs that match none of them.
  */
 export const Route = createRootRoute({
   component: RootLayout,
+  notFoundComponent: NotFoundPage,
 });
@@ -0,0 +1,544 @@
+/**
+ * Challenge Detail Route
+ * 
+ * Renders any challenge page from its metadata in data/challenges and
+ * data/solutions. The interactive component is picked from the challenge
+ * registry, so adding a challenge only needs data and a component.
+ * 
+ * @module routes/challenges/$challengeId
+ */
+
+import { Suspense } from 'react';
+import { createFileRoute, Link, notFound, useLocation, useRouter } from '@tanstack/react-router';
+import ShowSolution from '../../components/ShowSolution';
+import Playground from '../../components/Playground';
+import Quiz from '../../components/Quiz';
+import KataMode from '../../components/KataMode';
+import AnnotationsPanel from '../../components/Annotations';
+import ProgressBadge from '../../components/ProgressBadge';
+import StarToggle from '../../components/StarToggle';
+import CollectionMenu from '../../components/CollectionMenu';
+import MockApiPanel from '../../components/MockApiPanel';
+import ChallengeSuggestions from '../../components/ChallengeSuggestions';
+import { useProgress } from '../../hooks/use-progress';
+import { useLocale } from '../../hooks/use-locale';
+import { useShortcut } from '../../hooks/use-shortcuts';
+import { PROGRESS_STATUS } from '../../data/progress';
+import { challenges, getChallengeById, difficultyConfig } from '../../data/challenges';
+import { getPrerequisites, getUnlockedChallenges } from '../../data/learning-paths';
+import { getConceptSlug } from '../../data/concepts';
+import { getSolutionById } from '../../data/solutions';
+import { getCategorySlug } from '../../data/quizzes';
+import { challengeComponents } from '../../challenges/registry';
+import { loadStarterCode } from '../../playground/starters';
+import { loadSolutionSource } from '../../data/solution-sources';
+import { createErrorReportUrl } from '../../data/error-report';
+import { SHORTCUT_ACTIONS } from '../../data/shortcuts';
+
+/**
+ * Default page width for challenge pages
+ */
+const DEFAULT_PAGE_WIDTH = 'max-w-4xl';
+
+/**
+ * GitHubIcon Component
+ * 
+ * GitHub mark used by the source link in the page header.
+ */
+const GitHubIcon = () => (
+  <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 24 24">
+    <path fillRule="evenodd" d="M12 2C6.477 2 2 6.484 2 12.017c0 4.425 2.865 8.18 6.839 9.504.5.092.682-.217.682-.483 0-.237-.008-.868-.013-1.703-2.782.605-3.369-1.343-3.369-1.343-.454-1.158-1.11-1.466-1.11-1.466-.908-.62.069-.608.069-.608 1.003.07 1.531 1.032 1.531 1.032.892 1.53 2.341 1.088 2.91.832.092-.647.35-1.088.636-1.338-2.22-.253-4.555-1.113-4.555-4.951 0-1.093.39-1.988 1.029-2.688-.103-.253-.446-1.272.098-2.65 0 0 .84-.27 2.75 1.026A9.564 9.564 0 0112 6.844c.85.004 1.705.115 2.504.337 1.909-1.296 2.747-1.027 2.747-1.027.546 1.379.202 2.398.1 2.651.64.7 1.028 1.595 1.028 2.688 0 3.848-2.339 4.695-4.566 4.943.359.309.678.92.678 1.855 0 1.338-.012 2.419-.012 2.747 0 .268.18.58.688.482A10.019 10.019 0 0022 12.017C22 6.484 17.522 2 12 2z" clipRule="evenodd" />
+  </svg>
+);
+
+/**
+ * ProgressControls Component
+ * 
+ * Shows the learner's progress on a challenge and lets them mark it
+ * complete, or reopen it.
+ * 
+ * @param {Object} props - Component props
+ * @param {string} props.challengeId - Challenge ID
+ */
+const ProgressControls = ({ challengeId }) => {
+  const { getProgress, completeChallenge, reopenChallenge } = useProgress();
+  const { t } = useLocale();
+  const progress = getProgress(challengeId);
+  const isCompleted = progress.status === PROGRESS_STATUS.COMPLETED;
+
+  return (
+    <div className="flex items-center gap-3">
+      <ProgressBadge progress={progress} showNotStarted />
+      <button
+        onClick={() => (isCompleted ? reopenChallenge(challengeId) : completeChallenge(challengeId))}
+        className="px-3 py-1 text-xs font-medium rounded-full border border-border text-text-secondary hover:border-primary hover:text-primary transition-colors"
+      >
+        {isCompleted ? t('challenge.markNotDone') : t('challenge.markComplete')}
+      </button>
+    </div>
+  );
+};
+
+/**
+ * RelatedChallenges Component
+ * 
+ * Labelled row of links to related challenges, with a check on the
+ * ones the learner has completed. Renders nothing for an empty list.
+ * 
+ * @param {Object} props - Component props
+ * @param {string} props.label - Row label
+ * @param {Object[]} props.challenges - Challenges to link to
+ */
+const RelatedChallenges = ({ label, challenges }) => {
+  const { getProgress } = useProgress();
+  const { t, localizeChallenge } = useLocale();
+
+  if (challenges.length === 0) return null;
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-sm">
+      <span className="text-text-muted">{label}:</span>
+      {challenges.map((related) => {
+        const isCompleted = getProgress(related.id).status === PROGRESS_STATUS.COMPLETED;
+        return (
+          <Link
+            key={related.id}
+            to="/challenges/$challengeId"
+            params={{ challengeId: related.id }}
+            className="inline-flex items-center gap-1 px-3 py-1 rounded-full border border-border text-text-secondary hover:border-primary hover:text-primary transition-colors"
+          >
+            <span aria-hidden="true">{related.icon}</span>
+            {localizeChallenge(related).title}
+            {isCompleted && (
+              <span className="text-success" title={t('progress.status.completed')}>
+                ✓<span className="sr-only"> {t('challenge.relatedCompleted')}</span>
+              </span>
+            )}
+          </Link>
+        );
+      })}
+    </div>
+  );
+};
+
+/**
+ * ChallengeHeader Component
+ * 
+ * Page header with breadcrumb, title, difficulty badge, star and
+ * collection controls, progress, concepts, prerequisite and follow-up
+ * links, and source link.
+ * 
+ * @param {Object} props - Component props
+ * @param {Object} props.challenge - Challenge data object, already localized
+ * @param {Object|null} props.solution - Solution data object
+ * @param {string} props.pageWidth - Tailwind max-width class for the page
+ */
+const ChallengeHeader = ({ challenge, solution, pageWidth }) => {
+  const { t } = useLocale();
+  const diffColor = difficultyConfig[challenge.difficulty]?.color || difficultyConfig.Beginner.color;
+
+  return (
+    <section className="bg-bg-primary border-b border-border">
+      <div className={`${pageWidth} mx-auto px-4 sm:px-6 lg:px-8 py-8`}>
+        {/* Breadcrumb */}
+        <nav className="flex items-center gap-2 text-sm mb-4">
+          <Link to="/challenges" className="text-text-muted hover:text-primary transition-colors">
+            {t('nav.challenges')}
+          </Link>
+          <span className="text-text-muted">/</span>
+          <span className="text-text-primary font-medium">{challenge.title}</span>
+        </nav>
+
+        <div className="flex flex-wrap items-center gap-4 mb-4">
+          <span className="text-4xl">{challenge.icon}</span>
+          <div>
+            <h1 className="text-2xl font-bold text-text-primary">{t('challenge.heading', { title: challenge.title })}</h1>
+            <span className={`inline-block mt-1 px-3 py-1 text-xs font-medium rounded-full ${diffColor}`}>
+              {t(`difficulty.${challenge.difficulty}`)}
+            </span>
+          </div>
+          <div className="ms-auto flex flex-wrap items-center gap-3">
+            <StarToggle challengeId={challenge.id} title={challenge.title} />
+            <CollectionMenu challengeId={challenge.id} />
+            <ProgressControls challengeId={challenge.id} />
+          </div>
+        </div>
+
+        <p className="text-text-secondary max-w-2xl">
+          {challenge.description}
+        </p>
+
+        {/* Concepts tags */}
+        <div className="flex flex-wrap gap-2 mt-4">
+          {challenge.concepts.map((concept) => (
+            <Link
+              key={concept}
+              to="/concepts/$concept"
+              params={{ concept: getConceptSlug(concept) }}
+              className="px-3 py-1 bg-bg-secondary text-text-secondary text-xs rounded-full border border-border hover:border-primary hover:text-primary transition-colors"
+            >
+              {concept}
+            </Link>
+          ))}
+        </div>
+
+        {/* Prerequisite graph neighbours */}
+        <div className="mt-4 space-y-2 empty:hidden">
+          <RelatedChallenges label={t('challenge.recommendedBefore')} challenges={getPrerequisites(challenge.id)} />
+          <RelatedChallenges label={t('challenge.unlocksNext')} challenges={getUnlockedChallenges(challenge.id)} />
+        </div>
+
+        {solution?.githubUrl && (
+          <a
+            href={solution.githubUrl}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="inline-flex items-center gap-2 mt-4 text-sm text-primary hover:text-primary-hover transition-colors"
+          >
+            <GitHubIcon />
+            {t('challenge.viewSource')}
+          </a>
+        )}
+      </div>
+    </section>
+  );
+};
+
+/**
+ * ChallengeDemo Component
+ * 
+ * Renders the registered challenge component, optionally wrapped in an
+ * "Interactive Demo" panel when the challenge defines a demo intro.
+ * 
+ * @param {Object} props - Component props
+ * @param {Object} props.challenge - Challenge data object, already localized
+ */
+const ChallengeDemo = ({ challenge }) => {
+  const { t, locale } = useLocale();
+  const ChallengeComponent = challengeComponents[challenge.id];
+
+  if (!ChallengeComponent) {
+    return (
+      <div className="bg-bg-primary rounded-xl border border-border p-8 text-center">
+        <p className="text-text-muted">{t('challenge.noDemo')}</p>
+      </div>
+    );
+  }
+
+  const demo = (
+    <Suspense
+      fallback={
+        <div className="bg-bg-primary rounded-xl border border-border p-8 text-center">
+          <p className="text-text-muted">{t('challenge.loading')}</p>
+        </div>
+      }
+    >
+      {/* Challenges that format numbers or dates take the app language */}
+      <ChallengeComponent locale={locale} />
+    </Suspense>
+  );
+
+  if (!challenge.demoIntro) return demo;
+
+  return (
+    <div className="bg-bg-secondary rounded-xl border border-border p-6">
+      <h2 className="text-lg font-semibold text-text-primary mb-4">
+        {t('challenge.demo')}
+      </h2>
+      <p className="text-text-secondary mb-4">
+        {challenge.demoIntro}
+      </p>
+      {demo}
+    </div>
+  );
+};
+
+/**
+ * KeyConcepts Component
+ * 
+ * Numbered list of the concepts a challenge teaches.
+ * 
+ * @param {Object} props - Component props
+ * @param {Array<{title: string, description: string}>} props.concepts - Key concepts to list
+ */
+const KeyConcepts = ({ concepts }) => {
+  const { t, formatNumber } = useLocale();
+
+  return (
+    <div className="mt-8 bg-bg-primary rounded-xl border border-border p-6">
+      <h2 className="text-lg font-semibold text-text-primary mb-4">
+        {t('challenge.keyConcepts')}
+      </h2>
+      <ul className="space-y-3">
+        {concepts.map((concept, index) => (
+          <li key={index} className="flex items-start gap-3">
+            <span className="w-6 h-6 bg-primary-light text-primary rounded-full flex items-center justify-center text-sm font-medium flex-shrink-0">
+              {formatNumber(index + 1)}
+            </span>
+            <div>
+              <p className="font-medium text-text-primary">{concept.title}</p>
+              <p className="text-sm text-text-secondary">{concept.description}</p>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+/**
+ * ChallengeNotFound Component
+ * 
+ * Shown when the URL does not match any known challenge ID.
+ */
+const ChallengeNotFound = () => {
+  const { challengeId } = Route.useParams();
+  const { t } = useLocale();
+  const id = (
+    <code key="id" className="font-mono text-text-primary">
+      {challengeId}
+    </code>
+  );
+
+  return (
+    <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-24 text-center">
+      <span className="text-5xl">🧩</span>
+      <h1 className="mt-6 text-2xl font-bold text-text-primary">{t('challenge.notFound.title')}</h1>
+      <p className="mt-2 text-text-secondary">
+        {t('challenge.notFound.body', { id })}
+      </p>
+      <Link
+        to="/challenges"
+        className="inline-block mt-8 px-6 py-3 bg-primary text-white font-medium rounded-lg hover:bg-primary-hover transition-colors"
+      >
+        {t('challenge.notFound.browse')}
+      </Link>
+      <ChallengeSuggestions path={challengeId} />
+    </div>
+  );
+};
+
+/**
+ * ChallengeError Component
+ * 
+ * Error boundary of a challenge page: shown in place of the page when the
+ * challenge throws while loading or rendering, while the header and the
+ * rest of the app keep working. "Try again" resets only this page and
+ * loads it again.
+ * 
+ * @param {Object} props - Component props
+ * @param {Error} props.error - What was thrown
+ * @param {Function} props.reset - Clears the boundary
+ */
+const ChallengeError = ({ error, reset }) => {
+  const { challengeId } = Route.useParams();
+  const { t, localizeChallenge } = useLocale();
+  const router = useRouter();
+  const location = useLocation();
+  const challenge = localizeChallenge(getChallengeById(challengeId));
+  const reportUrl = createErrorReportUrl({
+    challenge,
+    githubUrl: getSolutionById(challengeId)?.githubUrl,
+    error,
+    page: location.href,
+  });
+
+  const handleRetry = () => {
+    reset();
+    router.invalidate();
+  };
+
+  return (
+    <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-24 text-center" role="alert">
+      <span className="text-5xl">💥</span>
+      <h1 className="mt-6 text-2xl font-bold text-text-primary">{t('challenge.error.title')}</h1>
+      <p className="mt-2 text-text-secondary">{t('challenge.error.body', { title: challenge.title })}</p>
+      <pre dir="ltr" className="mt-6 p-4 rounded-lg bg-danger-light border border-border text-danger text-sm text-start whitespace-pre-wrap break-words">
+        {error instanceof Error ? error.message : String(error)}
+      </pre>
+      {error instanceof Error && error.stack && (
+        <details className="mt-2 text-start">
+          <summary className="cursor-pointer text-sm text-text-muted hover:text-primary">{t('challenge.error.details')}</summary>
+          <pre dir="ltr" className="mt-2 p-4 rounded-lg bg-bg-tertiary text-xs text-text-secondary overflow-x-auto">
+            {error.stack}
+          </pre>
+        </details>
+      )}
+      <div className="mt-8 flex flex-wrap items-center justify-center gap-3">
+        <button
+          onClick={handleRetry}
+          className="px-6 py-3 bg-primary text-white font-medium rounded-lg hover:bg-primary-hover transition-colors"
+        >
+          {t('challenge.error.retry')}
+        </button>
+        {reportUrl && (
+          <a
+            href={reportUrl}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="px-6 py-3 border border-border text-text-secondary font-medium rounded-lg hover:border-primary hover:text-primary transition-colors"
+          >
+            {t('challenge.error.report')}
+          </a>
+        )}
+        <Link to="/challenges" className="px-6 py-3 text-text-secondary font-medium hover:text-primary transition-colors">
+          {t('challenge.notFound.browse')}
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * ChallengeQuiz Component
+ * 
+ * The challenge's quiz, with a link to the quiz for its whole category.
+ * 
+ * @param {Object} props - Component props
+ * @param {Object} props.challenge - Challenge data object
+ * @param {Array} props.questions - Quiz questions from the solution
+ */
+const ChallengeQuiz = ({ challenge, questions }) => {
+  const { t } = useLocale();
+
+  return (
+    <section className="mt-8 bg-bg-primary rounded-xl border border-border p-6" aria-labelledby="quiz-heading">
+      <div className="flex flex-wrap items-start justify-between gap-4 mb-6">
+        <div className="flex items-center gap-3">
+          <span className="text-2xl">🧠</span>
+          <div>
+            <h2 id="quiz-heading" className="text-lg font-semibold text-text-primary">{t('quiz.title')}</h2>
+            <p className="text-sm text-text-muted">{t('quiz.intro')}</p>
+          </div>
+        </div>
+        <Link
+          to="/quizzes/$category"
+          params={{ category: getCategorySlug(challenge.category) }}
+          className="text-sm text-primary hover:text-primary-hover font-medium transition-colors"
+        >
+          {t('quiz.categoryLink', { category: t(`category.${challenge.category}`) })}
+        </Link>
+      </div>
+      <Quiz key={challenge.id} quizId={challenge.id} questions={questions} />
+    </section>
+  );
+};
+
+/**
+ * Challenge Page Component
+ * 
+ * Provides the consistent layout shared by every challenge page. The
+ * loaded challenge and solution are shown in the active locale. The
+ * next/previous challenge shortcuts (`j`/`k`) step through the
+ * challenges in course order.
+ */
+const ChallengePage = () => {
+  const navigate = Route.useNavigate();
+  const loaderData = Route.useLoaderData();
+  const { starterCode, solutionSource } = loaderData;
+  const { localizeChallenge, localizeSolution } = useLocale();
+  const challenge = localizeChallenge(loaderData.challenge);
+  const solution = loaderData.solution && localizeSolution(challenge.id, loaderData.solution);
+  const { hint } = Route.useSearch();
+  const focusHint = hint ? hint - 1 : null;
+  const pageWidth = challenge.pageWidth || DEFAULT_PAGE_WIDTH;
+
+  /**
+   * Open the challenge some places before or after this one, if there is one
+   */
+  const goToChallenge = (offset) => {
+    const target = challenges[challenges.findIndex((c) => c.id === challenge.id) + offset];
+    if (target) navigate({ to: '/challenges/$challengeId', params: { challengeId: target.id }, search: {} });
+  };
+
+  useShortcut(SHORTCUT_ACTIONS.NEXT_CHALLENGE, () => goToChallenge(1));
+  useShortcut(SHORTCUT_ACTIONS.PREVIOUS_CHALLENGE, () => goToChallenge(-1));
+
+  return (
+    <div className="min-h-screen">
+      <ChallengeHeader challenge={challenge} solution={solution} pageWidth={pageWidth} />
+
+      {/* Challenge content */}
+      <section className={`${pageWidth} mx-auto px-4 sm:px-6 lg:px-8 py-8`}>
+        <ChallengeDemo challenge={challenge} />
+
+        {/* Mock API controls for the demo and playground */}
+        {challenge.category === 'Data Fetching' && <MockApiPanel />}
+
+        {/* Timed rebuild */}
+        <KataMode key={`kata-${challenge.id}`} challenge={challenge} />
+
+        {/* Code playground */}
+        {starterCode && (
+          <Playground
+            key={challenge.id}
+            challengeId={challenge.id}
+            starterCode={starterCode}
+            filename={solution.filename}
+          />
+        )}
+
+        {/* Learning points */}
+        {challenge.keyConcepts?.length > 0 && <KeyConcepts concepts={challenge.keyConcepts} />}
+
+        {/* Solution section */}
+        {solution && (
+          <ShowSolution
+            key={`${challenge.id}-${hint ?? ''}`}
+            challengeId={challenge.id}
+            source={solutionSource}
+            starterCode={starterCode}
+            solution={solution}
+            focusHint={focusHint}
+          />
+        )}
+
+        {/* Learner's notes */}
+        <AnnotationsPanel
+          key={`notes-${challenge.id}`}
+          challengeId={challenge.id}
+          hintCount={solution?.hints.length ?? 0}
+        />
+
+        {/* Quiz */}
+        {solution?.quiz?.length > 0 && <ChallengeQuiz challenge={challenge} questions={solution.quiz} />}
+      </section>
+    </div>
+  );
+};
+
+/**
+ * Route Definition
+ * 
+ * The loader resolves the challenge metadata, playground starter code and
+ * bundled solution source, and throws notFound() for unknown IDs so the
+ * route's notFoundComponent is rendered.
+ * 
+ * Anything the challenge throws while loading or rendering is caught by
+ * the route's errorComponent, so a broken challenge cannot blank the app.
+ * 
+ * The optional `hint` search param (1-based) opens the solution panel at
+ * that hint, e.g. /challenges/counter?hint=2.
+ */
+export const Route = createFileRoute('/challenges/$challengeId')({
+  validateSearch: (search) => {
+    const hint = Number(search.hint);
+    return Number.isInteger(hint) && hint > 0 ? { hint } : {};
+  },
+  loader: async ({ params }) => {
+    const challenge = getChallengeById(params.challengeId);
+    if (!challenge) throw notFound();
+
+    const solution = getSolutionById(challenge.id);
+    if (!solution) return { challenge, solution, starterCode: null, solutionSource: null };
+
+    const [starterCode, solutionSource] = await Promise.all([
+      loadStarterCode(solution.filename),
+      loadSolutionSource(solution.filename),
+    ]);
+    return { challenge, solution, starterCode, solutionSource };
+  },
+  component: ChallengePage,
+  errorComponent: ChallengeError,
+  notFoundComponent: ChallengeNotFound,
+});
@@ -2,52 +2,72 @@
  * Challenges Index Route
  * 
  * Displays all available React challenges in a grid layout.
- * Allows users to filter challenges by difficulty level and category.
+ * Allows users to filter challenges by difficulty level, category and
+ * free text, and to sort them, with the view kept in the URL.
  * 
  * @module routes/challenges/index
  */
 
-import { createFileRoute, Link } from '@tanstack/react-router';
-import { useState, useMemo } from 'react';
+import { createFileRoute, Link, useNavigate } from '@tanstack/react-router';
+import { useMemo } from 'react';
 import { challenges, difficultyConfig, categoryConfig, getCategoryCounts } from '../../data/challenges';
+import { getConceptSlug } from '../../data/concepts';
+import { useProgress } from '../../hooks/use-progress';
+import { useLocale } from '../../hooks/use-locale';
+import { PROGRESS_STATUS } from '../../data/progress';
+import ProgressBadge from '../../components/ProgressBadge';
+import StarToggle from '../../components/StarToggle';
 
 /**
  * ChallengeCard Component
  * 
- * Detailed challenge card with learning points preview.
+ * Detailed challenge card with learning points preview and the
+ * learner's progress badge and star toggle. The title link stretches
+ * over the whole card; concept chips link to their concept pages.
  * 
  * @param {Object} props - Component props
- * @param {Object} props.challenge - Challenge data object
+ * @param {Object} props.challenge - Challenge data object, already localized
  */
 const ChallengeCard = ({ challenge }) => {
+  const { getProgress } = useProgress();
+  const { t } = useLocale();
   const diffColor = difficultyConfig[challenge.difficulty]?.color || difficultyConfig.Beginner.color;
 
   return (
-    <Link
-      to={`/challenges/${challenge.id}`}
-      className="group flex flex-col bg-bg-primary rounded-xl border border-border overflow-hidden hover:border-primary hover:shadow-lg transition-all duration-300"
-    >
+    <div className="group relative flex flex-col bg-bg-primary rounded-xl border border-border overflow-hidden hover:border-primary hover:shadow-lg transition-all duration-300">
       {/* Card header */}
       <div className="p-6 pb-4">
         <div className="flex items-start justify-between mb-4">
           <span className="text-4xl">{challenge.icon}</span>
-          <span className={`px-3 py-1 rounded-full text-xs font-medium ${diffColor}`}>
-            {challenge.difficulty}
-          </span>
+          <div className="flex items-center gap-2">
+            <span className={`px-3 py-1 rounded-full text-xs font-medium ${diffColor}`}>
+              {t(`difficulty.${challenge.difficulty}`)}
+            </span>
+            <StarToggle challengeId={challenge.id} title={challenge.title} />
+          </div>
         </div>
 
         <h3 className="text-xl font-semibold text-text-primary mb-2 group-hover:text-primary transition-colors">
-          {challenge.title}
+          <Link
+            to="/challenges/$challengeId"
+            params={{ challengeId: challenge.id }}
+            className="after:absolute after:inset-0"
+          >
+            {challenge.title}
+          </Link>
         </h3>
         <p className="text-text-secondary text-sm line-clamp-2">
           {challenge.description}
         </p>
+        <div className="mt-3 empty:hidden">
+          <ProgressBadge progress={getProgress(challenge.id)} />
+        </div>
       </div>
 
       {/* Learning points */}
       <div className="px-6 pb-4 flex-1">
         <p className="text-xs font-medium text-text-muted uppercase tracking-wider mb-2">
-          What you'll learn
+          {t('common.whatYoullLearn')}
         </p>
         <ul className="space-y-1">
           {challenge.learningPoints.slice(0, 3).map((point, index) => (
@@ -63,21 +83,23 @@ const ChallengeCard = ({ challenge }) => {
       <div className="px-6 py-4 bg-bg-secondary border-t border-border">
         <div className="flex flex-wrap gap-2">
           {challenge.concepts.slice(0, 3).map((concept) => (
-            <span
+            <Link
               key={concept}
-              className="px-2 py-1 bg-bg-primary text-text-muted text-xs rounded-md border border-border"
+              to="/concepts/$concept"
+              params={{ concept: getConceptSlug(concept) }}
+              className="relative z-10 px-2 py-1 bg-bg-primary text-text-muted text-xs rounded-md border border-border hover:border-primary hover:text-primary transition-colors"
             >
               {concept}
-            </span>
+            </Link>
           ))}
           {challenge.concepts.length > 3 && (
             <span className="px-2 py-1 text-text-muted text-xs">
-              +{challenge.concepts.length - 3} more
+              {t('challenges.moreConcepts', { count: challenge.concepts.length - 3 })}
             </span>
           )}
         </div>
       </div>
-    </Link>
+    </div>
   );
 };
 
@@ -94,6 +116,7 @@ const ChallengeCard = ({ challenge }) => {
  * @param {string} props.icon - Optional icon for the button
  */
 const FilterButton = ({ label, isActive, onClick, count, icon }) => {
+  const { formatNumber } = useLocale();
   const baseClasses = 'px-4 py-2 rounded-lg font-medium text-sm transition-all duration-200 flex items-center gap-2';
   const activeClasses = isActive
     ? 'bg-primary text-white'
@@ -104,88 +127,170 @@ const FilterButton = ({ label, isActive, onClick, count, icon }) => {
       {icon && <span>{icon}</span>}
       {label}
       <span className={`text-xs ${isActive ? 'bg-white/20' : 'bg-bg-tertiary'} px-2 py-0.5 rounded-full`}>
-        {count}
+        {formatNumber(count)}
       </span>
     </button>
   );
 };
 
+/**
+ * Sort options for the challenge grid, with label message IDs; the first is the default
+ */
+const sortOptions = {
+  difficulty: { label: 'challenges.sort.difficulty' },
+  title: { label: 'challenges.sort.title' },
+  progress: { label: 'challenges.sort.progress' },
+};
+
+const DEFAULT_SORT = 'difficulty';
+
+/**
+ * Progress statuses in the order the "Progress" sort lists them:
+ * challenges to pick back up first, finished ones last
+ */
+const progressSortOrder = [PROGRESS_STATUS.IN_PROGRESS, PROGRESS_STATUS.NOT_STARTED, PROGRESS_STATUS.COMPLETED];
+
+/**
+ * Whether a challenge matches a free-text query
+ * @param {Object} challenge - Challenge data object, already localized
+ * @param {string} query - Lowercased, trimmed query
+ */
+const matchesQuery = (challenge, query) =>
+  !query ||
+  [challenge.title, challenge.description, ...challenge.concepts, ...challenge.learningPoints]
+    .some((text) => text.toLowerCase().includes(query));
+
 /**
  * Challenges Page Component
  * 
- * Main challenges listing page with filtering capability.
+ * Main challenges listing page with filtering, sorting and text search.
+ * All of the view state lives in the URL search params, so a filtered
+ * view survives a refresh, can be shared, and each filter change is a
+ * history entry. Search and the title sort use the active locale's text.
  */
 const ChallengesPage = () => {
-  const [selectedDifficulty, setSelectedDifficulty] = useState('All');
-  const [selectedCategory, setSelectedCategory] = useState('All');
-
-  // Get category counts
-  const categoryCounts = useMemo(() => getCategoryCounts(), []);
+  const { difficulty = 'All', category = 'All', q = '', sort = DEFAULT_SORT } = Route.useSearch();
+  const navigate = useNavigate({ from: Route.fullPath });
+  const { getProgress } = useProgress();
+  const { locale, t, localizeChallenge } = useLocale();
+  const query = q.trim().toLowerCase();
+  const localizedChallenges = useMemo(() => challenges.map(localizeChallenge), [localizeChallenge]);
 
-  // Memoized filtered challenges for performance
-  const filteredChallenges = useMemo(() => {
-    return challenges.filter((c) => {
-      const matchesDifficulty = selectedDifficulty === 'All' || c.difficulty === selectedDifficulty;
-      const matchesCategory = selectedCategory === 'All' || c.category === selectedCategory;
-      return matchesDifficulty && matchesCategory;
+  /**
+   * Merge updates into the search params; 'All', empty and default values are dropped
+   * @param {Object} updates - Search params to change
+   * @param {Object} options - Extra navigate options, e.g. { replace: true }
+   */
+  const updateSearch = (updates, options = {}) => {
+    navigate({
+      search: (prev) => validateChallengesSearch({ ...prev, ...updates }),
+      ...options,
     });
-  }, [selectedDifficulty, selectedCategory]);
+  };
+
+  // Challenges matching the text query, before the category and difficulty filters
+  const queryMatches = useMemo(
+    () => localizedChallenges.filter((c) => matchesQuery(c, query)),
+    [localizedChallenges, query],
+  );
+
+  // Category counts respect the text query
+  const categoryCounts = useMemo(() => getCategoryCounts(queryMatches), [queryMatches]);
 
-  // Count challenges by difficulty (respecting category filter)
+  // Count challenges by difficulty (respecting category filter and text query)
   const difficultyCounts = useMemo(() => {
-    const baseList = selectedCategory === 'All' 
-      ? challenges 
-      : challenges.filter(c => c.category === selectedCategory);
+    const baseList = category === 'All'
+      ? queryMatches
+      : queryMatches.filter(c => c.category === category);
     return {
       All: baseList.length,
       Beginner: baseList.filter((c) => c.difficulty === 'Beginner').length,
       Intermediate: baseList.filter((c) => c.difficulty === 'Intermediate').length,
       Advanced: baseList.filter((c) => c.difficulty === 'Advanced').length,
     };
-  }, [selectedCategory]);
+  }, [category, queryMatches]);
+
+  // Filter, then sort; Array.prototype.sort is stable, so ties keep data order
+  const filteredChallenges = queryMatches
+    .filter((c) => {
+      const matchesDifficulty = difficulty === 'All' || c.difficulty === difficulty;
+      const matchesCategory = category === 'All' || c.category === category;
+      return matchesDifficulty && matchesCategory;
+    })
+    .sort((a, b) => {
+      if (sort === 'title') return a.title.localeCompare(b.title, locale);
+      if (sort === 'progress') {
+        return progressSortOrder.indexOf(getProgress(a.id).status) - progressSortOrder.indexOf(getProgress(b.id).status);
+      }
+      return difficultyConfig[a.difficulty].order - difficultyConfig[b.difficulty].order;
+    });
 
   // Reset difficulty when switching categories if current selection has no results
-  const handleCategoryChange = (category) => {
-    setSelectedCategory(category);
-    const newFiltered = challenges.filter(c => 
-      (category === 'All' || c.category === category) && 
-      (selectedDifficulty === 'All' || c.difficulty === selectedDifficulty)
+  const handleCategoryChange = (newCategory) => {
+    const newFiltered = queryMatches.filter(c =>
+      (newCategory === 'All' || c.category === newCategory) &&
+      (difficulty === 'All' || c.difficulty === difficulty)
     );
-    if (newFiltered.length === 0) {
-      setSelectedDifficulty('All');
-    }
+    updateSearch({
+      category: newCategory,
+      difficulty: newFiltered.length === 0 ? 'All' : difficulty,
+    });
   };
 
+  const hasFilters = difficulty !== 'All' || category !== 'All' || query !== '';
+
   return (
     <div className="min-h-screen">
       {/* Page header */}
       <section className="bg-bg-primary border-b border-border">
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
           <h1 className="text-3xl font-bold text-text-primary mb-4">
-            React Challenges
+            {t('challenges.title')}
           </h1>
           <p className="text-text-secondary max-w-2xl">
-            Explore our collection of React challenges designed to help you master 
-            hooks, state management, and modern React patterns. Each challenge includes 
-            practical examples and learning objectives.
+            {t('challenges.intro')}
           </p>
         </div>
       </section>
 
       {/* Filters and content */}
       <section className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Text search and sort */}
+        <div className="flex flex-col sm:flex-row gap-3 mb-6">
+          <input
+            type="search"
+            value={q}
+            onChange={(e) => updateSearch({ q: e.target.value }, { replace: true })}
+            placeholder={t('challenges.searchPlaceholder')}
+            aria-label={t('challenges.searchLabel')}
+            className="flex-1 px-4 py-2 bg-bg-primary border border-border rounded-lg text-text-primary placeholder:text-text-muted focus:outline-none focus:ring-2 focus:ring-primary"
+          />
+          <label className="flex items-center gap-2 text-sm text-text-muted">
+            {t('challenges.sortBy')}
+            <select
+              value={sort}
+              onChange={(e) => updateSearch({ sort: e.target.value })}
+              className="px-3 py-2 bg-bg-primary border border-border rounded-lg text-text-primary focus:outline-none focus:ring-2 focus:ring-primary"
+            >
+              {Object.entries(sortOptions).map(([value, option]) => (
+                <option key={value} value={value}>{t(option.label)}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+
         {/* Category filters */}
         <div className="mb-6">
-          <h3 className="text-sm font-medium text-text-muted mb-3">Category</h3>
+          <h3 className="text-sm font-medium text-text-muted mb-3">{t('challenges.category')}</h3>
           <div className="flex flex-wrap gap-3">
-            {Object.keys(categoryConfig).map((category) => (
+            {Object.keys(categoryConfig).map((categoryName) => (
               <FilterButton
-                key={category}
-                label={category}
-                icon={categoryConfig[category]?.icon}
-                isActive={selectedCategory === category}
-                onClick={() => handleCategoryChange(category)}
-                count={categoryCounts[category] || 0}
+                key={categoryName}
+                label={t(`category.${categoryName}`)}
+                icon={categoryConfig[categoryName]?.icon}
+                isActive={category === categoryName}
+                onClick={() => handleCategoryChange(categoryName)}
+                count={categoryCounts[categoryName] || 0}
               />
             ))}
           </div>
@@ -193,20 +298,35 @@ const ChallengesPage = () => {
 
         {/* Difficulty filters */}
         <div className="mb-8">
-          <h3 className="text-sm font-medium text-text-muted mb-3">Difficulty</h3>
+          <h3 className="text-sm font-medium text-text-muted mb-3">{t('challenges.difficulty')}</h3>
           <div className="flex flex-wrap gap-3">
-            {Object.keys(difficultyConfig).map((difficulty) => (
+            {Object.keys(difficultyConfig).map((difficultyName) => (
               <FilterButton
-                key={difficulty}
-                label={difficulty}
-                isActive={selectedDifficulty === difficulty}
-                onClick={() => setSelectedDifficulty(difficulty)}
-                count={difficultyCounts[difficulty]}
+                key={difficultyName}
+                label={t(`difficulty.${difficultyName}`)}
+                isActive={difficulty === difficultyName}
+                onClick={() => updateSearch({ difficulty: difficultyName })}
+                count={difficultyCounts[difficultyName]}
               />
             ))}
           </div>
         </div>
 
+        {/* Result summary */}
+        <div className="flex items-center justify-between gap-4 mb-4 text-sm text-text-muted" aria-live="polite">
+          <p>
+            {t('challenges.showing', { shown: filteredChallenges.length, total: challenges.length })}
+          </p>
+          {hasFilters && (
+            <button
+              onClick={() => updateSearch({ difficulty: 'All', category: 'All', q: '' })}
+              className="text-primary hover:text-primary-hover font-medium transition-colors"
+            >
+              {t('challenges.clearFilters')}
+            </button>
+          )}
+        </div>
+
         {/* Challenge grid */}
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
           {filteredChallenges.map((challenge) => (
@@ -217,7 +337,7 @@ const ChallengesPage = () => {
         {/* Empty state */}
         {filteredChallenges.length === 0 && (
           <div className="text-center py-12">
-            <p className="text-text-muted">No challenges found for this filter.</p>
+            <p className="text-text-muted">{t('challenges.empty')}</p>
           </div>
         )}
       </section>
@@ -225,9 +345,36 @@ const ChallengesPage = () => {
   );
 };
 
+/**
+ * Whether a search param names one of an object's own keys; inherited
+ * names such as `constructor` or `__proto__` are not options
+ */
+const isKeyOf = (config, value) => typeof value === 'string' && Object.hasOwn(config, value);
+
+/**
+ * Validate the challenges page search params
+ * 
+ * Unknown values are dropped, as are the defaults ('All' filters, an
+ * empty query and the default sort), so URLs only carry what differs
+ * from the plain page, e.g.
+ * /challenges?difficulty=Intermediate&category=Custom%20Hooks&sort=title
+ * 
+ * @param {Object} search - Raw search params
+ * @returns {{difficulty?: string, category?: string, q?: string, sort?: string}}
+ */
+const validateChallengesSearch = (search) => {
+  const result = {};
+  if (search.difficulty !== 'All' && isKeyOf(difficultyConfig, search.difficulty)) result.difficulty = search.difficulty;
+  if (search.category !== 'All' && isKeyOf(categoryConfig, search.category)) result.category = search.category;
+  if (search.q != null && String(search.q) !== '') result.q = String(search.q);
+  if (search.sort !== DEFAULT_SORT && isKeyOf(sortOptions, search.sort)) result.sort = search.sort;
+  return result;
+};
+
 /**
  * Route Definition
  */
 export const Route = createFileRoute('/challenges/')({
+  validateSearch: validateChallengesSearch,
   component: ChallengesPage,
 });
@@ -0,0 +1,434 @@
+/**
+ * Collections Route
+ * 
+ * The learner's starred challenges and named collections (see
+ * data/collections): create, rename, reorder and delete collections, order
+ * their challenges, and copy a share link. Opening a share link shows the
+ * shared list here, ready to be saved as a collection of one's own.
+ * 
+ * @module routes/collections
+ */
+
+import { useState } from 'react';
+import { createFileRoute, Link, useNavigate, useRouter } from '@tanstack/react-router';
+import { challenges, getChallengeById } from '../data/challenges';
+import { MAX_COLLECTION_NAME_LENGTH, getShareSearch, parseSharedCollection } from '../data/collections';
+import { useCollections } from '../hooks/use-collections';
+import { useLocale } from '../hooks/use-locale';
+import { useProgress } from '../hooks/use-progress';
+import ProgressBadge from '../components/ProgressBadge';
+import StarToggle from '../components/StarToggle';
+
+/**
+ * How long the copy button shows its result, in milliseconds
+ */
+const COPY_FEEDBACK_DURATION = 2000;
+
+/**
+ * Copy button labels (message IDs) per copy status
+ */
+const copyLabels = {
+  idle: 'collections.share',
+  copied: 'collections.share.copied',
+  failed: 'collections.share.failed',
+};
+
+/**
+ * Classes for the small icon buttons that move and remove items
+ */
+const iconButtonClasses =
+  'w-8 h-8 rounded-md text-sm text-text-muted hover:text-primary hover:bg-bg-tertiary disabled:opacity-30 disabled:pointer-events-none transition-colors';
+
+/**
+ * Classes for the text inputs
+ */
+const inputClasses =
+  'min-w-0 flex-1 px-3 py-2 bg-bg-primary border border-border rounded-lg text-sm text-text-primary placeholder:text-text-muted focus:outline-none focus:ring-2 focus:ring-primary focus:border-transparent transition-all duration-200';
+
+/**
+ * Classes for the primary buttons
+ */
+const primaryButtonClasses =
+  'px-4 py-2 rounded-lg text-sm font-medium text-white bg-primary hover:bg-primary-hover disabled:opacity-50 disabled:cursor-not-allowed transition-colors';
+
+/**
+ * Look up challenges by ID, skipping any that no longer exist
+ * @param {string[]} ids - Challenge IDs
+ * @returns {Object[]} Challenge data objects, in the same order
+ */
+const getChallenges = (ids) => ids.map(getChallengeById).filter(Boolean);
+
+/**
+ * ChallengeRow Component
+ * 
+ * One challenge of a list, linking to its page, with optional actions.
+ * 
+ * @param {Object} props - Component props
+ * @param {Object} props.challenge - Challenge data object, already localized
+ * @param {React.ReactNode} [props.children] - Actions shown at the end of the row
+ */
+const ChallengeRow = ({ challenge, children }) => {
+  const { getProgress } = useProgress();
+
+  return (
+    <li className="flex flex-wrap items-center gap-3 py-2">
+      <span className="text-xl">{challenge.icon}</span>
+      <Link
+        to="/challenges/$challengeId"
+        params={{ challengeId: challenge.id }}
+        className="font-medium text-text-primary hover:text-primary transition-colors"
+      >
+        {challenge.title}
+      </Link>
+      <ProgressBadge progress={getProgress(challenge.id)} />
+      <div className="ms-auto flex items-center gap-1">{children}</div>
+    </li>
+  );
+};
+
+/**
+ * MoveButtons Component
+ * 
+ * Up and down buttons for reordering a list item.
+ * 
+ * @param {Object} props - Component props
+ * @param {string} props.label - Name of the item, for the accessible labels
+ * @param {boolean} props.isFirst - Whether the item is first in its list
+ * @param {boolean} props.isLast - Whether the item is last in its list
+ * @param {Function} props.onMove - Called with -1 (up) or 1 (down)
+ */
+const MoveButtons = ({ label, isFirst, isLast, onMove }) => {
+  const { t } = useLocale();
+
+  return (
+    <>
+      <button
+        onClick={() => onMove(-1)}
+        disabled={isFirst}
+        aria-label={t('collections.moveUp', { name: label })}
+        title={t('collections.moveUp', { name: label })}
+        className={iconButtonClasses}
+      >
+        ↑
+      </button>
+      <button
+        onClick={() => onMove(1)}
+        disabled={isLast}
+        aria-label={t('collections.moveDown', { name: label })}
+        title={t('collections.moveDown', { name: label })}
+        className={iconButtonClasses}
+      >
+        ↓
+      </button>
+    </>
+  );
+};
+
+/**
+ * SharedCollection Component
+ * 
+ * A collection opened from a share link, with a button to save a copy.
+ * 
+ * @param {Object} props - Component props
+ * @param {{name: string, challengeIds: string[]}} props.shared - The shared list
+ */
+const SharedCollection = ({ shared }) => {
+  const { t, localizeChallenge } = useLocale();
+  const { addCollection } = useCollections();
+  const navigate = useNavigate({ from: Route.fullPath });
+  const name = shared.name || t('collections.shared.untitled');
+
+  const handleSave = () => {
+    addCollection(name, shared.challengeIds);
+    navigate({ search: {}, replace: true });
+  };
+
+  return (
+    <section className="bg-primary-light rounded-xl border border-primary p-6" aria-labelledby="shared-heading">
+      <p className="text-xs font-medium text-primary uppercase tracking-wider">{t('collections.shared.label')}</p>
+      <h2 id="shared-heading" className="mt-1 text-lg font-semibold text-text-primary">{name}</h2>
+      <p className="text-sm text-text-secondary">
+        {t('collections.challengeCount', { count: shared.challengeIds.length })}
+      </p>
+      <ol className="mt-2 divide-y divide-border">
+        {getChallenges(shared.challengeIds).map((challenge) => (
+          <ChallengeRow key={challenge.id} challenge={localizeChallenge(challenge)} />
+        ))}
+      </ol>
+      <div className="mt-4 flex flex-wrap gap-3">
+        <button onClick={handleSave} className={primaryButtonClasses}>
+          {t('collections.shared.save')}
+        </button>
+        <Link
+          to="/collections"
+          search={{}}
+          className="px-4 py-2 rounded-lg text-sm font-medium text-text-secondary hover:bg-bg-tertiary transition-colors"
+        >
+          {t('collections.shared.dismiss')}
+        </Link>
+      </div>
+    </section>
+  );
+};
+
+/**
+ * CollectionCard Component
+ * 
+ * One collection with its ordered challenges and the actions to rename,
+ * move, share and delete it, and to add, order and remove challenges.
+ * 
+ * @param {Object} props - Component props
+ * @param {Object} props.collection - The collection
+ * @param {boolean} props.isFirst - Whether it is the first collection
+ * @param {boolean} props.isLast - Whether it is the last collection
+ */
+const CollectionCard = ({ collection, isFirst, isLast }) => {
+  const { t, localizeChallenge } = useLocale();
+  const { renameCollection, removeCollection, moveCollection, toggleInCollection, moveInCollection } = useCollections();
+  const router = useRouter();
+  const [isRenaming, setIsRenaming] = useState(false);
+  const [name, setName] = useState(collection.name);
+  const [copyStatus, setCopyStatus] = useState('idle');
+  const { challengeIds } = collection;
+  const members = getChallenges(challengeIds).map(localizeChallenge);
+  const addable = challenges.filter((challenge) => !challengeIds.includes(challenge.id));
+
+  const handleRename = (e) => {
+    e.preventDefault();
+    renameCollection(collection.id, name);
+    setIsRenaming(false);
+  };
+
+  /**
+   * Copies the collection's share link to the clipboard
+   */
+  const handleShare = async () => {
+    const { href } = router.buildLocation({ to: '/collections', search: getShareSearch(collection) });
+    try {
+      await navigator.clipboard.writeText(new URL(href, window.location.origin).href);
+      setCopyStatus('copied');
+    } catch {
+      setCopyStatus('failed');
+    }
+    setTimeout(() => setCopyStatus('idle'), COPY_FEEDBACK_DURATION);
+  };
+
+  return (
+    <section className="bg-bg-primary rounded-xl border border-border p-6" aria-label={collection.name}>
+      <div className="flex flex-wrap items-start justify-between gap-3">
+        {isRenaming ? (
+          <form onSubmit={handleRename} className="flex flex-1 gap-2">
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              maxLength={MAX_COLLECTION_NAME_LENGTH}
+              aria-label={t('collections.name')}
+              className={inputClasses}
+              autoFocus
+            />
+            <button type="submit" disabled={name.trim() === ''} className={primaryButtonClasses}>
+              {t('collections.save')}
+            </button>
+            <button
+              type="button"
+              onClick={() => {
+                setName(collection.name);
+                setIsRenaming(false);
+              }}
+              className="px-3 py-2 rounded-lg text-sm font-medium text-text-secondary hover:bg-bg-tertiary transition-colors"
+            >
+              {t('collections.cancel')}
+            </button>
+          </form>
+        ) : (
+          <div>
+            <h2 className="text-lg font-semibold text-text-primary">{collection.name}</h2>
+            <p className="text-sm text-text-muted">{t('collections.challengeCount', { count: members.length })}</p>
+          </div>
+        )}
+        <div className="flex flex-wrap items-center gap-1">
+          <MoveButtons
+            label={collection.name}
+            isFirst={isFirst}
+            isLast={isLast}
+            onMove={(offset) => moveCollection(collection.id, offset)}
+          />
+          <button
+            onClick={handleShare}
+            disabled={members.length === 0}
+            className="px-3 py-1 text-xs font-medium text-primary border border-border rounded-md hover:border-primary disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            <span aria-live="polite">{t(copyLabels[copyStatus])}</span>
+          </button>
+          <button
+            onClick={() => setIsRenaming(true)}
+            className="px-3 py-1 text-xs font-medium text-text-muted hover:text-primary transition-colors"
+          >
+            {t('collections.rename')}
+          </button>
+          <button
+            onClick={() => removeCollection(collection.id)}
+            className="px-3 py-1 text-xs font-medium text-text-muted hover:text-danger transition-colors"
+          >
+            {t('collections.delete')}
+          </button>
+        </div>
+      </div>
+
+      {members.length > 0 ? (
+        <ol className="mt-3 divide-y divide-border">
+          {members.map((challenge, index) => (
+            <ChallengeRow key={challenge.id} challenge={challenge}>
+              <MoveButtons
+                label={challenge.title}
+                isFirst={index === 0}
+                isLast={index === members.length - 1}
+                onMove={(offset) => moveInCollection(collection.id, challenge.id, offset)}
+              />
+              <button
+                onClick={() => toggleInCollection(collection.id, challenge.id)}
+                aria-label={t('collections.removeChallenge', { title: challenge.title })}
+                title={t('collections.removeChallenge', { title: challenge.title })}
+                className={iconButtonClasses}
+              >
+                ✕
+              </button>
+            </ChallengeRow>
+          ))}
+        </ol>
+      ) : (
+        <p className="mt-3 text-sm text-text-muted">{t('collections.emptyCollection')}</p>
+      )}
+
+      {addable.length > 0 && (
+        <label className="mt-3 flex items-center gap-2 text-sm text-text-secondary">
+          {t('collections.addChallenge')}
+          <select
+            value=""
+            onChange={(e) => toggleInCollection(collection.id, e.target.value)}
+            className="px-2 py-1 bg-bg-secondary border border-border rounded-lg text-text-primary focus:outline-none focus:ring-2 focus:ring-primary"
+          >
+            <option value="">{t('collections.addChallenge.choose')}</option>
+            {addable.map((challenge) => (
+              <option key={challenge.id} value={challenge.id}>
+                {localizeChallenge(challenge).title}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+    </section>
+  );
+};
+
+/**
+ * Collections Page Component
+ * 
+ * Shared collection (when opened from a link), starred challenges, a
+ * form to create a collection and the learner's collections in order.
+ */
+const CollectionsPage = () => {
+  const search = Route.useSearch();
+  const { t, localizeChallenge } = useLocale();
+  const { starred, collections, addCollection } = useCollections();
+  const [name, setName] = useState('');
+  const shared = parseSharedCollection(search);
+  const starredChallenges = getChallenges(starred).map(localizeChallenge);
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    if (addCollection(name)) setName('');
+  };
+
+  return (
+    <div className="min-h-screen">
+      {/* Page header */}
+      <section className="bg-bg-primary border-b border-border">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
+          <h1 className="text-3xl font-bold text-text-primary mb-4">
+            {t('collections.title')}
+          </h1>
+          <p className="text-text-secondary max-w-2xl">
+            {t('collections.intro')}
+          </p>
+        </div>
+      </section>
+
+      <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6">
+        {shared && <SharedCollection shared={shared} />}
+
+        {/* Starred challenges */}
+        <section className="bg-bg-primary rounded-xl border border-border p-6" aria-labelledby="starred-heading">
+          <h2 id="starred-heading" className="text-lg font-semibold text-text-primary">
+            ★ {t('collections.starred')}
+          </h2>
+          {starredChallenges.length > 0 ? (
+            <ul className="mt-2 divide-y divide-border">
+              {starredChallenges.map((challenge) => (
+                <ChallengeRow key={challenge.id} challenge={challenge}>
+                  <StarToggle challengeId={challenge.id} title={challenge.title} />
+                </ChallengeRow>
+              ))}
+            </ul>
+          ) : (
+            <p className="mt-2 text-sm text-text-muted">{t('collections.starred.empty')}</p>
+          )}
+        </section>
+
+        {/* New collection */}
+        <form onSubmit={handleCreate} className="flex gap-2">
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            maxLength={MAX_COLLECTION_NAME_LENGTH}
+            placeholder={t('collections.namePlaceholder')}
+            aria-label={t('collections.name')}
+            className={inputClasses}
+          />
+          <button type="submit" disabled={name.trim() === ''} className={primaryButtonClasses}>
+            {t('collections.create')}
+          </button>
+        </form>
+
+        {collections.length > 0 ? (
+          collections.map((collection, index) => (
+            <CollectionCard
+              key={collection.id}
+              collection={collection}
+              isFirst={index === 0}
+              isLast={index === collections.length - 1}
+            />
+          ))
+        ) : (
+          <div className="text-center py-8">
+            <p className="text-text-primary font-medium mb-2">{t('collections.empty.title')}</p>
+            <p className="text-text-secondary text-sm">{t('collections.empty.body')}</p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Keep the share link params; values are read as strings, since the
+ * router parses e.g. `ids=123` as a number
+ * @param {Object} search - Raw search params
+ * @returns {{name?: string, ids?: string}} Validated search params
+ */
+const validateCollectionsSearch = (search) => {
+  const result = {};
+  if (search.ids != null && String(search.ids) !== '') result.ids = String(search.ids);
+  if (result.ids && search.name != null) result.name = String(search.name);
+  return result;
+};
+
+/**
+ * Route Definition
+ */
+export const Route = createFileRoute('/collections')({
+  validateSearch: validateCollectionsSearch,
+  component: CollectionsPage,
+});
@@ -0,0 +1,194 @@
+/**
+ * Concept Detail Route
+ * 
+ * Shows a concept's glossary definition and every challenge that teaches
+ * it, with the learning points and hints from each challenge that relate
+ * to the concept. Matching is done on the English content; the matches
+ * are then shown in the active locale.
+ * 
+ * @module routes/concepts/$concept
+ */
+
+import { createFileRoute, Link, notFound } from '@tanstack/react-router';
+import { getConceptBySlug, getConceptMaterial } from '../../data/concepts';
+import { difficultyColors } from '../../data/challenges';
+import { getSolutionById } from '../../data/solutions';
+import { useLocale } from '../../hooks/use-locale';
+import Markdown from '../../components/Markdown';
+
+/**
+ * ConceptChallenge Component
+ * 
+ * One challenge that teaches the concept, with its matching learning
+ * points and links to its matching hints.
+ * 
+ * @param {Object} props - Component props
+ * @param {Object} props.concept - Concept from data/concepts
+ * @param {Object} props.challenge - Challenge data object
+ */
+const ConceptChallenge = ({ concept, challenge }) => {
+  const { t, localizeChallenge, localizeSolution } = useLocale();
+  const material = getConceptMaterial(concept, challenge);
+  const localized = localizeChallenge(challenge);
+  const localizedHints = localizeSolution(challenge.id, getSolutionById(challenge.id))?.hints || [];
+  const learningPoints = material.learningPoints.map(
+    (point) => localized.learningPoints[challenge.learningPoints.indexOf(point)],
+  );
+  const hints = material.hints.map((hint) => ({ ...localizedHints[hint.hintNumber - 1], hintNumber: hint.hintNumber }));
+
+  return (
+    <li className="bg-bg-primary rounded-xl border border-border p-6">
+      <div className="flex flex-wrap items-center gap-3 mb-2">
+        <span className="text-3xl">{challenge.icon}</span>
+        <Link
+          to="/challenges/$challengeId"
+          params={{ challengeId: challenge.id }}
+          className="text-lg font-semibold text-text-primary hover:text-primary transition-colors"
+        >
+          {localized.title}
+        </Link>
+        <span className={`px-3 py-1 rounded-full text-xs font-medium ${difficultyColors[challenge.difficulty]}`}>
+          {t(`difficulty.${challenge.difficulty}`)}
+        </span>
+      </div>
+      <p className="text-text-secondary text-sm">{localized.description}</p>
+
+      {learningPoints.length > 0 && (
+        <div className="mt-4">
+          <h3 className="text-xs font-medium text-text-muted uppercase tracking-wider mb-2">
+            {t('common.whatYoullLearn')}
+          </h3>
+          <ul className="space-y-1">
+            {learningPoints.map((point) => (
+              <li key={point} className="text-text-secondary text-sm flex items-start gap-2">
+                <span className="text-primary mt-1">•</span>
+                <span>{point}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {hints.length > 0 && (
+        <div className="mt-4">
+          <h3 className="text-xs font-medium text-text-muted uppercase tracking-wider mb-2">
+            {t('concept.relatedHints')}
+          </h3>
+          <ul className="space-y-2">
+            {hints.map((hint) => (
+              <li key={hint.hintNumber} className="px-4 py-3 bg-bg-secondary rounded-lg border border-border">
+                <Link
+                  to="/challenges/$challengeId"
+                  params={{ challengeId: challenge.id }}
+                  search={{ hint: hint.hintNumber }}
+                  className="block mb-1 text-sm font-medium text-text-primary hover:text-primary transition-colors"
+                >
+                  💡 {t('concept.hint', { number: hint.hintNumber, title: hint.title })}
+                </Link>
+                <Markdown source={hint.content} className="text-sm text-text-secondary" />
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </li>
+  );
+};
+
+/**
+ * ConceptNotFound Component
+ * 
+ * Shown when the URL does not match any known concept.
+ */
+const ConceptNotFound = () => {
+  const { concept } = Route.useParams();
+  const { t } = useLocale();
+  const name = (
+    <code key="concept" className="font-mono text-text-primary">
+      {concept}
+    </code>
+  );
+
+  return (
+    <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-24 text-center">
+      <span className="text-5xl">📖</span>
+      <h1 className="mt-6 text-2xl font-bold text-text-primary">{t('concept.notFound.title')}</h1>
+      <p className="mt-2 text-text-secondary">
+        {t('concept.notFound.body', { concept: name })}
+      </p>
+      <Link
+        to="/concepts"
+        className="inline-block mt-8 px-6 py-3 bg-primary text-white font-medium rounded-lg hover:bg-primary-hover transition-colors"
+      >
+        {t('concept.notFound.browse')}
+      </Link>
+    </div>
+  );
+};
+
+/**
+ * Concept Page Component
+ */
+const ConceptPage = () => {
+  const concept = Route.useLoaderData();
+  const { t } = useLocale();
+
+  return (
+    <div className="min-h-screen">
+      <section className="bg-bg-primary border-b border-border">
+        <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+          {/* Breadcrumb */}
+          <nav className="flex items-center gap-2 text-sm mb-4">
+            <Link to="/concepts" className="text-text-muted hover:text-primary transition-colors">
+              {t('nav.concepts')}
+            </Link>
+            <span className="text-text-muted">/</span>
+            <span className="text-text-primary font-medium">{concept.name}</span>
+          </nav>
+
+          <h1 className="text-2xl font-bold text-text-primary mb-2">{concept.name}</h1>
+          {concept.definition && (
+            <p className="text-text-secondary max-w-2xl">{concept.definition}</p>
+          )}
+          {concept.docsUrl && (
+            <a
+              href={concept.docsUrl}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="inline-block mt-4 text-sm text-primary hover:text-primary-hover transition-colors"
+            >
+              {t('concept.docs')}
+            </a>
+          )}
+        </div>
+      </section>
+
+      <section className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <h2 className="text-sm font-medium text-text-muted uppercase tracking-wider mb-4">
+          {t('concept.taughtIn', { count: concept.challenges.length })}
+        </h2>
+        <ul className="space-y-6">
+          {concept.challenges.map((challenge) => (
+            <ConceptChallenge key={challenge.id} concept={concept} challenge={challenge} />
+          ))}
+        </ul>
+      </section>
+    </div>
+  );
+};
+
+/**
+ * Route Definition
+ * 
+ * The loader resolves the concept from its slug, e.g. /concepts/usestate,
+ * and throws notFound() for unknown slugs.
+ */
+export const Route = createFileRoute('/concepts/$concept')({
+  loader: ({ params }) => {
+    const concept = getConceptBySlug(params.concept);
+    if (!concept) throw notFound();
+    return concept;
+  },
+  component: ConceptPage,
+  notFoundComponent: ConceptNotFound,
+});
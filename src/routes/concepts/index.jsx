@@ -0,0 +1,84 @@
+/**
+ * Concepts Index Route
+ * 
+ * Lists every concept taught by the challenges, with its glossary
+ * definition and how many challenges cover it.
+ * 
+ * @module routes/concepts/index
+ */
+
+import { createFileRoute, Link } from '@tanstack/react-router';
+import { concepts } from '../../data/concepts';
+import { useLocale } from '../../hooks/use-locale';
+
+/**
+ * ConceptCard Component
+ * 
+ * Card linking to a concept page.
+ * 
+ * @param {Object} props - Component props
+ * @param {Object} props.concept - Concept from data/concepts
+ */
+const ConceptCard = ({ concept }) => {
+  const { t } = useLocale();
+
+  return (
+    <Link
+      to="/concepts/$concept"
+      params={{ concept: concept.slug }}
+      className="group flex flex-col bg-bg-primary rounded-xl border border-border p-5 hover:border-primary hover:shadow-lg transition-all duration-300"
+    >
+      <div className="flex items-start justify-between gap-3 mb-2">
+        <h2 className="font-semibold text-text-primary group-hover:text-primary transition-colors">
+          {concept.name}
+        </h2>
+        <span className="px-2 py-0.5 bg-bg-tertiary text-text-muted text-xs rounded-full whitespace-nowrap">
+          {t('concepts.challengeCount', { count: concept.challenges.length })}
+        </span>
+      </div>
+      {concept.definition && (
+        <p className="text-text-secondary text-sm line-clamp-3">{concept.definition}</p>
+      )}
+    </Link>
+  );
+};
+
+/**
+ * Concepts Page Component
+ * 
+ * Grid of all concepts, sorted by name.
+ */
+const ConceptsPage = () => {
+  const { t } = useLocale();
+
+  return (
+    <div className="min-h-screen">
+      {/* Page header */}
+      <section className="bg-bg-primary border-b border-border">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
+          <h1 className="text-3xl font-bold text-text-primary mb-4">
+            {t('concepts.title')}
+          </h1>
+          <p className="text-text-secondary max-w-2xl">
+            {t('concepts.intro')}
+          </p>
+        </div>
+      </section>
+
+      <section className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6">
+          {concepts.map((concept) => (
+            <ConceptCard key={concept.slug} concept={concept} />
+          ))}
+        </div>
+      </section>
+    </div>
+  );
+};
+
+/**
+ * Route Definition
+ */
+export const Route = createFileRoute('/concepts/')({
+  component: ConceptsPage,
+});
@@ -9,6 +9,13 @@
 
 import { createFileRoute, Link } from '@tanstack/react-router';
 import { challenges, difficultyColors, getChallengeStats } from '../data/challenges';
+import { getConceptSlug } from '../data/concepts';
+import { getProgressSummary } from '../data/progress';
+import { useProgress } from '../hooks/use-progress';
+import { useReviews } from '../hooks/use-reviews';
+import { useLocale } from '../hooks/use-locale';
+import ProgressBadge from '../components/ProgressBadge';
+import StarToggle from '../components/StarToggle';
 
 /**
  * Difficulty badge color mapping
@@ -18,45 +25,61 @@ const difficultyColorMap = difficultyColors;
 /**
  * ChallengeCard Component
  * 
- * Renders an individual challenge card with hover effects.
+ * Renders an individual challenge card with hover effects and a star
+ * toggle. The title link stretches over the whole card; concept chips link
+ * to their concept pages.
  * 
  * @param {Object} props - Component props
- * @param {Object} props.challenge - Challenge data object
+ * @param {Object} props.challenge - Challenge data object, already localized
  */
 const ChallengeCard = ({ challenge }) => {
+  const { getProgress } = useProgress();
+  const { t } = useLocale();
+
   return (
-    <Link
-      to={`/challenges/${challenge.id}`}
-      className="group block bg-bg-primary rounded-xl border border-border p-6 hover:border-primary hover:shadow-lg transition-all duration-300"
-    >
+    <div className="group relative bg-bg-primary rounded-xl border border-border p-6 hover:border-primary hover:shadow-lg transition-all duration-300">
       {/* Card header with icon and difficulty */}
       <div className="flex items-start justify-between mb-4">
         <span className="text-4xl">{challenge.icon}</span>
-        <span className={`px-3 py-1 rounded-full text-xs font-medium ${difficultyColorMap[challenge.difficulty]}`}>
-          {challenge.difficulty}
-        </span>
+        <div className="flex items-center gap-2">
+          <span className={`px-3 py-1 rounded-full text-xs font-medium ${difficultyColorMap[challenge.difficulty]}`}>
+            {t(`difficulty.${challenge.difficulty}`)}
+          </span>
+          <StarToggle challengeId={challenge.id} title={challenge.title} />
+        </div>
       </div>
 
       {/* Card content */}
       <h3 className="text-lg font-semibold text-text-primary mb-2 group-hover:text-primary transition-colors">
-        {challenge.title}
+        <Link
+          to="/challenges/$challengeId"
+          params={{ challengeId: challenge.id }}
+          className="after:absolute after:inset-0 after:rounded-xl"
+        >
+          {challenge.title}
+        </Link>
       </h3>
       <p className="text-text-secondary text-sm mb-4 line-clamp-2">
         {challenge.description}
       </p>
+      <div className="mb-4 empty:hidden">
+        <ProgressBadge progress={getProgress(challenge.id)} />
+      </div>
 
       {/* Concepts tags */}
       <div className="flex flex-wrap gap-2">
         {challenge.concepts.map((concept) => (
-          <span
+          <Link
             key={concept}
-            className="px-2 py-1 bg-bg-tertiary text-text-muted text-xs rounded-md"
+            to="/concepts/$concept"
+            params={{ concept: getConceptSlug(concept) }}
+            className="relative z-10 px-2 py-1 bg-bg-tertiary text-text-muted text-xs rounded-md hover:text-primary transition-colors"
           >
             {concept}
-          </span>
+          </Link>
         ))}
       </div>
-    </Link>
+    </div>
   );
 };
 
@@ -66,24 +89,25 @@ const ChallengeCard = ({ challenge }) => {
  * Main hero section with title and call-to-action.
  */
 const HeroSection = () => {
+  const { t } = useLocale();
+
   return (
     <section className="bg-bg-primary border-b border-border">
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-16 sm:py-24">
         <div className="text-center max-w-3xl mx-auto">
           <h1 className="text-4xl sm:text-5xl font-bold text-text-primary mb-6">
-            Master React Through
-            <span className="text-primary"> Practical Challenges</span>
+            {t('home.hero.title')}
+            <span className="text-primary"> {t('home.hero.titleHighlight')}</span>
           </h1>
           <p className="text-lg text-text-secondary mb-8">
-            A collection of hands-on React exercises designed to strengthen your understanding 
-            of hooks, state management, and component patterns.
+            {t('home.hero.intro')}
           </p>
           <div className="flex items-center justify-center gap-4">
             <Link
               to="/challenges"
               className="px-6 py-3 bg-primary text-white font-medium rounded-lg hover:bg-primary-hover transition-colors"
             >
-              View All Challenges
+              {t('home.hero.viewAll')}
             </Link>
             <a
               href="https://react.dev/learn"
@@ -91,7 +115,7 @@ const HeroSection = () => {
               rel="noopener noreferrer"
               className="px-6 py-3 border border-border text-text-primary font-medium rounded-lg hover:bg-bg-tertiary transition-colors"
             >
-              React Documentation
+              {t('home.hero.docs')}
             </a>
           </div>
         </div>
@@ -100,17 +124,87 @@ const HeroSection = () => {
   );
 };
 
+/**
+ * Progress Summary Component
+ * 
+ * Shows how far the learner has got through the challenges.
+ */
+const ProgressSummary = () => {
+  const { progress } = useProgress();
+  const { t, formatNumber } = useLocale();
+  const summary = getProgressSummary(progress);
+  const completed = (
+    <span key="completed" className="font-semibold text-text-primary">
+      {formatNumber(summary.completed)}
+    </span>
+  );
+
+  return (
+    <div className="mt-8 pt-6 border-t border-border">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <h2 className="text-sm font-medium text-text-muted uppercase tracking-wider">
+          {t('home.progress.title')}
+        </h2>
+        <p className="text-sm text-text-secondary">
+          {t('progress.completedOf', { completed, total: summary.total })}
+          {summary.inProgress > 0 && <> · {t('progress.inProgress', { count: summary.inProgress })}</>}
+          {summary.hintsRevealed > 0 && <> · {t('progress.hintsUsed', { count: summary.hintsRevealed })}</>}
+        </p>
+      </div>
+      <div
+        className="h-2 bg-bg-tertiary rounded-full overflow-hidden"
+        role="progressbar"
+        aria-label={t('home.progress.barLabel')}
+        aria-valuemin={0}
+        aria-valuemax={summary.total}
+        aria-valuenow={summary.completed}
+      >
+        <div
+          className="h-full bg-success rounded-full transition-all duration-500"
+          style={{ width: `${summary.percentComplete}%` }}
+        />
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Review Due Component
+ * 
+ * How many completed challenges are due for review today, linking to the
+ * review page. Hidden until a challenge has been completed.
+ */
+const ReviewDue = () => {
+  const { queue, dueReviews } = useReviews();
+  const { t } = useLocale();
+
+  if (queue.length === 0) return null;
+
+  return (
+    <p className="mt-4 flex flex-wrap items-center gap-x-3 gap-y-1 text-sm">
+      <span className={dueReviews.length > 0 ? 'font-medium text-text-primary' : 'text-text-secondary'}>
+        🔁 {t('review.dueCount', { count: dueReviews.length })}
+      </span>
+      <Link to="/review" className="text-primary hover:text-primary-hover font-medium transition-colors">
+        {dueReviews.length > 0 ? t('home.review.start') : t('home.review.schedule')}
+      </Link>
+    </p>
+  );
+};
+
 /**
  * Stats Section Component
  * 
- * Displays key statistics about the challenges.
+ * Displays key statistics about the challenges alongside the
+ * learner's progress.
  */
 const StatsSection = () => {
+  const { t, formatNumber } = useLocale();
   const challengeStats = getChallengeStats();
   const stats = [
-    { label: 'Challenges', value: String(challengeStats.total) },
-    { label: 'React Hooks', value: `${challengeStats.hooks.length}+` },
-    { label: 'Difficulty Levels', value: '3' },
+    { label: t('home.stats.challenges'), value: formatNumber(challengeStats.total) },
+    { label: t('home.stats.hooks'), value: `${formatNumber(challengeStats.hooks.length)}+` },
+    { label: t('home.stats.difficulties'), value: formatNumber(3) },
   ];
 
   return (
@@ -124,6 +218,8 @@ const StatsSection = () => {
             </div>
           ))}
         </div>
+        <ProgressSummary />
+        <ReviewDue />
       </div>
     </section>
   );
@@ -135,9 +231,10 @@ const StatsSection = () => {
  * Main home page layout combining hero, stats, and challenge cards.
  */
 const HomePage = () => {
+  const { t, localizeChallenge } = useLocale();
   // Featured challenges - curated selection showcasing different difficulty levels and concepts
   const featuredChallengeIds = ['counter', 'todo-list', 'shopping-cart', 'product-filters', 'fetch-users'];
-  const featuredChallenges = challenges.filter(c => featuredChallengeIds.includes(c.id));
+  const featuredChallenges = challenges.filter(c => featuredChallengeIds.includes(c.id)).map(localizeChallenge);
 
   return (
     <div>
@@ -147,12 +244,12 @@ const HomePage = () => {
       {/* Challenge cards section */}
       <section className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
         <div className="flex items-center justify-between mb-8">
-          <h2 className="text-2xl font-bold text-text-primary">Featured Challenges</h2>
+          <h2 className="text-2xl font-bold text-text-primary">{t('home.featured.title')}</h2>
           <Link
             to="/challenges"
             className="text-primary hover:text-primary-hover font-medium transition-colors"
           >
-            View all {challenges.length} →
+            {t('home.featured.viewAll', { count: challenges.length })}
           </Link>
         </div>
         
@@ -0,0 +1,155 @@
+/**
+ * My Notes Route
+ * 
+ * Every note the learner has left on a challenge (see data/annotations),
+ * grouped by challenge in challenge order and searchable by note text,
+ * challenge title and hint title.
+ * 
+ * @module routes/my-notes
+ */
+
+import { useState } from 'react';
+import { createFileRoute, Link } from '@tanstack/react-router';
+import { challenges } from '../data/challenges';
+import { getSolutionById } from '../data/solutions';
+import { matchesQuery } from '../data/annotations';
+import { useAnnotations } from '../hooks/use-annotations';
+import { useLocale } from '../hooks/use-locale';
+import Markdown from '../components/Markdown';
+
+/**
+ * NoteGroup Component
+ * 
+ * One challenge's matching notes.
+ * 
+ * @param {Object} props - Component props
+ * @param {Object} props.challenge - Challenge data object, already localized
+ * @param {Array} props.annotations - Notes to show
+ */
+const NoteGroup = ({ challenge, annotations }) => {
+  const { t, formatDate } = useLocale();
+
+  return (
+    <section className="bg-bg-primary rounded-xl border border-border p-6" aria-labelledby={`notes-${challenge.id}`}>
+      <h2 id={`notes-${challenge.id}`} className="flex items-center gap-2 text-lg font-semibold text-text-primary">
+        <span>{challenge.icon}</span>
+        <Link
+          to="/challenges/$challengeId"
+          params={{ challengeId: challenge.id }}
+          className="hover:text-primary transition-colors"
+        >
+          {challenge.title}
+        </Link>
+      </h2>
+      <ul className="mt-2 divide-y divide-border">
+        {annotations.map((annotation) => (
+          <li key={annotation.id} className="py-3">
+            <Markdown source={annotation.content} className="text-sm text-text-secondary" />
+            <div className="mt-2 flex flex-wrap items-center gap-3 text-xs text-text-muted">
+              {annotation.hint !== null && (
+                <Link
+                  to="/challenges/$challengeId"
+                  params={{ challengeId: challenge.id }}
+                  search={{ hint: annotation.hint + 1 }}
+                  className="px-2 py-0.5 rounded-full bg-warning-light text-warning font-medium hover:opacity-80 transition-opacity"
+                >
+                  {t('annotations.hintBadge', { number: annotation.hint + 1 })}
+                </Link>
+              )}
+              <span>{formatDate(annotation.updatedAt)}</span>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+};
+
+/**
+ * My Notes Page Component
+ * 
+ * Search box and the grouped notes, with empty states for no notes at all
+ * and no matches.
+ */
+const MyNotesPage = () => {
+  const { t, localizeChallenge, localizeSolution } = useLocale();
+  const { annotations } = useAnnotations();
+  const [query, setQuery] = useState('');
+  const hasNotes = Object.keys(annotations).length > 0;
+
+  const groups = challenges
+    .filter((challenge) => annotations[challenge.id])
+    .map((challenge) => {
+      const localized = localizeChallenge(challenge);
+      const hints = localizeSolution(challenge.id, getSolutionById(challenge.id))?.hints || [];
+      const matching = annotations[challenge.id].filter((annotation) =>
+        matchesQuery([annotation.content, localized.title, hints[annotation.hint]?.title ?? ''].join(' '), query),
+      );
+      return { challenge: localized, annotations: matching };
+    })
+    .filter((group) => group.annotations.length > 0);
+  const matchCount = groups.reduce((sum, group) => sum + group.annotations.length, 0);
+
+  return (
+    <div className="min-h-screen">
+      {/* Page header */}
+      <section className="bg-bg-primary border-b border-border">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
+          <h1 className="text-3xl font-bold text-text-primary mb-4">
+            {t('myNotes.title')}
+          </h1>
+          <p className="text-text-secondary max-w-2xl">
+            {t('myNotes.intro')}
+          </p>
+        </div>
+      </section>
+
+      <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6">
+        {!hasNotes ? (
+          <div className="text-center py-12">
+            <p className="text-text-primary font-medium mb-2">{t('myNotes.empty.title')}</p>
+            <p className="text-text-secondary text-sm mb-6">{t('myNotes.empty.body')}</p>
+            <Link
+              to="/challenges"
+              className="px-4 py-2 rounded-lg text-sm font-medium text-white bg-primary hover:bg-primary-hover transition-colors"
+            >
+              {t('myNotes.empty.browse')}
+            </Link>
+          </div>
+        ) : (
+          <>
+            <div>
+              <label htmlFor="notes-search" className="sr-only">{t('myNotes.search')}</label>
+              <input
+                id="notes-search"
+                type="search"
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                placeholder={t('myNotes.searchPlaceholder')}
+                className="w-full px-4 py-2 bg-bg-primary border border-border rounded-lg text-text-primary placeholder:text-text-muted focus:outline-none focus:ring-2 focus:ring-primary focus:border-transparent transition-all duration-200"
+              />
+              <p role="status" className="mt-2 text-sm text-text-muted">
+                {t('myNotes.results', { count: matchCount })}
+              </p>
+            </div>
+
+            {groups.length > 0 ? (
+              groups.map((group) => (
+                <NoteGroup key={group.challenge.id} challenge={group.challenge} annotations={group.annotations} />
+              ))
+            ) : (
+              <p className="text-center py-8 text-text-secondary">{t('myNotes.noMatches', { query })}</p>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Route Definition
+ */
+export const Route = createFileRoute('/my-notes')({
+  component: MyNotesPage,
+});
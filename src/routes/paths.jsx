@@ -0,0 +1,170 @@
+/**
+ * Learning Paths Route
+ * 
+ * Shows each learning path as an ordered track of challenges, with the
+ * learner's progress along it.
+ * 
+ * @module routes/paths
+ */
+
+import { createFileRoute, Link } from '@tanstack/react-router';
+import { learningPaths, getPathChallenges } from '../data/learning-paths';
+import { difficultyColors } from '../data/challenges';
+import { PROGRESS_STATUS } from '../data/progress';
+import { useProgress } from '../hooks/use-progress';
+import { useLocale } from '../hooks/use-locale';
+
+/**
+ * Step marker classes for each progress status
+ */
+const stepMarkerClasses = {
+  [PROGRESS_STATUS.NOT_STARTED]: 'bg-bg-tertiary text-text-muted border-border',
+  [PROGRESS_STATUS.IN_PROGRESS]: 'bg-primary-light text-primary border-primary',
+  [PROGRESS_STATUS.COMPLETED]: 'bg-success text-white border-success',
+};
+
+/**
+ * PathStep Component
+ * 
+ * One challenge on a path: a numbered marker joined to the next step,
+ * and a card linking to the challenge.
+ * 
+ * @param {Object} props - Component props
+ * @param {Object} props.challenge - Challenge data object
+ * @param {number} props.index - Position on the path (0-based)
+ * @param {boolean} props.isLast - Whether this is the final step
+ */
+const PathStep = ({ challenge, index, isLast }) => {
+  const { getProgress } = useProgress();
+  const { t, formatNumber, localizeChallenge } = useLocale();
+  const { status } = getProgress(challenge.id);
+  const isCompleted = status === PROGRESS_STATUS.COMPLETED;
+
+  return (
+    <li className="relative flex md:flex-col gap-4 md:w-48 md:flex-shrink-0">
+      {/* Connector to the next step */}
+      {!isLast && (
+        <span
+          aria-hidden="true"
+          className={`absolute start-5 top-10 -bottom-8 w-0.5 md:start-10 md:top-5 md:bottom-auto md:-end-8 md:w-auto md:h-0.5 ${
+            isCompleted ? 'bg-success' : 'bg-border'
+          }`}
+        />
+      )}
+
+      <span
+        className={`relative z-10 w-10 h-10 flex-shrink-0 rounded-full border-2 flex items-center justify-center text-sm font-semibold ${stepMarkerClasses[status]}`}
+        title={t(`progress.status.${status}`)}
+      >
+        {isCompleted ? '✓' : formatNumber(index + 1)}
+      </span>
+
+      <Link
+        to="/challenges/$challengeId"
+        params={{ challengeId: challenge.id }}
+        className="group flex-1 bg-bg-primary rounded-xl border border-border p-4 hover:border-primary hover:shadow-lg transition-all duration-300"
+      >
+        <span className="text-2xl">{challenge.icon}</span>
+        <p className="mt-2 font-semibold text-text-primary group-hover:text-primary transition-colors">
+          {localizeChallenge(challenge).title}
+        </p>
+        <span className={`inline-block mt-2 px-2 py-0.5 rounded-full text-xs font-medium ${difficultyColors[challenge.difficulty]}`}>
+          {t(`difficulty.${challenge.difficulty}`)}
+        </span>
+        <span className="sr-only">, {t(`progress.status.${status}`)}</span>
+      </Link>
+    </li>
+  );
+};
+
+/**
+ * PathTrack Component
+ * 
+ * A learning path's heading, progress and ordered challenge track.
+ * 
+ * @param {Object} props - Component props
+ * @param {Object} props.path - Learning path from data/learning-paths
+ */
+const PathTrack = ({ path }) => {
+  const { getProgress } = useProgress();
+  const { t, formatNumber } = useLocale();
+  const pathChallenges = getPathChallenges(path);
+  const completed = pathChallenges.filter(
+    (c) => getProgress(c.id).status === PROGRESS_STATUS.COMPLETED
+  ).length;
+
+  return (
+    <section className="bg-bg-secondary rounded-xl border border-border p-6" aria-labelledby={`path-${path.id}`}>
+      <div className="flex flex-wrap items-start justify-between gap-4 mb-6">
+        <div className="flex items-start gap-3">
+          <span className="text-3xl">{path.icon}</span>
+          <div>
+            <h2 id={`path-${path.id}`} className="text-xl font-semibold text-text-primary">
+              {path.title}
+            </h2>
+            <p className="text-text-secondary text-sm">{path.description}</p>
+          </div>
+        </div>
+        <p className="text-sm text-text-secondary">
+          {t('progress.completedOf', {
+            completed: (
+              <span key="completed" className="font-semibold text-text-primary">
+                {formatNumber(completed)}
+              </span>
+            ),
+            total: pathChallenges.length,
+          })}
+        </p>
+      </div>
+
+      <ol className="flex flex-col md:flex-row gap-8 md:overflow-x-auto md:pb-2">
+        {pathChallenges.map((challenge, index) => (
+          <PathStep
+            key={challenge.id}
+            challenge={challenge}
+            index={index}
+            isLast={index === pathChallenges.length - 1}
+          />
+        ))}
+      </ol>
+    </section>
+  );
+};
+
+/**
+ * Paths Page Component
+ * 
+ * Lists every learning path.
+ */
+const PathsPage = () => {
+  const { t } = useLocale();
+
+  return (
+    <div className="min-h-screen">
+      {/* Page header */}
+      <section className="bg-bg-primary border-b border-border">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
+          <h1 className="text-3xl font-bold text-text-primary mb-4">
+            {t('paths.title')}
+          </h1>
+          <p className="text-text-secondary max-w-2xl">
+            {t('paths.intro')}
+          </p>
+        </div>
+      </section>
+
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-8">
+        {learningPaths.map((path) => (
+          <PathTrack key={path.id} path={path} />
+        ))}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Route Definition
+ */
+export const Route = createFileRoute('/paths')({
+  component: PathsPage,
+});
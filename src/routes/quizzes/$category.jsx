@@ -0,0 +1,106 @@
+/**
+ * Category Quiz Route
+ * 
+ * A quiz drawing the questions of every challenge in one category, e.g.
+ * /quizzes/state-management. Each question links to the challenge it
+ * comes from.
+ * 
+ * @module routes/quizzes/$category
+ */
+
+import { createFileRoute, Link, notFound } from '@tanstack/react-router';
+import { categoryConfig } from '../../data/challenges';
+import { solutions } from '../../data/solutions';
+import { getCategoryBySlug, getCategoryQuizId, getCategoryQuizChallenges } from '../../data/quizzes';
+import { useLocale } from '../../hooks/use-locale';
+import Quiz from '../../components/Quiz';
+
+/**
+ * CategoryQuizNotFound Component
+ * 
+ * Shown for a slug that matches no category.
+ */
+const CategoryQuizNotFound = () => {
+  const { category } = Route.useParams();
+  const { t } = useLocale();
+  const name = (
+    <code key="category" className="font-mono text-text-primary">
+      {category}
+    </code>
+  );
+
+  return (
+    <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-24 text-center">
+      <span className="text-5xl">🧠</span>
+      <h1 className="mt-6 text-2xl font-bold text-text-primary">{t('quizzes.notFound.title')}</h1>
+      <p className="mt-2 text-text-secondary">
+        {t('quizzes.notFound.body', { category: name })}
+      </p>
+      <Link
+        to="/quizzes"
+        className="inline-block mt-8 px-6 py-3 bg-primary text-white font-medium rounded-lg hover:bg-primary-hover transition-colors"
+      >
+        {t('quizzes.notFound.browse')}
+      </Link>
+    </div>
+  );
+};
+
+/**
+ * Category Quiz Page Component
+ * 
+ * Collects the category's questions in the active locale, tagged with
+ * their challenge.
+ */
+const CategoryQuizPage = () => {
+  const category = Route.useLoaderData();
+  const { t, localizeChallenge, localizeSolution } = useLocale();
+  const questions = getCategoryQuizChallenges(category).flatMap((challenge) => {
+    const localized = localizeChallenge(challenge);
+    return localizeSolution(challenge.id, solutions[challenge.id]).quiz.map((question) => ({
+      ...question,
+      challenge: localized,
+    }));
+  });
+
+  return (
+    <div className="min-h-screen">
+      {/* Page header */}
+      <section className="bg-bg-primary border-b border-border">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
+          <Link to="/quizzes" className="text-sm text-primary hover:text-primary-hover transition-colors">
+            {t('quizzes.back')}
+          </Link>
+          <h1 className="mt-4 text-3xl font-bold text-text-primary mb-4">
+            {categoryConfig[category].icon} {t('quizzes.categoryTitle', { category: t(`category.${category}`) })}
+          </h1>
+          <p className="text-text-secondary max-w-2xl">
+            {t('quizzes.categoryIntro', { count: questions.length })}
+          </p>
+        </div>
+      </section>
+
+      <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="bg-bg-secondary rounded-xl border border-border p-6">
+          <Quiz key={category} quizId={getCategoryQuizId(category)} questions={questions} />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Route Definition
+ * 
+ * The loader resolves the category from its slug and throws notFound()
+ * for unknown slugs.
+ */
+export const Route = createFileRoute('/quizzes/$category')({
+  loader: ({ params }) => {
+    const category = getCategoryBySlug(params.category);
+    if (!category) throw notFound();
+    return category;
+  },
+  component: CategoryQuizPage,
+  notFoundComponent: CategoryQuizNotFound,
+});
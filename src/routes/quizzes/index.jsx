@@ -0,0 +1,102 @@
+/**
+ * Quizzes Index Route
+ * 
+ * Lists a quiz per challenge category, each drawing the questions of
+ * every challenge in the category, with the learner's best score.
+ * 
+ * @module routes/quizzes/index
+ */
+
+import { createFileRoute, Link } from '@tanstack/react-router';
+import { categoryConfig } from '../../data/challenges';
+import {
+  getCategorySlug,
+  getCategoryQuizId,
+  getCategoryQuizChallenges,
+  getCategoryQuestionCount,
+} from '../../data/quizzes';
+import { useQuizResults } from '../../hooks/use-quiz-results';
+import { useLocale } from '../../hooks/use-locale';
+
+/**
+ * Categories with at least one quiz question, in categoryConfig order
+ */
+const quizCategories = Object.keys(categoryConfig).filter(
+  (category) => category !== 'All' && getCategoryQuestionCount(category) > 0,
+);
+
+/**
+ * CategoryQuizCard Component
+ * 
+ * Card linking to a category quiz.
+ * 
+ * @param {Object} props - Component props
+ * @param {string} props.category - A key of categoryConfig
+ */
+const CategoryQuizCard = ({ category }) => {
+  const { t } = useLocale();
+  const { bestAttempt } = useQuizResults(getCategoryQuizId(category));
+
+  return (
+    <Link
+      to="/quizzes/$category"
+      params={{ category: getCategorySlug(category) }}
+      className="group flex flex-col bg-bg-primary rounded-xl border border-border p-5 hover:border-primary hover:shadow-lg transition-all duration-300"
+    >
+      <span className="text-3xl">{categoryConfig[category].icon}</span>
+      <h2 className="mt-2 font-semibold text-text-primary group-hover:text-primary transition-colors">
+        {t(`category.${category}`)}
+      </h2>
+      <p className="mt-1 text-text-secondary text-sm">
+        {t('quizzes.questionCount', { count: getCategoryQuestionCount(category) })}
+        {' · '}
+        {t('concepts.challengeCount', { count: getCategoryQuizChallenges(category).length })}
+      </p>
+      <p className="mt-3 text-sm text-text-muted">
+        {bestAttempt
+          ? t('quiz.best', { score: bestAttempt.score, total: bestAttempt.total })
+          : t('quizzes.notTaken')}
+      </p>
+    </Link>
+  );
+};
+
+/**
+ * Quizzes Page Component
+ * 
+ * Grid of category quizzes.
+ */
+const QuizzesPage = () => {
+  const { t } = useLocale();
+
+  return (
+    <div className="min-h-screen">
+      {/* Page header */}
+      <section className="bg-bg-primary border-b border-border">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
+          <h1 className="text-3xl font-bold text-text-primary mb-4">
+            {t('quizzes.title')}
+          </h1>
+          <p className="text-text-secondary max-w-2xl">
+            {t('quizzes.intro')}
+          </p>
+        </div>
+      </section>
+
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6">
+          {quizCategories.map((category) => (
+            <CategoryQuizCard key={category} category={category} />
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Route Definition
+ */
+export const Route = createFileRoute('/quizzes/')({
+  component: QuizzesPage,
+});
@@ -0,0 +1,215 @@
+/**
+ * Review Route
+ * 
+ * Spaced-repetition reviews of completed challenges. Each due challenge
+ * is shown with its hints as recall prompts; the learner's rating sets
+ * when it comes up again (see data/review).
+ * 
+ * @module routes/review
+ */
+
+import { useState } from 'react';
+import { createFileRoute, Link } from '@tanstack/react-router';
+import { difficultyColors } from '../data/challenges';
+import { getSolutionById } from '../data/solutions';
+import { reviewRatingConfig, scheduleReview, toDateKey, parseDateKey } from '../data/review';
+import { useReviews } from '../hooks/use-reviews';
+import { useLocale } from '../hooks/use-locale';
+import Markdown from '../components/Markdown';
+
+/**
+ * ReviewCard Component
+ * 
+ * One review: the challenge, its hints as prompts with the answers
+ * hidden until revealed, and the recall rating buttons.
+ * 
+ * @param {Object} props - Component props
+ * @param {Object} props.challenge - Challenge data object
+ * @param {Object} props.card - Review card from data/review
+ * @param {Function} props.onRate - Called with the chosen rating
+ */
+const ReviewCard = ({ challenge, card, onRate }) => {
+  const { t, localizeChallenge, localizeSolution } = useLocale();
+  const [isRevealed, setIsRevealed] = useState(false);
+  const { title, icon, difficulty } = localizeChallenge(challenge);
+  const hints = localizeSolution(challenge.id, getSolutionById(challenge.id))?.hints || [];
+
+  return (
+    <article className="bg-bg-secondary rounded-xl border border-border p-6" aria-labelledby="review-challenge">
+      <div className="flex flex-wrap items-start justify-between gap-4 mb-4">
+        <div className="flex items-center gap-3">
+          <span className="text-3xl">{icon}</span>
+          <div>
+            <h2 id="review-challenge" className="text-xl font-semibold text-text-primary">{title}</h2>
+            <span className={`inline-block mt-1 px-2 py-0.5 rounded-full text-xs font-medium ${difficultyColors[difficulty]}`}>
+              {t(`difficulty.${difficulty}`)}
+            </span>
+          </div>
+        </div>
+        <Link
+          to="/challenges/$challengeId"
+          params={{ challengeId: challenge.id }}
+          className="text-sm text-primary hover:text-primary-hover font-medium transition-colors"
+        >
+          {t('review.openChallenge')}
+        </Link>
+      </div>
+
+      <p className="text-text-secondary text-sm mb-4">
+        {hints.length > 0 ? t('review.prompt') : t('review.noHints')}
+      </p>
+
+      <ol className="space-y-3 mb-6">
+        {hints.map((hint, index) => (
+          <li key={index} className="bg-bg-primary rounded-lg border border-border p-4">
+            <p className="font-medium text-text-primary">
+              {t('concept.hint', { number: index + 1, title: hint.title })}
+            </p>
+            {isRevealed && <Markdown source={hint.content} className="mt-2 text-text-secondary text-sm" />}
+          </li>
+        ))}
+      </ol>
+
+      {!isRevealed && hints.length > 0 ? (
+        <button
+          onClick={() => setIsRevealed(true)}
+          className="px-4 py-2 rounded-lg text-sm font-medium text-white bg-primary hover:bg-primary-hover transition-colors"
+        >
+          {t('review.reveal')}
+        </button>
+      ) : (
+        <div>
+          <p className="text-sm font-medium text-text-primary mb-3">{t('review.rate')}</p>
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+            {Object.entries(reviewRatingConfig).map(([rating, config]) => (
+              <button
+                key={rating}
+                onClick={() => onRate(rating)}
+                className={`px-3 py-2 rounded-lg border bg-bg-primary text-sm font-medium transition-colors ${config.color}`}
+              >
+                {t(`review.rating.${rating}`)}
+                <span className="block text-xs font-normal text-text-muted">
+                  {t('review.interval', { count: scheduleReview(card, rating).interval })}
+                </span>
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </article>
+  );
+};
+
+/**
+ * ReviewSchedule Component
+ * 
+ * Every completed challenge with when it is next due.
+ * 
+ * @param {Object} props - Component props
+ * @param {Array} props.queue - Queue from useReviews
+ */
+const ReviewSchedule = ({ queue }) => {
+  const { t, formatDate, localizeChallenge } = useLocale();
+  const today = toDateKey();
+
+  return (
+    <section aria-labelledby="schedule-heading">
+      <h2 id="schedule-heading" className="text-lg font-semibold text-text-primary mb-4">
+        {t('review.schedule.title')}
+      </h2>
+      <ul className="bg-bg-secondary rounded-xl border border-border divide-y divide-border">
+        {queue.map(({ challenge, card }) => (
+          <li key={challenge.id} className="flex items-center justify-between gap-4 px-4 py-3 text-sm">
+            <Link
+              to="/challenges/$challengeId"
+              params={{ challengeId: challenge.id }}
+              className="flex items-center gap-2 text-text-primary hover:text-primary transition-colors"
+            >
+              <span>{challenge.icon}</span>
+              {localizeChallenge(challenge).title}
+            </Link>
+            <span className={card.due <= today ? 'font-medium text-primary' : 'text-text-secondary'}>
+              {card.due <= today
+                ? t('review.schedule.today')
+                : t('review.schedule.due', { date: formatDate(parseDateKey(card.due)) })}
+            </span>
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+};
+
+/**
+ * Review Page Component
+ * 
+ * Works through today's due reviews one at a time, then shows the
+ * schedule.
+ */
+const ReviewPage = () => {
+  const { t, formatDate } = useLocale();
+  const { queue, dueReviews, rateReview } = useReviews();
+  const [current] = dueReviews;
+
+  return (
+    <div className="min-h-screen">
+      {/* Page header */}
+      <section className="bg-bg-primary border-b border-border">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
+          <h1 className="text-3xl font-bold text-text-primary mb-4">
+            {t('review.title')}
+          </h1>
+          <p className="text-text-secondary max-w-2xl">
+            {t('review.intro')}
+          </p>
+        </div>
+      </section>
+
+      <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-8">
+        {queue.length === 0 ? (
+          <div className="text-center py-12">
+            <p className="text-text-primary font-medium mb-2">{t('review.empty.title')}</p>
+            <p className="text-text-secondary text-sm mb-6">{t('review.empty.body')}</p>
+            <Link
+              to="/challenges"
+              className="px-4 py-2 rounded-lg text-sm font-medium text-white bg-primary hover:bg-primary-hover transition-colors"
+            >
+              {t('review.empty.browse')}
+            </Link>
+          </div>
+        ) : (
+          <>
+            <p role="status" className="text-sm text-text-secondary">
+              {t('review.dueCount', { count: dueReviews.length })}
+            </p>
+
+            {current ? (
+              <ReviewCard
+                key={current.challenge.id}
+                challenge={current.challenge}
+                card={current.card}
+                onRate={(rating) => rateReview(current.challenge.id, rating)}
+              />
+            ) : (
+              <div className="bg-success-light rounded-xl p-6 text-center">
+                <p className="font-medium text-success">{t('review.done.title')}</p>
+                <p className="text-sm text-text-secondary mt-1">
+                  {t('review.done.next', { date: formatDate(parseDateKey(queue[0].card.due)) })}
+                </p>
+              </div>
+            )}
+
+            <ReviewSchedule queue={queue} />
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Route Definition
+ */
+export const Route = createFileRoute('/review')({
+  component: ReviewPage,
+});
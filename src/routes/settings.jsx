@@ -0,0 +1,305 @@
+/**
+ * Settings Route
+ * 
+ * Backup and restore of the learner's data: export everything the app
+ * keeps in this browser to one JSON file, and import such a file with a
+ * preview, merging it into or replacing the current data.
+ * 
+ * @module routes/settings
+ */
+
+import { useState } from 'react';
+import { createFileRoute } from '@tanstack/react-router';
+import {
+  IMPORT_MODES,
+  backupDataTypes,
+  createBackup,
+  importBackup,
+  parseBackup,
+  readStoredData,
+  summarizeData,
+} from '../data/backup';
+import { localeConfig } from '../data/i18n';
+import { useLocale } from '../hooks/use-locale';
+
+/**
+ * Message ID describing each import mode
+ */
+const importModeLabels = {
+  [IMPORT_MODES.MERGE]: { label: 'settings.import.merge', hint: 'settings.import.mergeHint' },
+  [IMPORT_MODES.REPLACE]: { label: 'settings.import.replace', hint: 'settings.import.replaceHint' },
+};
+
+/**
+ * Message ID counting the items of each kind of collection
+ */
+const countMessages = {
+  progress: 'concepts.challengeCount',
+  notes: 'settings.count.notes',
+  annotations: 'settings.count.notes',
+  collections: 'settings.count.other',
+  playground: 'concepts.challengeCount',
+  review: 'concepts.challengeCount',
+  quizzes: 'settings.count.quizzes',
+  katas: 'concepts.challengeCount',
+  shortcuts: 'settings.count.shortcuts',
+  other: 'settings.count.other',
+};
+
+/**
+ * Start a download of the current data as a backup file
+ */
+const downloadBackup = () => {
+  const backup = createBackup();
+  const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `react-practice-backup-${backup.exportedAt.slice(0, 10)}.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * DataSummary Component
+ * 
+ * Table of how much of each kind of data one or more sources hold.
+ * 
+ * @param {Object} props - Component props
+ * @param {Array<{label: string, data: Object}>} props.columns - Message ID and stored data per column
+ */
+const DataSummary = ({ columns }) => {
+  const { t } = useLocale();
+  const summaries = columns.map((column) => summarizeData(column.data));
+
+  /**
+   * Describe one kind of data in one source
+   */
+  const describe = (type, summary) => {
+    const entry = summary[type];
+    if (!entry) return '—';
+    if (type === 'theme') return t(`theme.${entry.value}`);
+    if (type === 'locale') return localeConfig[entry.value].label;
+    if (type === 'mockApi') return t(`mockApi.source.${entry.value.source}`);
+    return t(countMessages[type], { count: entry.count });
+  };
+
+  return (
+    <table className="w-full text-sm">
+      <thead>
+        <tr className="border-b border-border text-text-muted">
+          <th scope="col" className="py-2 pe-4 text-start font-medium">{t('settings.column.item')}</th>
+          {columns.map((column) => (
+            <th key={column.label} scope="col" className="py-2 pe-4 text-start font-medium">
+              {t(column.label)}
+            </th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {Object.keys(backupDataTypes).map((type) => (
+          <tr key={type} className="border-b border-border last:border-0">
+            <th scope="row" className="py-2 pe-4 text-start font-medium text-text-primary">
+              {t(`settings.data.${type}`)}
+            </th>
+            {summaries.map((summary, index) => (
+              <td key={columns[index].label} className="py-2 pe-4 text-text-secondary">
+                {describe(type, summary)}
+              </td>
+            ))}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+/**
+ * ImportPreview Component
+ * 
+ * What a chosen backup file holds next to the current data, with the
+ * import mode choice.
+ * 
+ * @param {Object} props - Component props
+ * @param {Object} props.bundle - Bundle returned by parseBackup
+ * @param {number|null} props.migratedFrom - Version the bundle was upgraded from
+ * @param {Function} props.onImport - Called with the chosen mode
+ * @param {Function} props.onCancel - Called to discard the file
+ */
+const ImportPreview = ({ bundle, migratedFrom, onImport, onCancel }) => {
+  const { t, formatDate } = useLocale();
+  const [mode, setMode] = useState(IMPORT_MODES.MERGE);
+
+  return (
+    <div className="mt-6 space-y-6">
+      <div className="text-sm text-text-secondary space-y-1">
+        {bundle.exportedAt && (
+          <p>{t('settings.import.exportedAt', { date: formatDate(bundle.exportedAt, { dateStyle: 'medium', timeStyle: 'short' }) })}</p>
+        )}
+        {migratedFrom !== null && <p>{t('settings.import.migrated', { version: migratedFrom })}</p>}
+      </div>
+
+      <DataSummary
+        columns={[
+          { label: 'settings.column.file', data: bundle.data },
+          { label: 'settings.column.device', data: readStoredData() },
+        ]}
+      />
+
+      <fieldset>
+        <legend className="text-sm font-medium text-text-primary mb-2">{t('settings.import.mode')}</legend>
+        <div className="space-y-2">
+          {Object.entries(importModeLabels).map(([value, { label, hint }]) => (
+            <label key={value} className="flex items-start gap-3 text-sm cursor-pointer">
+              <input
+                type="radio"
+                name="import-mode"
+                value={value}
+                checked={mode === value}
+                onChange={() => setMode(value)}
+                className="mt-1"
+              />
+              <span>
+                <span className="font-medium text-text-primary">{t(label)}</span>
+                <span className="block text-text-secondary">{t(hint)}</span>
+              </span>
+            </label>
+          ))}
+        </div>
+      </fieldset>
+
+      <div className="flex gap-3">
+        <button
+          onClick={() => onImport(mode)}
+          className={`px-4 py-2 rounded-lg text-sm font-medium text-white transition-colors ${
+            mode === IMPORT_MODES.REPLACE ? 'bg-danger hover:bg-danger-hover' : 'bg-primary hover:bg-primary-hover'
+          }`}
+        >
+          {t('settings.import.confirm')}
+        </button>
+        <button
+          onClick={onCancel}
+          className="px-4 py-2 rounded-lg text-sm font-medium border border-border text-text-secondary hover:bg-bg-tertiary transition-colors"
+        >
+          {t('settings.import.cancel')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Settings Page Component
+ * 
+ * Export and import sections for the learner's data.
+ */
+const SettingsPage = () => {
+  const { t } = useLocale();
+  const [parsed, setParsed] = useState(null);
+  const [imported, setImported] = useState(false);
+  const [inputKey, setInputKey] = useState(0);
+
+  const reset = () => {
+    setParsed(null);
+    setInputKey((key) => key + 1);
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    setImported(false);
+    if (!file) {
+      setParsed(null);
+      return;
+    }
+    setParsed(parseBackup(await file.text()));
+  };
+
+  const handleImport = (mode) => {
+    importBackup(parsed.bundle, mode);
+    setImported(true);
+    reset();
+  };
+
+  return (
+    <div className="min-h-screen">
+      {/* Page header */}
+      <section className="bg-bg-primary border-b border-border">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
+          <h1 className="text-3xl font-bold text-text-primary mb-4">
+            {t('settings.title')}
+          </h1>
+          <p className="text-text-secondary max-w-2xl">
+            {t('settings.intro')}
+          </p>
+        </div>
+      </section>
+
+      <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-8">
+        {/* Export */}
+        <section className="bg-bg-secondary rounded-xl border border-border p-6" aria-labelledby="export-heading">
+          <h2 id="export-heading" className="text-xl font-semibold text-text-primary mb-2">
+            {t('settings.export.title')}
+          </h2>
+          <p className="text-text-secondary text-sm mb-6">{t('settings.export.intro')}</p>
+          <DataSummary columns={[{ label: 'settings.column.device', data: readStoredData() }]} />
+          <button
+            onClick={downloadBackup}
+            className="mt-6 px-4 py-2 rounded-lg text-sm font-medium text-white bg-primary hover:bg-primary-hover transition-colors"
+          >
+            {t('settings.export.download')}
+          </button>
+        </section>
+
+        {/* Import */}
+        <section className="bg-bg-secondary rounded-xl border border-border p-6" aria-labelledby="import-heading">
+          <h2 id="import-heading" className="text-xl font-semibold text-text-primary mb-2">
+            {t('settings.import.title')}
+          </h2>
+          <p className="text-text-secondary text-sm mb-6">{t('settings.import.intro')}</p>
+
+          <label className="block text-sm font-medium text-text-primary">
+            {t('settings.import.fileLabel')}
+            <input
+              key={inputKey}
+              type="file"
+              accept=".json,application/json"
+              onChange={handleFile}
+              className="block mt-2 text-sm text-text-secondary file:me-3 file:px-3 file:py-1.5 file:rounded-lg file:border file:border-border file:bg-bg-primary file:text-text-primary"
+            />
+          </label>
+
+          {imported && (
+            <p role="status" className="mt-4 text-sm text-success">{t('settings.import.done')}</p>
+          )}
+
+          {parsed?.errors.length > 0 && (
+            <div role="alert" className="mt-4 p-4 rounded-lg border border-danger bg-danger-light text-sm">
+              <p className="font-medium text-danger">{t('settings.import.invalid')}</p>
+              <ul className="mt-2 list-disc ps-5 text-text-secondary">
+                {parsed.errors.map((error) => (
+                  <li key={`${error.id}-${error.values?.key}`}>{t(error.id, error.values)}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {parsed?.bundle && (
+            <ImportPreview
+              bundle={parsed.bundle}
+              migratedFrom={parsed.migratedFrom}
+              onImport={handleImport}
+              onCancel={reset}
+            />
+          )}
+        </section>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Route Definition
+ */
+export const Route = createFileRoute('/settings')({
+  component: SettingsPage,
+});
@@ -0,0 +1,141 @@
+/**
+ * Service Worker
+ * 
+ * Keeps the whole app usable offline. It is not bundled with the app:
+ * scripts/vite-plugin-service-worker.js copies it to `sw.js` at the end of
+ * `vite build`, filling in __PRECACHE_URLS__ with every file of the build
+ * (the HTML page, the entry, every route chunk from TanStack Router's
+ * autoCodeSplitting, translated content, styles, images and the files in
+ * public/) and __CACHE_VERSION__ with a hash of their contents. Each
+ * build therefore installs a complete new cache.
+ * 
+ * A new worker waits until the learner applies the update from the prompt
+ * (see hooks/use-service-worker) or every tab is closed. Tabs still running
+ * an older version keep loading their files from its cache, so older
+ * caches are only removed once every open page was loaded by this worker.
+ * 
+ * - Precached files are answered from the cache, this version's first.
+ * - Page loads answer with the matching cached HTML page, falling back to
+ *   the app's index.html so every route works offline.
+ * - Everything else, including other origins, goes to the network as
+ *   usual. The Data Fetching challenges call the in-browser mock API
+ *   (see src/mock-api), which never reaches the worker.
+ * 
+ * @module service-worker
+ */
+
+/* global __PRECACHE_URLS__, __CACHE_VERSION__ */
+
+const PRECACHE_URLS = __PRECACHE_URLS__;
+const CACHE_VERSION = __CACHE_VERSION__;
+const CACHE_NAME = `react-practice-${CACHE_VERSION}`;
+
+/**
+ * Resolve a path against the worker's scope, which is the app's base URL
+ * @param {string} path - Path relative to the base URL
+ * @returns {string} Absolute URL
+ */
+const scopeUrl = (path) => new URL(path, self.registration.scope).href;
+
+/**
+ * App shell every route can load from
+ */
+const INDEX_URL = scopeUrl('index.html');
+
+/**
+ * Pages loaded through this worker; any other open page may still need
+ * an older cache
+ */
+const loadedClientIds = new Set();
+
+/**
+ * Whether older caches may still be around, and the running cleanup
+ */
+let hasOldCaches = true;
+let cleanup = null;
+
+/**
+ * Delete the caches of older versions once no open page uses them. Only
+ * the active worker cleans up, and not while a newer one is installing or
+ * waiting, since the other caches include that one's.
+ * @returns {Promise<void>}
+ */
+const deleteUnusedCaches = async () => {
+  const oldNames = (await caches.keys()).filter((name) => name !== CACHE_NAME);
+  if (oldNames.length > 0) {
+    const { active, installing, waiting } = self.registration;
+    if (active !== self.serviceWorker || installing || waiting) return;
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    if (!windows.every((client) => loadedClientIds.has(client.id))) return;
+    await Promise.all(oldNames.map((name) => caches.delete(name)));
+  }
+  hasOldCaches = false;
+};
+
+/**
+ * Run a cleanup unless one is running or there is nothing left to delete
+ * @returns {Promise<void>}
+ */
+const scheduleCleanup = () => {
+  if (!hasOldCaches) return Promise.resolve();
+  cleanup ??= deleteUnusedCaches().finally(() => {
+    cleanup = null;
+  });
+  return cleanup;
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE_NAME).then((cache) => cache.addAll(PRECACHE_URLS)));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(scheduleCleanup());
+});
+
+/**
+ * The update prompt asks the waiting worker to take over
+ */
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+/**
+ * Answer a page load: the cached page when there is one (e.g.
+ * index.html), otherwise the app shell, which routes on the client
+ * @param {Request} request - Navigation request
+ * @returns {Promise<Response>}
+ */
+const handleNavigation = async (request) => {
+  const cache = await caches.open(CACHE_NAME);
+  const { pathname } = new URL(request.url);
+  const cached = (await cache.match(pathname)) || (await cache.match(`${pathname}.html`)) || (await cache.match(INDEX_URL));
+  return cached || fetch(request);
+};
+
+/**
+ * Answer a request for another file from this version's cache, then from
+ * an older one a tab loaded before the update may still use
+ * @param {Request} request - Same-origin request
+ * @returns {Promise<Response>}
+ */
+const handleFile = async (request) => {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = (await cache.match(request)) || (await caches.match(request));
+  return cached || fetch(request);
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    if (event.resultingClientId) loadedClientIds.add(event.resultingClientId);
+    event.respondWith(handleNavigation(request));
+    return;
+  }
+  event.respondWith(handleFile(request));
+  // A page loading its files has replaced the one it was reloaded from
+  event.waitUntil(scheduleCleanup());
+});
@@ -0,0 +1,39 @@
+/**
+ * Controlled Input Specs
+ * 
+ * Acceptance specs for the Controlled Input challenge.
+ * 
+ * @module specs/controlled-input
+ */
+
+const controlledInputSpecs = [
+  {
+    title: 'the input reflects what is typed',
+    run: async ({ render, user, expect }) => {
+      const screen = await render();
+      const input = screen.getByRole('textbox');
+      await user.type(input, 'Hello');
+      expect(input).toHaveValue('Hello');
+    },
+  },
+  {
+    title: 'typed text is shown outside the input',
+    run: async ({ render, user, expect }) => {
+      const screen = await render();
+      await user.type(screen.getByRole('textbox'), 'Live preview');
+      expect(screen.getByText('Live preview')).toBeInTheDocument();
+    },
+  },
+  {
+    title: 'clearing empties the input',
+    run: async ({ render, user, expect }) => {
+      const screen = await render();
+      const input = screen.getByRole('textbox');
+      await user.type(input, 'Something');
+      await user.click(screen.getAllByRole('button', { name: /clear/i })[0]);
+      expect(input).toHaveValue('');
+    },
+  },
+];
+
+export default controlledInputSpecs;
@@ -0,0 +1,54 @@
+/**
+ * Counter Specs
+ * 
+ * Acceptance specs for the Counter challenge.
+ * 
+ * @module specs/counter
+ */
+
+const counterSpecs = [
+  {
+    title: 'starts at 0',
+    run: async ({ render, expect }) => {
+      const screen = await render();
+      expect(screen.getByText('0')).toBeInTheDocument();
+    },
+  },
+  {
+    title: 'increments the count',
+    run: async ({ render, user, expect }) => {
+      const screen = await render();
+      await user.click(screen.getByRole('button', { name: /increment/i }));
+      await user.click(screen.getByRole('button', { name: /increment/i }));
+      expect(screen.getByText('2')).toBeInTheDocument();
+    },
+  },
+  {
+    title: 'decrement is disabled at 0',
+    run: async ({ render, user, expect }) => {
+      const screen = await render();
+      const decrement = screen.getByRole('button', { name: /decrement/i });
+      expect(decrement).toBeDisabled();
+
+      await user.click(screen.getByRole('button', { name: /increment/i }));
+      expect(decrement).not.toBeDisabled();
+      await user.click(decrement);
+      expect(screen.getByText('0')).toBeInTheDocument();
+      expect(decrement).toBeDisabled();
+    },
+  },
+  {
+    title: 'reset returns the count to 0',
+    run: async ({ render, user, expect }) => {
+      const screen = await render();
+      const increment = screen.getByRole('button', { name: /increment/i });
+      await user.click(increment);
+      await user.click(increment);
+      await user.click(increment);
+      await user.click(screen.getByRole('button', { name: /reset/i }));
+      expect(screen.getByText('0')).toBeInTheDocument();
+    },
+  },
+];
+
+export default counterSpecs;
@@ -0,0 +1,131 @@
+/**
+ * Spec Assertions
+ * 
+ * A small, dependency-free `expect` used by challenge specs. Failure
+ * messages are written for learners, so they describe the element or
+ * value that was checked instead of dumping the DOM.
+ * 
+ * @module specs/expect
+ */
+
+/**
+ * Error thrown when a spec assertion fails
+ */
+export class AssertionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AssertionError';
+  }
+}
+
+/**
+ * Describe a value for a failure message
+ * @param {any} value - Value to describe
+ * @returns {string} Short human readable description
+ */
+const describe = (value) => {
+  if (value && typeof value === 'object' && value.nodeType === 1) {
+    const name = value.getAttribute('aria-label') || value.textContent.trim().slice(0, 40);
+    return `<${value.tagName.toLowerCase()}${name ? ` "${name}"` : ''}>`;
+  }
+  if (typeof value === 'string') return `"${value.length > 80 ? `${value.slice(0, 80)}…` : value}"`;
+  if (value === undefined) return 'undefined';
+  return JSON.stringify(value);
+};
+
+/**
+ * Ensure a value is a DOM element before checking element state
+ */
+const assertElement = (value) => {
+  if (!value || value.nodeType !== 1) {
+    throw new AssertionError(`Expected a DOM element but received ${describe(value)}`);
+  }
+};
+
+/**
+ * Matchers keyed by name. Each returns [passed, message, negatedMessage].
+ */
+const matchers = {
+  toBe: (actual, expected) => [
+    Object.is(actual, expected),
+    `Expected ${describe(actual)} to be ${describe(expected)}`,
+    `Expected ${describe(actual)} not to be ${describe(expected)}`,
+  ],
+  toEqual: (actual, expected) => [
+    JSON.stringify(actual) === JSON.stringify(expected),
+    `Expected ${describe(actual)} to equal ${describe(expected)}`,
+    `Expected ${describe(actual)} not to equal ${describe(expected)}`,
+  ],
+  toHaveLength: (actual, length) => [
+    actual?.length === length,
+    `Expected ${length} item(s) but found ${actual?.length}`,
+    `Expected not to find ${length} item(s)`,
+  ],
+  toContain: (actual, item) => [
+    actual?.includes(item),
+    `Expected ${describe(actual)} to contain ${describe(item)}`,
+    `Expected ${describe(actual)} not to contain ${describe(item)}`,
+  ],
+  toMatch: (actual, pattern) => [
+    pattern.test(actual),
+    `Expected ${describe(actual)} to match ${pattern}`,
+    `Expected ${describe(actual)} not to match ${pattern}`,
+  ],
+  toBeInTheDocument: (actual) => [
+    Boolean(actual?.isConnected),
+    'Expected the element to be on the page, but it was not found',
+    `Expected ${describe(actual)} not to be on the page`,
+  ],
+  toBeDisabled: (actual) => {
+    assertElement(actual);
+    return [
+      actual.disabled === true,
+      `Expected ${describe(actual)} to be disabled`,
+      `Expected ${describe(actual)} not to be disabled`,
+    ];
+  },
+  toHaveValue: (actual, value) => {
+    assertElement(actual);
+    return [
+      actual.value === String(value),
+      `Expected ${describe(actual)} to have value ${describe(String(value))} but it was ${describe(actual.value)}`,
+      `Expected ${describe(actual)} not to have value ${describe(String(value))}`,
+    ];
+  },
+  toHaveAttribute: (actual, name, value) => {
+    assertElement(actual);
+    const attr = actual.getAttribute(name);
+    const passed = value === undefined ? attr !== null : attr === String(value);
+    return [
+      passed,
+      `Expected ${describe(actual)} to have ${name}${value === undefined ? '' : `="${value}"`} but it was ${describe(attr)}`,
+      `Expected ${describe(actual)} not to have ${name}${value === undefined ? '' : `="${value}"`}`,
+    ];
+  },
+};
+
+/**
+ * Create an assertion for a value
+ * @param {any} actual - Value under test
+ * @returns {Object} Matchers, plus the same matchers negated under `.not`
+ * 
+ * @example
+ * expect(screen.getByRole('button', { name: /decrement/i })).toBeDisabled();
+ * expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+ */
+export const expect = (actual) => {
+  const build = (negate) =>
+    Object.fromEntries(
+      Object.entries(matchers).map(([name, matcher]) => [
+        name,
+        (...args) => {
+          const [passed, message, negatedMessage] = matcher(actual, ...args);
+          if (passed === negate) {
+            throw new AssertionError(negate ? negatedMessage : message);
+          }
+        },
+      ]),
+    );
+
+  return { ...build(false), not: build(true) };
+};
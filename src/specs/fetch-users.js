@@ -0,0 +1,68 @@
+/**
+ * Fetch Users Specs
+ * 
+ * Acceptance specs for the Fetch Users challenge. fetch is stubbed, so
+ * no network requests are made.
+ * 
+ * @module specs/fetch-users
+ */
+
+/**
+ * 1×1 transparent GIF, so avatars don't hit the network
+ */
+const AVATAR = 'data:image/gif;base64,R0lGODlhAQABAAAAACw=';
+
+const SAMPLE_USERS = {
+  users: [
+    { id: 1, firstName: 'Ada', lastName: 'Lovelace', email: 'ada@example.com', age: 36, image: AVATAR },
+    { id: 2, firstName: 'Alan', lastName: 'Turing', email: 'alan@example.com', age: 41, image: AVATAR },
+  ],
+};
+
+/**
+ * A response that never arrives
+ */
+const pending = () => new Promise(() => {});
+
+const fetchUsersSpecs = [
+  {
+    title: 'shows a loading state while fetching',
+    run: async ({ render, stubFetch, expect }) => {
+      stubFetch(pending);
+      const screen = await render();
+      expect(screen.text()).toMatch(/loading/i);
+    },
+  },
+  {
+    title: 'renders the fetched users',
+    run: async ({ render, stubFetch, jsonResponse, expect }) => {
+      const calls = stubFetch(() => jsonResponse(SAMPLE_USERS));
+      const screen = await render();
+      expect(await screen.findByText('Ada Lovelace')).toBeInTheDocument();
+      expect(screen.getByText('Alan Turing')).toBeInTheDocument();
+      expect(calls).toHaveLength(1);
+    },
+  },
+  {
+    title: 'shows an error when the request fails',
+    run: async ({ render, stubFetch, jsonResponse, expect, waitFor }) => {
+      stubFetch(() => jsonResponse({ message: 'Server error' }, { status: 500 }));
+      const screen = await render();
+      await waitFor(() => expect(screen.text()).toMatch(/error|failed/i));
+    },
+  },
+  {
+    title: 'aborts the request when unmounted',
+    run: async ({ render, stubFetch, expect }) => {
+      const calls = stubFetch(pending);
+      const screen = await render();
+      expect(calls).toHaveLength(1);
+      const { signal } = calls[0].options;
+      expect(Boolean(signal)).toBe(true);
+      screen.unmount();
+      expect(signal.aborted).toBe(true);
+    },
+  },
+];
+
+export default fetchUsersSpecs;
@@ -0,0 +1,70 @@
+/**
+ * Form Validation Specs
+ * 
+ * Acceptance specs for the Form Validation challenge. Errors must be
+ * announced with role="alert".
+ * 
+ * @module specs/form-validation
+ */
+
+/**
+ * Form fields, looked up by their labels
+ */
+const fields = (screen) => ({
+  name: screen.getByLabelText(/name/i, { selector: 'input' }),
+  email: screen.getByLabelText(/email/i, { selector: 'input' }),
+  password: screen.getByLabelText(/password/i, { selector: 'input' }),
+});
+
+const formValidationSpecs = [
+  {
+    title: 'shows no errors before the user interacts',
+    run: async ({ render, expect }) => {
+      const screen = await render();
+      expect(screen.queryAllByRole('alert')).toHaveLength(0);
+    },
+  },
+  {
+    title: 'submitting an empty form shows an error per field',
+    run: async ({ render, user, expect }) => {
+      const screen = await render();
+      await user.click(screen.getByRole('button', { name: /create account/i }));
+      expect(screen.getAllByRole('alert')).toHaveLength(3);
+    },
+  },
+  {
+    title: 'an invalid email shows an error after leaving the field',
+    run: async ({ render, user, expect }) => {
+      const screen = await render();
+      await user.type(fields(screen).email, 'not-an-email');
+      await user.tab();
+      const alerts = screen.getAllByRole('alert');
+      expect(alerts).toHaveLength(1);
+      expect(alerts[0].textContent).toMatch(/email/i);
+    },
+  },
+  {
+    title: 'a short password shows an error',
+    run: async ({ render, user, expect }) => {
+      const screen = await render();
+      await user.type(fields(screen).password, 'short');
+      await user.tab();
+      expect(screen.getByRole('alert').textContent).toMatch(/password/i);
+    },
+  },
+  {
+    title: 'a valid form submits successfully',
+    run: async ({ render, user, expect }) => {
+      const screen = await render();
+      const { name, email, password } = fields(screen);
+      await user.type(name, 'Ada Lovelace');
+      await user.type(email, 'ada@example.com');
+      await user.type(password, 'Analytical1!');
+      await user.click(screen.getByRole('button', { name: /create account/i }));
+      expect(screen.queryAllByRole('alert')).toHaveLength(0);
+      expect(await screen.findByText(/success/i, {}, { timeout: 3000 })).toBeInTheDocument();
+    },
+  },
+];
+
+export default formValidationSpecs;
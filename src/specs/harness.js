@@ -0,0 +1,240 @@
+/**
+ * Spec Harness
+ * 
+ * Builds the context object passed to every challenge spec: rendering,
+ * user interaction, assertions and a few controlled browser APIs (fetch,
+ * intervals, window listeners, window size). Everything a spec patches
+ * is restored when the spec finishes, including localStorage.
+ * 
+ * Works the same in the playground preview frame and in jsdom on the
+ * command line.
+ * 
+ * @module specs/harness
+ */
+
+import { createElement } from 'react';
+import { flushSync } from 'react-dom';
+import { createRoot } from 'react-dom/client';
+import { within, waitFor, configure } from '@testing-library/dom';
+import userEvent from '@testing-library/user-event';
+import { expect } from './expect';
+
+// Keep query failures short; learners don't need a dump of the whole DOM
+configure({
+  getElementError: (message) => {
+    const error = new Error(message.split('\n\n')[0]);
+    error.name = 'ElementNotFoundError';
+    return error;
+  },
+});
+
+/**
+ * Timers captured before any spec patches them
+ */
+const realSetTimeout = globalThis.setTimeout;
+
+/**
+ * Wait for a number of milliseconds, or for pending effects to settle
+ */
+const sleep = (ms) => new Promise((resolve) => realSetTimeout(resolve, ms));
+const tick = () => sleep(0);
+
+/**
+ * Track intervals created while a spec runs
+ */
+const trackIntervals = () => {
+  const active = new Set();
+  const { setInterval: originalSet, clearInterval: originalClear } = globalThis;
+
+  globalThis.setInterval = (...args) => {
+    const id = originalSet(...args);
+    active.add(id);
+    return id;
+  };
+  globalThis.clearInterval = (id) => {
+    active.delete(id);
+    originalClear(id);
+  };
+
+  return {
+    count: () => active.size,
+    restore: () => {
+      active.forEach((id) => originalClear(id));
+      globalThis.setInterval = originalSet;
+      globalThis.clearInterval = originalClear;
+    },
+  };
+};
+
+/**
+ * Track listeners registered on window while a spec runs
+ */
+const trackWindowListeners = () => {
+  const listeners = new Map();
+  const { addEventListener: originalAdd, removeEventListener: originalRemove } = window;
+
+  window.addEventListener = function (type, listener, options) {
+    if (!listeners.has(type)) listeners.set(type, new Set());
+    listeners.get(type).add(listener);
+    return originalAdd.call(this, type, listener, options);
+  };
+  window.removeEventListener = function (type, listener, options) {
+    listeners.get(type)?.delete(listener);
+    return originalRemove.call(this, type, listener, options);
+  };
+
+  return {
+    count: (type) => listeners.get(type)?.size || 0,
+    restore: () => {
+      listeners.forEach((set, type) => set.forEach((listener) => originalRemove.call(window, type, listener)));
+      window.addEventListener = originalAdd;
+      window.removeEventListener = originalRemove;
+    },
+  };
+};
+
+/**
+ * Snapshot localStorage so a spec can't leave data behind
+ */
+const snapshotStorage = () => {
+  const storage = window.localStorage;
+  const snapshot = new Map(Object.keys(storage).map((key) => [key, storage.getItem(key)]));
+
+  return {
+    restore: () => {
+      Object.keys(storage).forEach((key) => {
+        if (!snapshot.has(key)) storage.removeItem(key);
+      });
+      snapshot.forEach((value, key) => {
+        if (storage.getItem(key) !== value) storage.setItem(key, value);
+      });
+    },
+  };
+};
+
+/**
+ * Create a DOMException matching what fetch throws on abort
+ */
+const createAbortError = () => new DOMException('The operation was aborted.', 'AbortError');
+
+/**
+ * Create a JSON Response for fetch stubs
+ * @param {any} body - JSON body
+ * @param {Object} init - Response init, e.g. { status: 500 }
+ * @returns {Response} Response object
+ */
+const jsonResponse = (body, { status = 200 } = {}) =>
+  new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+
+/**
+ * Create the context for a single spec
+ * @param {Function} Component - Component under test
+ * @param {HTMLElement} container - Element the component is rendered into
+ * @returns {{ api: Object, cleanup: Function }} Spec API and its cleanup
+ */
+export const createSpecContext = (Component, container) => {
+  const intervals = trackIntervals();
+  const windowListeners = trackWindowListeners();
+  const storage = snapshotStorage();
+  const originalFetch = globalThis.fetch;
+  const windowSizeDescriptors = {
+    innerWidth: Object.getOwnPropertyDescriptor(window, 'innerWidth'),
+    innerHeight: Object.getOwnPropertyDescriptor(window, 'innerHeight'),
+  };
+  let root = null;
+
+  const unmount = () => {
+    if (!root) return;
+    const mountedRoot = root;
+    root = null;
+    flushSync(() => mountedRoot.unmount());
+  };
+
+  /**
+   * Render the component under test and return queries scoped to it
+   */
+  const render = async (props = {}) => {
+    unmount();
+    let renderError = null;
+    root = createRoot(container, {
+      onUncaughtError: (error) => {
+        renderError = error;
+      },
+    });
+    flushSync(() => root.render(createElement(Component, props)));
+    await tick();
+    if (renderError) throw renderError;
+
+    return {
+      ...within(container),
+      container,
+      text: () => container.textContent,
+      unmount,
+    };
+  };
+
+  /**
+   * Replace fetch with a handler; returns the recorded calls
+   */
+  const stubFetch = (handler) => {
+    const calls = [];
+    globalThis.fetch = (input, options = {}) => {
+      const call = { url: String(input), options };
+      calls.push(call);
+
+      return new Promise((resolve, reject) => {
+        const { signal } = options;
+        if (signal?.aborted) return reject(createAbortError());
+        signal?.addEventListener('abort', () => reject(createAbortError()));
+        Promise.resolve()
+          .then(() => handler(call.url, options))
+          .then(resolve, reject);
+      });
+    };
+    return calls;
+  };
+
+  /**
+   * Pretend the window was resized and fire a resize event
+   */
+  const resizeWindow = (width, height) => {
+    Object.defineProperty(window, 'innerWidth', { configurable: true, writable: true, value: width });
+    Object.defineProperty(window, 'innerHeight', { configurable: true, writable: true, value: height });
+    window.dispatchEvent(new window.Event('resize'));
+  };
+
+  const cleanup = async () => {
+    unmount();
+    await tick();
+    intervals.restore();
+    windowListeners.restore();
+    storage.restore();
+    globalThis.fetch = originalFetch;
+    Object.entries(windowSizeDescriptors).forEach(([name, descriptor]) => {
+      if (descriptor) {
+        Object.defineProperty(window, name, descriptor);
+      } else {
+        delete window[name];
+      }
+    });
+  };
+
+  return {
+    api: {
+      render,
+      user: userEvent.setup(),
+      expect,
+      waitFor,
+      sleep,
+      stubFetch,
+      jsonResponse,
+      resizeWindow,
+      activeIntervals: intervals.count,
+      windowListenerCount: windowListeners.count,
+    },
+    cleanup,
+  };
+};
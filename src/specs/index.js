@@ -0,0 +1,52 @@
+/**
+ * Challenge Specs
+ * 
+ * Acceptance spec suites keyed by challenge ID. The same suites run
+ * against learner code in the playground and against the reference
+ * components from the command line (`npm run specs`).
+ * 
+ * @module specs
+ */
+
+import counterSpecs from './counter';
+import toggleThemeSpecs from './toggle-theme';
+import controlledInputSpecs from './controlled-input';
+import modalSpecs from './modal';
+import tableSpecs from './table';
+import todoListSpecs from './todo-list';
+import searchSpecs from './search';
+import timerSpecs from './timer';
+import windowResizerSpecs from './window-resizer';
+import paginationSpecs from './pagination';
+import shoppingCartSpecs from './shopping-cart';
+import formValidationSpecs from './form-validation';
+import fetchUsersSpecs from './fetch-users';
+import productFiltersSpecs from './product-filters';
+import notesAppSpecs from './notes-app';
+
+export const challengeSpecs = {
+  counter: counterSpecs,
+  'toggle-theme': toggleThemeSpecs,
+  'controlled-input': controlledInputSpecs,
+  modal: modalSpecs,
+  table: tableSpecs,
+  'todo-list': todoListSpecs,
+  search: searchSpecs,
+  timer: timerSpecs,
+  'window-resizer': windowResizerSpecs,
+  pagination: paginationSpecs,
+  'shopping-cart': shoppingCartSpecs,
+  'form-validation': formValidationSpecs,
+  'fetch-users': fetchUsersSpecs,
+  'product-filters': productFiltersSpecs,
+  'notes-app': notesAppSpecs,
+};
+
+/**
+ * Get the spec suite for a challenge
+ * @param {string} id - Challenge ID
+ * @returns {Array} Specs, or an empty array if the challenge has none
+ */
+export const getSpecsById = (id) => challengeSpecs[id] || [];
+
+export { runSpecs } from './runner';
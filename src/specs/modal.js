@@ -0,0 +1,41 @@
+/**
+ * Modal Specs
+ * 
+ * Acceptance specs for the Modal challenge. The component is rendered
+ * with its own children so the specs can check they are passed through.
+ * 
+ * @module specs/modal
+ */
+
+const MODAL_CONTENT = 'Content from the spec';
+
+const modalSpecs = [
+  {
+    title: 'the dialog is hidden until opened',
+    run: async ({ render, expect }) => {
+      const screen = await render({ children: MODAL_CONTENT });
+      expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+    },
+  },
+  {
+    title: 'opening shows an accessible dialog with the children',
+    run: async ({ render, user, expect }) => {
+      const screen = await render({ children: MODAL_CONTENT });
+      await user.click(screen.getByRole('button', { name: /open/i }));
+      const dialog = screen.getByRole('dialog');
+      expect(dialog).toHaveAttribute('aria-modal', 'true');
+      expect(dialog.textContent).toContain(MODAL_CONTENT);
+    },
+  },
+  {
+    title: 'the dialog can be closed',
+    run: async ({ render, user, expect }) => {
+      const screen = await render({ children: MODAL_CONTENT });
+      await user.click(screen.getByRole('button', { name: /open/i }));
+      await user.click(screen.getAllByRole('button', { name: /close/i })[0]);
+      expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+    },
+  },
+];
+
+export default modalSpecs;
@@ -0,0 +1,58 @@
+/**
+ * Notes App Specs
+ * 
+ * Acceptance specs for the Notes App challenge. localStorage is restored
+ * after each spec, so saved notes don't leak into the app.
+ * 
+ * @module specs/notes-app
+ */
+
+/**
+ * Add a note with the given title
+ */
+const addNote = async (screen, user, title) => {
+  await user.type(screen.getByPlaceholderText(/title/i), title);
+  await user.click(screen.getByRole('button', { name: /add note/i }));
+};
+
+const notesAppSpecs = [
+  {
+    title: 'adds a note',
+    run: async ({ render, user, expect }) => {
+      const screen = await render();
+      await addNote(screen, user, 'Spec groceries');
+      expect(screen.getByText('Spec groceries')).toBeInTheDocument();
+    },
+  },
+  {
+    title: 'notes survive a reload',
+    run: async ({ render, user, expect }) => {
+      let screen = await render();
+      await addNote(screen, user, 'Persisted spec note');
+      screen = await render();
+      expect(screen.getByText('Persisted spec note')).toBeInTheDocument();
+    },
+  },
+  {
+    title: 'deletes a note',
+    run: async ({ render, user, expect }) => {
+      const screen = await render();
+      await addNote(screen, user, 'Spec note to delete');
+      await user.click(screen.getAllByRole('button', { name: /delete/i })[0]);
+      expect(screen.queryByText('Spec note to delete')).not.toBeInTheDocument();
+    },
+  },
+  {
+    title: 'search filters notes',
+    run: async ({ render, user, expect, waitFor }) => {
+      const screen = await render();
+      await addNote(screen, user, 'Spec alpha');
+      await addNote(screen, user, 'Spec beta');
+      await user.type(screen.getByPlaceholderText(/search/i), 'alpha');
+      await waitFor(() => expect(screen.queryByText('Spec beta')).not.toBeInTheDocument());
+      expect(screen.getByText('Spec alpha')).toBeInTheDocument();
+    },
+  },
+];
+
+export default notesAppSpecs;
@@ -0,0 +1,51 @@
+/**
+ * Pagination Specs
+ * 
+ * Acceptance specs for the Pagination challenge, using the default
+ * list of React topics.
+ * 
+ * @module specs/pagination
+ */
+
+const paginationSpecs = [
+  {
+    title: 'shows the first five items on page 1',
+    run: async ({ render, expect }) => {
+      const screen = await render();
+      expect(screen.getAllByRole('listitem')).toHaveLength(5);
+      expect(screen.text()).toContain('React Fundamentals');
+      expect(screen.text()).not.toContain('Context API');
+    },
+  },
+  {
+    title: 'previous is disabled on the first page',
+    run: async ({ render, expect }) => {
+      const screen = await render();
+      expect(screen.getByRole('button', { name: /previous/i })).toBeDisabled();
+    },
+  },
+  {
+    title: 'next shows the following page',
+    run: async ({ render, user, expect }) => {
+      const screen = await render();
+      await user.click(screen.getByRole('button', { name: /next/i }));
+      expect(screen.text()).toContain('Context API');
+      expect(screen.text()).not.toContain('React Fundamentals');
+      expect(screen.getByRole('button', { name: /previous/i })).not.toBeDisabled();
+    },
+  },
+  {
+    title: 'next is disabled on the last page',
+    run: async ({ render, user, expect }) => {
+      const screen = await render();
+      const next = screen.getByRole('button', { name: /next/i });
+      for (let page = 0; page < 20 && !next.disabled; page++) {
+        await user.click(next);
+      }
+      expect(next).toBeDisabled();
+      expect(screen.getAllByRole('listitem').length > 0).toBe(true);
+    },
+  },
+];
+
+export default paginationSpecs;
@@ -0,0 +1,57 @@
+/**
+ * Product Filters Specs
+ * 
+ * Acceptance specs for the Product Filters challenge. Search is
+ * debounced, so those specs wait for the list to update.
+ * 
+ * @module specs/product-filters
+ */
+
+/**
+ * The "in stock only" control, as either a checkbox or a toggle button
+ */
+const inStockToggle = (screen) =>
+  screen.queryByRole('checkbox', { name: /in stock/i }) ||
+  screen.getByRole('button', { name: /in stock/i });
+
+const productFiltersSpecs = [
+  {
+    title: 'searching filters products by name',
+    run: async ({ render, user, expect, waitFor }) => {
+      const screen = await render();
+      await user.type(screen.getByPlaceholderText(/search/i), 'macbook');
+      await waitFor(() => expect(screen.text()).not.toContain('iPhone 14'), { timeout: 2500 });
+      expect(screen.text()).toContain('MacBook Pro');
+    },
+  },
+  {
+    title: 'the category filter narrows the list',
+    run: async ({ render, user, expect, waitFor }) => {
+      const screen = await render();
+      await user.selectOptions(screen.getByRole('combobox'), 'laptop');
+      await waitFor(() => expect(screen.text()).not.toContain('iPhone 14'));
+      expect(screen.text()).toContain('MacBook Pro');
+    },
+  },
+  {
+    title: 'in stock only hides unavailable products',
+    run: async ({ render, user, expect, waitFor }) => {
+      const screen = await render();
+      await user.click(inStockToggle(screen));
+      await waitFor(() => expect(screen.text()).not.toContain('Galaxy S23'));
+      expect(screen.text()).toContain('iPhone 14');
+    },
+  },
+  {
+    title: 'clearing filters shows every product again',
+    run: async ({ render, user, expect, waitFor }) => {
+      const screen = await render();
+      await user.click(inStockToggle(screen));
+      await waitFor(() => expect(screen.text()).not.toContain('Galaxy S23'));
+      await user.click(screen.getAllByRole('button', { name: /clear filters/i })[0]);
+      await waitFor(() => expect(screen.text()).toContain('Galaxy S23'));
+    },
+  },
+];
+
+export default productFiltersSpecs;
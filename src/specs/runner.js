@@ -0,0 +1,106 @@
+/**
+ * Spec Runner
+ * 
+ * Runs a challenge's spec suite against a component, one spec at a time,
+ * each in a fresh off-screen container.
+ * 
+ * A spec is `{ title, run }`, where `run` receives the harness API:
+ * 
+ * @example
+ * {
+ *   title: 'decrement is disabled at 0',
+ *   run: async ({ render, expect }) => {
+ *     const screen = await render();
+ *     expect(screen.getByRole('button', { name: /decrement/i })).toBeDisabled();
+ *   },
+ * }
+ * 
+ * @module specs/runner
+ */
+
+import { createSpecContext } from './harness';
+
+/**
+ * Maximum time a single spec may take
+ */
+const SPEC_TIMEOUT = 8000;
+
+/**
+ * Create the off-screen container a spec renders into.
+ * A transform keeps fixed-position UI (e.g. modals) inside it.
+ */
+const createContainer = () => {
+  const container = document.createElement('div');
+  container.setAttribute('data-spec-container', '');
+  Object.assign(container.style, {
+    position: 'fixed',
+    top: '0',
+    left: '0',
+    width: '100%',
+    transform: 'translateX(-200%)',
+  });
+  document.body.appendChild(container);
+  return container;
+};
+
+/**
+ * Reject after a timeout; `clear` stops the timer once the spec has
+ * settled, so it neither keeps the process alive nor rejects unhandled
+ * @returns {{promise: Promise<never>, clear: Function}}
+ */
+const failAfter = (ms, title) => {
+  let timer;
+  const promise = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`"${title}" timed out after ${ms / 1000}s`)), ms);
+  });
+  return { promise, clear: () => clearTimeout(timer) };
+};
+
+/**
+ * Run a single spec
+ * @param {Function} Component - Component under test
+ * @param {{title: string, run: Function}} spec - Spec to run
+ * @returns {Promise<{title: string, passed: boolean, message: string|null, duration: number}>}
+ */
+export const runSpec = async (Component, spec, timeout = SPEC_TIMEOUT) => {
+  const container = createContainer();
+  const { api, cleanup } = createSpecContext(Component, container);
+  const startedAt = Date.now();
+  const deadline = failAfter(timeout, spec.title);
+  let message = null;
+
+  try {
+    await Promise.race([spec.run(api), deadline.promise]);
+  } catch (error) {
+    message = error?.message || String(error);
+  } finally {
+    deadline.clear();
+    await cleanup();
+    container.remove();
+  }
+
+  return {
+    title: spec.title,
+    passed: message === null,
+    message,
+    duration: Date.now() - startedAt,
+  };
+};
+
+/**
+ * Run a spec suite against a component
+ * @param {Function} Component - Component under test
+ * @param {Array<{title: string, run: Function}>} specs - Spec suite
+ * @param {Object} options - Runner options
+ * @param {Function} [options.onResult] - Called after each spec with its result
+ * @returns {Promise<Array>} Results in suite order
+ */
+export const runSpecs = async (Component, specs, { onResult } = {}) => {
+  const results = [];
+  for (const spec of specs) {
+    const result = await runSpec(Component, spec);
+    results.push(result);
+    onResult?.(result);
+  }
+  return results;
+};
@@ -0,0 +1,47 @@
+/**
+ * Search Specs
+ * 
+ * Acceptance specs for the debounced Search challenge. Results are read
+ * from the rendered text, so highlighting matches is allowed.
+ * 
+ * @module specs/search
+ */
+
+const searchSpecs = [
+  {
+    title: 'shows every fruit before searching',
+    run: async ({ render, expect }) => {
+      const screen = await render();
+      expect(screen.text()).toContain('Apple');
+      expect(screen.text()).toContain('Kiwi');
+    },
+  },
+  {
+    title: 'waits for typing to pause before filtering',
+    run: async ({ render, user, expect }) => {
+      const screen = await render();
+      await user.type(screen.getByRole('textbox'), 'kiwi');
+      expect(screen.text()).toContain('Apple');
+    },
+  },
+  {
+    title: 'filters the list after the debounce',
+    run: async ({ render, user, expect, waitFor }) => {
+      const screen = await render();
+      await user.type(screen.getByRole('textbox'), 'kiwi');
+      await waitFor(() => expect(screen.text()).not.toContain('Apple'), { timeout: 2500 });
+      expect(screen.text()).toContain('Kiwi');
+    },
+  },
+  {
+    title: 'matching ignores case',
+    run: async ({ render, user, expect, waitFor }) => {
+      const screen = await render();
+      await user.type(screen.getByRole('textbox'), 'MANGO');
+      await waitFor(() => expect(screen.text()).not.toContain('Apple'), { timeout: 2500 });
+      expect(screen.text()).toContain('Mango');
+    },
+  },
+];
+
+export default searchSpecs;
@@ -0,0 +1,61 @@
+/**
+ * Shopping Cart Specs
+ * 
+ * Acceptance specs for the Shopping Cart challenge. Totals are checked
+ * against the first two products (React T-Shirt $29.99, JavaScript
+ * Hoodie $49.99).
+ * 
+ * @module specs/shopping-cart
+ */
+
+const shoppingCartSpecs = [
+  {
+    title: 'the cart starts empty',
+    run: async ({ render, expect }) => {
+      const screen = await render();
+      expect(screen.text()).toMatch(/cart is empty/i);
+    },
+  },
+  {
+    title: 'adding the same product twice increases its quantity',
+    run: async ({ render, user, expect }) => {
+      const screen = await render();
+      const addButtons = screen.getAllByRole('button', { name: /add to cart/i });
+      await user.click(addButtons[0]);
+      await user.click(addButtons[0]);
+      expect(screen.text()).toContain('$59.98');
+    },
+  },
+  {
+    title: 'the total covers every product in the cart',
+    run: async ({ render, user, expect }) => {
+      const screen = await render();
+      const addButtons = screen.getAllByRole('button', { name: /add to cart/i });
+      await user.click(addButtons[0]);
+      await user.click(addButtons[1]);
+      expect(screen.text()).toContain('$79.98');
+    },
+  },
+  {
+    title: 'removing the last item empties the cart',
+    run: async ({ render, user, expect }) => {
+      const screen = await render();
+      await user.click(screen.getAllByRole('button', { name: /add to cart/i })[0]);
+      await user.click(screen.getByRole('button', { name: /remove/i }));
+      expect(screen.text()).toMatch(/cart is empty/i);
+    },
+  },
+  {
+    title: 'clear all empties the cart',
+    run: async ({ render, user, expect }) => {
+      const screen = await render();
+      const addButtons = screen.getAllByRole('button', { name: /add to cart/i });
+      await user.click(addButtons[0]);
+      await user.click(addButtons[1]);
+      await user.click(screen.getByRole('button', { name: /clear all/i }));
+      expect(screen.text()).toMatch(/cart is empty/i);
+    },
+  },
+];
+
+export default shoppingCartSpecs;
@@ -0,0 +1,40 @@
+/**
+ * Table Specs
+ * 
+ * Acceptance specs for the Table (tabs) challenge.
+ * 
+ * @module specs/table
+ */
+
+const tableSpecs = [
+  {
+    title: 'the first tab is selected initially',
+    run: async ({ render, expect }) => {
+      const screen = await render();
+      const tabs = screen.getAllByRole('tab');
+      expect(tabs[0]).toHaveAttribute('aria-selected', 'true');
+      expect(tabs[1]).toHaveAttribute('aria-selected', 'false');
+    },
+  },
+  {
+    title: 'clicking a tab selects it',
+    run: async ({ render, user, expect }) => {
+      const screen = await render();
+      await user.click(screen.getByRole('tab', { name: /settings/i }));
+      expect(screen.getByRole('tab', { name: /settings/i })).toHaveAttribute('aria-selected', 'true');
+      expect(screen.getByRole('tab', { name: /profile/i })).toHaveAttribute('aria-selected', 'false');
+    },
+  },
+  {
+    title: 'only the active panel is visible',
+    run: async ({ render, user, expect }) => {
+      const screen = await render();
+      await user.click(screen.getByRole('tab', { name: /notifications/i }));
+      const panels = screen.getAllByRole('tabpanel');
+      expect(panels).toHaveLength(1);
+      expect(panels[0].textContent).toMatch(/notifications/i);
+    },
+  },
+];
+
+export default tableSpecs;
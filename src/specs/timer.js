@@ -0,0 +1,61 @@
+/**
+ * Timer Specs
+ * 
+ * Acceptance specs for the Timer challenge. These run in real time, so
+ * each one takes a second or two.
+ * 
+ * @module specs/timer
+ */
+
+/**
+ * Matches a display showing one elapsed second, e.g. "01", "1s" or "00:00:01"
+ */
+const ONE_SECOND = /(^|\D)0?1s?$/;
+
+const timerSpecs = [
+  {
+    title: 'counts up once started',
+    run: async ({ render, user, expect, waitFor }) => {
+      const screen = await render();
+      const initial = screen.text();
+      await user.click(screen.getByRole('button', { name: /start/i }));
+      await waitFor(() => expect(screen.getByText(ONE_SECOND)).toBeInTheDocument(), { timeout: 2500 });
+      expect(screen.text()).not.toBe(initial);
+    },
+  },
+  {
+    title: 'pausing stops the count',
+    run: async ({ render, user, expect, waitFor, sleep }) => {
+      const screen = await render();
+      await user.click(screen.getByRole('button', { name: /start/i }));
+      await waitFor(() => expect(screen.getByText(ONE_SECOND)).toBeInTheDocument(), { timeout: 2500 });
+      await user.click(screen.getByRole('button', { name: /pause/i }));
+      const paused = screen.text();
+      await sleep(1500);
+      expect(screen.text()).toBe(paused);
+    },
+  },
+  {
+    title: 'reset returns the time to zero',
+    run: async ({ render, user, expect, waitFor }) => {
+      const screen = await render();
+      await user.click(screen.getByRole('button', { name: /start/i }));
+      await waitFor(() => expect(screen.getByText(ONE_SECOND)).toBeInTheDocument(), { timeout: 2500 });
+      await user.click(screen.getByRole('button', { name: /pause/i }));
+      await user.click(screen.getByRole('button', { name: /reset/i }));
+      expect(screen.queryByText(ONE_SECOND)).not.toBeInTheDocument();
+    },
+  },
+  {
+    title: 'clears its interval when unmounted',
+    run: async ({ render, user, expect, activeIntervals }) => {
+      const screen = await render();
+      await user.click(screen.getByRole('button', { name: /start/i }));
+      expect(activeIntervals()).toBe(1);
+      screen.unmount();
+      expect(activeIntervals()).toBe(0);
+    },
+  },
+];
+
+export default timerSpecs;
@@ -0,0 +1,70 @@
+/**
+ * Todo List Specs
+ * 
+ * Acceptance specs for the Todo List challenge.
+ * 
+ * @module specs/todo-list
+ */
+
+/**
+ * Add todos through the input and add button
+ */
+const addTodos = async (screen, user, ...texts) => {
+  for (const text of texts) {
+    await user.type(screen.getByRole('textbox'), text);
+    await user.click(screen.getByRole('button', { name: /^add/i }));
+  }
+};
+
+const todoListSpecs = [
+  {
+    title: 'adds a todo and clears the input',
+    run: async ({ render, user, expect }) => {
+      const screen = await render();
+      await addTodos(screen, user, 'Write specs');
+      expect(screen.getByText('Write specs')).toBeInTheDocument();
+      expect(screen.getByRole('textbox')).toHaveValue('');
+    },
+  },
+  {
+    title: 'ignores empty todos',
+    run: async ({ render, user, expect }) => {
+      const screen = await render();
+      await addTodos(screen, user, 'Real todo', '   ');
+      expect(screen.getAllByRole('button', { name: /delete/i })).toHaveLength(1);
+    },
+  },
+  {
+    title: 'the Pending filter hides completed todos',
+    run: async ({ render, user, expect }) => {
+      const screen = await render();
+      await addTodos(screen, user, 'First', 'Second');
+      await user.click(screen.getAllByRole('button', { name: /mark .*complete/i })[0]);
+      await user.click(screen.getByRole('button', { name: /^pending$/i }));
+      expect(screen.queryByText('First')).not.toBeInTheDocument();
+      expect(screen.getByText('Second')).toBeInTheDocument();
+    },
+  },
+  {
+    title: 'clear completed removes only completed todos',
+    run: async ({ render, user, expect }) => {
+      const screen = await render();
+      await addTodos(screen, user, 'Done', 'Not done');
+      await user.click(screen.getAllByRole('button', { name: /mark .*complete/i })[0]);
+      await user.click(screen.getByRole('button', { name: /clear completed/i }));
+      expect(screen.queryByText('Done')).not.toBeInTheDocument();
+      expect(screen.getByText('Not done')).toBeInTheDocument();
+    },
+  },
+  {
+    title: 'deletes a todo',
+    run: async ({ render, user, expect }) => {
+      const screen = await render();
+      await addTodos(screen, user, 'Temporary');
+      await user.click(screen.getByRole('button', { name: /delete/i }));
+      expect(screen.queryByText('Temporary')).not.toBeInTheDocument();
+    },
+  },
+];
+
+export default todoListSpecs;
@@ -0,0 +1,45 @@
+/**
+ * Toggle Theme Specs
+ * 
+ * Acceptance specs for the Toggle Theme challenge. The theme is read from
+ * the inline background color of the component's root element.
+ * 
+ * @module specs/toggle-theme
+ */
+
+/**
+ * Background color of the themed root element
+ */
+const backgroundOf = (screen) => screen.container.firstElementChild?.style.backgroundColor;
+
+const toggleThemeSpecs = [
+  {
+    title: 'starts in dark mode',
+    run: async ({ render, expect }) => {
+      const screen = await render();
+      expect(screen.text()).toMatch(/dark/i);
+    },
+  },
+  {
+    title: 'the button switches the theme',
+    run: async ({ render, user, expect }) => {
+      const screen = await render();
+      const initial = backgroundOf(screen);
+      await user.click(screen.getByRole('button'));
+      expect(backgroundOf(screen)).not.toBe(initial);
+      expect(screen.text()).toMatch(/light/i);
+    },
+  },
+  {
+    title: 'switching twice returns to the original theme',
+    run: async ({ render, user, expect }) => {
+      const screen = await render();
+      const initial = backgroundOf(screen);
+      await user.click(screen.getByRole('button'));
+      await user.click(screen.getByRole('button'));
+      expect(backgroundOf(screen)).toBe(initial);
+    },
+  },
+];
+
+export default toggleThemeSpecs;
@@ -0,0 +1,41 @@
+/**
+ * Window Resizer Specs
+ * 
+ * Acceptance specs for the Window Resizer challenge.
+ * 
+ * @module specs/window-resizer
+ */
+
+const windowResizerSpecs = [
+  {
+    title: 'shows the current window size',
+    run: async ({ render, resizeWindow, expect }) => {
+      resizeWindow(1111, 777);
+      const screen = await render();
+      expect(screen.text()).toContain('1111');
+      expect(screen.text()).toContain('777');
+    },
+  },
+  {
+    title: 'updates when the window is resized',
+    run: async ({ render, resizeWindow, expect, waitFor }) => {
+      const screen = await render();
+      resizeWindow(640, 480);
+      await waitFor(() => {
+        expect(screen.text()).toContain('640');
+        expect(screen.text()).toContain('480');
+      });
+    },
+  },
+  {
+    title: 'removes its resize listener when unmounted',
+    run: async ({ render, expect, windowListenerCount }) => {
+      const screen = await render();
+      expect(windowListenerCount('resize')).toBe(1);
+      screen.unmount();
+      expect(windowListenerCount('resize')).toBe(0);
+    },
+  },
+];
+
+export default windowResizerSpecs;
@@ -0,0 +1,37 @@
+/**
+ * ControlledInput Starter
+ * 
+ * Mirror a text input into the page as the user types.
+ * - Bind the input value to state
+ * - Update state in onChange
+ * - Clear the input with a button
+ */
+
+import { useState } from 'react';
+
+const ControlledInput = () => {
+  const [text] = useState('');
+
+  // TODO: add handleChange and handleClear
+
+  return (
+    <div className="bg-bg-primary rounded-xl border border-border p-8">
+      <label htmlFor="controlled-input" className="block text-sm font-medium text-text-primary mb-2">
+        Enter some text
+      </label>
+      {/* TODO: make this input controlled */}
+      <input
+        id="controlled-input"
+        type="text"
+        placeholder="Type something..."
+        className="w-full px-4 py-3 bg-bg-secondary border border-border rounded-lg"
+      />
+
+      <p className="mt-6 text-text-secondary">
+        You typed: <span className="font-medium text-text-primary">{text}</span>
+      </p>
+    </div>
+  );
+};
+
+export default ControlledInput;
@@ -0,0 +1,40 @@
+/**
+ * Counter Starter
+ * 
+ * Build a counter that can be incremented, decremented and reset.
+ * - Keep the count in state
+ * - Use functional updates when changing the count
+ * - The count must never go below 0
+ */
+
+import { useState } from 'react';
+
+const Counter = () => {
+  const [count, setCount] = useState(0);
+
+  // TODO: add handleDecrement and handleReset
+  const handleIncrement = () => {
+    setCount(count + 1);
+  };
+
+  return (
+    <div className="bg-bg-primary rounded-xl border border-border p-8 text-center">
+      <p className="text-text-muted text-sm uppercase tracking-wider mb-2">Current Count</p>
+      <p className="text-6xl font-bold text-text-primary tabular-nums mb-8">{count}</p>
+
+      <div className="flex items-center justify-center gap-4">
+        {/* TODO: decrement button, disabled at 0 */}
+        {/* TODO: reset button */}
+        <button
+          onClick={handleIncrement}
+          className="px-6 py-3 bg-success text-white font-medium rounded-lg"
+          aria-label="Increment counter"
+        >
+          + Increment
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default Counter;
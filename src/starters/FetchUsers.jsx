@@ -0,0 +1,34 @@
+/**
+ * FetchUsers Starter
+ * 
+ * Load a list of users from an API.
+ * - Fetch inside useEffect with async/await
+ * - Track loading and error states
+ * - Abort the request when the component unmounts
+ */
+
+import { useState } from 'react';
+
+// Answered by the in-app mock API; try /api/users/search?q=... and /api/users/:id too
+const API_ENDPOINT = '/api/users?limit=12';
+
+const FetchUsers = () => {
+  const [users] = useState([]);
+
+  // TODO: fetch API_ENDPOINT in an effect, handle loading / errors and abort on cleanup
+
+  return (
+    <div className="bg-bg-primary rounded-xl border border-border p-6">
+      <p className="text-sm text-text-muted mb-4">Source: {API_ENDPOINT}</p>
+      <ul className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        {users.map((user) => (
+          <li key={user.id} className="p-4 bg-bg-secondary rounded-lg">
+            {user.firstName} {user.lastName}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default FetchUsers;
@@ -0,0 +1,51 @@
+/**
+ * FormWithValidation Starter
+ * 
+ * Build a sign-up form that validates as the user goes.
+ * - Keep the field values and touched fields in state
+ * - Compute the errors with useMemo
+ * - Only show an error after the field was touched
+ */
+
+import { useState } from 'react';
+
+const FormWithValidation = () => {
+  const [formData, setFormData] = useState({ name: '', email: '', password: '' });
+
+  const handleChange = (event) => {
+    const { name, value } = event.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+  };
+
+  // TODO: validate each field, track touched fields and show accessible errors
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+  };
+
+  return (
+    <form onSubmit={handleSubmit} noValidate className="bg-bg-primary rounded-xl border border-border p-6 space-y-4">
+      {['name', 'email', 'password'].map((field) => (
+        <div key={field}>
+          <label htmlFor={field} className="block text-sm font-medium text-text-primary mb-1 capitalize">
+            {field}
+          </label>
+          <input
+            id={field}
+            name={field}
+            type={field === 'password' ? 'password' : field === 'email' ? 'email' : 'text'}
+            value={formData[field]}
+            onChange={handleChange}
+            className="w-full px-4 py-2 bg-bg-secondary border border-border rounded-lg"
+          />
+        </div>
+      ))}
+
+      <button type="submit" className="w-full px-4 py-3 bg-primary text-white font-medium rounded-lg">
+        Create Account
+      </button>
+    </form>
+  );
+};
+
+export default FormWithValidation;
@@ -0,0 +1,31 @@
+/**
+ * Modal Starter
+ * 
+ * Build a modal that opens and closes from a button.
+ * - Manage the open state with the useToggle hook
+ * - Only render the dialog while it is open
+ * - Render the children prop inside the dialog
+ */
+
+import { useToggle } from '../hooks/use-toggle';
+
+const Modal = ({ children = 'Hello from the modal!' }) => {
+  const [isOpen, toggleModal] = useToggle(false);
+
+  return (
+    <div className="p-8 text-center">
+      <button
+        onClick={toggleModal}
+        className="px-6 py-3 bg-primary text-white font-medium rounded-lg"
+        aria-expanded={isOpen}
+      >
+        {isOpen ? 'Close Modal' : 'Open Modal'}
+      </button>
+
+      {/* TODO: render an accessible dialog (role="dialog", aria-modal) when isOpen is true */}
+      <div hidden>{children}</div>
+    </div>
+  );
+};
+
+export default Modal;
@@ -0,0 +1,49 @@
+/**
+ * NotesApp Starter
+ * 
+ * Build a notes app whose notes survive a page refresh.
+ * - Store notes with the useLocalStorage hook
+ * - Add, edit and delete notes
+ * - Search notes by title and content
+ */
+
+import { useState } from 'react';
+
+const NotesApp = () => {
+  // TODO: persist notes with useLocalStorage('react-practice-playground-notes', [])
+  const [notes, setNotes] = useState([]);
+  const [title, setTitle] = useState('');
+
+  const handleAddNote = () => {
+    if (!title.trim()) return;
+    setNotes([{ id: crypto.randomUUID(), title: title.trim() }, ...notes]);
+    setTitle('');
+  };
+
+  return (
+    <div className="bg-bg-primary rounded-xl border border-border p-6">
+      <div className="flex gap-3 mb-6">
+        <input
+          type="text"
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+          placeholder="Note title"
+          className="flex-1 px-4 py-3 bg-bg-secondary border border-border rounded-lg"
+        />
+        <button onClick={handleAddNote} className="px-6 py-3 bg-primary text-white font-medium rounded-lg">
+          Add Note
+        </button>
+      </div>
+
+      <ul className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        {notes.map((note) => (
+          <li key={note.id} className="p-4 bg-bg-secondary rounded-lg border border-border">
+            {note.title}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default NotesApp;
@@ -0,0 +1,61 @@
+/**
+ * Pagination Starter
+ * 
+ * Page through a list of topics.
+ * - Track the current page and items per page in state
+ * - Slice the visible rows with useMemo
+ * - Disable Previous / Next at the boundaries
+ */
+
+import { useState } from 'react';
+
+const data = [
+  'React Fundamentals',
+  'State Management',
+  'Component Lifecycle',
+  'Hooks Deep Dive',
+  'Custom Hooks',
+  'Context API',
+  'Redux Basics',
+  'React Router',
+  'Testing Components',
+  'Performance Optimization',
+  'Server Side Rendering',
+  'Code Splitting',
+];
+
+const Pagination = () => {
+  const [currentPage, setCurrentPage] = useState(1);
+  const itemsPerPage = 5;
+
+  // TODO: compute totalPages and the visible rows for currentPage
+  const visibleRows = data.slice(0, itemsPerPage);
+
+  return (
+    <div className="bg-bg-primary rounded-xl border border-border p-6">
+      <ul className="space-y-2 mb-6">
+        {visibleRows.map((item) => (
+          <li key={item} className="px-4 py-3 bg-bg-secondary rounded-lg">{item}</li>
+        ))}
+      </ul>
+
+      <div className="flex items-center justify-between">
+        <button
+          onClick={() => setCurrentPage(currentPage - 1)}
+          className="px-4 py-2 border border-border rounded-lg"
+        >
+          Previous
+        </button>
+        <span className="text-text-secondary">Page {currentPage}</span>
+        <button
+          onClick={() => setCurrentPage(currentPage + 1)}
+          className="px-4 py-2 border border-border rounded-lg"
+        >
+          Next
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default Pagination;
@@ -0,0 +1,63 @@
+/**
+ * ProductFilters Starter
+ * 
+ * Filter products by search text, category and stock.
+ * - Keep the filter state in a reducer
+ * - Debounce the search text with useDebounce
+ * - Memoize the filtered products
+ */
+
+import { useReducer } from 'react';
+
+const PRODUCTS = [
+  { id: 1, name: 'iPhone 14', category: 'mobile', price: 999, inStock: true },
+  { id: 2, name: 'Galaxy S23', category: 'mobile', price: 899, inStock: false },
+  { id: 3, name: 'MacBook Pro', category: 'laptop', price: 1999, inStock: true },
+  { id: 4, name: 'Apple Watch', category: 'watches', price: 399, inStock: false },
+  { id: 5, name: 'Nike Air Max', category: 'shoes', price: 120, inStock: true },
+];
+
+const initialState = {
+  searchText: '',
+  category: 'all',
+  inStockOnly: false,
+};
+
+function reducer(state, action) {
+  switch (action.type) {
+    case 'SET_SEARCH':
+      return { ...state, searchText: action.value };
+    // TODO: SET_CATEGORY, TOGGLE_IN_STOCK, CLEAR_FILTERS
+    default:
+      return state;
+  }
+}
+
+const ProductFilters = () => {
+  const [state, dispatch] = useReducer(reducer, initialState);
+
+  // TODO: filter PRODUCTS by the debounced search text, category and stock
+  const filteredProducts = PRODUCTS;
+
+  return (
+    <div className="bg-bg-primary rounded-xl border border-border p-6">
+      <input
+        type="text"
+        value={state.searchText}
+        onChange={(e) => dispatch({ type: 'SET_SEARCH', value: e.target.value })}
+        placeholder="Search products..."
+        className="w-full px-4 py-3 bg-bg-secondary border border-border rounded-lg mb-6"
+      />
+
+      <ul className="grid grid-cols-2 gap-3">
+        {filteredProducts.map((product) => (
+          <li key={product.id} className="px-4 py-3 bg-bg-secondary rounded-lg">
+            {product.name} — ${product.price}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default ProductFilters;
@@ -0,0 +1,48 @@
+/**
+ * Search Starter
+ * 
+ * Filter a list of fruits as the user types.
+ * - Debounce the query with the useDebounce hook
+ * - Memoize the filtered list with useMemo
+ * - Match name, color and season case-insensitively
+ */
+
+import { useState } from 'react';
+
+const FRUITS_DATA = [
+  { id: 1, name: 'Apple', emoji: '🍎', color: 'Red', season: 'Fall' },
+  { id: 2, name: 'Banana', emoji: '🍌', color: 'Yellow', season: 'Year-round' },
+  { id: 3, name: 'Orange', emoji: '🍊', color: 'Orange', season: 'Winter' },
+  { id: 4, name: 'Mango', emoji: '🥭', color: 'Yellow', season: 'Summer' },
+  { id: 5, name: 'Grapes', emoji: '🍇', color: 'Purple', season: 'Fall' },
+  { id: 6, name: 'Kiwi', emoji: '🥝', color: 'Green', season: 'Fall' },
+];
+
+const Search = () => {
+  const [searchText, setSearchText] = useState('');
+
+  // TODO: debounce searchText and filter FRUITS_DATA with useMemo
+  const filteredData = FRUITS_DATA;
+
+  return (
+    <div className="bg-bg-primary rounded-xl border border-border p-6">
+      <input
+        type="text"
+        value={searchText}
+        onChange={(e) => setSearchText(e.target.value)}
+        placeholder="Search fruits..."
+        className="w-full px-4 py-3 bg-bg-secondary border border-border rounded-lg mb-6"
+      />
+
+      <ul className="grid grid-cols-2 gap-3">
+        {filteredData.map((fruit) => (
+          <li key={fruit.id} className="px-4 py-3 bg-bg-secondary rounded-lg">
+            {fruit.emoji} {fruit.name}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default Search;
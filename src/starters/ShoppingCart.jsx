@@ -0,0 +1,69 @@
+/**
+ * ShoppingCart Starter
+ * 
+ * Build a cart for a small product catalog.
+ * - Manage cart items with useReducer
+ * - Dispatch ADD_ITEM / REMOVE_ITEM / UPDATE_QUANTITY / CLEAR_CART actions
+ * - Memoize the cart totals with useMemo
+ */
+
+import { useReducer } from 'react';
+
+const products = [
+  { id: 1, name: 'React T-Shirt', price: 29.99 },
+  { id: 2, name: 'JavaScript Hoodie', price: 49.99 },
+  { id: 3, name: 'TypeScript Cap', price: 19.99 },
+];
+
+const CART_ACTIONS = {
+  ADD_ITEM: 'ADD_ITEM',
+};
+
+const cartReducer = (state, action) => {
+  switch (action.type) {
+    case CART_ACTIONS.ADD_ITEM:
+      // TODO: increase the quantity when the product is already in the cart
+      return [...state, { ...action.payload, quantity: 1 }];
+    // TODO: REMOVE_ITEM, UPDATE_QUANTITY, CLEAR_CART
+    default:
+      return state;
+  }
+};
+
+const ShoppingCart = () => {
+  const [cartItems, dispatch] = useReducer(cartReducer, []);
+
+  // TODO: memoize item count and total price
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+      <div className="md:col-span-2 grid grid-cols-1 sm:grid-cols-3 gap-4">
+        {products.map((product) => (
+          <div key={product.id} className="bg-bg-primary rounded-xl border border-border p-4">
+            <p className="font-medium text-text-primary">{product.name}</p>
+            <p className="text-text-secondary mb-3">${product.price}</p>
+            <button
+              onClick={() => dispatch({ type: CART_ACTIONS.ADD_ITEM, payload: product })}
+              className="w-full px-4 py-2 bg-primary text-white rounded-lg"
+            >
+              Add to Cart
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <aside className="bg-bg-primary rounded-xl border border-border p-4">
+        <h2 className="font-semibold text-text-primary mb-3">Cart</h2>
+        <ul className="space-y-2">
+          {cartItems.map((item) => (
+            <li key={item.id} className="text-text-secondary">
+              {item.name} × {item.quantity}
+            </li>
+          ))}
+        </ul>
+      </aside>
+    </div>
+  );
+};
+
+export default ShoppingCart;
@@ -0,0 +1,45 @@
+/**
+ * Table Starter (Tabbed Content)
+ * 
+ * Switch between tab panels.
+ * - Track the active tab index in state
+ * - Highlight the active tab
+ * - Hide the panels that are not active
+ */
+
+const headers = ['Profile', 'Settings', 'Notifications'];
+const dataRows = [
+  'This is the Profile tab content.',
+  'This is the Settings tab content.',
+  'This is the Notifications tab content.',
+];
+
+const Table = () => {
+  // TODO: keep the active tab in state
+  const activeTab = 0;
+
+  return (
+    <div className="bg-bg-primary rounded-xl border border-border overflow-hidden">
+      <nav className="flex border-b border-border bg-bg-secondary" role="tablist">
+        {headers.map((header, idx) => (
+          <button
+            key={header}
+            role="tab"
+            aria-selected={activeTab === idx}
+            className="flex-1 px-6 py-4 text-sm font-medium"
+          >
+            {header}
+          </button>
+        ))}
+      </nav>
+
+      {dataRows.map((row, idx) => (
+        <div key={idx} role="tabpanel" className="p-6 text-text-secondary">
+          {row}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default Table;
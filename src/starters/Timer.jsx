@@ -0,0 +1,40 @@
+/**
+ * Timer Starter
+ * 
+ * Build a stopwatch with start, pause and reset.
+ * - Store the interval ID in a ref
+ * - Start and clear the interval in an effect
+ * - Clean up when the component unmounts
+ */
+
+import { useState } from 'react';
+
+const Timer = () => {
+  const [time, setTime] = useState(0);
+  const [isRunning, setIsRunning] = useState(false);
+
+  // TODO: useEffect + useRef to tick `time` every second while running
+
+  return (
+    <div className="bg-bg-primary rounded-xl border border-border p-8 text-center">
+      <p className="text-4xl font-bold text-text-primary font-mono mb-6">{time}s</p>
+
+      <div className="flex items-center justify-center gap-4">
+        <button
+          onClick={() => setIsRunning(!isRunning)}
+          className="px-8 py-3 bg-success text-white font-medium rounded-lg"
+        >
+          {isRunning ? 'Pause' : 'Start'}
+        </button>
+        <button
+          onClick={() => setTime(0)}
+          className="px-8 py-3 bg-secondary text-white font-medium rounded-lg"
+        >
+          Reset
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default Timer;
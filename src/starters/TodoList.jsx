@@ -0,0 +1,52 @@
+/**
+ * TodoList Starter
+ * 
+ * Build a todo list with add, complete, delete and filters.
+ * - Store todos as { id, text, status } objects
+ * - Update the array immutably
+ * - Memoize the filtered view with useMemo
+ */
+
+import { useState } from 'react';
+
+const TodoList = () => {
+  const [todos, setTodos] = useState([]);
+  const [inputText, setInputText] = useState('');
+
+  const handleAddTodo = () => {
+    const trimmedText = inputText.trim();
+    if (!trimmedText) return;
+
+    setTodos([...todos, { id: crypto.randomUUID(), text: trimmedText, status: 'Pending' }]);
+    setInputText('');
+  };
+
+  // TODO: toggle, delete, clear completed and the All / Pending / Completed filters
+
+  return (
+    <div className="bg-bg-primary rounded-xl border border-border p-6">
+      <div className="flex gap-3 mb-6">
+        <input
+          type="text"
+          value={inputText}
+          onChange={(e) => setInputText(e.target.value)}
+          placeholder="What needs to be done?"
+          className="flex-1 px-4 py-3 bg-bg-secondary border border-border rounded-lg"
+        />
+        <button onClick={handleAddTodo} className="px-6 py-3 bg-primary text-white font-medium rounded-lg">
+          Add
+        </button>
+      </div>
+
+      <ul className="space-y-2">
+        {todos.map((todo) => (
+          <li key={todo.id} className="px-4 py-3 bg-bg-secondary rounded-lg text-text-primary">
+            {todo.text}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default TodoList;
@@ -0,0 +1,35 @@
+/**
+ * ToggleTheme Starter
+ * 
+ * Toggle a card between a light and a dark theme.
+ * - Keep the current theme name in state
+ * - Look the styles up from the themeConfig object
+ */
+
+import { useState } from 'react';
+
+const themeConfig = {
+  dark: { name: 'Dark', backgroundColor: '#1e293b', textColor: '#f1f5f9' },
+  light: { name: 'Light', backgroundColor: '#ffffff', textColor: '#1e293b' },
+};
+
+const ToggleTheme = () => {
+  const [currentTheme] = useState('dark');
+  const theme = themeConfig[currentTheme];
+
+  // TODO: add a handleToggle that switches between 'dark' and 'light'
+
+  return (
+    <div
+      className="rounded-xl border p-8"
+      style={{ backgroundColor: theme.backgroundColor, color: theme.textColor }}
+    >
+      <p className="text-lg font-semibold mb-4">{theme.name} Mode</p>
+      <button className="px-6 py-3 rounded-lg border font-medium">
+        Toggle Theme
+      </button>
+    </div>
+  );
+};
+
+export default ToggleTheme;
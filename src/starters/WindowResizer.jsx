@@ -0,0 +1,28 @@
+/**
+ * WindowResizer Starter
+ * 
+ * Show the window size and keep it up to date.
+ * - Read the initial size from window
+ * - Listen for the resize event in an effect
+ * - Remove the listener on unmount
+ */
+
+import { useState } from 'react';
+
+const WindowResizer = () => {
+  const [windowWidth] = useState(window.innerWidth);
+  const [windowHeight] = useState(window.innerHeight);
+
+  // TODO: subscribe to window resize and clean up the listener
+
+  return (
+    <div className="bg-bg-primary rounded-xl border border-border p-8 text-center">
+      <p className="text-text-muted text-sm uppercase tracking-wider mb-2">Window Size</p>
+      <p className="text-4xl font-bold text-text-primary font-mono">
+        {windowWidth} × {windowHeight}
+      </p>
+    </div>
+  );
+};
+
+export default WindowResizer;
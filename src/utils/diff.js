@@ -0,0 +1,214 @@
+/**
+ * Line Diff
+ * 
+ * Line-by-line diff of two versions of a source file, used to compare
+ * the learner's playground code with the reference solution. Lines are
+ * matched by their longest common subsequence. Whitespace and comments
+ * can be ignored: lines are then compared without them, and lines that
+ * only hold whitespace or a comment never count as a change.
+ * 
+ * @module utils/diff
+ */
+
+import { highlightLines } from './highlight';
+
+/**
+ * Kinds of diff lines. IGNORED lines are only on one side but are blank
+ * or comment-only, so they are shown without counting as a change.
+ */
+export const DIFF_TYPES = {
+  EQUAL: 'equal',
+  REMOVED: 'removed',
+  ADDED: 'added',
+  IGNORED: 'ignored',
+};
+
+/**
+ * Text each line is compared by
+ * @param {Array<Array<{type: string, text: string}>>} lines - Tokens per line
+ * @param {Object} options - Which differences to ignore
+ * @returns {Array<{key: string, isBlank: boolean}>} Comparison key per line, and whether it holds no code
+ */
+const getLineKeys = (lines, { ignoreWhitespace, ignoreComments }) =>
+  lines.map((tokens) => {
+    const hasComment = tokens.some((token) => token.type === 'comment');
+    let key = tokens
+      .filter((token) => !(ignoreComments && token.type === 'comment'))
+      .map((token) => token.text)
+      .join('');
+    // A JSX comment leaves its braces behind
+    if (ignoreComments && hasComment && /^\{\s*\}$/.test(key.trim())) key = '';
+    if (ignoreWhitespace) key = key.replace(/\s+/g, '');
+    else if (ignoreComments && hasComment) key = key.trimEnd();
+
+    const isBlank = key.trim() === '' && (ignoreWhitespace || (ignoreComments && hasComment));
+    return { key, isBlank };
+  });
+
+/**
+ * Pairs of matching line indexes, by longest common subsequence
+ * @param {string[]} a - Keys of the old lines
+ * @param {string[]} b - Keys of the new lines
+ * @returns {Array<[number, number]>} Matched (old, new) indexes in order
+ */
+const matchLines = (a, b) => {
+  // lengths[i * (m + 1) + j]: LCS length of a[i..] and b[j..]
+  const n = a.length;
+  const m = b.length;
+  const lengths = new Uint32Array((n + 1) * (m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lengths[i * (m + 1) + j] =
+        a[i] === b[j]
+          ? lengths[(i + 1) * (m + 1) + j + 1] + 1
+          : Math.max(lengths[(i + 1) * (m + 1) + j], lengths[i * (m + 1) + j + 1]);
+    }
+  }
+
+  const pairs = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      pairs.push([i, j]);
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * (m + 1) + j] >= lengths[i * (m + 1) + j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return pairs;
+};
+
+/**
+ * Diff two versions of a file line by line
+ * @param {string} oldCode - e.g. the learner's code
+ * @param {string} newCode - e.g. the reference solution
+ * @param {Object} [options]
+ * @param {boolean} [options.ignoreWhitespace=true] - Compare lines without whitespace
+ * @param {boolean} [options.ignoreComments=true] - Compare lines without comments
+ * @returns {Array<Object>} Lines in order: `{ type, oldNumber, newNumber, oldTokens, newTokens }`,
+ *   with 1-based line numbers and highlighted tokens for the sides the line is on
+ * 
+ * @example
+ * diffLines('a\nb', 'a\nc')
+ * // [{ type: 'equal', oldNumber: 1, newNumber: 1, ... },
+ * //  { type: 'removed', oldNumber: 2, ... }, { type: 'added', newNumber: 2, ... }]
+ */
+export const diffLines = (oldCode, newCode, { ignoreWhitespace = true, ignoreComments = true } = {}) => {
+  const oldLines = highlightLines(oldCode);
+  const newLines = highlightLines(newCode);
+  const oldKeys = getLineKeys(oldLines, { ignoreWhitespace, ignoreComments });
+  const newKeys = getLineKeys(newLines, { ignoreWhitespace, ignoreComments });
+  const pairs = matchLines(
+    oldKeys.map((line) => line.key),
+    newKeys.map((line) => line.key),
+  );
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+  const takeOld = (end) => {
+    for (; i < end; i++) {
+      result.push({
+        type: oldKeys[i].isBlank ? DIFF_TYPES.IGNORED : DIFF_TYPES.REMOVED,
+        oldNumber: i + 1,
+        oldTokens: oldLines[i],
+      });
+    }
+  };
+  const takeNew = (end) => {
+    for (; j < end; j++) {
+      result.push({
+        type: newKeys[j].isBlank ? DIFF_TYPES.IGNORED : DIFF_TYPES.ADDED,
+        newNumber: j + 1,
+        newTokens: newLines[j],
+      });
+    }
+  };
+
+  [...pairs, [oldLines.length, newLines.length]].forEach(([oldIndex, newIndex]) => {
+    takeOld(oldIndex);
+    takeNew(newIndex);
+    if (oldIndex < oldLines.length) {
+      result.push({
+        type: DIFF_TYPES.EQUAL,
+        oldNumber: i + 1,
+        newNumber: j + 1,
+        oldTokens: oldLines[i],
+        newTokens: newLines[j],
+      });
+      i++;
+      j++;
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Check whether a diff line is a change
+ * @param {Object} line - Line from diffLines
+ * @returns {boolean}
+ */
+export const isChange = (line) => line.type === DIFF_TYPES.REMOVED || line.type === DIFF_TYPES.ADDED;
+
+/**
+ * Group the changed lines into hunks: runs of changes with no unchanged
+ * code between them (ignored lines do not split a hunk)
+ * @param {Array<Object>} lines - Lines from diffLines
+ * @returns {Array<{start: number, end: number}>} Index of each hunk's first and last changed line
+ */
+export const getHunks = (lines) => {
+  const hunks = [];
+  let current = null;
+  lines.forEach((line, index) => {
+    if (line.type === DIFF_TYPES.EQUAL) {
+      current = null;
+    } else if (isChange(line)) {
+      if (current) {
+        current.end = index;
+      } else {
+        current = { start: index, end: index };
+        hunks.push(current);
+      }
+    }
+  });
+  return hunks;
+};
+
+/**
+ * Pair up the lines of a diff for a side-by-side view: within a run of
+ * changes, removed lines sit next to added lines in order
+ * @param {Array<Object>} lines - Lines from diffLines
+ * @returns {Array<{left: Object|null, right: Object|null}>} Rows; each side is
+ *   `{ line, index }` with the line's index in `lines`, or null when empty
+ */
+export const pairSideBySide = (lines) => {
+  const rows = [];
+  let removed = [];
+  let added = [];
+
+  const flush = () => {
+    for (let k = 0; k < Math.max(removed.length, added.length); k++) {
+      rows.push({ left: removed[k] ?? null, right: added[k] ?? null });
+    }
+    removed = [];
+    added = [];
+  };
+
+  lines.forEach((line, index) => {
+    if (line.type === DIFF_TYPES.EQUAL) {
+      flush();
+      rows.push({ left: { line, index }, right: { line, index } });
+    } else if (line.oldTokens) {
+      removed.push({ line, index });
+    } else {
+      added.push({ line, index });
+    }
+  });
+  flush();
+  return rows;
+};
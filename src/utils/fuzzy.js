@@ -0,0 +1,95 @@
+/**
+ * Fuzzy Matching
+ * 
+ * Case-insensitive fuzzy matching used by the command palette. A query
+ * matches when its characters appear in order in the text; contiguous
+ * runs, word starts and early matches score higher. Exact substrings
+ * always beat scattered matches.
+ * 
+ * @module utils/fuzzy
+ */
+
+/**
+ * Maximum span a scattered match may cover, as a multiple of query length.
+ * Keeps long descriptions from matching almost any query.
+ */
+const MAX_SPAN_FACTOR = 4;
+
+/**
+ * Check whether a character starts a word
+ */
+const isWordStart = (text, index) => index === 0 || !/[a-z0-9]/i.test(text[index - 1]);
+
+/**
+ * Match a query against a piece of text
+ * @param {string} query - What the user typed
+ * @param {string} text - Text to search in
+ * @returns {{score: number, indices: number[]}|null} Score and matched character positions, or null
+ * 
+ * @example
+ * fuzzyMatch('usest', 'useState')  // { score: ..., indices: [0, 1, 2, 3, 4] }
+ * fuzzyMatch('xyz', 'useState')    // null
+ */
+export const fuzzyMatch = (query, text) => {
+  const needle = query.toLowerCase().replace(/\s+/g, ' ').trim();
+  const haystack = text.toLowerCase();
+  if (!needle) return { score: 0, indices: [] };
+
+  // Exact substring: best possible kind of match
+  const substringIndex = haystack.indexOf(needle);
+  if (substringIndex !== -1) {
+    const indices = Array.from({ length: needle.length }, (_, i) => substringIndex + i);
+    const bonus = substringIndex === 0 ? 50 : isWordStart(text, substringIndex) ? 25 : 0;
+    return { score: 100 + bonus + needle.length * 2 - substringIndex * 0.1, indices };
+  }
+
+  // Scattered match: every non-space query character in order
+  const characters = needle.replace(/ /g, '');
+  const indices = [];
+  let score = 0;
+  let position = 0;
+
+  for (const character of characters) {
+    const found = haystack.indexOf(character, position);
+    if (found === -1) return null;
+
+    const previous = indices[indices.length - 1];
+    score += previous === found - 1 ? 5 : 1;
+    if (isWordStart(text, found)) score += 3;
+
+    indices.push(found);
+    position = found + 1;
+  }
+
+  const span = indices[indices.length - 1] - indices[0] + 1;
+  if (span > characters.length * MAX_SPAN_FACTOR) return null;
+
+  return { score: score - span * 0.1, indices };
+};
+
+/**
+ * Count the single-character edits (insertions, deletions, substitutions)
+ * that turn one string into another, ignoring case. Catches typos such as
+ * swapped letters that fuzzyMatch, which needs characters in order, misses.
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Levenshtein distance
+ * 
+ * @example
+ * editDistance('conuter', 'counter') // 2
+ */
+export const editDistance = (a, b) => {
+  const source = a.toLowerCase();
+  const target = b.toLowerCase();
+  let previous = Array.from({ length: target.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= source.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= target.length; j++) {
+      const substitution = previous[j - 1] + (source[i - 1] === target[j - 1] ? 0 : 1);
+      current.push(Math.min(previous[j] + 1, current[j - 1] + 1, substitution));
+    }
+    previous = current;
+  }
+  return previous[target.length];
+};
@@ -0,0 +1,94 @@
+/**
+ * Syntax Highlighter
+ * 
+ * A small regex-based tokenizer for the JavaScript/JSX used in this
+ * project. It is not a full parser: it recognizes comments, strings,
+ * JSX tag names, keywords, literals and function calls, which is enough
+ * to make solution code readable without shipping a highlighting library.
+ * 
+ * @module utils/highlight
+ */
+
+const KEYWORDS = [
+  'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue',
+  'default', 'else', 'export', 'extends', 'finally', 'for', 'from', 'function',
+  'if', 'import', 'in', 'let', 'new', 'of', 'return', 'switch', 'throw', 'try',
+  'typeof', 'var', 'while',
+];
+
+/**
+ * Token patterns in priority order. All are sticky so they only match at
+ * the current position; `plain` always matches something.
+ */
+const TOKEN_PATTERNS = [
+  ['comment', /\/\/[^\n]*|\/\*[\s\S]*?\*\//y],
+  ['string', /'(?:\\.|[^'\\\n])*'|"(?:\\.|[^"\\\n])*"|`(?:\\[\s\S]|[^`\\])*`/y],
+  ['tag', /<\/?[A-Za-z][\w.]*/y],
+  ['keyword', new RegExp(`\\b(?:${KEYWORDS.join('|')})\\b`, 'y')],
+  ['literal', /\b(?:true|false|null|undefined|\d+(?:\.\d+)?)\b/y],
+  ['function', /[A-Za-z_$][\w$]*(?=\s*\()/y],
+  ['plain', /[A-Za-z_$][\w$]*|\s+|[^\sA-Za-z_$]/y],
+];
+
+/**
+ * Tailwind classes for each token type (plain tokens have none)
+ */
+export const tokenClasses = {
+  comment: 'text-syntax-comment italic',
+  string: 'text-syntax-string',
+  tag: 'text-syntax-tag',
+  keyword: 'text-syntax-keyword',
+  literal: 'text-syntax-literal',
+  function: 'text-syntax-function',
+};
+
+/**
+ * Split source code into typed tokens
+ * @param {string} code - Source code
+ * @returns {Array<{type: string, text: string}>} Tokens, adjacent plain text merged
+ */
+export const tokenize = (code) => {
+  const tokens = [];
+  let position = 0;
+
+  while (position < code.length) {
+    for (const [type, pattern] of TOKEN_PATTERNS) {
+      pattern.lastIndex = position;
+      const match = pattern.exec(code);
+      if (!match) continue;
+
+      const previous = tokens[tokens.length - 1];
+      if (type === 'plain' && previous?.type === 'plain') {
+        previous.text += match[0];
+      } else {
+        tokens.push({ type, text: match[0] });
+      }
+      position += match[0].length;
+      break;
+    }
+  }
+
+  return tokens;
+};
+
+/**
+ * Tokenize source code and group the tokens by line
+ * @param {string} code - Source code
+ * @returns {Array<Array<{type: string, text: string}>>} One token array per line
+ * 
+ * @example
+ * highlightLines('const a = 1;')
+ * // [[{ type: 'keyword', text: 'const' }, { type: 'plain', text: ' a = ' }, ...]]
+ */
+export const highlightLines = (code) => {
+  const lines = [[]];
+
+  tokenize(code).forEach(({ type, text }) => {
+    text.split('\n').forEach((part, index) => {
+      if (index > 0) lines.push([]);
+      if (part) lines[lines.length - 1].push({ type, text: part });
+    });
+  });
+
+  return lines;
+};
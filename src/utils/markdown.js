@@ -0,0 +1,98 @@
+/**
+ * Markdown Parser
+ * 
+ * A small parser for the Markdown used in the challenge content files
+ * (hint content and solution explanations). It understands paragraphs,
+ * `-` bullet lists and fenced code blocks, plus inline code, **bold**
+ * and [links](https://react.dev). Anything else is kept as plain text.
+ * 
+ * @module utils/markdown
+ */
+
+/**
+ * Inline patterns, matched left to right: code spans first so their
+ * contents are never treated as bold or links
+ */
+const INLINE_PATTERN = /`([^`]+)`|\*\*(.+?)\*\*|\[([^\]]+)\]\(([^)\s]+)\)/g;
+
+/**
+ * Split a line of text into inline segments
+ * @param {string} text - Text with inline Markdown
+ * @returns {Array<{type: 'text'|'code'|'strong'|'link', text: string, href?: string}>} Segments
+ */
+export const parseInline = (text) => {
+  const segments = [];
+  let position = 0;
+
+  for (const match of text.matchAll(INLINE_PATTERN)) {
+    if (match.index > position) segments.push({ type: 'text', text: text.slice(position, match.index) });
+
+    const [, code, strong, linkText, href] = match;
+    if (code !== undefined) segments.push({ type: 'code', text: code });
+    else if (strong !== undefined) segments.push({ type: 'strong', text: strong });
+    else segments.push({ type: 'link', text: linkText, href });
+
+    position = match.index + match[0].length;
+  }
+
+  if (position < text.length) segments.push({ type: 'text', text: text.slice(position) });
+  return segments;
+};
+
+/**
+ * Parse Markdown into blocks
+ * @param {string} source - Markdown source
+ * @returns {Array<Object>} Blocks: `{type: 'paragraph', segments}`,
+ *   `{type: 'list', items: segments[]}` or `{type: 'code', lang, code}`
+ * 
+ * @example
+ * parseMarkdown('Use `useState`:\n\n```jsx\nconst [a, setA] = useState(0);\n```')
+ * // [{ type: 'paragraph', segments: [...] }, { type: 'code', lang: 'jsx', code: 'const [a, setA] = useState(0);' }]
+ */
+export const parseMarkdown = (source) => {
+  const blocks = [];
+  const lines = source.replace(/\r\n/g, '\n').split('\n');
+  let paragraph = [];
+  let listItems = null;
+
+  const flush = () => {
+    if (paragraph.length > 0) blocks.push({ type: 'paragraph', segments: parseInline(paragraph.join(' ')) });
+    if (listItems) blocks.push({ type: 'list', items: listItems.map(parseInline) });
+    paragraph = [];
+    listItems = null;
+  };
+
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index];
+    const fence = line.match(/^\s*```\s*(\w*)/);
+
+    if (fence) {
+      flush();
+      const code = [];
+      index++;
+      while (index < lines.length && !/^\s*```/.test(lines[index])) {
+        code.push(lines[index]);
+        index++;
+      }
+      blocks.push({ type: 'code', lang: fence[1] || null, code: code.join('\n') });
+      continue;
+    }
+
+    const item = line.match(/^[-*]\s+(.*)$/);
+    if (line.trim() === '') {
+      flush();
+    } else if (item) {
+      if (paragraph.length > 0) flush();
+      listItems = [...(listItems || []), item[1].trim()];
+    } else if (listItems && /^\s+\S/.test(line)) {
+      listItems[listItems.length - 1] += ` ${line.trim()}`;
+    } else {
+      if (listItems) flush();
+      paragraph.push(line.trim());
+    }
+  }
+
+  flush();
+  return blocks;
+};
+
@@ -2,6 +2,10 @@ import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import { TanStackRouterVite } from '@tanstack/router-plugin/vite'
 import tailwindcss from '@tailwindcss/vite'
+import challengeContent from './scripts/vite-plugin-challenge-content.js'
+import validateData from './scripts/vite-plugin-validate-data.js'
+import serviceWorker from './scripts/vite-plugin-service-worker.js'
+import playgroundPreview from './scripts/vite-plugin-playground-preview.js'
 
 /**
  * Vite Configuration
@@ -10,6 +14,10 @@ import tailwindcss from '@tailwindcss/vite'
  * - TanStack Router for file-based routing with automatic code splitting
  * - React plugin for JSX transformation and Fast Refresh
  * - Tailwind CSS v4 for utility-first styling
+ * - Compilation of the Markdown challenge content files
+ * - Schema validation of the challenge and solution data (fails the build)
+ * - The sandboxed playground preview frame, bundled into one HTML document
+ * - A service worker that precaches the whole build for offline use
  * 
  * @see https://vite.dev/config/
  */
@@ -24,5 +32,18 @@ export default defineConfig({
     tailwindcss(),
     // React plugin with Fast Refresh
     react(),
+    // Compiles src/content/challenges/*.md into challenge and solution data
+    challengeContent(),
+    // Validates data/challenges and data/solutions against data/schema
+    validateData(),
+    // Bundles src/playground/preview.jsx into virtual:playground-preview
+    playgroundPreview(),
+    // Writes sw.js, precaching every file of the build
+    serviceWorker(),
   ],
+  build: {
+    // The playground preview bundle is a single self-contained script by
+    // design (~850 kB, see scripts/vite-plugin-playground-preview.js)
+    chunkSizeWarningLimit: 1000,
+  },
 })